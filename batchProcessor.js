@@ -1,37 +1,210 @@
 // @ts-check
 
 const pLimit = require("p-limit").default;
+const fs = require("fs").promises;
 const path = require("path");
-const { readJsonFile, writeJsonFile, getFileInfo } = require("./fileHandler");
-const { translateBatch } = require("./geminiTranslator");
+const {
+  readJsonFile,
+  writeJsonFile,
+  getFileInfo,
+  fileExists,
+} = require("./fileHandler");
+const {
+  getCheckpointPath,
+  prepareCheckpoint,
+  appendCheckpointBatch,
+  removeCheckpoint,
+} = require("./checkpoint");
+const {
+  getPromptVersion,
+  loadTranslationMemory,
+  lookupTranslations,
+  recordTranslations,
+} = require("./translationMemory");
+const {
+  loadGlossary,
+  validateGlossaryUsage,
+  DEFAULT_GLOSSARY_FILE,
+} = require("./glossary");
+const {
+  buildPrompt,
+  estimateTokens,
+  DEFAULT_GEMINI_CONFIG,
+} = require("./geminiTranslator");
+const {
+  getProvider,
+  getProviderDefaults,
+  DEFAULT_PROVIDER,
+} = require("./translationProvider");
+const {
+  DEFAULT_SOURCE_LANG,
+  DEFAULT_TARGET_LANG,
+  DEFAULT_PROMPT_FILE,
+} = require("./locales");
+const {
+  clusterKeys,
+  packGroups,
+  DEFAULT_GROUP_SIMILARITY,
+} = require("./keyGrouping");
+const {
+  loadAllowlist,
+  checkTranslations,
+  getErrorKeys,
+  getQaReportPath,
+  DEFAULT_QA_ALLOWLIST_FILE,
+} = require("./qualityCheck");
+const {
+  loadExclusionRules,
+  loadExclusionRulesForConfig,
+  findExclusionRule,
+  DEFAULT_EXCLUSION_RULES_FILE,
+} = require("./exclusionRules");
+const { resolveExclusionOutput } = require("./exclusionOutput");
+const {
+  loadRuleTranslations,
+  applyRuleTranslations,
+  DEFAULT_RULE_TRANSLATIONS_FILE,
+} = require("./ruleTranslator");
+const {
+  loadPlaceholderTerms,
+  maskBatch,
+  restorePlaceholders,
+  DEFAULT_PLACEHOLDER_TERMS_FILE,
+} = require("./placeholders");
+
+/**
+ * Zona horaria en la que se reinician las cuotas diarias (RPD) de Gemini
+ */
+const DAILY_RESET_TIMEZONE = "America/Los_Angeles";
 
 /**
  * Control global de límites de velocidad
  */
 let rateLimiter = {
   requests: /** @type {number[]} */ ([]),
+  tokenUsage: /** @type {{timestamp: number, tokens: number}[]} */ ([]),
+  daily: { date: "", count: 0 },
+  usageFile: /** @type {string | null} */ (null),
   limits: /** @type {any} */ (null),
   tier: "free_tier",
   model: "gemini-2.0-flash-lite",
 };
 
+/**
+ * Cadena de escrituras del contador diario para evitar escrituras concurrentes
+ */
+let dailyUsageWrite = Promise.resolve();
+
 /**
  * Configuración por defecto para el procesamiento por lotes
  */
 const DEFAULT_CONFIG = {
   batchSize: 10, // Número de entradas por lote
+  batching: "entries", // Modo de creación de lotes: "entries" (batchSize fijo) o "tokens" (presupuesto de tokens)
+  batchTokens: 2000, // Presupuesto estimado de tokens (prompt + entrada + salida) por lote en modo "tokens"
+  batchMaxEntries: 40, // Máximo de entradas por lote en modo "tokens"
+  groupKeys: false, // Agrupar claves relacionadas (mismo prefijo o tokens en común) en el mismo lote
+  groupSimilarity: DEFAULT_GROUP_SIMILARITY, // Similitud de Jaccard mínima entre tokens para agrupar claves
   concurrencyLimit: 3, // Número máximo de lotes procesados simultáneamente
   maxRetries: 3, // Número máximo de reintentos por lote fallido
   retryDelay: 2000, // Delay base en ms entre reintentos (con backoff exponencial)
   outputFile: "output.json", // Archivo de salida por defecto
   skipTranslated: true, // Si debe omitir entradas ya traducidas
   enableKeyFiltering: true, // Si debe filtrar claves que no necesitan traducción
+  exclusionRulesFile: DEFAULT_EXCLUSION_RULES_FILE, // Registro de reglas de exclusión por patrón
+  enableExclusionRules: [], // Reglas desactivadas en el registro que se activan en esta ejecución
+  disableExclusionRules: [], // Reglas del registro que se desactivan en esta ejecución
+  sourceLang: DEFAULT_SOURCE_LANG, // Idioma de las claves del archivo de entrada
+  targetLang: DEFAULT_TARGET_LANG, // Idioma destino de la traducción
+  inputLang: DEFAULT_TARGET_LANG, // Idioma de los valores que ya trae el archivo de entrada
+  promptFile: DEFAULT_PROMPT_FILE, // Template del prompt del idioma destino
+  provider: DEFAULT_PROVIDER, // Proveedor de traducción (gemini, openai, mock)
+  baseUrl: null, // URL base del servidor para el proveedor openai (o OPENAI_BASE_URL)
   tier: "free_tier", // Tier de la API (free_tier, tier_1, tier_2, tier_3)
   model: "gemini-2.0-flash-lite", // Modelo de Gemini a usar
+  temperature: DEFAULT_GEMINI_CONFIG.temperature, // Temperatura del modelo
+  topK: DEFAULT_GEMINI_CONFIG.topK, // Muestreo top-K
+  topP: DEFAULT_GEMINI_CONFIG.topP, // Muestreo top-P (nucleus)
+  maxOutputTokens: DEFAULT_GEMINI_CONFIG.maxOutputTokens, // Máximo de tokens de salida por lote
   respectRateLimits: true, // Si debe respetar los límites de velocidad
   rateLimitsFile: "rate-limits.json", // Archivo con límites de velocidad
+  usageFile: "rate-limit-usage.json", // Archivo donde se persiste el contador diario (RPD)
+  checkpoint: true, // Si debe registrar cada lote completado en un journal en disco
+  checkpointFile: null, // Ruta del journal (por defecto <salida>.checkpoint.jsonl)
+  resume: false, // Si debe reanudar desde el journal de una ejecución anterior
+  memory: true, // Si debe reutilizar y registrar traducciones en la memoria de traducción
+  memoryFile: "translation-memory.jsonl", // Archivo JSONL de la memoria de traducción
+  ruleTranslation: true, // Traducir localmente las claves con formato fijo (meses, periodicidad, clases de peso)
+  ruleTranslationsFile: DEFAULT_RULE_TRANSLATIONS_FILE, // Diccionario de la traducción por reglas
+  placeholders: true, // Enviar códigos, cantidades, grados USDA y nombres propios como marcadores {{P1}}
+  placeholderTermsFile: DEFAULT_PLACEHOLDER_TERMS_FILE, // Grados USDA y nombres propios que se protegen con marcadores
+  glossary: true, // Si debe inyectar el glosario en el prompt y validar su uso
+  glossaryFile: DEFAULT_GLOSSARY_FILE, // Archivo JSON con el glosario de términos
+  glossaryRetries: 1, // Reintentos dirigidos para las entradas que no respetan el glosario
+  structuredOutput: true, // Pedir salida JSON con esquema (responseSchema) si el proveedor lo soporta
+  partialSalvage: true, // Conservar las claves válidas de una respuesta incompleta y reenviar solo las faltantes
+  splitOnFailure: true, // Dividir por la mitad los lotes que fallan para aislar las claves problemáticas
+  splitAfterFailures: 1, // Fallos de contenido o de parseo de un sub-lote antes de dividirlo
+  qualityCheck: true, // Revisar las traducciones nuevas (idénticas, inglés, números, longitud, artefactos)
+  qaAllowlistFile: DEFAULT_QA_ALLOWLIST_FILE, // Términos que pueden quedar igual que en inglés
+  qaMinLengthRatio: 0.35, // Proporción mínima de longitud (traducción / clave)
+  qaMaxLengthRatio: 3, // Proporción máxima de longitud (traducción / clave)
+  qaRequeue: false, // Reenviar a la API las entradas con errores de calidad
+  qaReportFile: null, // Reporte de calidad (por defecto <salida>.qa.json)
 };
 
+/**
+ * Determina el modo de salida de las respuestas: "json" (salida estructurada
+ * con esquema) si está habilitado y el proveedor lo soporta, o "text" (JSON
+ * dentro del texto, validado con el parser que quita marcadores de código)
+ * @param {any} config - Configuración del procesamiento
+ * @returns {"json" | "text"} - Modo de salida
+ */
+function getOutputMode(config) {
+  return config.structuredOutput !== false &&
+    getProvider(config.provider).supportsStructuredOutput
+    ? "json"
+    : "text";
+}
+
+/**
+ * Extrae de la configuración las opciones que se envían al modelo en cada lote
+ * @param {any} config - Configuración del procesamiento
+ * @returns {any} - Opciones del modelo (model, temperature, topK, topP, maxOutputTokens,
+ * glossaryFile, promptFile, sourceLang, targetLang, outputMode, allowPartial y, según
+ * el proveedor y la tarea, baseUrl, mock, task o placeholderTermsFile)
+ */
+function getModelOptions(config) {
+  /** @type {any} */
+  const options = {
+    model: config.model,
+    temperature: config.temperature,
+    topK: config.topK,
+    topP: config.topP,
+    maxOutputTokens: config.maxOutputTokens,
+    glossaryFile: config.glossary === false ? null : config.glossaryFile,
+    promptFile: config.promptFile,
+    sourceLang: config.sourceLang,
+    targetLang: config.targetLang,
+    outputMode: getOutputMode(config),
+    allowPartial: config.partialSalvage !== false,
+  };
+
+  if (config.baseUrl) {
+    options.baseUrl = config.baseUrl;
+  }
+  if (config.mock) {
+    options.mock = config.mock;
+  }
+  if (config.task) {
+    options.task = config.task;
+  } else if (config.placeholders !== false) {
+    options.placeholderTermsFile = config.placeholderTermsFile;
+  }
+
+  return options;
+}
+
 /**
  * Carga los límites de velocidad desde el archivo rate-limits.json
  * @param {string} rateLimitsFile - Ruta al archivo de límites
@@ -62,13 +235,162 @@ async function loadRateLimits(rateLimitsFile = "rate-limits.json") {
   }
 }
 
+/**
+ * Obtiene la fecha (YYYY-MM-DD) del día de cuota vigente
+ * @param {Date} date - Momento a evaluar
+ * @returns {string} - Fecha en la zona horaria de reinicio de cuotas
+ */
+function getQuotaDateKey(date = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: DAILY_RESET_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Calcula el momento en que se reinicia la cuota diaria (medianoche del Pacífico)
+ * @param {Date} now - Momento actual
+ * @returns {Date} - Fecha y hora del próximo reinicio
+ */
+function getDailyResetTime(now = new Date()) {
+  const today = getQuotaDateKey(now);
+  const [year, month, day] = today.split("-").map(Number);
+
+  // La medianoche del Pacífico cae a las 07:00 (PDT) u 08:00 (PST) UTC
+  for (const utcHour of [7, 8]) {
+    const candidate = new Date(Date.UTC(year, month - 1, day + 1, utcHour));
+    const justBefore = new Date(candidate.getTime() - 1);
+    if (
+      getQuotaDateKey(candidate) !== today &&
+      getQuotaDateKey(justBefore) === today
+    ) {
+      return candidate;
+    }
+  }
+
+  return new Date(Date.UTC(year, month - 1, day + 1, 8));
+}
+
+/**
+ * Clave bajo la que se guarda el contador diario del tier y modelo actuales
+ * @returns {string}
+ */
+function getDailyUsageKey() {
+  return `${rateLimiter.tier}/${rateLimiter.model}`;
+}
+
+/**
+ * Lee el archivo de uso diario persistido en disco
+ * @param {string} usageFile - Ruta del archivo de uso
+ * @returns {Promise<any>} - Contenido del archivo o un objeto vacío
+ */
+async function readDailyUsageFile(usageFile) {
+  try {
+    const content = await fs.readFile(usageFile, "utf-8");
+    return JSON.parse(content);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Carga el contador diario de peticiones para el tier y modelo actuales
+ * @param {string} usageFile - Ruta del archivo de uso
+ * @returns {Promise<void>}
+ */
+async function loadDailyUsage(usageFile) {
+  const today = getQuotaDateKey();
+  const usage = await readDailyUsageFile(usageFile);
+  const entry = usage[getDailyUsageKey()];
+
+  rateLimiter.daily =
+    entry && entry.date === today
+      ? { date: today, count: entry.count || 0 }
+      : { date: today, count: 0 };
+}
+
+/**
+ * Persiste el contador diario en disco (las escrituras se encadenan)
+ * @returns {Promise<void>}
+ */
+function saveDailyUsage() {
+  const usageFile = rateLimiter.usageFile;
+  if (!usageFile) {
+    return dailyUsageWrite;
+  }
+
+  const key = getDailyUsageKey();
+  const daily = { ...rateLimiter.daily };
+
+  dailyUsageWrite = dailyUsageWrite
+    .then(async () => {
+      const usage = await readDailyUsageFile(usageFile);
+      usage[key] = { ...daily, updatedAt: new Date().toISOString() };
+      await fs.writeFile(usageFile, JSON.stringify(usage, null, 2), "utf-8");
+    })
+    .catch((/** @type {any} */ error) => {
+      console.warn(
+        `⚠️ No se pudo guardar el contador diario en ${usageFile}: ${error.message}`
+      );
+    });
+
+  return dailyUsageWrite;
+}
+
+/**
+ * Reinicia el contador diario si ya cambió el día de cuota
+ */
+function refreshDailyWindow() {
+  const today = getQuotaDateKey();
+  if (rateLimiter.daily.date !== today) {
+    rateLimiter.daily = { date: today, count: 0 };
+  }
+}
+
+/**
+ * Indica si se agotó el límite diario de peticiones (RPD)
+ * @returns {boolean} - true si no quedan peticiones en el día
+ */
+function isDailyLimitReached() {
+  if (!rateLimiter.limits || !rateLimiter.limits?.rpd) {
+    return false;
+  }
+
+  refreshDailyWindow();
+  return rateLimiter.daily.count >= rateLimiter.limits.rpd;
+}
+
+/**
+ * Estima los tokens que consumirá un lote (prompt de entrada + salida esperada)
+ * @param {any} batchData - Datos del lote
+ * @param {any} promptOptions - Opciones del prompt (glossary o glossaryFile)
+ * @returns {Promise<{inputTokens: number, outputTokens: number, total: number}>}
+ */
+async function estimateBatchTokens(batchData, promptOptions = {}) {
+  const prompt = await buildPrompt(batchData, promptOptions);
+  const inputTokens = estimateTokens(prompt);
+  // La respuesta repite las claves y agrega una traducción de longitud similar
+  const outputTokens = estimateTokens(JSON.stringify(batchData, null, 2)) * 2;
+
+  return { inputTokens, outputTokens, total: inputTokens + outputTokens };
+}
+
 /**
  * Inicializa el controlador de límites de velocidad
  * @param {string} tier - Tier de la API (free_tier, tier_1, tier_2, tier_3)
  * @param {string} model - Modelo de Gemini
  * @param {string} rateLimitsFile - Archivo de límites
+ * @param {string | null} [usageFile] - Archivo donde se persiste el contador
+ * diario. Sin él, el contador solo vive en memoria (scripts de prueba)
  */
-async function initializeRateLimiter(tier, model, rateLimitsFile) {
+async function initializeRateLimiter(
+  tier,
+  model,
+  rateLimitsFile,
+  usageFile = null
+) {
   try {
     const rateLimits = /** @type {any} */ (
       await loadRateLimits(rateLimitsFile)
@@ -100,6 +422,14 @@ async function initializeRateLimiter(tier, model, rateLimitsFile) {
     rateLimiter.tier = tier;
     rateLimiter.model = model;
     rateLimiter.requests = [];
+    rateLimiter.tokenUsage = [];
+    rateLimiter.usageFile = usageFile ? path.resolve(usageFile) : null;
+
+    if (rateLimiter.usageFile) {
+      await loadDailyUsage(rateLimiter.usageFile);
+    } else {
+      rateLimiter.daily = { date: getQuotaDateKey(), count: 0 };
+    }
 
     console.log(`🚦 Rate limiter inicializado:`);
     console.log(`   📊 Tier: ${tier}`);
@@ -107,7 +437,9 @@ async function initializeRateLimiter(tier, model, rateLimitsFile) {
     console.log(`   📈 RPM: ${rateLimiter.limits?.rpm}`);
     console.log(`   🔢 TPM: ${rateLimiter.limits?.tpm}`);
     if (rateLimiter.limits?.rpd) {
-      console.log(`   📅 RPD: ${rateLimiter.limits.rpd}`);
+      console.log(
+        `   📅 RPD: ${rateLimiter.limits.rpd} (usadas hoy: ${rateLimiter.daily.count})`
+      );
     }
 
     return rateLimiter.limits;
@@ -118,86 +450,165 @@ async function initializeRateLimiter(tier, model, rateLimitsFile) {
 }
 
 /**
- * Verifica si se puede hacer una nueva petición respetando los límites RPM
- * @returns {boolean} - true si se puede hacer la petición
+ * Descarta de las ventanas de un minuto las peticiones y tokens ya expirados
+ * @param {number} now - Timestamp actual
  */
-function canMakeRequest() {
-  if (!rateLimiter.limits || !rateLimiter.limits?.rpm) {
-    return true; // Si no hay límites configurados, permitir
-  }
-
-  const now = Date.now();
+function pruneMinuteWindow(now) {
   const oneMinuteAgo = now - 60000; // 60 segundos en ms
 
-  // Filtrar peticiones del último minuto
   rateLimiter.requests = rateLimiter.requests.filter(
     (timestamp) => timestamp > oneMinuteAgo
   );
+  rateLimiter.tokenUsage = rateLimiter.tokenUsage.filter(
+    (entry) => entry.timestamp > oneMinuteAgo
+  );
+}
+
+/**
+ * Suma los tokens registrados en la ventana del último minuto
+ * @returns {number} - Tokens consumidos en la ventana actual
+ */
+function getTokensInWindow() {
+  return rateLimiter.tokenUsage.reduce((sum, entry) => sum + entry.tokens, 0);
+}
+
+/**
+ * Verifica si se puede hacer una nueva petición respetando los límites RPM, TPM y RPD
+ * @param {number} tokens - Tokens estimados de la petición
+ * @returns {boolean} - true si se puede hacer la petición
+ */
+function canMakeRequest(tokens = 0) {
+  if (!rateLimiter.limits) {
+    return true; // Si no hay límites configurados, permitir
+  }
+
+  if (isDailyLimitReached()) {
+    return false;
+  }
+
+  pruneMinuteWindow(Date.now());
 
   // Verificar si podemos hacer otra petición
-  return rateLimiter.requests.length < rateLimiter.limits.rpm;
+  if (
+    rateLimiter.limits.rpm &&
+    rateLimiter.requests.length >= rateLimiter.limits.rpm
+  ) {
+    return false;
+  }
+
+  // Verificar que los tokens caben en la ventana. Una petición más grande
+  // que el TPM completo se permite con la ventana vacía para no bloquearse.
+  if (rateLimiter.limits.tpm && rateLimiter.tokenUsage.length > 0) {
+    return getTokensInWindow() + tokens <= rateLimiter.limits.tpm;
+  }
+
+  return true;
 }
 
 /**
- * Registra una nueva petición en el contador
+ * Registra una nueva petición en los contadores
+ * @param {number} tokens - Tokens estimados de la petición
+ * @returns {{timestamp: number, tokens: number} | null} - Registro de tokens (para ajustarlo después)
  */
-function recordRequest() {
-  if (rateLimiter.limits) {
-    rateLimiter.requests.push(Date.now());
+function recordRequest(tokens = 0) {
+  if (!rateLimiter.limits) {
+    return null;
+  }
+
+  const now = Date.now();
+  rateLimiter.requests.push(now);
+
+  const usageEntry = { timestamp: now, tokens };
+  rateLimiter.tokenUsage.push(usageEntry);
+
+  refreshDailyWindow();
+  rateLimiter.daily.count++;
+  saveDailyUsage();
+
+  return usageEntry;
+}
+
+/**
+ * Ajusta los tokens de una petición ya registrada con el consumo real
+ * @param {{timestamp: number, tokens: number} | null} usageEntry - Registro devuelto por recordRequest
+ * @param {number} tokens - Tokens reales (prompt + respuesta)
+ */
+function updateRequestTokens(usageEntry, tokens) {
+  if (usageEntry) {
+    usageEntry.tokens = tokens;
   }
 }
 
 /**
- * Calcula el tiempo de espera necesario para respetar los límites RPM
+ * Calcula el tiempo de espera necesario para respetar los límites RPM y TPM
+ * @param {number} tokens - Tokens estimados de la siguiente petición
  * @returns {number} - Tiempo de espera en milisegundos
  */
-function calculateWaitTime() {
-  if (!rateLimiter.limits || !rateLimiter.limits?.rpm) {
+function calculateWaitTime(tokens = 0) {
+  if (!rateLimiter.limits) {
     return 0;
   }
 
   const now = Date.now();
-  const oneMinuteAgo = now - 60000;
+  pruneMinuteWindow(now);
 
-  // Filtrar peticiones del último minuto
-  rateLimiter.requests = rateLimiter.requests.filter(
-    (timestamp) => timestamp > oneMinuteAgo
-  );
+  let waitTime = 0;
 
-  if (rateLimiter.requests.length === 0) {
-    return 0; // No hay peticiones recientes
+  // Límite de peticiones por minuto: esperar a que expire la más antigua
+  if (
+    rateLimiter.limits.rpm &&
+    rateLimiter.requests.length >= rateLimiter.limits.rpm
+  ) {
+    const oldestRequest = Math.min(...rateLimiter.requests);
+    waitTime = Math.max(waitTime, oldestRequest + 60000 - now + 100); // +100ms de buffer
   }
 
-  if (rateLimiter.requests.length < rateLimiter.limits.rpm) {
-    return 0; // Aún podemos hacer más peticiones
+  // Límite de tokens por minuto: esperar a que expiren suficientes tokens
+  if (rateLimiter.limits.tpm && rateLimiter.tokenUsage.length > 0) {
+    let excess = getTokensInWindow() + tokens - rateLimiter.limits.tpm;
+    if (excess > 0) {
+      const entries = [...rateLimiter.tokenUsage].sort(
+        (a, b) => a.timestamp - b.timestamp
+      );
+      // Si ni vaciando la ventana cabe la petición, esperar a que se vacíe
+      let releaseAt = entries[entries.length - 1].timestamp;
+      for (const entry of entries) {
+        excess -= entry.tokens;
+        if (excess <= 0) {
+          releaseAt = entry.timestamp;
+          break;
+        }
+      }
+      waitTime = Math.max(waitTime, releaseAt + 60000 - now + 100);
+    }
   }
 
-  // Calcular cuándo expira la petición más antigua
-  const oldestRequest = Math.min(...rateLimiter.requests);
-  const waitTime = oldestRequest + 60000 - now + 100; // +100ms de buffer
-
   return Math.max(0, waitTime);
 }
 
 /**
  * Espera el tiempo necesario para respetar los límites de velocidad
+ * @param {number} tokens - Tokens estimados de la siguiente petición
  * @returns {Promise<void>}
  */
-async function waitForRateLimit() {
-  const waitTime = calculateWaitTime();
+async function waitForRateLimit(tokens = 0) {
+  let waitTime = calculateWaitTime(tokens);
 
-  if (waitTime > 0) {
+  // Con varios lotes en vuelo, otro lote puede ocupar el espacio liberado
+  // mientras esperamos, por lo que se vuelve a verificar tras cada espera
+  while (waitTime > 0) {
     const seconds = (waitTime / 1000).toFixed(1);
     console.log(
-      `🚦 Esperando ${seconds}s para respetar límite de ${rateLimiter.limits?.rpm} RPM...`
+      `🚦 Esperando ${seconds}s para respetar límites de ${rateLimiter.limits?.rpm} RPM / ${rateLimiter.limits?.tpm} TPM...`
     );
     await new Promise((resolve) => setTimeout(resolve, waitTime));
+    waitTime = calculateWaitTime(tokens);
   }
 }
 
 /**
  * Obtiene información actual del rate limiter
- * @returns {Object} - Estado actual del rate limiter
+ * @returns {any} - Estado actual del rate limiter
  */
 function getRateLimiterStatus() {
   if (!rateLimiter.limits) {
@@ -207,22 +618,30 @@ function getRateLimiterStatus() {
     };
   }
 
-  const now = Date.now();
-  const oneMinuteAgo = now - 60000;
-  const recentRequests = /** @type {number[]} */ (
-    rateLimiter.requests.filter((timestamp) => timestamp > oneMinuteAgo)
-  );
+  pruneMinuteWindow(Date.now());
+  refreshDailyWindow();
+
+  const currentTokens = getTokensInWindow();
 
   return {
     initialized: true,
     tier: rateLimiter.tier,
     model: rateLimiter.model,
     limits: rateLimiter.limits,
-    currentRequests: recentRequests.length,
+    currentRequests: rateLimiter.requests.length,
     remainingRequests: Math.max(
       0,
-      rateLimiter.limits?.rpm - recentRequests.length
+      rateLimiter.limits?.rpm - rateLimiter.requests.length
     ),
+    currentTokens,
+    remainingTokens: rateLimiter.limits?.tpm
+      ? Math.max(0, rateLimiter.limits.tpm - currentTokens)
+      : null,
+    dailyRequests: rateLimiter.daily.count,
+    remainingDailyRequests: rateLimiter.limits?.rpd
+      ? Math.max(0, rateLimiter.limits.rpd - rateLimiter.daily.count)
+      : null,
+    dailyResetAt: getDailyResetTime().toISOString(),
     canMakeRequest: canMakeRequest(),
     nextAvailableIn: calculateWaitTime(),
   };
@@ -246,98 +665,19 @@ function needsTranslation(value) {
 
 /**
  * Verifica si una clave debe ser excluida del procesamiento de traducción
+ * según el registro de reglas de exclusión (exclusion-rules.json)
  * @param {string} key - Clave a verificar
+ * @param {string} targetLang - Idioma destino (algunas reglas, como la de
+ * acentos, solo aplican a ciertos idiomas)
+ * @param {any[]} exclusionRules - Reglas normalizadas (por defecto, el registro del proyecto)
  * @returns {boolean} - true si la clave debe ser excluida
  */
-function shouldExcludeKey(key) {
-  // 1. Solo números (años, códigos, etc.)
-  if (/^\d+$/.test(key)) {
-    return true;
-  }
-
-  // 2. Números con unidades de medida, rangos, o caracteres especiales
-  if (/\d+.*[-\/><].*\d*|\d+.*\s*(kg|lb|PCT|%|\+)\s*$/i.test(key)) {
-    return true;
-  }
-
-  // 3. Años con formato de temporada (1998/99, 2023/24, etc.)
-  if (/^\d{4}\/\d{2}$/.test(key)) {
-    return true;
-  }
-
-  // 4. Palabras que ya contienen caracteres del español (acentos, ñ)
-  if (/[áéíóúÁÉÍÓÚñÑ]/.test(key)) {
-    return true;
-  }
-
-  // 5. Claves que inician con prefijos específicos
-  if (/^(_Daily - |YTD_|DC_.*_YTD|.*_YTD_)/i.test(key)) {
-    return true;
-  }
-
-  // 6. Patrones adicionales identificados:
-
-  // Fechas y períodos específicos
-  if (
-    /^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)['']?\d{2}$/.test(key)
-  ) {
-    return true; // Aug'24, Jan'25, etc.
-  }
-
-  // Códigos de países (ISO)
-  if (/^[A-Z]{2,3}$/.test(key)) {
-    return true; // USA, MEX, CAN, etc.
-  }
-
-  // Símbolos de monedas
-  if (/^[A-Z]{3}\s*(Dollar|Peso|Euro|Yen)$/i.test(key)) {
-    return true;
-  }
-
-  // Códigos TIF y similares
-  if (/TIF\s*\d+/i.test(key)) {
-    return true;
-  }
-
-  // Nombres de empresas mexicanas (contienen "S.A.", "de C.V.", etc.)
-  if (/(S\.?\s*A\.?|de\s+C\.?\s*V\.?|A\.?\s*R\.?\s*I\.?\s*C)/i.test(key)) {
-    return true;
-  }
-
-  // Nombres de lugares mexicanos específicos ya en español
-  const mexicanPlaces = [
-    "Atizapán",
-    "Cancún",
-    "Cuautitlán",
-    "Mérida",
-    "León",
-    "Culiacán",
-    "Obregón",
-    "Querétaro",
-    "Gómez Palacios",
-    "Tampico",
-    "Ciudad de México",
-  ];
-  if (mexicanPlaces.some((place) => key.includes(place))) {
-    return true;
-  }
-
-  // Términos financieros específicos que son más códigos que palabras
-  if (/^(FRED|FHFA|CPI|PPI|GDP|USD|CAD|EUR|GBP|JPY)$/i.test(key)) {
-    return true;
-  }
-
-  // Códigos de futuros y commodities
-  if (/(Futures?|Daily|Weekly|Monthly|Quarterly).*-\s*(Nearby|H)$/i.test(key)) {
-    return true;
-  }
-
-  // Porcentajes específicos
-  if (/^\d+(\.\d+)?\s*-\s*\d+(\.\d+)?\s*PCT$/i.test(key)) {
-    return true;
-  }
-
-  return false;
+function shouldExcludeKey(
+  key,
+  targetLang = DEFAULT_TARGET_LANG,
+  exclusionRules = loadExclusionRules()
+) {
+  return findExclusionRule(key, targetLang, exclusionRules) !== null;
 }
 
 /**
@@ -345,12 +685,16 @@ function shouldExcludeKey(key) {
  * @param {Object} jsonData - Datos JSON originales
  * @param {boolean} skipTranslated - Si debe omitir entradas ya traducidas
  * @param {boolean} enableKeyFiltering - Si debe filtrar claves automáticamente
+ * @param {string} targetLang - Idioma destino (afecta las reglas de exclusión)
+ * @param {any[]} exclusionRules - Reglas de exclusión (por defecto, el registro del proyecto)
  * @returns {any} - Objeto con entradas filtradas, estadísticas y orden original
  */
 function filterEntriesForTranslation(
   jsonData,
   skipTranslated = true,
-  enableKeyFiltering = true
+  enableKeyFiltering = true,
+  targetLang = DEFAULT_TARGET_LANG,
+  exclusionRules = loadExclusionRules()
 ) {
   console.log(
     `🔍 Analizando entradas para determinar cuáles necesitan traducción...`
@@ -367,7 +711,10 @@ function filterEntriesForTranslation(
 
   allEntries.forEach(([key, value]) => {
     // Primero verificar si la clave debe ser excluida por patrón
-    if (enableKeyFiltering && shouldExcludeKey(key)) {
+    if (
+      enableKeyFiltering &&
+      shouldExcludeKey(key, targetLang, exclusionRules)
+    ) {
       excludedByKey[key] = value;
       return;
     }
@@ -417,6 +764,46 @@ function filterEntriesForTranslation(
   };
 }
 
+/**
+ * Prepara los datos de entrada para el idioma destino. Los valores del archivo
+ * de entrada solo cuentan como traducciones si están en ese idioma
+ * (config.inputLang); para los demás idiomas las entradas ya traducidas se
+ * toman de la salida previa de ese idioma, si existe.
+ * @param {any} inputData - Datos JSON originales
+ * @param {any} config - Configuración (targetLang, inputLang, outputFile)
+ * @returns {Promise<any>} - Datos con los valores del idioma destino, en el orden original
+ */
+async function prepareLocaleInput(inputData, config) {
+  if (config.targetLang === config.inputLang) {
+    return inputData;
+  }
+
+  /**@type {any} */
+  let previousOutput = {};
+  if (await fileExists(config.outputFile)) {
+    previousOutput = await readJsonFile(config.outputFile);
+  }
+
+  /**@type {any} */
+  const localeData = {};
+  let reused = 0;
+  Object.keys(inputData).forEach((key) => {
+    const previous = previousOutput[key];
+    if (typeof previous === "string" && !needsTranslation(previous)) {
+      localeData[key] = previous;
+      reused++;
+    } else {
+      localeData[key] = "";
+    }
+  });
+
+  console.log(
+    `🌍 Idioma destino ${config.targetLang}: ${reused} entradas ya traducidas en ${config.outputFile}`
+  );
+
+  return localeData;
+}
+
 /**
  * Divide un objeto JSON en lotes más pequeños
  * @param {any} jsonData - Datos JSON a dividir (solo las que necesitan traducción)
@@ -455,41 +842,667 @@ function createBatches(jsonData, batchSize) {
 }
 
 /**
- * Procesa un lote individual con reintentos
+ * Fracción de maxOutputTokens que puede ocupar la salida estimada de un lote,
+ * como margen frente a la imprecisión de estimateTokens
+ */
+const OUTPUT_TOKEN_HEADROOM = 0.8;
+
+/**
+ * Estima los tokens que aporta una entrada a un lote. La respuesta repite la
+ * clave y agrega una traducción de longitud similar, igual que en
+ * estimateBatchTokens.
+ * @param {string} key - Clave de la entrada
+ * @param {any} value - Valor actual de la entrada
+ * @returns {{inputTokens: number, outputTokens: number}} - Tokens estimados
+ */
+function estimateEntryTokens(key, value) {
+  const inputTokens = estimateTokens(
+    `  ${JSON.stringify(key)}: ${JSON.stringify(value)},`
+  );
+  return { inputTokens, outputTokens: inputTokens * 2 };
+}
+
+/**
+ * Divide un objeto JSON en lotes según un presupuesto de tokens: cada lote
+ * se llena hasta que el prompt más sus entradas y la salida estimada alcanzan
+ * tokenBudget, la salida estimada alcanza el margen de maxOutputTokens o el
+ * lote llega a maxEntries entradas
+ * @param {any} jsonData - Datos JSON a dividir (solo las que necesitan traducción)
+ * @param {object} limits - Límites de cada lote
+ * @param {number} limits.tokenBudget - Tokens estimados máximos por petición
+ * @param {number} limits.maxEntries - Entradas máximas por lote
+ * @param {number} limits.maxOutputTokens - Tokens de salida máximos del modelo
+ * @param {number} limits.promptTokens - Tokens estimados del prompt sin entradas
+ * @returns {Array<any>} - Array de lotes, con sus tokens estimados en estimatedTokens
+ */
+function createTokenBatches(jsonData, limits) {
+  const entries = Object.entries(jsonData);
+
+  if (entries.length === 0) {
+    console.log(`ℹ️  No hay entradas para procesar en lotes.`);
+    return [];
+  }
+
+  const { tokenBudget, maxEntries, maxOutputTokens, promptTokens } = limits;
+  const outputBudget = Math.floor(maxOutputTokens * OUTPUT_TOKEN_HEADROOM);
+
+  console.log(
+    `🔪 Dividiendo ${entries.length} entradas en lotes por tokens (~${tokenBudget} tokens por petición, salida ≤ ${outputBudget}, máx. ${maxEntries} entradas)...`
+  );
+  if (promptTokens >= tokenBudget) {
+    console.warn(
+      `⚠️  El prompt (~${promptTokens} tokens) ya ocupa el presupuesto por lote; cada lote tendrá una sola entrada`
+    );
+  }
+
+  /**@type {any[]} */
+  const batches = [];
+  /**@type {any} */
+  let current = null;
+
+  const closeBatch = () => {
+    if (current) {
+      batches.push(current);
+      current = null;
+    }
+  };
+
+  entries.forEach(([key, value], index) => {
+    const { inputTokens, outputTokens } = estimateEntryTokens(key, value);
+
+    if (
+      current &&
+      (current.entriesCount >= maxEntries ||
+        current.estimatedTokens + inputTokens + outputTokens > tokenBudget ||
+        current.outputTokens + outputTokens > outputBudget)
+    ) {
+      closeBatch();
+    }
+
+    if (!current) {
+      current = {
+        id: batches.length + 1,
+        data: {},
+        entriesCount: 0,
+        startIndex: index,
+        endIndex: index,
+        estimatedTokens: promptTokens,
+        outputTokens: 0,
+      };
+    }
+
+    current.data[key] = value;
+    current.entriesCount++;
+    current.endIndex = index;
+    current.estimatedTokens += inputTokens + outputTokens;
+    current.outputTokens += outputTokens;
+  });
+  closeBatch();
+
+  const oversized = batches.filter(
+    (batch) => batch.estimatedTokens > tokenBudget
+  ).length;
+  if (oversized > 0) {
+    console.warn(
+      `⚠️  ${oversized} lotes de una sola entrada superan el presupuesto de tokens`
+    );
+  }
+
+  console.log(
+    `✅ ${batches.length} lotes creados (promedio ${(
+      entries.length / batches.length
+    ).toFixed(1)} entradas por lote)`
+  );
+  return batches;
+}
+
+/**
+ * Divide un objeto JSON en lotes que mantienen juntas las claves relacionadas
+ * (ver keyGrouping.js), para que se traduzcan con la misma terminología. La
+ * capacidad de cada lote es batchSize entradas o, con límites de tokens, la
+ * misma que en createTokenBatches.
+ * @param {any} jsonData - Datos JSON a dividir (solo las que necesitan traducción)
+ * @param {object} options - Opciones de agrupación
+ * @param {number} options.batchSize - Entradas por lote (sin límites de tokens)
+ * @param {number} [options.similarity] - Similitud mínima para agrupar claves
+ * @param {any} [options.tokenLimits] - Límites de getTokenBatchLimits (modo "tokens")
+ * @returns {Array<any>} - Array de lotes, con el número de grupos relacionados en relatedGroups
+ */
+function createGroupedBatches(jsonData, options) {
+  const keys = Object.keys(jsonData);
+
+  if (keys.length === 0) {
+    console.log(`ℹ️  No hay entradas para procesar en lotes.`);
+    return [];
+  }
+
+  const { batchSize, similarity, tokenLimits } = options;
+  const groups = clusterKeys(keys, { similarity });
+  const related = groups.filter((group) => group.length > 1);
+
+  console.log(
+    `🧲 Agrupando ${keys.length} entradas: ${related.length} grupos de claves relacionadas (${related.reduce(
+      (sum, group) => sum + group.length,
+      0
+    )} entradas), ${groups.length - related.length} sueltas`
+  );
+
+  /** @type {(key: string) => number} */
+  const entryTokens = (key) => {
+    const { inputTokens, outputTokens } = estimateEntryTokens(
+      key,
+      jsonData[key]
+    );
+    return inputTokens + outputTokens;
+  };
+  const packed = packGroups(
+    groups,
+    tokenLimits
+      ? {
+          maxEntries: tokenLimits.maxEntries,
+          // La salida estimada es 2/3 del costo de cada entrada
+          maxWeight: Math.min(
+            tokenLimits.tokenBudget - tokenLimits.promptTokens,
+            Math.floor(
+              (tokenLimits.maxOutputTokens * OUTPUT_TOKEN_HEADROOM * 3) / 2
+            )
+          ),
+          weightOf: entryTokens,
+        }
+      : { maxEntries: batchSize }
+  );
+
+  /** Grupo relacionado (de más de una clave) al que pertenece cada clave */
+  /** @type {Map<string, number>} */
+  const relatedGroupOfKey = new Map();
+  related.forEach((group, groupIndex) =>
+    group.forEach((key) => relatedGroupOfKey.set(key, groupIndex))
+  );
+
+  const batches = packed.map((batchKeys, index) => {
+    /**@type {any} */
+    const batch = {
+      id: index + 1,
+      data: Object.fromEntries(batchKeys.map((key) => [key, jsonData[key]])),
+      entriesCount: batchKeys.length,
+      relatedGroups: new Set(
+        batchKeys
+          .filter((key) => relatedGroupOfKey.has(key))
+          .map((key) => relatedGroupOfKey.get(key))
+      ).size,
+    };
+    if (tokenLimits) {
+      batch.estimatedTokens =
+        tokenLimits.promptTokens +
+        batchKeys.reduce((sum, key) => sum + entryTokens(key), 0);
+    }
+    return batch;
+  });
+
+  console.log(
+    `✅ ${batches.length} lotes creados (promedio ${(
+      keys.length / batches.length
+    ).toFixed(1)} entradas por lote)`
+  );
+  return batches;
+}
+
+/**
+ * Calcula los límites de los lotes en modo "tokens": el presupuesto es el
+ * menor entre batchTokens y la parte del TPM del modelo que corresponde a
+ * cada lote concurrente
+ * @param {any} config - Configuración del procesamiento
+ * @returns {Promise<{tokenBudget: number, maxEntries: number, maxOutputTokens: number, promptTokens: number, tpmShare: number | null}>}
+ */
+async function getTokenBatchLimits(config) {
+  /**@type {number | null} */
+  let tpm = null;
+  if (config.respectRateLimits) {
+    // Usa los límites del rate limiter si ya se inicializó
+    const limits =
+      rateLimiter.limits ||
+      /**@type {any} */ (await loadRateLimits(config.rateLimitsFile))[
+        config.tier
+      ]?.[config.model];
+    tpm = limits?.tpm || null;
+  }
+
+  const tpmShare = tpm
+    ? Math.floor(tpm / Math.max(1, config.concurrencyLimit))
+    : null;
+  const prompt = await buildPrompt({}, getModelOptions(config));
+
+  return {
+    tokenBudget: tpmShare
+      ? Math.min(config.batchTokens, tpmShare)
+      : config.batchTokens,
+    maxEntries: config.batchMaxEntries,
+    maxOutputTokens: config.maxOutputTokens,
+    promptTokens: estimateTokens(prompt),
+    tpmShare,
+  };
+}
+
+/**
+ * Crea los lotes según el modo configurado en config.batching, agrupando las
+ * claves relacionadas si config.groupKeys está habilitado
+ * @param {any} jsonData - Datos JSON a dividir (solo las que necesitan traducción)
+ * @param {any} config - Configuración del procesamiento
+ * @param {any} [tokenLimits] - Límites ya calculados con getTokenBatchLimits
+ * @returns {Promise<Array<any>>} - Array de lotes
+ * @throws {Error} - Si el modo de lotes no existe
+ */
+async function createBatchesForConfig(jsonData, config, tokenLimits = null) {
+  const mode = config.batching || DEFAULT_CONFIG.batching;
+  if (mode !== "entries" && mode !== "tokens") {
+    throw new Error(
+      `Modo de lotes no soportado: "${config.batching}". Usa "entries" o "tokens"`
+    );
+  }
+
+  const limits =
+    mode === "tokens"
+      ? tokenLimits || (await getTokenBatchLimits(config))
+      : null;
+
+  if (config.groupKeys) {
+    return createGroupedBatches(jsonData, {
+      batchSize: config.batchSize,
+      similarity: config.groupSimilarity,
+      tokenLimits: limits,
+    });
+  }
+
+  return limits
+    ? createTokenBatches(jsonData, limits)
+    : createBatches(jsonData, config.batchSize);
+}
+
+/**
+ * Crea el resultado de un lote que no se envió por haberse agotado el límite diario
+ * @param {any} batch - Lote afectado
+ * @param {number} attempts - Intentos realizados
+ * @param {string} model - Modelo configurado
+ * @returns {any} - Resultado que detiene el procesamiento sin considerarse fatal
+ */
+function createDailyLimitResult(batch, attempts, model) {
+  const resetAt = getDailyResetTime().toISOString();
+  console.warn(
+    `📅 Límite diario de ${rateLimiter.limits?.rpd} peticiones alcanzado; lote ${batch.id} no enviado`
+  );
+  return {
+    success: false,
+    batchId: batch.id,
+    error: `Límite diario de peticiones (RPD) alcanzado; se restablece ${new Date(
+      resetAt
+    ).toLocaleString()}`,
+    attempts,
+    skipped: true,
+    isFatal: false,
+    shouldStopProcessing: true,
+    dailyLimitReached: true,
+    dailyLimitResetAt: resetAt,
+    model,
+  };
+}
+
+/**
+ * Crea los contadores de respuestas y fallos de parseo por modo de salida
+ * @returns {any} - Contadores { json: {...}, text: {...} }
+ */
+function createParseStats() {
+  return {
+    json: { responses: 0, parseFailures: 0 },
+    text: { responses: 0, parseFailures: 0 },
+  };
+}
+
+/**
+ * Envía datos al proveedor respetando los límites de velocidad
+ * @param {any} batchData - Datos a traducir
+ * @param {any} provider - Proveedor de traducción
+ * @param {any} modelOptions - Opciones del modelo
+ * @param {any} [parseStats] - Contadores de parseo a actualizar (createParseStats)
+ * @returns {Promise<{dailyLimitReached: boolean, data?: any}>} - Traducciones o aviso de RPD agotado
+ */
+async function requestTranslation(
+  batchData,
+  provider,
+  modelOptions,
+  parseStats = null
+) {
+  // Los segmentos protegidos viajan como marcadores y se restauran al validar
+  // la respuesta
+  const masking = modelOptions.placeholderTermsFile
+    ? maskBatch(batchData, loadPlaceholderTerms(modelOptions.placeholderTermsFile))
+    : null;
+  const requestData = masking ? masking.data : batchData;
+
+  // Esperar para respetar límites de velocidad antes de hacer la petición.
+  // La verificación final y el registro ocurren sin `await` intermedio
+  // para que dos lotes concurrentes no ocupen el mismo espacio.
+  /** @type {{timestamp: number, tokens: number} | null} */
+  let usageEntry = null;
+  let inputTokens = 0;
+  if (rateLimiter.limits) {
+    const estimate = await estimateBatchTokens(requestData, modelOptions);
+    inputTokens = estimate.inputTokens;
+
+    while (!canMakeRequest(estimate.total)) {
+      if (isDailyLimitReached()) {
+        return { dailyLimitReached: true };
+      }
+      await waitForRateLimit(estimate.total);
+    }
+    usageEntry = recordRequest(estimate.total);
+  }
+
+  const modeStats = parseStats?.[modelOptions.outputMode || "text"];
+  let data;
+  try {
+    data = await provider.translateBatch(requestData, modelOptions);
+    if (masking) {
+      data = restorePlaceholders(data, masking, {
+        allowPartial: modelOptions.allowPartial,
+      });
+    }
+  } catch (/** @type {any} */ error) {
+    if (modeStats && error.isParseError) {
+      modeStats.responses++;
+      modeStats.parseFailures++;
+    }
+    throw error;
+  }
+  if (modeStats) {
+    modeStats.responses++;
+  }
+
+  // Reemplazar la estimación de salida por el tamaño real de la respuesta
+  updateRequestTokens(
+    usageEntry,
+    inputTokens + estimateTokens(JSON.stringify(data, null, 2))
+  );
+
+  return { dailyLimitReached: false, data };
+}
+
+/**
+ * Valida el uso del glosario en un lote traducido y vuelve a traducir solo
+ * las entradas que no lo respetan. Una retraducción se acepta únicamente si
+ * reduce las violaciones de esa entrada.
+ * @param {any} batch - Lote original
+ * @param {any} translatedData - Traducciones obtenidas
+ * @param {object} options - Opciones del lote
+ * @param {any[]} options.glossary - Términos del glosario
+ * @param {number} options.glossaryRetries - Reintentos dirigidos permitidos
+ * @param {any} options.provider - Proveedor de traducción
+ * @param {any} options.modelOptions - Opciones del modelo
+ * @param {any} [options.parseStats] - Contadores de parseo por modo de salida
+ * @returns {Promise<{data: any, violations: any[]}>} - Traducciones finales y violaciones restantes
+ */
+async function enforceGlossary(batch, translatedData, options) {
+  const { glossary, glossaryRetries, provider, modelOptions, parseStats } =
+    options;
+  let data = translatedData;
+  let violations = validateGlossaryUsage(glossary, data);
+
+  for (
+    let retry = 1;
+    retry <= glossaryRetries && violations.length > 0;
+    retry++
+  ) {
+    const keys = [...new Set(violations.map((v) => v.key))];
+    console.log(
+      `📖 Lote ${batch.id}: ${violations.length} violaciones del glosario en ${keys.length} entradas, reintentando solo esas entradas (${retry}/${glossaryRetries})...`
+    );
+
+    /** @type {any} */
+    const subset = {};
+    keys.forEach((key) => {
+      subset[key] = batch.data[key];
+    });
+
+    try {
+      const response = await requestTranslation(
+        subset,
+        provider,
+        modelOptions,
+        parseStats
+      );
+      if (response.dailyLimitReached) {
+        break;
+      }
+
+      /** @type {any} */
+      const improved = { ...data };
+      keys.forEach((key) => {
+        // Una respuesta parcial puede no traer la retraducción
+        if (typeof response.data[key] !== "string") return;
+        const before = violations.filter((v) => v.key === key).length;
+        const after = validateGlossaryUsage(glossary, {
+          [key]: response.data[key],
+        }).length;
+        if (after < before) {
+          improved[key] = response.data[key];
+        }
+      });
+      data = improved;
+      violations = validateGlossaryUsage(glossary, data);
+    } catch (/**@type {any} */ error) {
+      console.warn(
+        `⚠️  Reintento del glosario para el lote ${batch.id} falló: ${error.message}`
+      );
+      break;
+    }
+  }
+
+  if (violations.length > 0) {
+    console.warn(
+      `⚠️  Lote ${batch.id}: ${violations.length} violaciones del glosario sin corregir`
+    );
+  }
+
+  return { data, violations };
+}
+
+/**
+ * Procesa un lote individual con reintentos. Si la respuesta trae solo una
+ * parte de las claves, las válidas se conservan y únicamente las faltantes se
+ * vuelven a enviar como un mini-lote en el siguiente intento. Si un sub-lote
+ * falla por su contenido (filtro de contenido o respuesta inválida), se divide
+ * por la mitad y cada mitad se reintenta, hasta llegar a claves individuales:
+ * las que siguen fallando solas se reportan como "poison keys". Los errores
+ * transitorios (timeouts, 5xx, red) se reintentan con backoff y solo dividen
+ * el sub-lote cuando agota maxRetries, para no multiplicar las peticiones
+ * durante una caída del servidor.
  * @param {any} batch - El lote a procesar
- * @param {number} maxRetries - Número máximo de reintentos
+ * @param {number} maxRetries - Número máximo de intentos por sub-lote
  * @param {number} retryDelay - Delay base entre reintentos
- * @returns {Promise<Object>} - Resultado del procesamiento
+ * @param {object} [options] - Opciones adicionales
+ * @param {{stopped: boolean, reason?: string}} [options.stopSignal] - Señal compartida para cancelar reintentos pendientes
+ * @param {any} [options.modelOptions] - Opciones del modelo para translateBatch
+ * @param {any} [options.provider] - Proveedor de traducción (por defecto DEFAULT_PROVIDER)
+ * @param {any[]} [options.glossary] - Términos del glosario cuyo uso se valida
+ * @param {number} [options.glossaryRetries] - Reintentos dirigidos por violaciones del glosario
+ * @param {any} [options.parseStats] - Contadores de parseo por modo de salida
+ * @param {boolean} [options.splitOnFailure] - Si debe dividir los sub-lotes que fallan
+ * @param {number} [options.splitAfterFailures] - Fallos de contenido o de parseo de un sub-lote antes de dividirlo
+ * @returns {Promise<Object>} - Resultado del procesamiento (partial, missingKeys y
+ * poisonKeys si quedaron claves sin traducir, requeuedKeys, splits y el número de
+ * petición en que se obtuvo cada clave en keyAttempts)
  */
-async function processBatchWithRetry(batch, maxRetries, retryDelay) {
+async function processBatchWithRetry(
+  batch,
+  maxRetries,
+  retryDelay,
+  options = {}
+) {
+  const {
+    stopSignal,
+    modelOptions = {},
+    glossary = [],
+    glossaryRetries = DEFAULT_CONFIG.glossaryRetries,
+    parseStats = null,
+    splitOnFailure = DEFAULT_CONFIG.splitOnFailure,
+    splitAfterFailures = DEFAULT_CONFIG.splitAfterFailures,
+  } = options;
+  const provider = options.provider || getProvider();
+  const model = modelOptions.model || provider.defaultModel;
+  const keys = Object.keys(batch.data);
   /**@type {any} */
   let lastError;
+  /** Traducciones ya obtenidas en peticiones anteriores */
+  /**@type {any} */
+  const collected = {};
+  /** Petición en la que se obtuvo cada clave */
+  /**@type {Record<string, number>} */
+  const keyAttempts = {};
+  /** Claves reenviadas en un mini-lote tras una respuesta parcial */
+  const requeuedKeys = new Set();
+  /** Claves que faltaron en todas las respuestas */
+  /**@type {string[]} */
+  const missingKeys = [];
+  /** Claves que fallan incluso solas */
+  /**@type {{key: string, error: string}[]} */
+  const poisonKeys = [];
+  /**
+   * Sub-lotes pendientes; el primero es el que se está procesando
+   * @type {{keys: string[], attempts: number, failures: number, contentFailures: number}[]}
+   */
+  const queue = [{ keys, attempts: 0, failures: 0, contentFailures: 0 }];
+  let requests = 0;
+  let splits = 0;
+
+  /**
+   * Resultado del lote cuando el procesamiento se detiene con sub-lotes
+   * pendientes (señal de parada, límite diario o error fatal). Las claves ya
+   * obtenidas se conservan como un éxito parcial, porque ya se pagaron; las
+   * de los sub-lotes pendientes quedan en missingKeys. El glosario se valida
+   * sin reintentos: no se hacen más peticiones.
+   * @param {any} stop - Indicadores de la parada (error, skipped,
+   * shouldStopProcessing, dailyLimitReached...)
+   * @returns {any} - Resultado del lote
+   */
+  const buildStoppedResult = (stop) => {
+    const pendingKeys = queue.flatMap((pendingNode) => pendingNode.keys);
+    if (Object.keys(collected).length === 0) {
+      return {
+        ...stop,
+        success: false,
+        batchId: batch.id,
+        attempts: requests,
+        model,
+        keys,
+        poisonKeys,
+        splits,
+      };
+    }
+
+    /**@type {any} */
+    const orderedData = {};
+    keys
+      .filter((key) => Object.prototype.hasOwnProperty.call(collected, key))
+      .forEach((key) => {
+        orderedData[key] = collected[key];
+      });
+    console.warn(
+      `⚠️  Lote ${batch.id} detenido: se conservan ${
+        Object.keys(orderedData).length
+      } claves ya traducidas; ${
+        missingKeys.length + pendingKeys.length + poisonKeys.length
+      } quedan sin traducir`
+    );
+
+    return {
+      ...stop,
+      success: true,
+      batchId: batch.id,
+      data: orderedData,
+      attempts: requests,
+      model,
+      glossaryViolations:
+        glossary.length > 0 ? validateGlossaryUsage(glossary, orderedData) : [],
+      partial: true,
+      missingKeys: [...missingKeys, ...pendingKeys],
+      poisonKeys,
+      requeuedKeys: [...requeuedKeys],
+      splits,
+      keyAttempts,
+    };
+  };
+
+  while (queue.length > 0) {
+    const node = queue[0];
+
+    // Si otro lote detuvo el procesamiento, no iniciar más intentos
+    if (stopSignal?.stopped) {
+      console.log(
+        `⏹️  Lote ${batch.id} cancelado: el procesamiento fue detenido`
+      );
+      return buildStoppedResult({
+        error:
+          stopSignal.reason || "Procesamiento detenido por error fatal anterior",
+        skipped: true,
+      });
+    }
+
+    requests++;
+    node.attempts++;
+    /**@type {any} */
+    const pending = Object.fromEntries(
+      node.keys.map((key) => [key, batch.data[key]])
+    );
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       console.log(
-        `🔄 Procesando lote ${batch.id} (intento ${attempt}/${maxRetries})...`
+        node.keys.length === keys.length
+          ? `🔄 Procesando lote ${batch.id} (intento ${node.attempts}/${maxRetries})...`
+          : `🔄 Procesando sub-lote ${batch.id} con ${node.keys.length} claves (intento ${node.attempts}/${maxRetries})...`
       );
 
-      // Esperar para respetar límites de velocidad antes de hacer la petición
-      if (rateLimiter.limits) {
-        await waitForRateLimit();
-        recordRequest();
+      const response = await requestTranslation(
+        pending,
+        provider,
+        modelOptions,
+        parseStats
+      );
+      if (response.dailyLimitReached) {
+        // La petición no llegó a enviarse
+        requests--;
+        return buildStoppedResult(createDailyLimitResult(batch, requests, model));
       }
 
-      const translatedData = await translateBatch(batch.data);
+      Object.entries(response.data).forEach(([key, value]) => {
+        collected[key] = value;
+        keyAttempts[key] = requests;
+      });
 
-      console.log(`✅ Lote ${batch.id} completado exitosamente`);
-      return {
-        success: true,
-        batchId: batch.id,
-        data: translatedData,
-        attempts: attempt,
-      };
+      // Reencolar solo las claves que faltaron en la respuesta
+      const missing = node.keys.filter(
+        (key) => !Object.prototype.hasOwnProperty.call(response.data, key)
+      );
+      if (missing.length === 0) {
+        queue.shift();
+        continue;
+      }
+
+      missing.forEach((key) => requeuedKeys.add(key));
+      node.keys = missing;
+      if (node.attempts >= maxRetries) {
+        missingKeys.push(...missing);
+        queue.shift();
+        continue;
+      }
+
+      console.warn(
+        `🧩 Lote ${batch.id}: respuesta parcial, ${
+          Object.keys(collected).length
+        }/${keys.length} claves conservadas; ${missing.length} se reenviarán en un mini-lote`
+      );
     } catch (/**@type {any} */ error) {
       lastError = error;
       console.error(
-        `❌ Error en lote ${batch.id}, intento ${attempt}: ${error.message}`
+        `❌ Error en lote ${batch.id}, intento ${node.attempts}: ${error.message}`
       );
 
       // Verificar si es un error fatal que debe detener todo el procesamiento
@@ -497,33 +1510,120 @@ async function processBatchWithRetry(batch, maxRetries, retryDelay) {
         console.error(
           `🛑 Error fatal en lote ${batch.id}: ${error.message} - Deteniendo reintentos`
         );
-        return {
-          success: false,
-          batchId: batch.id,
+        return buildStoppedResult({
           error: error.message,
-          attempts: attempt,
           isFatal: true,
           shouldStopProcessing: true,
-        };
+        });
       }
 
-      if (attempt < maxRetries) {
-        const delay = retryDelay * Math.pow(2, attempt - 1); // Backoff exponencial
-        console.log(`⏳ Esperando ${delay}ms antes del siguiente intento...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
+      node.failures++;
+      // Solo un fallo atribuible a las claves (filtro de contenido o
+      // respuesta inválida) justifica dividir antes de agotar los intentos
+      if (error.isContentError || error.isParseError) {
+        node.contentFailures++;
       }
+
+      // Dividir el sub-lote para aislar las claves problemáticas
+      if (
+        splitOnFailure &&
+        node.keys.length > 1 &&
+        (node.contentFailures >= splitAfterFailures ||
+          node.attempts >= maxRetries)
+      ) {
+        const half = Math.ceil(node.keys.length / 2);
+        const left = node.keys.slice(0, half);
+        const right = node.keys.slice(half);
+        queue.splice(
+          0,
+          1,
+          { keys: left, attempts: 0, failures: 0, contentFailures: 0 },
+          { keys: right, attempts: 0, failures: 0, contentFailures: 0 }
+        );
+        splits++;
+        console.log(
+          `✂️  Lote ${batch.id}: dividiendo ${node.keys.length} claves en sub-lotes de ${left.length} y ${right.length}`
+        );
+      } else if (node.attempts >= maxRetries) {
+        queue.shift();
+        if (splitOnFailure && node.keys.length === 1) {
+          console.error(
+            `☠️  Lote ${batch.id}: la clave "${node.keys[0]}" falla incluso sola (poison key)`
+          );
+          poisonKeys.push({ key: node.keys[0], error: error.message });
+        } else {
+          missingKeys.push(...node.keys);
+        }
+        continue;
+      }
+
+      // También se espera antes de enviar la primera mitad de una división
+      const delay = retryDelay * Math.pow(2, node.failures - 1); // Backoff exponencial
+      console.log(`⏳ Esperando ${delay}ms antes del siguiente intento...`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
     }
   }
 
-  // Si llegamos aquí, todos los intentos fallaron
-  console.error(`💀 Lote ${batch.id} falló después de ${maxRetries} intentos`);
+  if (Object.keys(collected).length === 0) {
+    // Si llegamos aquí, todos los intentos fallaron
+    console.error(
+      `💀 Lote ${batch.id} falló después de ${requests} intentos`
+    );
+    return {
+      success: false,
+      batchId: batch.id,
+      error: lastError.message,
+      attempts: requests,
+      isFatal: lastError.isFatal || false,
+      shouldStopProcessing: lastError.shouldStop || false,
+      model,
+      keys,
+      poisonKeys,
+      splits,
+    };
+  }
+
+  /**@type {any} */
+  const orderedData = {};
+  keys
+    .filter((key) => Object.prototype.hasOwnProperty.call(collected, key))
+    .forEach((key) => {
+      orderedData[key] = collected[key];
+    });
+
+  const { data: translatedData, violations } =
+    glossary.length > 0
+      ? await enforceGlossary(batch, orderedData, {
+          glossary,
+          glossaryRetries,
+          provider,
+          modelOptions,
+          parseStats,
+        })
+      : { data: orderedData, violations: [] };
+
+  const untranslated = missingKeys.length + poisonKeys.length;
+  if (untranslated > 0) {
+    console.warn(
+      `⚠️  Lote ${batch.id} completado parcialmente: ${untranslated} claves sin traducir tras ${requests} peticiones`
+    );
+  } else {
+    console.log(`✅ Lote ${batch.id} completado exitosamente`);
+  }
+
   return {
-    success: false,
+    success: true,
     batchId: batch.id,
-    error: lastError.message,
-    attempts: maxRetries,
-    isFatal: lastError.isFatal || false,
-    shouldStopProcessing: lastError.shouldStop || false,
+    data: translatedData,
+    attempts: requests,
+    model,
+    glossaryViolations: violations,
+    partial: untranslated > 0,
+    missingKeys,
+    poisonKeys,
+    requeuedKeys: [...requeuedKeys],
+    splits,
+    keyAttempts,
   };
 }
 
@@ -531,9 +1631,11 @@ async function processBatchWithRetry(batch, maxRetries, retryDelay) {
  * Procesa todos los lotes de forma concurrente con detección de errores fatales
  * @param {Array<any>} batches - Array de lotes a procesar
  * @param {any} config - Configuración del procesamiento
+ * @param {object} [hooks] - Callbacks opcionales del procesamiento
+ * @param {(result: any) => Promise<void>} [hooks.onBatchSuccess] - Se invoca al completar cada lote exitoso
  * @returns {Promise<any>} - Resultados del procesamiento con información de parada
  */
-async function processBatchesConcurrently(batches, config) {
+async function processBatchesConcurrently(batches, config, hooks = {}) {
   const { concurrencyLimit, maxRetries, retryDelay } = config;
 
   if (batches.length === 0) {
@@ -543,6 +1645,9 @@ async function processBatchesConcurrently(batches, config) {
       failed: [],
       stoppedEarly: false,
       fatalError: null,
+      dailyLimitReached: false,
+      dailyLimitResetAt: null,
+      parseStats: createParseStats(),
     };
   }
 
@@ -552,6 +1657,20 @@ async function processBatchesConcurrently(batches, config) {
 
   // Crear limitador de concurrencia
   const limit = pLimit(concurrencyLimit);
+  const modelOptions = getModelOptions(config);
+  const provider = getProvider(config.provider);
+  // Cargar los términos protegidos antes del primer lote: si el archivo no
+  // existe, cada petición fallaría
+  if (modelOptions.placeholderTermsFile) {
+    loadPlaceholderTerms(modelOptions.placeholderTermsFile);
+  }
+  const glossary =
+    config.glossary === false
+      ? []
+      : await loadGlossary(config.glossaryFile || DEFAULT_GLOSSARY_FILE);
+  // Los proveedores reciben los términos ya cargados en lugar de leer el
+  // glosario en cada lote
+  modelOptions.glossary = glossary;
 
   /**
    * @type {any[]}
@@ -559,89 +1678,267 @@ async function processBatchesConcurrently(batches, config) {
   const successful = [];
   /**@type {any[]} */
   const failed = [];
-  let stoppedEarly = false;
+  /** Señal compartida entre lotes para detener el procesamiento */
+  const stopSignal = { stopped: false, reason: "" };
+  /** Respuestas y fallos de parseo por modo de salida */
+  const parseStats = createParseStats();
   let fatalError = null;
+  /** @type {string | null} */
+  let dailyLimitResetAt = null;
   let processedCount = 0;
 
-  // Procesar lotes uno por uno para poder detectar errores fatales
-  for (const batch of batches) {
-    if (stoppedEarly) {
-      // Si ya encontramos un error fatal, marcar los lotes restantes como no procesados
+  /**
+   * Detiene el procesamiento si el resultado de un lote lo pide (límite
+   * diario o error fatal). Un lote detenido puede traer claves ya traducidas
+   * como éxito parcial, por lo que se revisa en ambos casos.
+   * @param {any} result - Resultado de processBatchWithRetry
+   * @returns {boolean} - true si el resultado detuvo el procesamiento
+   */
+  const handleStop = (result) => {
+    // Límite diario agotado: detener sin tratarlo como error fatal
+    if (result.dailyLimitReached) {
+      if (!stopSignal.stopped) {
+        stopSignal.stopped = true;
+        stopSignal.reason =
+          "Procesamiento detenido: límite diario de peticiones alcanzado";
+        dailyLimitResetAt = result.dailyLimitResetAt;
+        console.warn(
+          `📅 Deteniendo procesamiento de forma ordenada. Lotes procesados: ${processedCount}/${batches.length}`
+        );
+      }
+      return true;
+    }
+
+    // Verificar si es un error fatal que debe detener el procesamiento
+    if (result.shouldStopProcessing) {
+      console.error(
+        `🛑 Error fatal detectado en lote ${result.batchId}: ${result.error}`
+      );
+      if (!stopSignal.stopped) {
+        stopSignal.stopped = true;
+        stopSignal.reason = "Procesamiento detenido por error fatal anterior";
+        fatalError = result.error;
+        console.error(
+          `🛑 Deteniendo procesamiento. Lotes procesados: ${processedCount}/${batches.length}`
+        );
+      }
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * Procesa un lote dentro del limitador, respetando la señal de parada
+   * @param {any} batch - Lote a procesar
+   * @returns {Promise<void>}
+   */
+  const runBatch = async (batch) => {
+    if (stopSignal.stopped) {
+      // Lote en cola que aún no había comenzado: marcarlo como omitido
       failed.push({
         success: false,
         batchId: batch.id,
-        error: "Procesamiento detenido por error fatal anterior",
+        error: stopSignal.reason,
         attempts: 0,
         skipped: true,
+        model: modelOptions.model,
+        keys: Object.keys(batch.data),
       });
-      continue;
+      return;
     }
 
     try {
       console.log(`📦 Procesando lote ${batch.id} de ${batches.length}...`);
-      const result = await limit(() =>
-        processBatchWithRetry(batch, maxRetries, retryDelay)
+      const result = /** @type {any} */ (
+        await processBatchWithRetry(batch, maxRetries, retryDelay, {
+          stopSignal,
+          modelOptions,
+          provider,
+          glossary,
+          glossaryRetries:
+            config.glossaryRetries ?? DEFAULT_CONFIG.glossaryRetries,
+          parseStats,
+          splitOnFailure: config.splitOnFailure !== false,
+          splitAfterFailures:
+            config.splitAfterFailures ?? DEFAULT_CONFIG.splitAfterFailures,
+        })
       );
 
       processedCount++;
 
-      // @ts-ignore
       if (result.success) {
         successful.push(result);
-        console.log(`✅ Lote ${batch.id} completado exitosamente`);
-      } else {
-        failed.push(result);
-
-        // Verificar si es un error fatal que debe detener el procesamiento
-        // @ts-ignore
-        if (result.shouldStopProcessing) {
-          console.error(
-            // @ts-ignore
-            `🛑 Error fatal detectado en lote ${batch.id}: ${result.error}`
-          );
-          console.error(
-            `🛑 Deteniendo procesamiento. Lotes procesados: ${processedCount}/${batches.length}`
-          );
-          stoppedEarly = true;
-          // @ts-ignore
-          fatalError = result.error;
-          break;
+        // processBatchWithRetry ya informó si el lote terminó completo o parcial
+        handleStop(result);
+
+        if (hooks.onBatchSuccess) {
+          try {
+            await hooks.onBatchSuccess(result);
+          } catch (/**@type {any} */ error) {
+            console.warn(
+              `⚠️  No se pudo registrar el lote ${batch.id} en el checkpoint: ${error.message}`
+            );
+          }
         }
+        return;
+      }
 
-        // @ts-ignore
-        console.error(`❌ Lote ${batch.id} falló: ${result.error}`);
+      failed.push(result);
+
+      // Un lote en vuelo cancelado antes de su siguiente reintento
+      // (skipped) no es un fallo propio
+      if (handleStop(result) || result.skipped) {
+        return;
       }
+
+      console.error(`❌ Lote ${batch.id} falló: ${result.error}`);
     } catch (/**@type {any} */ error) {
       // Manejo de errores inesperados
-      const errorResult = {
+      failed.push({
         success: false,
         batchId: batch.id,
-        // @ts-ignore
         error: error.message || "Error desconocido",
         attempts: 0,
-      };
-      failed.push(errorResult);
-      // @ts-ignore
+        model: modelOptions.model,
+        keys: Object.keys(batch.data),
+      });
       console.error(`💀 Error inesperado en lote ${batch.id}:`, error.message);
     }
+  };
+
+  // Encolar todos los lotes; el limitador mantiene `concurrencyLimit` en vuelo
+  await Promise.allSettled(batches.map((batch) => limit(() => runBatch(batch))));
+
+  // Los lotes terminan en cualquier orden; ordenar para reportes estables
+  failed.sort((a, b) => a.batchId - b.batchId);
+
+  const stoppedEarly = stopSignal.stopped;
+  const dailyLimitReached = dailyLimitResetAt !== null;
+
+  if (stoppedEarly) {
+    console.log(
+      dailyLimitReached
+        ? `📅 Procesamiento detenido: límite diario alcanzado (se restablece ${new Date(
+            /** @type {string} */ (dailyLimitResetAt)
+          ).toLocaleString()})`
+        : `⚠️  Procesamiento detenido prematuramente debido a error fatal`
+    );
+    console.log(
+      `📊 Lotes completados: ${successful.length}, Fallidos: ${
+        failed.filter((f) => !f.skipped).length
+      }, Omitidos: ${failed.filter((f) => f.skipped).length}`
+    );
+  } else {
+    console.log(
+      `✅ Procesamiento completo: ${successful.length} exitosos, ${failed.length} fallidos`
+    );
   }
 
-  if (stoppedEarly) {
+  return {
+    successful,
+    failed,
+    stoppedEarly,
+    fatalError,
+    dailyLimitReached,
+    dailyLimitResetAt,
+    parseStats,
+  };
+}
+
+/**
+ * Revisa la calidad de las traducciones obtenidas en la ejecución y,
+ * opcionalmente, reenvía a la API una vez las entradas con errores. Una
+ * retraducción se acepta solo si tiene menos errores que la original. Las
+ * aceptadas que no respetan el glosario se devuelven en glossaryViolations
+ * para no registrarlas en la memoria.
+ * @param {any} translations - Traducciones a revisar (clave en inglés → traducción)
+ * @param {any} sourceData - Datos de entrada (valor que se envía por cada clave)
+ * @param {any} config - Configuración del procesamiento
+ * @param {boolean} canRequeue - Si se puede llamar a la API (no hubo un error fatal)
+ * @returns {Promise<any>} - Hallazgos, estadísticas, traducciones corregidas,
+ * violaciones del glosario de las corregidas y resultado del reenvío
+ */
+async function runQualityCheck(translations, sourceData, config, canRequeue) {
+  const options = {
+    allowlist: await loadAllowlist(
+      config.qaAllowlistFile || DEFAULT_QA_ALLOWLIST_FILE
+    ),
+    minLengthRatio: config.qaMinLengthRatio,
+    maxLengthRatio: config.qaMaxLengthRatio,
+  };
+
+  console.log(
+    `🔍 Control de calidad: revisando ${Object.keys(translations).length} traducciones...`
+  );
+  let qa = checkTranslations(translations, options);
+  console.log(
+    `🔍 ${qa.stats.flaggedEntries} entradas con hallazgos (${qa.stats.errorEntries} con errores)`
+  );
+
+  /** @type {any} */
+  const corrected = {};
+  /** @type {any[]} */
+  const glossaryViolations = [];
+  /** @type {any} */
+  let requeue = null;
+  const errorKeys = getErrorKeys(qa.findings);
+
+  if (config.qaRequeue && canRequeue && errorKeys.length > 0) {
     console.log(
-      `⚠️  Procesamiento detenido prematuramente debido a error fatal`
+      `🔁 Reenviando ${errorKeys.length} entradas con errores de calidad...`
     );
-    console.log(
-      `📊 Lotes completados: ${successful.length}, Fallidos: ${
-        failed.filter((f) => !f.skipped).length
-      }, Omitidos: ${failed.filter((f) => f.skipped).length}`
+
+    /** @type {any} */
+    const subset = {};
+    errorKeys.forEach((key) => {
+      subset[key] = sourceData[key] ?? "";
+    });
+
+    const results = await processBatchesConcurrently(
+      await createBatchesForConfig(subset, config),
+      config
     );
-  } else {
+
+    /** @type {Map<string, number>} */
+    const errorsBefore = new Map();
+    qa.findings
+      .filter((finding) => finding.severity === "error")
+      .forEach((finding) =>
+        errorsBefore.set(finding.key, (errorsBefore.get(finding.key) || 0) + 1)
+      );
+
+    results.successful.forEach((/**@type {any} */ result) => {
+      Object.entries(result.data).forEach(([key, translation]) => {
+        const errorsAfter = checkTranslations(
+          { [key]: translation },
+          options
+        ).findings.filter((finding) => finding.severity === "error").length;
+        if (errorsAfter < /** @type {number} */ (errorsBefore.get(key))) {
+          corrected[key] = translation;
+        }
+      });
+      (result.glossaryViolations || []).forEach((/**@type {any} */ v) => {
+        if (v.key in corrected) {
+          glossaryViolations.push(v);
+        }
+      });
+    });
+
+    requeue = {
+      requeued: errorKeys.length,
+      improved: Object.keys(corrected).length,
+      glossaryViolations: glossaryViolations.length,
+      stoppedEarly: results.stoppedEarly,
+    };
     console.log(
-      `✅ Procesamiento completo: ${successful.length} exitosos, ${failed.length} fallidos`
+      `🔁 Reenvío de calidad: ${requeue.improved} de ${requeue.requeued} entradas mejoradas`
     );
+
+    qa = checkTranslations({ ...translations, ...corrected }, options);
   }
 
-  return { successful, failed, stoppedEarly, fatalError };
+  return { ...qa, corrected, glossaryViolations, requeue };
 }
 
 /**
@@ -676,19 +1973,73 @@ function assembleResults(successfulResults) {
   return finalResult;
 }
 
+/**
+ * Formatea el conteo por regla de la traducción por reglas para los logs
+ * @param {Record<string, number>} byRule - Entradas traducidas por regla
+ * @returns {string} - " (calendar: 3, quarter: 1)" o "" si no hay ninguna
+ */
+function formatRuleCounts(byRule) {
+  const counts = Object.entries(byRule)
+    .sort((a, b) => b[1] - a[1])
+    .map(([rule, count]) => `${rule}: ${count}`);
+  return counts.length > 0 ? ` (${counts.join(", ")})` : "";
+}
+
+/**
+ * Asigna a las claves excluidas el valor de salida de su regla (copiar la
+ * clave o transformarla). Solo se completan los valores vacíos: un valor
+ * cargado a mano en el archivo de entrada se conserva.
+ * @param {any} excludedByKey - Entradas excluidas por patrón de clave
+ * @param {string} targetLang - Idioma destino
+ * @param {any[]} exclusionRules - Reglas con las que se excluyeron las claves
+ * @returns {{values: any, stats: {copied: number, transformed: number, kept: number}}}
+ * - Entradas excluidas con su valor de salida y conteo por resultado
+ */
+function applyExclusionOutputs(
+  excludedByKey,
+  targetLang = DEFAULT_TARGET_LANG,
+  exclusionRules = loadExclusionRules()
+) {
+  /**@type {any} */
+  const values = {};
+  const stats = { copied: 0, transformed: 0, kept: 0 };
+
+  Object.entries(excludedByKey).forEach(([key, value]) => {
+    const rule = findExclusionRule(key, targetLang, exclusionRules);
+    const output =
+      rule && needsTranslation(value)
+        ? resolveExclusionOutput(key, rule, targetLang)
+        : null;
+
+    if (output === null) {
+      values[key] = value;
+      stats.kept++;
+    } else {
+      values[key] = output;
+      stats[rule.output === "copy" ? "copied" : "transformed"]++;
+    }
+  });
+
+  return { values, stats };
+}
+
 /**
  * Combina las traducciones nuevas con las entradas ya traducidas y excluidas manteniendo el orden original
  * @param {Object} newTranslations - Nuevas traducciones
  * @param {Object} alreadyTranslated - Entradas que ya estaban traducidas
  * @param {Object} excludedByKey - Entradas excluidas por patrón de clave
  * @param {Array<string>} originalKeys - Orden original de las claves
+ * @param {any} fromMemory - Traducciones obtenidas de la memoria de traducción
+ * @param {any} fromRules - Traducciones obtenidas con la traducción por reglas
  * @returns {any} - Resultado final combinado en orden original
  */
 function combineResults(
   newTranslations,
   alreadyTranslated,
   excludedByKey,
-  originalKeys
+  originalKeys,
+  fromMemory = {},
+  fromRules = {}
 ) {
   console.log(`🔗 Combinando resultados finales manteniendo orden original...`);
 
@@ -697,8 +2048,10 @@ function combineResults(
   const combinedResult = {};
   /**@type {any} */
   const allTranslations = {
-    ...excludedByKey, // Primero las excluidas (conservan valor original)
+    ...excludedByKey, // Primero las excluidas (valor original o el de salida de su regla)
     ...alreadyTranslated, // Luego las ya traducidas
+    ...fromRules, // Las traducidas con reglas
+    ...fromMemory, // Las recuperadas de la memoria de traducción
     ...newTranslations, // Finalmente las nuevas traducciones
   };
 
@@ -712,6 +2065,8 @@ function combineResults(
   const stats = {
     excludedByKey: Object.keys(excludedByKey).length,
     alreadyTranslated: Object.keys(alreadyTranslated).length,
+    fromMemory: Object.keys(fromMemory).length,
+    fromRules: Object.keys(fromRules).length,
     newTranslations: Object.keys(newTranslations).length,
     total: Object.keys(combinedResult).length,
   };
@@ -719,6 +2074,8 @@ function combineResults(
   console.log(`📊 Combinación completada:`);
   console.log(`   🚫 Excluidas por patrón: ${stats.excludedByKey}`);
   console.log(`   ✅ Ya traducidas: ${stats.alreadyTranslated}`);
+  console.log(`   📐 Traducidas con reglas: ${stats.fromRules}`);
+  console.log(`   🧠 Desde memoria de traducción: ${stats.fromMemory}`);
   console.log(`   🆕 Nuevas traducciones: ${stats.newTranslations}`);
   console.log(`   📝 Total en resultado final: ${stats.total}`);
   console.log(`   🔄 Orden original preservado: ${originalKeys.length} claves`);
@@ -726,6 +2083,88 @@ function combineResults(
   return { result: combinedResult, stats };
 }
 
+/**
+ * Determina el resultado de cada clave que necesitaba traducción:
+ * translated (en la primera respuesta que la incluyó), requeued (obtenida en
+ * un mini-lote tras una respuesta parcial), missing (faltó en todos los
+ * intentos), poison (falla incluso enviada sola), failed / skipped (su lote
+ * falló o no se procesó), rules, memory o resumed
+ * @param {any} processingResults - Resultados del procesamiento
+ * @returns {{outcomes: Record<string, number>, entries: any}} - Conteo por resultado y detalle por clave
+ */
+function buildKeyOutcomes(processingResults) {
+  /**@type {any} */
+  const entries = {};
+
+  Object.keys(processingResults.resumed || {}).forEach((key) => {
+    entries[key] = { outcome: "resumed" };
+  });
+  Object.keys(processingResults.fromRules || {}).forEach((key) => {
+    entries[key] = { outcome: "rules" };
+  });
+  Object.keys(processingResults.fromMemory || {}).forEach((key) => {
+    entries[key] = { outcome: "memory" };
+  });
+
+  processingResults.successful.forEach((/**@type {any} */ result) => {
+    const requeued = new Set(result.requeuedKeys || []);
+    Object.keys(result.data).forEach((key) => {
+      entries[key] = {
+        outcome: requeued.has(key) ? "requeued" : "translated",
+        batchId: result.batchId,
+        attempt: result.keyAttempts?.[key] ?? result.attempts,
+      };
+    });
+    (result.missingKeys || []).forEach((/**@type {string} */ key) => {
+      entries[key] = {
+        outcome: "missing",
+        batchId: result.batchId,
+        attempt: result.attempts,
+      };
+    });
+  });
+
+  processingResults.failed.forEach((/**@type {any} */ result) => {
+    (result.keys || []).forEach((/**@type {string} */ key) => {
+      entries[key] = {
+        outcome: result.skipped ? "skipped" : "failed",
+        batchId: result.batchId,
+        error: result.error,
+      };
+    });
+  });
+
+  [...processingResults.successful, ...processingResults.failed].forEach(
+    (/**@type {any} */ result) => {
+      (result.poisonKeys || []).forEach((/**@type {any} */ poison) => {
+        entries[poison.key] = {
+          outcome: "poison",
+          batchId: result.batchId,
+          error: poison.error,
+        };
+      });
+    }
+  );
+
+  /**@type {Record<string, number>} */
+  const outcomes = {
+    translated: 0,
+    requeued: 0,
+    missing: 0,
+    poison: 0,
+    failed: 0,
+    skipped: 0,
+    rules: 0,
+    memory: 0,
+    resumed: 0,
+  };
+  Object.values(entries).forEach((/**@type {any} */ entry) => {
+    outcomes[entry.outcome]++;
+  });
+
+  return { outcomes, entries };
+}
+
 /**
  * Genera un reporte detallado del procesamiento
  * @param {any} processingResults - Resultados del procesamiento
@@ -733,6 +2172,7 @@ function combineResults(
  * @param {any} filterStats - Estadísticas del filtrado
  * @param {any} combineStats - Estadísticas de la combinación
  * @param {number} startTime - Timestamp de inicio
+ * @param {any} config - Configuración usada en el procesamiento
  * @returns {any} - Reporte detallado
  */
 function generateReport(
@@ -740,18 +2180,35 @@ function generateReport(
   totalBatches,
   filterStats,
   combineStats,
-  startTime
+  startTime,
+  config = DEFAULT_CONFIG
 ) {
   const endTime = Date.now();
   const duration = endTime - startTime;
 
-  const { successful, failed, stoppedEarly, fatalError } = processingResults;
-
-  const successfulEntries = successful.reduce(
+  const {
+    successful,
+    failed,
+    stoppedEarly,
+    fatalError,
+    dailyLimitReached,
+    dailyLimitResetAt,
+  } = processingResults;
+
+  const resumedEntries = Object.keys(processingResults.resumed || {}).length;
+  const memoryEntries = Object.keys(processingResults.fromMemory || {}).length;
+  const ruleEntries = Object.keys(processingResults.fromRules || {}).length;
+  const apiEntries = successful.reduce(
     (/**@type {any} */ sum, /**@type {any} */ result) =>
       sum + Object.keys(result.data).length,
     0
   );
+  const successfulEntries = resumedEntries + apiEntries;
+  const translatedEntries = successfulEntries + memoryEntries + ruleEntries;
+  const glossaryViolations = successful.flatMap(
+    (/**@type {any} */ result) => result.glossaryViolations || []
+  );
+  const keyOutcomes = buildKeyOutcomes(processingResults);
 
   const report = {
     summary: {
@@ -760,19 +2217,32 @@ function generateReport(
       entriesNeedingTranslation: filterStats.needsTranslation,
       totalBatches,
       successfulBatches: successful.length,
+      partialBatches: successful.filter((/**@type {any} */ s) => s.partial)
+        .length,
       failedBatches: failed.length,
+      entriesRequeued: keyOutcomes.outcomes.requeued,
+      entriesMissing: keyOutcomes.outcomes.missing,
+      poisonKeys: keyOutcomes.outcomes.poison,
       successfulNewTranslations: successfulEntries,
-      failedTranslations: filterStats.needsTranslation - successfulEntries,
+      entriesResumedFromCheckpoint: resumedEntries,
+      entriesFromMemory: memoryEntries,
+      entriesFromRules: ruleEntries,
+      entriesFromApi: apiEntries,
+      glossaryViolations: glossaryViolations.length,
+      qaFlaggedEntries: processingResults.qa?.stats.flaggedEntries ?? 0,
+      failedTranslations: filterStats.needsTranslation - translatedEntries,
       finalResultEntries: combineStats.total,
       stoppedEarly: stoppedEarly || false,
       fatalError: fatalError || null,
+      dailyLimitReached: dailyLimitReached || false,
+      dailyLimitResetAt: dailyLimitResetAt || null,
       batchSuccessRate:
         totalBatches > 0
           ? ((successful.length / totalBatches) * 100).toFixed(2) + "%"
           : "N/A",
       translationSuccessRate:
         filterStats.needsTranslation > 0
-          ? ((successfulEntries / filterStats.needsTranslation) * 100).toFixed(
+          ? ((translatedEntries / filterStats.needsTranslation) * 100).toFixed(
               2
             ) + "%"
           : "N/A",
@@ -793,21 +2263,65 @@ function generateReport(
       durationMs: duration,
       durationFormatted: formatDuration(duration),
     },
+    provider: config.provider || DEFAULT_PROVIDER,
+    locale: {
+      sourceLang: config.sourceLang || DEFAULT_SOURCE_LANG,
+      targetLang: config.targetLang || DEFAULT_TARGET_LANG,
+      outputFile: config.outputFile,
+    },
+    model: getModelOptions(config),
     filtering: filterStats,
     processing: {
       successful: successful.map((/**@type {any} */ s) => ({
         batchId: s.batchId,
         entriesCount: Object.keys(s.data).length,
         attempts: s.attempts,
+        model: s.model,
+        glossaryViolations: (s.glossaryViolations || []).length,
+        partial: s.partial || false,
+        missingKeys: s.missingKeys || [],
+        splits: s.splits || 0,
       })),
       failed: failed.map((/**@type {any} */ f) => ({
         batchId: f.batchId,
         error: f.error,
         attempts: f.attempts,
         skipped: f.skipped || false,
+        model: f.model,
+        splits: f.splits || 0,
       })),
     },
     combining: combineStats,
+    keys: keyOutcomes,
+    poisonKeys: Object.entries(keyOutcomes.entries)
+      .filter(([, /**@type {any} */ entry]) => entry.outcome === "poison")
+      .map(([key, /**@type {any} */ entry]) => ({
+        key,
+        batchId: entry.batchId,
+        error: entry.error,
+      })),
+    glossary: {
+      violations: glossaryViolations,
+    },
+    qa: processingResults.qa || null,
+    parsing: {
+      outputMode: getOutputMode(config),
+      byMode: Object.fromEntries(
+        Object.entries(processingResults.parseStats || createParseStats()).map(
+          ([mode, /**@type {any} */ stats]) => [
+            mode,
+            {
+              ...stats,
+              parseFailureRate:
+                stats.responses > 0
+                  ? ((stats.parseFailures / stats.responses) * 100).toFixed(2) +
+                    "%"
+                  : "N/A",
+            },
+          ]
+        )
+      ),
+    },
   };
 
   return report;
@@ -851,8 +2365,11 @@ async function dryRunAnalysis(inputFile, config = {}) {
     console.log(`   ⏭️  Omitir ya traducidas: ${finalConfig.skipTranslated}`);
     console.log(`   📦 Tamaño de lote configurado: ${finalConfig.batchSize}\n`);
 
-    // 1. Leer archivo de entrada
-    const inputData = await readJsonFile(inputFile);
+    // 1. Leer archivo de entrada, con el estado propio del idioma destino
+    const inputData = await prepareLocaleInput(
+      await readJsonFile(inputFile),
+      finalConfig
+    );
 
     // 2. Mostrar información del archivo
     const fileInfo = await getFileInfo(inputFile);
@@ -860,6 +2377,17 @@ async function dryRunAnalysis(inputFile, config = {}) {
       `📊 Información del archivo: ${fileInfo.entriesCount} entradas, ${fileInfo.sizeFormatted}`
     );
 
+    // Reglas de exclusión de esta ejecución (registro y activaciones por CLI)
+    const exclusionRules = loadExclusionRulesForConfig(finalConfig);
+    const disabledRules = exclusionRules.filter((rule) => !rule.enabled);
+    if (disabledRules.length > 0) {
+      console.log(
+        `🚫 Reglas de exclusión desactivadas: ${disabledRules
+          .map((rule) => rule.id)
+          .join(", ")}`
+      );
+    }
+
     // 3. Realizar filtrado (mismo proceso que en producción)
     const {
       toTranslate,
@@ -870,14 +2398,64 @@ async function dryRunAnalysis(inputFile, config = {}) {
     } = filterEntriesForTranslation(
       inputData,
       finalConfig.skipTranslated,
-      finalConfig.enableKeyFiltering
+      finalConfig.enableKeyFiltering,
+      finalConfig.targetLang,
+      exclusionRules
     );
 
+    // 3.1 Traducción por reglas (mismo proceso que en producción)
+    const ruleTranslation = finalConfig.ruleTranslation
+      ? applyRuleTranslations(
+          toTranslate,
+          finalConfig.targetLang,
+          loadRuleTranslations(finalConfig.ruleTranslationsFile)
+        )
+      : { found: {}, byRule: {} };
+    Object.keys(ruleTranslation.found).forEach((key) => {
+      delete toTranslate[key];
+    });
+
     // 4. Analizar patrones de exclusión
-    const exclusionPatterns = analyzeExclusionPatterns(excludedByKey);
+    const exclusionPatterns = analyzeExclusionPatterns(
+      excludedByKey,
+      exclusionRules,
+      finalConfig.targetLang
+    );
 
     // 5. Crear lotes hipotéticos
-    const batches = createBatches(toTranslate, finalConfig.batchSize);
+    const tokenLimits =
+      finalConfig.batching === "tokens"
+        ? await getTokenBatchLimits(finalConfig)
+        : null;
+    const batches = await createBatchesForConfig(
+      toTranslate,
+      finalConfig,
+      tokenLimits
+    );
+    const tokensPerBatch = tokenLimits
+      ? batches.map((b) => b.estimatedTokens)
+      : [];
+    const relatedGroups = finalConfig.groupKeys
+      ? clusterKeys(Object.keys(toTranslate), {
+          similarity: finalConfig.groupSimilarity,
+        })
+          .filter((group) => group.length > 1)
+          .sort((a, b) => b.length - a.length)
+      : null;
+    // Lotes que se habrían enviado sin la traducción por reglas, con el
+    // tamaño medio de los lotes de esta ejecución
+    const ruleEntries = Object.keys(ruleTranslation.found).length;
+    const remainingEntries = Object.keys(toTranslate).length;
+    const entriesPerBatch =
+      batches.length > 0 ? remainingEntries / batches.length : finalConfig.batchSize;
+    const batchesSavedByRules =
+      Math.ceil((remainingEntries + ruleEntries) / entriesPerBatch) -
+      batches.length;
+    /** @type {Map<string, number>} */
+    const batchOfKey = new Map();
+    batches.forEach((b) =>
+      Object.keys(b.data).forEach((key) => batchOfKey.set(key, b.id))
+    );
 
     // 6. Generar análisis detallado
     const analysis = {
@@ -894,11 +2472,43 @@ async function dryRunAnalysis(inputFile, config = {}) {
         ).toFixed(1),
       },
       batching: {
+        mode: finalConfig.batching,
         totalBatches: batches.length,
         batchSize: finalConfig.batchSize,
         entriesPerBatch: batches.map((b) => b.entriesCount),
+        tokenLimits,
+        tokensPerBatch,
+        fixedSizeBatches: Math.ceil(
+          Object.keys(toTranslate).length / finalConfig.batchSize
+        ),
+        grouping: relatedGroups
+          ? {
+              similarity: finalConfig.groupSimilarity,
+              relatedGroups: relatedGroups.length,
+              groupedEntries: relatedGroups.reduce(
+                (sum, group) => sum + group.length,
+                0
+              ),
+              // Grupos que no cupieron en un solo lote
+              splitGroups: relatedGroups.filter(
+                (group) =>
+                  new Set(group.map((key) => batchOfKey.get(key))).size > 1
+              ).length,
+              largestGroups: relatedGroups.slice(0, 5).map((group) => ({
+                size: group.length,
+                samples: group.slice(0, 5),
+              })),
+            }
+          : null,
       },
       exclusionPatterns,
+      ruleTranslation: {
+        enabled: finalConfig.ruleTranslation,
+        entries: ruleEntries,
+        byRule: ruleTranslation.byRule,
+        samples: Object.entries(ruleTranslation.found).slice(0, 10),
+        apiCallsSaved: batchesSavedByRules,
+      },
       samples: {
         toTranslate: Object.keys(toTranslate).slice(0, 10),
         alreadyTranslated: Object.keys(alreadyTranslated).slice(0, 10),
@@ -927,64 +2537,34 @@ async function dryRunAnalysis(inputFile, config = {}) {
 /**
  * Analiza los patrones de exclusión para mostrar estadísticas detalladas
  * @param {any} excludedByKey - Claves excluidas por patrón
- * @returns {any} - Análisis de patrones
+ * @param {any[]} exclusionRules - Reglas con las que se excluyeron las claves
+ * @param {string} targetLang - Idioma destino del filtrado
+ * @returns {any} - Análisis de patrones (claves y estadísticas por id de regla)
  */
-function analyzeExclusionPatterns(excludedByKey) {
+function analyzeExclusionPatterns(
+  excludedByKey,
+  exclusionRules = loadExclusionRules(),
+  targetLang = DEFAULT_TARGET_LANG
+) {
   /**@type {any} */
-  const patterns = {
-    pureNumbers: [], // Solo números
-    numbersWithUnits: [], // Números con kg, lb, PCT, etc.
-    seasonYears: [], // 1998/99, 2023/24
-    spanishText: [], // Texto con acentos o ñ
-    prefixPatterns: [], // YTD_, _Daily, etc.
-    dateAbbreviations: [], // Aug'24, Jan'25
-    countryCodes: [], // USA, MEX, CAN
-    mexicanCompanies: [], // S.A. de C.V.
-    tifCodes: [], // TIF relacionados
-    financialCodes: [], // FRED, GDP, USD
-    futuresCodes: [], // Daily - Nearby-H
-    other: [], // Otros patrones
-  };
+  const patterns = Object.fromEntries(
+    exclusionRules.filter((rule) => rule.enabled).map((rule) => [rule.id, []])
+  );
+  patterns.other = []; // Claves que ninguna regla activa excluye
 
   Object.keys(excludedByKey).forEach((key) => {
-    if (/^\d+$/.test(key)) {
-      patterns.pureNumbers.push(key);
-    } else if (/\d+.*[-\/><].*\d*|\d+.*\s*(kg|lb|PCT|%|\+)\s*$/i.test(key)) {
-      patterns.numbersWithUnits.push(key);
-    } else if (/^\d{4}\/\d{2}$/.test(key)) {
-      patterns.seasonYears.push(key);
-    } else if (/[áéíóúÁÉÍÓÚñÑ]/.test(key)) {
-      patterns.spanishText.push(key);
-    } else if (/^(_Daily - |YTD_|DC_.*_YTD|.*_YTD_)/i.test(key)) {
-      patterns.prefixPatterns.push(key);
-    } else if (
-      /^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)['']?\d{2}$/.test(key)
-    ) {
-      patterns.dateAbbreviations.push(key);
-    } else if (/^[A-Z]{2,3}$/.test(key)) {
-      patterns.countryCodes.push(key);
-    } else if (
-      /(S\.?\s*A\.?|de\s+C\.?\s*V\.?|A\.?\s*R\.?\s*I\.?\s*C)/i.test(key)
-    ) {
-      patterns.mexicanCompanies.push(key);
-    } else if (/TIF\s*\d+/i.test(key)) {
-      patterns.tifCodes.push(key);
-    } else if (/^(FRED|FHFA|CPI|PPI|GDP|USD|CAD|EUR|GBP|JPY)$/i.test(key)) {
-      patterns.financialCodes.push(key);
-    } else if (
-      /(Futures?|Daily|Weekly|Monthly|Quarterly).*-\s*(Nearby|H)$/i.test(key)
-    ) {
-      patterns.futuresCodes.push(key);
-    } else {
-      patterns.other.push(key);
-    }
+    const rule = findExclusionRule(key, targetLang, exclusionRules);
+    patterns[rule ? rule.id : "other"].push(key);
   });
 
   // Calcular estadísticas por patrón
   /**@type {any} */
   const stats = {};
   Object.entries(patterns).forEach(([pattern, keys]) => {
+    const rule = exclusionRules.find((rule) => rule.id === pattern);
     stats[pattern] = {
+      label: rule ? rule.label : "Otros patrones",
+      output: rule ? rule.output : "keep",
       count: keys.length,
       samples: keys.slice(0, 5), // Primeros 5 ejemplos
       percentage: (
@@ -1023,7 +2603,20 @@ function displayDryRunResults(analysis) {
   console.log(
     `   🔢 Total de lotes a procesar: ${analysis.batching.totalBatches}`
   );
-  console.log(`   📏 Tamaño de lote: ${analysis.batching.batchSize}`);
+  if (analysis.batching.tokenLimits) {
+    const limits = analysis.batching.tokenLimits;
+    console.log(
+      `   🔢 Modo por tokens: ~${limits.tokenBudget} tokens por lote (prompt ~${limits.promptTokens}), máx. ${limits.maxEntries} entradas`
+    );
+    if (limits.tpmShare) {
+      console.log(`   🚦 Parte del TPM por lote concurrente: ${limits.tpmShare}`);
+    }
+    console.log(
+      `   ⚖️  Con lotes fijos de ${analysis.batching.batchSize}: ${analysis.batching.fixedSizeBatches} lotes`
+    );
+  } else {
+    console.log(`   📏 Tamaño de lote: ${analysis.batching.batchSize}`);
+  }
   if (analysis.batching.totalBatches > 0) {
     console.log(
       `   📊 Distribución: ${analysis.batching.entriesPerBatch.join(
@@ -1031,6 +2624,32 @@ function displayDryRunResults(analysis) {
       )} entradas por lote`
     );
   }
+  if (analysis.batching.grouping) {
+    const grouping = analysis.batching.grouping;
+    console.log(
+      `   🧲 Claves relacionadas: ${grouping.relatedGroups} grupos (${grouping.groupedEntries} entradas, similitud ≥ ${grouping.similarity}), ${grouping.splitGroups} repartidos en más de un lote`
+    );
+    grouping.largestGroups.slice(0, 3).forEach((/**@type {any} */ group) => {
+      console.log(
+        `      - ${group.size} claves: ${group.samples
+          .map((/**@type {string} */ key) => `"${key}"`)
+          .join(", ")}${group.size > group.samples.length ? ", ..." : ""}`
+      );
+    });
+  }
+  if (analysis.batching.tokensPerBatch.length > 0) {
+    const tokens = analysis.batching.tokensPerBatch;
+    const total = tokens.reduce(
+      (/**@type {number} */ sum, /**@type {number} */ t) => sum + t,
+      0
+    );
+    const average = Math.round(total / tokens.length);
+    console.log(
+      `   🔢 Tokens estimados por lote: mín. ${Math.min(
+        ...tokens
+      )}, promedio ${average}, máx. ${Math.max(...tokens)}`
+    );
+  }
 
   // Patrones de exclusión más comunes
   console.log("\n🔍 TOP PATRONES DE EXCLUSIÓN:");
@@ -1040,25 +2659,10 @@ function displayDryRunResults(analysis) {
     .slice(0, 8);
 
   topPatterns.forEach(([pattern, data]) => {
-    /**@type {any} */
-    const patternNames = {
-      pureNumbers: "Números puros",
-      numbersWithUnits: "Números con unidades",
-      seasonYears: "Años de temporada",
-      spanishText: "Texto en español",
-      prefixPatterns: "Prefijos específicos",
-      dateAbbreviations: "Fechas abreviadas",
-      countryCodes: "Códigos de país",
-      mexicanCompanies: "Empresas mexicanas",
-      tifCodes: "Códigos TIF",
-      financialCodes: "Códigos financieros",
-      futuresCodes: "Códigos de futuros",
-    };
-
     console.log(
-      `   ${patternNames[pattern] || pattern}: ${data.count} (${
-        data.percentage
-      }%)`
+      `   ${data.label || pattern}: ${data.count} (${data.percentage}%)${
+        data.output !== "keep" ? ` → ${data.output}` : ""
+      }`
     );
     if (data.samples.length > 0) {
       console.log(
@@ -1084,9 +2688,30 @@ function displayDryRunResults(analysis) {
     console.log("   ℹ️  No hay claves que necesiten traducción");
   }
 
+  // Traducción por reglas
+  const rules = analysis.ruleTranslation;
+  if (rules && rules.enabled) {
+    console.log("\n📐 TRADUCCIÓN POR REGLAS:");
+    console.log(
+      `   📐 Entradas traducidas sin la API: ${rules.entries}${formatRuleCounts(
+        rules.byRule
+      )}`
+    );
+    rules.samples
+      .slice(0, 5)
+      .forEach((/**@type {[string, string]} */ [key, value]) =>
+        console.log(`     "${key}" → "${value}"`)
+      );
+  }
+
   // Estimación de costos
   console.log("\n💰 ESTIMACIÓN DE EFICIENCIA:");
   console.log(`   📞 Llamadas API estimadas: ${analysis.estimatedApiCalls}`);
+  if (rules && rules.enabled) {
+    console.log(
+      `   📐 Llamadas API ahorradas por la traducción por reglas: ~${rules.apiCallsSaved}`
+    );
+  }
   console.log(
     `   💾 Entradas omitidas: ${analysis.estimatedCostSavings.entriesSkipped}`
   );
@@ -1121,12 +2746,20 @@ function displayDryRunResults(analysis) {
  */
 async function processTranslation(inputFile, config = {}) {
   const startTime = Date.now();
-  const finalConfig = { ...DEFAULT_CONFIG, ...config };
+  // El tier y el modelo por defecto dependen del proveedor elegido
+  const finalConfig = {
+    ...DEFAULT_CONFIG,
+    ...getProviderDefaults(config.provider),
+    ...config,
+  };
 
   try {
     console.log("🎯 === INICIO DEL PROCESAMIENTO DE TRADUCCIÓN ===");
     console.log(`📁 Archivo de entrada: ${inputFile}`);
     console.log(`📁 Archivo de salida: ${finalConfig.outputFile}`);
+    console.log(
+      `🌍 Idiomas: ${finalConfig.sourceLang} → ${finalConfig.targetLang}`
+    );
     console.log(`⚙️  Configuración:`, finalConfig);
 
     // 0. Inicializar rate limiter si está habilitado
@@ -1135,15 +2768,19 @@ async function processTranslation(inputFile, config = {}) {
       await initializeRateLimiter(
         finalConfig.tier,
         finalConfig.model,
-        finalConfig.rateLimitsFile
+        finalConfig.rateLimitsFile,
+        finalConfig.usageFile
       );
     } else {
       console.log(`⚠️  Control de límites de velocidad deshabilitado`);
     }
 
-    // 1. Leer archivo de entrada
+    // 1. Leer archivo de entrada, con el estado propio del idioma destino
     /**@type {any} */
-    const inputData = await readJsonFile(inputFile);
+    const inputData = await prepareLocaleInput(
+      await readJsonFile(inputFile),
+      finalConfig
+    );
 
     // 2. Mostrar información del archivo
     /**@type {any} */
@@ -1152,6 +2789,17 @@ async function processTranslation(inputFile, config = {}) {
       `📊 Información del archivo: ${fileInfo.entriesCount} entradas, ${fileInfo.sizeFormatted}`
     );
 
+    // Reglas de exclusión de esta ejecución (registro y activaciones por CLI)
+    const exclusionRules = loadExclusionRulesForConfig(finalConfig);
+    const disabledRules = exclusionRules.filter((rule) => !rule.enabled);
+    if (disabledRules.length > 0) {
+      console.log(
+        `🚫 Reglas de exclusión desactivadas: ${disabledRules
+          .map((rule) => rule.id)
+          .join(", ")}`
+      );
+    }
+
     // 3. Filtrar entradas que necesitan traducción
     const {
       toTranslate,
@@ -1162,29 +2810,224 @@ async function processTranslation(inputFile, config = {}) {
     } = filterEntriesForTranslation(
       inputData,
       finalConfig.skipTranslated,
-      finalConfig.enableKeyFiltering
+      finalConfig.enableKeyFiltering,
+      finalConfig.targetLang,
+      exclusionRules
     );
 
+    // 3.1 Recuperar los lotes completados en una ejecución anterior
+    /**@type {any} */
+    const resumedTranslations = {};
+    const checkpointFile = finalConfig.checkpoint
+      ? finalConfig.checkpointFile ||
+        getCheckpointPath(finalConfig.outputFile)
+      : null;
+
+    if (checkpointFile) {
+      const recovered = await prepareCheckpoint(
+        checkpointFile,
+        {
+          inputFile,
+          outputFile: finalConfig.outputFile,
+          provider: finalConfig.provider || DEFAULT_PROVIDER,
+          model: finalConfig.model,
+          targetLang: finalConfig.targetLang,
+        },
+        finalConfig.resume
+      );
+
+      Object.keys(toTranslate).forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(recovered, key)) {
+          resumedTranslations[key] = recovered[key];
+          delete toTranslate[key];
+        }
+      });
+
+      if (Object.keys(resumedTranslations).length > 0) {
+        console.log(
+          `♻️  ${
+            Object.keys(resumedTranslations).length
+          } entradas recuperadas del checkpoint no se volverán a enviar`
+        );
+      }
+    }
+
+    // 3.2 Rellenar con coincidencias exactas de la memoria de traducción,
+    // antes que las reglas para no reemplazar traducciones ya aprobadas
+    /**@type {any} */
+    let memoryTranslations = {};
+    /** @type {Map<string, any> | null} */
+    let memory = null;
+    if (finalConfig.memory) {
+      memory = await loadTranslationMemory(finalConfig.memoryFile);
+      memoryTranslations = lookupTranslations(
+        memory,
+        toTranslate,
+        finalConfig.provider,
+        finalConfig.targetLang
+      ).found;
+      Object.keys(memoryTranslations).forEach((key) => {
+        delete toTranslate[key];
+      });
+
+      console.log(
+        `🧠 ${
+          Object.keys(memoryTranslations).length
+        } entradas encontradas en la memoria de traducción, ${
+          Object.keys(toTranslate).length
+        } ${
+          finalConfig.ruleTranslation
+            ? "pasan a la traducción por reglas"
+            : "se enviarán a la API"
+        }`
+      );
+    }
+
+    // 3.3 Traducir localmente las claves con formato fijo (meses,
+    // periodicidad, clases de peso) que no están en la memoria; son
+    // deterministas, así que no pasan por la API ni el control de calidad
+    /**@type {any} */
+    let ruleTranslations = {};
+    if (finalConfig.ruleTranslation) {
+      const { found, byRule } = applyRuleTranslations(
+        toTranslate,
+        finalConfig.targetLang,
+        loadRuleTranslations(finalConfig.ruleTranslationsFile)
+      );
+      ruleTranslations = found;
+      Object.keys(ruleTranslations).forEach((key) => {
+        delete toTranslate[key];
+      });
+
+      console.log(
+        `📐 ${
+          Object.keys(ruleTranslations).length
+        } entradas traducidas con reglas${formatRuleCounts(byRule)}, ${
+          Object.keys(toTranslate).length
+        } se enviarán a la API`
+      );
+    }
+
     // 4. Crear lotes solo con las entradas que necesitan traducción
-    const batches = createBatches(toTranslate, finalConfig.batchSize);
+    const batches = await createBatchesForConfig(toTranslate, finalConfig);
 
-    // 5. Procesar lotes concurrentemente (solo si hay lotes)
+    // 5. Procesar lotes concurrentemente (solo si hay lotes), registrando
+    // cada lote completado en el checkpoint en cuanto termina
     const processingResults = await processBatchesConcurrently(
       batches,
-      finalConfig
+      finalConfig,
+      {
+        onBatchSuccess: checkpointFile
+          ? (result) => appendCheckpointBatch(checkpointFile, result)
+          : undefined,
+      }
     );
+    processingResults.resumed = resumedTranslations;
+    processingResults.fromMemory = memoryTranslations;
+    processingResults.fromRules = ruleTranslations;
 
     // 6. Ensamblar resultados exitosos
-    const newTranslations = assembleResults(processingResults.successful);
+    const newTranslations = {
+      ...resumedTranslations,
+      ...assembleResults(processingResults.successful),
+    };
 
-    // 7. Combinar nuevas traducciones con las ya existentes y excluidas manteniendo orden original
+    // 7. Combinar nuevas traducciones con las ya existentes y excluidas
+    // (con el valor de salida de su regla) manteniendo orden original
+    const { values: excludedValues, stats: exclusionOutputStats } =
+      applyExclusionOutputs(
+        excludedByKey,
+        finalConfig.targetLang,
+        exclusionRules
+      );
+    if (exclusionOutputStats.copied + exclusionOutputStats.transformed > 0) {
+      console.log(
+        `🚫 Excluidas completadas por su regla: ${exclusionOutputStats.copied} copiadas, ${exclusionOutputStats.transformed} transformadas`
+      );
+    }
     const { result: finalResult, stats: combineStats } = combineResults(
       newTranslations,
       alreadyTranslated,
-      excludedByKey,
-      originalKeys
+      excludedValues,
+      originalKeys,
+      memoryTranslations,
+      ruleTranslations
     );
 
+    // 7.1 Control de calidad de las traducciones obtenidas en esta
+    // ejecución; las entradas corregidas al reenviarlas reemplazan a las
+    // originales
+    /** @type {any} */
+    let qa = null;
+    if (finalConfig.qualityCheck) {
+      qa = await runQualityCheck(
+        { ...memoryTranslations, ...newTranslations },
+        inputData,
+        finalConfig,
+        !processingResults.stoppedEarly
+      );
+      Object.assign(newTranslations, qa.corrected);
+      Object.keys(qa.corrected).forEach((key) => {
+        finalResult[key] = qa.corrected[key];
+      });
+
+      const qaReportFile =
+        finalConfig.qaReportFile || getQaReportPath(finalConfig.outputFile);
+      await writeJsonFile(qaReportFile, {
+        generatedAt: new Date().toISOString(),
+        outputFile: finalConfig.outputFile,
+        targetLang: finalConfig.targetLang,
+        settings: {
+          allowlistFile: finalConfig.qaAllowlistFile,
+          minLengthRatio: finalConfig.qaMinLengthRatio,
+          maxLengthRatio: finalConfig.qaMaxLengthRatio,
+          requeue: finalConfig.qaRequeue,
+        },
+        summary: { ...qa.stats, requeue: qa.requeue },
+        findings: qa.findings,
+      });
+      processingResults.qa = {
+        reportFile: qaReportFile,
+        stats: qa.stats,
+        requeue: qa.requeue,
+        findings: qa.findings,
+      };
+    }
+
+    // 7.2 Registrar en la memoria las traducciones obtenidas de la API,
+    // excepto las que no respetan el glosario o tienen errores de calidad
+    if (memory) {
+      /**@type {any} */
+      const translationsToRemember = { ...newTranslations };
+      processingResults.successful.forEach((/**@type {any} */ result) => {
+        (result.glossaryViolations || []).forEach((/**@type {any} */ v) => {
+          delete translationsToRemember[v.key];
+        });
+      });
+      if (qa) {
+        getErrorKeys(qa.findings).forEach((key) => {
+          delete translationsToRemember[key];
+        });
+        // Las corregidas por el reenvío de calidad también deben respetar
+        // el glosario
+        qa.glossaryViolations.forEach((/**@type {any} */ v) => {
+          delete translationsToRemember[v.key];
+        });
+      }
+
+      await recordTranslations(
+        finalConfig.memoryFile,
+        memory,
+        translationsToRemember,
+        {
+          model: finalConfig.model,
+          provider: finalConfig.provider,
+          promptVersion: await getPromptVersion(finalConfig.promptFile),
+          targetLang: finalConfig.targetLang,
+        }
+      );
+    }
+
     // 8. Manejar guardado según si se detuvo por error fatal o no
     if (processingResults.stoppedEarly) {
       // Guardar traducciones parciales con sufijo especial
@@ -1193,9 +3036,15 @@ async function processTranslation(inputFile, config = {}) {
         "_partial$1"
       );
 
-      console.log(
-        `⚠️  Procesamiento detenido por error fatal: ${processingResults.fatalError}`
-      );
+      if (processingResults.dailyLimitReached) {
+        console.log(
+          `📅 Procesamiento detenido: límite diario de peticiones alcanzado`
+        );
+      } else {
+        console.log(
+          `⚠️  Procesamiento detenido por error fatal: ${processingResults.fatalError}`
+        );
+      }
       console.log(
         `💾 Guardando traducciones parciales en: ${partialOutputFile}`
       );
@@ -1219,19 +3068,50 @@ async function processTranslation(inputFile, config = {}) {
       }
     }
 
+    // 8.1 El checkpoint solo se conserva si quedaron lotes o claves pendientes
+    if (checkpointFile) {
+      if (
+        !processingResults.stoppedEarly &&
+        processingResults.failed.length === 0 &&
+        !processingResults.successful.some(
+          (/**@type {any} */ result) => result.partial
+        )
+      ) {
+        await removeCheckpoint(checkpointFile);
+      } else {
+        console.log(
+          `📒 Checkpoint conservado en ${checkpointFile}. Reanuda con: node index.js --resume`
+        );
+      }
+    }
+
     // 9. Generar reporte
     const report = generateReport(
       processingResults,
       batches.length,
       filterStats,
       combineStats,
-      startTime
+      startTime,
+      finalConfig
     );
 
     // 10. Mostrar resumen
     console.log("\n📋 === RESUMEN DEL PROCESAMIENTO ===");
 
-    if (processingResults.stoppedEarly) {
+    if (processingResults.dailyLimitReached) {
+      console.log(
+        `📅 PROCESAMIENTO DETENIDO: LÍMITE DIARIO DE PETICIONES ALCANZADO`
+      );
+      console.log(
+        `⏰ La cuota diaria se restablece: ${new Date(
+          processingResults.dailyLimitResetAt
+        ).toLocaleString()}`
+      );
+      console.log(
+        `💾 Traducciones parciales guardadas en archivo con sufijo '_partial'`
+      );
+      console.log(`📊 Progreso alcanzado antes de la parada:`);
+    } else if (processingResults.stoppedEarly) {
       console.log(
         `🛑 PROCESAMIENTO DETENIDO POR ERROR FATAL: ${processingResults.fatalError}`
       );
@@ -1253,6 +3133,96 @@ async function processTranslation(inputFile, config = {}) {
     console.log(
       `✅ Nuevas traducciones exitosas: ${report.summary.successfulNewTranslations}`
     );
+    console.log(
+      `📐 Con reglas: ${report.summary.entriesFromRules} | 🧠 Desde memoria de traducción: ${report.summary.entriesFromMemory} | 🌐 Desde la API: ${report.summary.entriesFromApi}`
+    );
+    if (report.summary.glossaryViolations > 0) {
+      console.log(
+        `📖 Violaciones del glosario sin corregir: ${report.summary.glossaryViolations}`
+      );
+      report.glossary.violations
+        .slice(0, 10)
+        .forEach((/**@type {any} */ v) =>
+          console.log(
+            `   - "${v.key}": "${v.source}" debe traducirse como "${v.expected.join(
+              '" / "'
+            )}" → "${v.translation}"`
+          )
+        );
+      if (report.glossary.violations.length > 10) {
+        console.log(
+          `   ... y ${report.glossary.violations.length - 10} más (ver report.glossary)`
+        );
+      }
+    }
+    if (report.qa) {
+      const byType = Object.entries(report.qa.stats.byType)
+        .filter(([, count]) => /** @type {number} */ (count) > 0)
+        .map(([type, count]) => `${type}: ${count}`);
+      console.log(
+        `🔍 Control de calidad: ${report.qa.stats.flaggedEntries} entradas con hallazgos${
+          byType.length > 0 ? ` (${byType.join(", ")})` : ""
+        }`
+      );
+      report.qa.findings
+        .slice(0, 10)
+        .forEach((/**@type {any} */ finding) =>
+          console.log(
+            `   - [${finding.type}] "${finding.key}" → "${finding.translation}": ${finding.message}`
+          )
+        );
+      if (report.qa.findings.length > 10) {
+        console.log(
+          `   ... y ${report.qa.findings.length - 10} más (ver ${report.qa.reportFile})`
+        );
+      }
+    }
+    Object.entries(report.parsing.byMode).forEach(
+      ([mode, /**@type {any} */ stats]) => {
+        if (stats.responses > 0) {
+          console.log(
+            `🧾 Respuestas en modo ${mode}: ${stats.responses}, fallos de parseo: ${stats.parseFailures} (${stats.parseFailureRate})`
+          );
+        }
+      }
+    );
+    if (report.summary.entriesResumedFromCheckpoint > 0) {
+      console.log(
+        `♻️  Recuperadas del checkpoint: ${report.summary.entriesResumedFromCheckpoint}`
+      );
+    }
+    if (
+      report.summary.entriesMissing > 0 ||
+      report.summary.entriesRequeued > 0
+    ) {
+      console.log(
+        `🧩 Respuestas parciales: ${report.summary.entriesRequeued} claves recuperadas en mini-lotes, ${report.summary.entriesMissing} sin traducir (${report.summary.partialBatches} lotes incompletos)`
+      );
+      const missingKeys = Object.entries(report.keys.entries)
+        .filter(([, /**@type {any} */ entry]) => entry.outcome === "missing")
+        .map(([key]) => key);
+      missingKeys.slice(0, 10).forEach((key) => console.log(`   - "${key}"`));
+      if (missingKeys.length > 10) {
+        console.log(
+          `   ... y ${missingKeys.length - 10} más (ver report.keys)`
+        );
+      }
+    }
+    if (report.summary.poisonKeys > 0) {
+      console.log(
+        `☠️  Poison keys (fallan incluso solas): ${report.summary.poisonKeys}`
+      );
+      report.poisonKeys
+        .slice(0, 10)
+        .forEach((/**@type {any} */ poison) =>
+          console.log(`   - "${poison.key}": ${poison.error}`)
+        );
+      if (report.poisonKeys.length > 10) {
+        console.log(
+          `   ... y ${report.poisonKeys.length - 10} más (ver report.poisonKeys)`
+        );
+      }
+    }
     console.log(
       `❌ Traducciones fallidas: ${report.summary.failedTranslations}`
     );
@@ -1266,6 +3236,9 @@ async function processTranslation(inputFile, config = {}) {
       `📈 Completitud total: ${report.summary.overallCompletionRate}`
     );
     console.log(`⏱️  Duración total: ${report.summary.durationFormatted}`);
+    console.log(
+      `🤖 Modelo: ${report.model.model} [${report.provider}] (temp=${report.model.temperature}, topK=${report.model.topK}, topP=${report.model.topP}, maxOutputTokens=${report.model.maxOutputTokens})`
+    );
 
     if (report.summary.failedBatches > 0) {
       console.log("\n❌ LOTES FALLIDOS:");
@@ -1291,20 +3264,34 @@ module.exports = {
   processTranslation,
   dryRunAnalysis,
   filterEntriesForTranslation,
+  prepareLocaleInput,
   needsTranslation,
   shouldExcludeKey,
   createBatches,
+  createTokenBatches,
+  createGroupedBatches,
+  createBatchesForConfig,
+  getTokenBatchLimits,
   processBatchWithRetry,
   processBatchesConcurrently,
   assembleResults,
+  applyExclusionOutputs,
   combineResults,
   generateReport,
+  buildKeyOutcomes,
+  runQualityCheck,
+  getModelOptions,
+  getOutputMode,
   // Rate limiting functions
   initializeRateLimiter,
   loadRateLimits,
   canMakeRequest,
   recordRequest,
+  updateRequestTokens,
   waitForRateLimit,
   getRateLimiterStatus,
+  isDailyLimitReached,
+  getDailyResetTime,
+  estimateBatchTokens,
   DEFAULT_CONFIG,
 };
@@ -0,0 +1,246 @@
+// @ts-check
+
+const fs = require("fs").promises;
+const path = require("path");
+const { fileExists, createBackup } = require("./fileHandler");
+
+/**
+ * Versión del formato del journal de checkpoints
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Cadena de escrituras al journal: los lotes concurrentes se agregan de uno en uno
+ */
+let appendQueue = Promise.resolve();
+
+/**
+ * Obtiene la ruta del journal de checkpoints asociado a un archivo de salida
+ * @param {string} outputFile - Archivo JSON de salida
+ * @returns {string} - Ruta del journal (ej: output.checkpoint.jsonl)
+ */
+function getCheckpointPath(outputFile) {
+  const parsed = path.parse(outputFile);
+  return path.join(parsed.dir, `${parsed.name}.checkpoint.jsonl`);
+}
+
+/**
+ * Lee un journal de checkpoints. Las líneas incompletas (por ejemplo, si el
+ * proceso murió a mitad de una escritura) se ignoran.
+ * @param {string} checkpointFile - Ruta del journal
+ * @returns {Promise<any>} - Cabecera, traducciones recuperadas y estadísticas
+ */
+async function loadCheckpoint(checkpointFile) {
+  const content = await fs.readFile(checkpointFile, "utf-8");
+  const lines = content.split("\n").filter((line) => line.trim() !== "");
+
+  let header = null;
+  /** @type {any} */
+  const translations = {};
+  /** @type {any[]} */
+  const entries = [];
+  let corruptLines = 0;
+
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      corruptLines++;
+      continue;
+    }
+
+    if (entry.type === "header") {
+      header = entry;
+    } else if (entry.type === "batch" && entry.data) {
+      Object.assign(translations, entry.data);
+      entries.push(entry);
+    }
+  }
+
+  return {
+    header,
+    translations,
+    entries,
+    completedBatches: entries.length,
+    corruptLines,
+  };
+}
+
+/**
+ * Reescribe el journal solo con sus líneas válidas para poder seguir
+ * agregando registros después de una interrupción
+ * @param {string} checkpointFile - Ruta del journal
+ * @param {any} checkpoint - Checkpoint cargado con loadCheckpoint
+ * @returns {Promise<void>}
+ */
+async function compactCheckpoint(checkpointFile, checkpoint) {
+  const lines = [];
+  if (checkpoint.header) {
+    lines.push(JSON.stringify(checkpoint.header));
+  }
+  checkpoint.entries.forEach((/** @type {any} */ entry) => {
+    lines.push(JSON.stringify(entry));
+  });
+
+  await fs.writeFile(checkpointFile, lines.join("\n") + "\n", "utf-8");
+}
+
+/**
+ * Campos de la cabecera que deben coincidir con la ejecución para reanudar
+ */
+const CHECKPOINT_MATCH_FIELDS = {
+  inputFile: "archivo de entrada",
+  targetLang: "idioma destino",
+  provider: "proveedor",
+  model: "modelo",
+};
+
+/**
+ * Compara la cabecera de un checkpoint con los metadatos de la ejecución.
+ * Los archivos de entrada se comparan por ruta absoluta; un campo que la
+ * cabecera no tiene (journals anteriores a ese campo) no se compara.
+ * @param {any} header - Cabecera del journal (null si no tiene)
+ * @param {any} meta - Metadatos de la ejecución
+ * @returns {string[]} - Descripción de cada diferencia
+ */
+function findCheckpointMismatches(header, meta) {
+  if (!header) {
+    return ["el journal no tiene cabecera"];
+  }
+
+  return Object.entries(CHECKPOINT_MATCH_FIELDS)
+    .filter(([field]) => {
+      if (header[field] === undefined || header[field] === null) {
+        return false;
+      }
+      return field === "inputFile"
+        ? path.resolve(header[field]) !== path.resolve(meta[field])
+        : header[field] !== meta[field];
+    })
+    .map(
+      ([field, label]) => `${label}: ${header[field]} (ahora ${meta[field]})`
+    );
+}
+
+/**
+ * Prepara el journal de checkpoints para una ejecución. Si el journal se
+ * creó para otro archivo de entrada, idioma destino, proveedor o modelo, no se
+ * reanuda: se respalda y se inicia uno nuevo.
+ * @param {string} checkpointFile - Ruta del journal
+ * @param {any} meta - Metadatos de la ejecución (inputFile, outputFile, provider,
+ * model, targetLang)
+ * @param {boolean} resume - Si debe reanudar desde un journal existente
+ * @returns {Promise<any>} - Traducciones recuperadas ({} si se inicia de cero)
+ */
+async function prepareCheckpoint(checkpointFile, meta, resume) {
+  const exists = await fileExists(checkpointFile);
+
+  if (resume && exists) {
+    const checkpoint = await loadCheckpoint(checkpointFile);
+    const mismatches = findCheckpointMismatches(checkpoint.header, meta);
+
+    if (mismatches.length > 0) {
+      console.warn(
+        `⚠️  El checkpoint no corresponde a esta ejecución (${mismatches.join(
+          "; "
+        )}); no se reanudará y se iniciará desde cero`
+      );
+      await createBackup(checkpointFile);
+      return startCheckpoint(checkpointFile, meta);
+    }
+    if (checkpoint.corruptLines > 0) {
+      console.warn(
+        `⚠️  Se ignoraron ${checkpoint.corruptLines} líneas incompletas del checkpoint (interrupción a mitad de escritura)`
+      );
+    }
+
+    await compactCheckpoint(checkpointFile, checkpoint);
+
+    console.log(
+      `♻️  Reanudando desde checkpoint: ${checkpoint.completedBatches} lotes, ${
+        Object.keys(checkpoint.translations).length
+      } traducciones recuperadas`
+    );
+    return checkpoint.translations;
+  }
+
+  if (resume) {
+    console.warn(
+      `⚠️  No se encontró checkpoint en ${checkpointFile}; se iniciará desde cero`
+    );
+  } else if (exists) {
+    console.warn(
+      `⚠️  Ya existe un checkpoint de una ejecución anterior (usa --resume para reanudarla)`
+    );
+    await createBackup(checkpointFile);
+  }
+
+  return startCheckpoint(checkpointFile, meta);
+}
+
+/**
+ * Escribe la cabecera de un journal nuevo, reemplazando el existente
+ * @param {string} checkpointFile - Ruta del journal
+ * @param {any} meta - Metadatos de la ejecución
+ * @returns {Promise<any>} - Traducciones recuperadas (siempre {})
+ */
+async function startCheckpoint(checkpointFile, meta) {
+  const header = {
+    type: "header",
+    version: CHECKPOINT_VERSION,
+    createdAt: new Date().toISOString(),
+    ...meta,
+  };
+  await fs.mkdir(path.dirname(checkpointFile), { recursive: true });
+  await fs.writeFile(checkpointFile, JSON.stringify(header) + "\n", "utf-8");
+  console.log(`📒 Checkpoint iniciado: ${checkpointFile}`);
+
+  return {};
+}
+
+/**
+ * Agrega al journal un lote completado exitosamente
+ * @param {string} checkpointFile - Ruta del journal
+ * @param {any} result - Resultado exitoso de processBatchWithRetry
+ * @returns {Promise<void>}
+ */
+async function appendCheckpointBatch(checkpointFile, result) {
+  const entry = {
+    type: "batch",
+    batchId: result.batchId,
+    model: result.model,
+    completedAt: new Date().toISOString(),
+    data: result.data,
+  };
+
+  const line = JSON.stringify(entry) + "\n";
+  const write = appendQueue.then(() =>
+    fs.appendFile(checkpointFile, line, "utf-8")
+  );
+  // Un fallo no debe bloquear las escrituras siguientes
+  appendQueue = write.catch(() => {});
+
+  await write;
+}
+
+/**
+ * Elimina el journal cuando la ejecución terminó sin pendientes
+ * @param {string} checkpointFile - Ruta del journal
+ * @returns {Promise<void>}
+ */
+async function removeCheckpoint(checkpointFile) {
+  if (await fileExists(checkpointFile)) {
+    await fs.unlink(checkpointFile);
+    console.log(`🧹 Checkpoint eliminado: ${checkpointFile}`);
+  }
+}
+
+module.exports = {
+  getCheckpointPath,
+  loadCheckpoint,
+  prepareCheckpoint,
+  appendCheckpointBatch,
+  removeCheckpoint,
+  CHECKPOINT_VERSION,
+};
@@ -0,0 +1,1123 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Analizador de consistencia entre lotes: detecta sub-frases de las claves
+ * (n-gramas recurrentes) que se tradujeron de forma distinta en distintas
+ * entradas, por ejemplo "Slaughter" → "Sacrificio" / "Matanza" / "Faena".
+ * Opcionalmente corrige las traducciones minoritarias para que usen la
+ * traducción mayoritaria.
+ */
+
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  readJsonFile,
+  writeJsonFile,
+  fileExists,
+  createBackup,
+} = require("./fileHandler");
+const {
+  DEFAULT_CONFIG,
+  initializeRateLimiter,
+  processBatchesConcurrently,
+  createBatches,
+} = require("./batchProcessor");
+const { getProviderDefaults } = require("./translationProvider");
+const { getLocaleConfig } = require("./locales");
+
+/**
+ * Configuración por defecto
+ */
+const CONSISTENCY_CONFIG = {
+  inputFile: "us-mx-translated.json", // Archivo traducido a analizar
+  reportFile: null, // null = <entrada>.consistency.json
+  maxNgram: 3, // Longitud máxima (en palabras) de los n-gramas de origen
+  minOccurrences: 3, // Entradas mínimas en las que debe aparecer un n-grama
+  minDice: 0.3, // Coeficiente de Dice mínimo para alinear un n-grama con su traducción
+  fix: false, // Corregir las traducciones minoritarias
+  outputFile: null, // null = sobrescribir el archivo de entrada al corregir
+  createBackup: true, // Crear backup antes de sobrescribir
+  targetLang: "es", // Idioma de las traducciones (define prompt y glosario al retraducir)
+};
+
+/**
+ * Palabras que no forman un término por sí solas (ni al inicio o final de un n-grama)
+ */
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "as",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "of",
+  "on",
+  "or",
+  "per",
+  "the",
+  "to",
+  "with",
+]);
+
+/**
+ * Artículos, preposiciones y conjunciones de los idiomas destino (es, pt-BR,
+ * fr-CA); una traducción no puede empezar ni terminar en ellas, así "de
+ * Ganado" y "Ganado" cuentan como la misma traducción de "Cattle"
+ */
+const TARGET_STOPWORDS = new Set([
+  "a",
+  "al",
+  "à",
+  "au",
+  "aux",
+  "com",
+  "con",
+  "d",
+  "da",
+  "das",
+  "de",
+  "del",
+  "des",
+  "do",
+  "dos",
+  "du",
+  "e",
+  "el",
+  "em",
+  "en",
+  "et",
+  "l",
+  "la",
+  "las",
+  "le",
+  "les",
+  "lo",
+  "los",
+  "na",
+  "no",
+  "o",
+  "os",
+  "ou",
+  "para",
+  "por",
+  "pour",
+  "sur",
+  "un",
+  "una",
+  "une",
+  "y",
+]);
+
+/**
+ * Palabras con letras o números, incluidas las compuestas con guion ("Bone-In")
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:[-'’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Separadores de segmentos: un n-grama no cruza comas, paréntesis ni barras
+ */
+const SEGMENT_SEPARATORS = /[,;:()[\]\/]/;
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Configuración parseada desde argumentos
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /** @type {any} */
+  const config = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const nextArg = args[i + 1];
+
+    switch (arg) {
+      case "--input":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.inputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--report":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.reportFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--max-ngram":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.maxNgram = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--min-occurrences":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.minOccurrences = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--min-dice":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.minDice = parseFloat(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--fix":
+        config.fix = true;
+        break;
+      case "--output":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.outputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-backup":
+        config.createBackup = false;
+        break;
+      case "--target-lang":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.targetLang = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--provider":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.provider = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--model":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.model = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--tier":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.tier = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--help":
+        showHelp();
+        process.exit(0);
+        break;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Muestra ayuda del comando
+ */
+function showHelp() {
+  console.log("🔎 ANALIZADOR DE CONSISTENCIA ENTRE LOTES");
+  console.log(
+    "📝 Detecta sub-frases traducidas de forma distinta en distintas entradas\n"
+  );
+
+  console.log("USO:");
+  console.log("  node consistencyChecker.js [opciones]\n");
+
+  console.log("OPCIONES:");
+  console.log("  --input <archivo>      Archivo traducido a analizar");
+  console.log("                         Por defecto: us-mx-translated.json");
+  console.log("");
+  console.log("  --report <archivo>     Archivo JSON del reporte");
+  console.log("                         Por defecto: <entrada>.consistency.json");
+  console.log("");
+  console.log("  --max-ngram <número>   Palabras máximas por término de origen");
+  console.log("                         Por defecto: 3");
+  console.log("");
+  console.log("  --min-occurrences <número>");
+  console.log("                         Entradas mínimas en las que aparece un término");
+  console.log("                         Por defecto: 3");
+  console.log("");
+  console.log("  --min-dice <0-1>       Dice mínimo para alinear un término con su traducción");
+  console.log("                         Por defecto: 0.3");
+  console.log("");
+  console.log("  --fix                  Corregir las traducciones minoritarias:");
+  console.log("                         las que solo difieren en mayúsculas se reemplazan;");
+  console.log("                         las demás se retraducen con la traducción mayoritaria");
+  console.log("                         como término obligatorio del glosario");
+  console.log("");
+  console.log("  --output <archivo>     Archivo de salida con --fix");
+  console.log("                         Por defecto: sobrescribe el archivo de entrada");
+  console.log("");
+  console.log("  --no-backup            No crear backup del archivo original con --fix");
+  console.log("");
+  console.log("  --target-lang <código> Idioma de las traducciones (es, pt-BR, fr-CA)");
+  console.log("  --provider <nombre>    Proveedor para retraducir (gemini, openai, mock)");
+  console.log("  --model <modelo>       Modelo para retraducir");
+  console.log("  --tier <tier>          Tier de la API para retraducir");
+  console.log("");
+  console.log("  --help                 Mostrar esta ayuda");
+  console.log("");
+
+  console.log("EJEMPLOS:");
+  console.log("  # Analizar la salida en español");
+  console.log("  node consistencyChecker.js");
+  console.log("");
+  console.log("  # Analizar la salida en portugués y corregirla");
+  console.log(
+    "  node consistencyChecker.js --input us-mx-translated.pt-BR.json --target-lang pt-BR --fix"
+  );
+  console.log("");
+}
+
+/**
+ * Divide un texto en palabras con su posición
+ * @param {string} text - Texto a dividir
+ * @returns {{word: string, start: number, end: number}[]} - Palabras en minúsculas
+ */
+function tokenizeText(text) {
+  return [...text.matchAll(WORD_PATTERN)].map((match) => ({
+    word: match[0].toLowerCase(),
+    start: /** @type {number} */ (match.index),
+    end: /** @type {number} */ (match.index) + match[0].length,
+  }));
+}
+
+/**
+ * Indica si una palabra no puede abrir ni cerrar un término: palabras vacías
+ * y letras sueltas (la "S" de "U.S.")
+ * @param {string} word - Palabra en minúsculas
+ * @returns {boolean}
+ */
+function isBoundaryStopword(word) {
+  return word.length < 2 || STOPWORDS.has(word);
+}
+
+/**
+ * Reduce un n-grama de la traducción a una forma sin género ni número
+ * ("entero", "entera", "enteros" → "enter"), para que la concordancia no
+ * cuente como otra traducción. Las palabras de menos de 4 letras no cambian.
+ * @param {string} norm - N-grama en minúsculas
+ * @returns {string}
+ */
+function foldInflection(norm) {
+  return norm
+    .split(" ")
+    .map((word) =>
+      word.length < 4 ? word : word.replace(/s$/, "").replace(/[oae]$/, "")
+    )
+    .join(" ");
+}
+
+/**
+ * Obtiene los n-gramas de una clave de origen que pueden ser términos: no
+ * cruzan separadores, no empiezan ni terminan en palabra vacía y contienen
+ * al menos una letra
+ * @param {string} key - Clave de origen
+ * @param {number} maxNgram - Palabras máximas por n-grama
+ * @returns {Map<string, string>} - N-grama normalizado → forma original
+ */
+function extractSourceNgrams(key, maxNgram) {
+  /** @type {Map<string, string>} */
+  const ngrams = new Map();
+
+  key.split(SEGMENT_SEPARATORS).forEach((segment) => {
+    const words = tokenizeText(segment);
+    for (let i = 0; i < words.length; i++) {
+      for (let n = 1; n <= maxNgram && i + n <= words.length; n++) {
+        const slice = words.slice(i, i + n);
+        if (
+          isBoundaryStopword(slice[0].word) ||
+          isBoundaryStopword(slice[n - 1].word) ||
+          !slice.some((token) => /\p{L}/u.test(token.word))
+        ) {
+          continue;
+        }
+        const normalized = slice.map((token) => token.word).join(" ");
+        if (!ngrams.has(normalized)) {
+          ngrams.set(
+            normalized,
+            segment.slice(slice[0].start, slice[n - 1].end)
+          );
+        }
+      }
+    }
+  });
+
+  return ngrams;
+}
+
+/**
+ * Obtiene los n-gramas de una traducción con su forma exacta y su posición,
+ * sin los que empiezan o terminan en artículo o preposición
+ * @param {string} translation - Texto traducido
+ * @param {number} maxNgram - Palabras máximas por n-grama
+ * @returns {Map<string, {text: string, start: number}>} - N-grama
+ * normalizado → forma y posición de su primera aparición en la traducción
+ */
+function extractTargetNgrams(translation, maxNgram) {
+  /** @type {Map<string, {text: string, start: number}>} */
+  const ngrams = new Map();
+  const words = tokenizeText(translation);
+
+  for (let i = 0; i < words.length; i++) {
+    for (let n = 1; n <= maxNgram && i + n <= words.length; n++) {
+      const slice = words.slice(i, i + n);
+      if (
+        TARGET_STOPWORDS.has(slice[0].word) ||
+        TARGET_STOPWORDS.has(slice[n - 1].word)
+      ) {
+        continue;
+      }
+      const normalized = slice.map((token) => token.word).join(" ");
+      if (!ngrams.has(normalized)) {
+        ngrams.set(normalized, {
+          text: translation.slice(slice[0].start, slice[n - 1].end),
+          start: slice[0].start,
+        });
+      }
+    }
+  }
+
+  return ngrams;
+}
+
+/**
+ * Clasifica las mayúsculas de unas palabras: "lower" si todas empiezan en
+ * minúscula, "title" si todas empiezan en mayúscula, "upper" si todas son
+ * siglas en mayúsculas, "mixed" si se mezclan y "any" si no hay ninguna
+ * palabra que decida
+ * @param {string[]} words - Palabras
+ * @returns {string}
+ */
+function casingStyle(words) {
+  const styles = new Set(
+    words
+      .filter((word) => /\p{L}/u.test(word))
+      .map((word) => {
+        if (word.length > 1 && word === word.toUpperCase()) {
+          return "upper";
+        }
+        return word[0] === word[0].toLowerCase() ? "lower" : "title";
+      })
+  );
+  if (styles.size === 0) {
+    return "any";
+  }
+  return styles.size === 1 ? [...styles][0] : "mixed";
+}
+
+/**
+ * Indica si una posición abre el texto o uno de sus segmentos (después de
+ * una coma, un paréntesis, una barra o un guion)
+ * @param {string} text - Texto
+ * @param {number} index - Posición
+ * @returns {boolean}
+ */
+function startsSegment(text, index) {
+  const before = text.slice(0, index);
+  return before.trim() === "" || /[,;:()[\]\/-]\s*$/.test(before);
+}
+
+/**
+ * Busca la forma de un término que lleva las mayúsculas de la clave de
+ * origen. El estilo del término de origen ("month" → "lower", "Month" →
+ * "title") decide cuál de las formas observadas de la traducción
+ * corresponde. No cuentan las palabras vacías ni la primera palabra de la
+ * clave o de un segmento, cuya mayúscula es la del inicio de la frase. En la
+ * traducción tampoco cuenta la primera palabra de la traducción o de un
+ * segmento ("Área 5", "(ponderado por área)"), cuya primera letra nunca se
+ * cambia.
+ * @param {string[]} forms - Formas observadas, de la más frecuente a la menos
+ * @param {{key: string, source: string, translation: string, text: string, start: number}} occurrence
+ * - Término de origen en la clave y forma y posición en la traducción
+ * @returns {string} - Forma esperada en la entrada (la actual si la clave no
+ * decide o ninguna forma observada la sigue)
+ */
+function matchSourceCasing(forms, occurrence) {
+  const { key, source, translation, text, start } = occurrence;
+
+  const sourceAtSegmentStart = startsSegment(key, key.indexOf(source));
+  const sourceWords = [...source.matchAll(WORD_PATTERN)]
+    .filter((m) => !STOPWORDS.has(m[0].toLowerCase()))
+    .filter((m) => !sourceAtSegmentStart || m.index !== 0)
+    .map((m) => m[0]);
+  const sourceStyle = casingStyle(sourceWords);
+  if (sourceStyle === "any" || sourceStyle === "mixed") {
+    return text;
+  }
+
+  // Inicio de la traducción o de un segmento: la primera letra se conserva
+  const atSegmentStart = startsSegment(translation, start);
+  /** @param {string} form */
+  const targetStyle = (form) =>
+    casingStyle(
+      [...form.matchAll(WORD_PATTERN)]
+        .filter((m) => !TARGET_STOPWORDS.has(m[0].toLowerCase()))
+        .filter((m) => !atSegmentStart || m.index !== 0)
+        .map((m) => m[0])
+    );
+
+  if (targetStyle(text) === sourceStyle || targetStyle(text) === "any") {
+    return text;
+  }
+  const match = forms.find(
+    (form) =>
+      form.toLowerCase() === text.toLowerCase() &&
+      targetStyle(form) === sourceStyle
+  );
+  if (!match) {
+    return text;
+  }
+  return atSegmentStart ? text[0] + match.slice(1) : match;
+}
+
+/**
+ * Descarta los n-gramas contenidos en uno más largo que aparece en
+ * exactamente las mismas entradas ("usda" dentro de "usda choice")
+ * @param {Map<string, number>} counts - Entradas por n-grama candidato
+ * @returns {Set<string>} - N-gramas que se conservan
+ */
+function removeSubsumedNgrams(counts) {
+  const kept = new Set(counts.keys());
+
+  counts.forEach((count, ngram) => {
+    const words = ngram.split(" ");
+    for (let n = 1; n < words.length; n++) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const sub = words.slice(i, i + n).join(" ");
+        if (counts.get(sub) === count) {
+          kept.delete(sub);
+        }
+      }
+    }
+  });
+
+  return kept;
+}
+
+/**
+ * Analiza la consistencia de las traducciones. Cada n-grama de origen
+ * recurrente se alinea, en cada entrada, con el n-grama de la traducción que
+ * tiene el mayor coeficiente de Dice en todo el archivo:
+ * Dice(s, t) = 2·entradas(s y t) / (entradas(s) + entradas(t)).
+ * Si la entrada contiene la traducción mayoritaria del término, se usa esa.
+ * Las formas que solo cambian en género o número (foldInflection) cuentan
+ * como una misma traducción, y los términos sin una traducción mayoritaria
+ * (empate) se omiten.
+ * @param {any} translations - Objeto clave de origen → traducción
+ * @param {object} [options] - Opciones del análisis
+ * @param {number} [options.maxNgram] - Palabras máximas por término de origen
+ * @param {number} [options.minOccurrences] - Entradas mínimas por término
+ * @param {number} [options.minDice] - Dice mínimo para aceptar una alineación
+ * @returns {{terms: any[], stats: any}} - Términos inconsistentes y estadísticas
+ */
+function analyzeConsistency(translations, options = {}) {
+  const maxNgram = options.maxNgram ?? CONSISTENCY_CONFIG.maxNgram;
+  const minOccurrences =
+    options.minOccurrences ?? CONSISTENCY_CONFIG.minOccurrences;
+  const minDice = options.minDice ?? CONSISTENCY_CONFIG.minDice;
+
+  // Solo las entradas con una traducción distinta de la clave
+  const entries = Object.entries(translations)
+    .filter(
+      ([key, value]) =>
+        typeof value === "string" && value.trim() !== "" && value !== key
+    )
+    .map(([key, value]) => ({
+      key,
+      translation: /** @type {string} */ (value),
+      source: extractSourceNgrams(key, maxNgram),
+      target: extractTargetNgrams(value, maxNgram + 1),
+    }));
+
+  // 1. N-gramas de origen recurrentes
+  /** @type {Map<string, number>} */
+  const sourceCounts = new Map();
+  entries.forEach((entry) =>
+    entry.source.forEach((_, ngram) =>
+      sourceCounts.set(ngram, (sourceCounts.get(ngram) || 0) + 1)
+    )
+  );
+  /** @type {Map<string, number>} */
+  const frequent = new Map(
+    [...sourceCounts].filter(([, count]) => count >= minOccurrences)
+  );
+  const candidates = removeSubsumedNgrams(frequent);
+
+  // 2. Frecuencias de los n-gramas de la traducción y de cada par
+  /** @type {Map<string, number>} */
+  const targetCounts = new Map();
+  /** @type {Map<string, Map<string, number>>} */
+  const pairCounts = new Map();
+  entries.forEach((entry) => {
+    entry.target.forEach((_, t) =>
+      targetCounts.set(t, (targetCounts.get(t) || 0) + 1)
+    );
+    entry.source.forEach((_, s) => {
+      if (!candidates.has(s)) {
+        return;
+      }
+      const pairs = pairCounts.get(s) || new Map();
+      entry.target.forEach((_, t) => pairs.set(t, (pairs.get(t) || 0) + 1));
+      pairCounts.set(s, pairs);
+    });
+  });
+
+  /**
+   * @param {string} s
+   * @param {string} t
+   * @returns {number}
+   */
+  const dice = (s, t) =>
+    (2 * (pairCounts.get(s)?.get(t) || 0)) /
+    (/** @type {number} */ (sourceCounts.get(s)) +
+      /** @type {number} */ (targetCounts.get(t)));
+
+  // 3. Alinear cada término en cada entrada
+  /** @type {any[]} */
+  const terms = [];
+  let unaligned = 0;
+  let tied = 0;
+
+  candidates.forEach((s) => {
+    /** @type {{key: string, translation: string, source: string, norm: string, text: string, start: number}[]} */
+    const aligned = [];
+    /** @type {string} */
+    let display = "";
+
+    entries.forEach((entry) => {
+      const sourceText = entry.source.get(s);
+      if (sourceText === undefined) {
+        return;
+      }
+      display = display || sourceText;
+
+      let best = { norm: "", score: minDice };
+      entry.target.forEach((_, t) => {
+        const score = dice(s, t);
+        if (
+          score > best.score ||
+          (score === best.score &&
+            best.norm !== "" &&
+            t.split(" ").length > best.norm.split(" ").length)
+        ) {
+          best = { norm: t, score };
+        }
+      });
+
+      if (best.norm === "") {
+        unaligned++;
+        return;
+      }
+      const target = /** @type {{text: string, start: number}} */ (
+        entry.target.get(best.norm)
+      );
+      aligned.push({
+        key: entry.key,
+        translation: entry.translation,
+        source: sourceText,
+        norm: best.norm,
+        text: target.text,
+        start: target.start,
+      });
+    });
+
+    if (aligned.length < minOccurrences) {
+      return;
+    }
+
+    // Traducción mayoritaria (sin distinguir mayúsculas, género ni número)
+    /** @type {Map<string, number>} */
+    const foldCounts = new Map();
+    aligned.forEach((a) => {
+      const fold = foldInflection(a.norm);
+      foldCounts.set(fold, (foldCounts.get(fold) || 0) + 1);
+    });
+    const ranked = [...foldCounts].sort((a, b) => b[1] - a[1]);
+    if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) {
+      // Sin mayoría no hay una forma a la que corregir
+      tied++;
+      return;
+    }
+    const majorityFold = ranked[0][0];
+
+    // Las entradas que contienen la traducción mayoritaria la usan
+    const renderings = aligned.map((a) => {
+      if (foldInflection(a.norm) === majorityFold) {
+        return a;
+      }
+      const entry = /** @type {any} */ (
+        entries.find((e) => e.key === a.key)
+      );
+      const norm = [...entry.target.keys()].find(
+        (t) => foldInflection(t) === majorityFold
+      );
+      return norm ? { ...a, norm, ...entry.target.get(norm) } : a;
+    });
+
+    // Una traducción por forma plegada, con el texto exacto más frecuente
+    /** @type {Map<string, Map<string, string[]>>} */
+    const keysByFold = new Map();
+    renderings.forEach((r) => {
+      const fold = foldInflection(r.norm);
+      const forms = keysByFold.get(fold) || new Map();
+      forms.set(r.text, [...(forms.get(r.text) || []), r.key]);
+      keysByFold.set(fold, forms);
+    });
+
+    const variants = [...keysByFold]
+      .map(([fold, forms]) => {
+        const sortedForms = [...forms]
+          .map(([text, keys]) => ({ text, keys }))
+          .sort(
+            (a, b) =>
+              b.keys.length - a.keys.length || a.text.localeCompare(b.text)
+          );
+        return {
+          fold,
+          text: sortedForms[0].text,
+          forms: sortedForms.map((f) => f.text),
+          keys: sortedForms.flatMap((f) => f.keys),
+          count: sortedForms.reduce((sum, f) => sum + f.keys.length, 0),
+        };
+      })
+      .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text));
+    const majority = /** @type {any} */ (
+      variants.find((v) => v.fold === majorityFold)
+    );
+    /**
+     * @param {string} text
+     * @returns {string}
+     */
+    const caseless = (text) => text.toLowerCase().replace(/\s+/g, " ");
+
+    // Outliers: otra traducción, o la misma forma con mayúsculas o espacios
+    // distintos de los que pide la clave de origen. Las formas que solo
+    // cambian la concordancia no se corrigen
+    const outliers = renderings
+      .map((r) => ({ ...r, expected: matchSourceCasing(majority.forms, r) }))
+      .filter(
+        (r) =>
+          foldInflection(r.norm) !== majorityFold ||
+          (r.text !== r.expected &&
+            caseless(r.text) === caseless(majority.text))
+      )
+      .map((r) =>
+        foldInflection(r.norm) === majorityFold
+          ? {
+              key: r.key,
+              rendering: r.text,
+              translation: r.translation,
+              kind: "case",
+              start: r.start,
+              expected: r.expected,
+            }
+          : {
+              key: r.key,
+              rendering: r.text,
+              translation: r.translation,
+              kind: "wording",
+            }
+      );
+    if (outliers.length === 0) {
+      return;
+    }
+
+    terms.push({
+      source: display,
+      occurrences: /** @type {number} */ (sourceCounts.get(s)),
+      aligned: renderings.length,
+      majority: majority.text,
+      renderings: variants.map((v) => ({
+        text: v.text,
+        forms: v.forms,
+        count: v.count,
+        samples: v.keys.slice(0, 5),
+      })),
+      outliers,
+    });
+  });
+
+  terms.sort(
+    (a, b) =>
+      b.outliers.length - a.outliers.length || b.occurrences - a.occurrences
+  );
+
+  return {
+    terms,
+    stats: {
+      entriesAnalyzed: entries.length,
+      termsAnalyzed: candidates.size,
+      inconsistentTerms: terms.length,
+      outlierEntries: new Set(
+        terms.flatMap((term) => term.outliers.map((/**@type {any} */ o) => o.key))
+      ).size,
+      unalignedOccurrences: unaligned,
+      tiedTerms: tied,
+    },
+  };
+}
+
+/**
+ * Corrige las traducciones minoritarias que solo difieren de la mayoritaria
+ * en mayúsculas o espacios, reemplazando la forma minoritaria en su posición
+ * por la forma esperada según la clave de origen. Las correcciones de una
+ * entrada se aplican de la última posición a la primera para no desplazar
+ * las demás
+ * @param {any} translations - Objeto clave de origen → traducción (se modifica)
+ * @param {any[]} terms - Términos inconsistentes de analyzeConsistency
+ * @param {Set<string>} skipKeys - Claves que no deben corregirse aquí
+ * @returns {any[]} - Correcciones aplicadas
+ */
+function applyCaseFixes(translations, terms, skipKeys = new Set()) {
+  /** @type {any[]} */
+  const fixes = [];
+
+  terms
+    .flatMap((term) =>
+      term.outliers
+        .filter(
+          (/**@type {any} */ o) => o.kind === "case" && !skipKeys.has(o.key)
+        )
+        .map((/**@type {any} */ outlier) => ({ term: term.source, outlier }))
+    )
+    .sort((a, b) => b.outlier.start - a.outlier.start)
+    .forEach(({ term, outlier }) => {
+      const current = translations[outlier.key];
+      const end = outlier.start + outlier.rendering.length;
+      // Otra corrección ya cambió ese tramo
+      if (current.slice(outlier.start, end) !== outlier.rendering) {
+        return;
+      }
+      translations[outlier.key] =
+        current.slice(0, outlier.start) + outlier.expected + current.slice(end);
+      fixes.push({
+        key: outlier.key,
+        term,
+        from: outlier.rendering,
+        to: outlier.expected,
+      });
+    });
+
+  return fixes;
+}
+
+/**
+ * Retraduce las entradas cuya traducción de un término no es la mayoritaria.
+ * La traducción mayoritaria se agrega como término obligatorio a un glosario
+ * temporal (sobre el glosario del idioma), así que el prompt la inyecta y la
+ * validación del glosario reintenta las entradas que no la usan. Una
+ * retraducción solo se acepta si contiene todas las traducciones requeridas.
+ * @param {any} translations - Objeto clave de origen → traducción (se modifica)
+ * @param {any[]} terms - Términos inconsistentes de analyzeConsistency
+ * @param {any} config - Configuración del procesamiento
+ * @returns {Promise<{applied: any[], rejected: any[], failed: string[]}>}
+ */
+async function retranslateOutliers(translations, terms, config) {
+  /** @type {Map<string, {source: string, target: string}[]>} */
+  const requiredByKey = new Map();
+  terms.forEach((term) => {
+    term.outliers
+      .filter((/**@type {any} */ o) => o.kind === "wording")
+      .forEach((/**@type {any} */ outlier) => {
+        const required = requiredByKey.get(outlier.key) || [];
+        required.push({ source: term.source, target: term.majority });
+        requiredByKey.set(outlier.key, required);
+      });
+  });
+
+  if (requiredByKey.size === 0) {
+    return { applied: [], rejected: [], failed: [] };
+  }
+
+  // Glosario temporal: el del idioma más las traducciones mayoritarias
+  const consistencyTerms = terms
+    .filter((term) =>
+      term.outliers.some((/**@type {any} */ o) => o.kind === "wording")
+    )
+    .map((term) => {
+      // Las formas con otra concordancia también son válidas
+      const forms = term.renderings.find(
+        (/**@type {any} */ r) => r.text === term.majority
+      ).forms;
+      return {
+        source: term.source,
+        target: term.majority,
+        variants: forms.filter((/**@type {string} */ f) => f !== term.majority),
+        note: "traducción mayoritaria en el archivo",
+      };
+    });
+  const overridden = new Set(
+    consistencyTerms.map((term) => term.source.toLowerCase())
+  );
+  const baseGlossary = (await fileExists(config.glossaryFile))
+    ? await readJsonFile(config.glossaryFile)
+    : { terms: [] };
+  const glossaryFile = path.join(
+    os.tmpdir(),
+    `consistency-glossary-${process.pid}.json`
+  );
+  await writeJsonFile(glossaryFile, {
+    description: "Glosario temporal del analizador de consistencia",
+    terms: [
+      ...(baseGlossary.terms || []).filter(
+        (/**@type {any} */ term) => !overridden.has(term.source.toLowerCase())
+      ),
+      ...consistencyTerms,
+    ],
+  });
+
+  console.log(
+    `🔁 Retraduciendo ${requiredByKey.size} entradas con ${consistencyTerms.length} términos obligatorios...`
+  );
+
+  /** @type {any} */
+  const pending = Object.fromEntries(
+    [...requiredByKey.keys()].map((key) => [key, ""])
+  );
+  let results;
+  try {
+    results = await processBatchesConcurrently(
+      createBatches(pending, config.batchSize),
+      { ...config, glossary: true, glossaryFile }
+    );
+  } finally {
+    await fs.unlink(glossaryFile).catch(() => {});
+  }
+
+  /** @type {any[]} */
+  const applied = [];
+  /** @type {any[]} */
+  const rejected = [];
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  const folded = (text) =>
+    ` ${foldInflection(
+      tokenizeText(text)
+        .map((token) => token.word)
+        .join(" ")
+    )} `;
+
+  results.successful.forEach((/**@type {any} */ result) => {
+    Object.entries(result.data).forEach(([key, translation]) => {
+      const required = requiredByKey.get(key) || [];
+      // La traducción mayoritaria en cualquier género o número
+      const missing = required.filter(
+        (term) => !folded(String(translation)).includes(folded(term.target))
+      );
+      if (missing.length > 0) {
+        rejected.push({
+          key,
+          translation,
+          missing: missing.map((term) => term.target),
+        });
+        return;
+      }
+      applied.push({ key, from: translations[key], to: translation });
+      translations[key] = translation;
+    });
+  });
+
+  const returned = new Set([
+    ...applied.map((a) => a.key),
+    ...rejected.map((r) => r.key),
+  ]);
+
+  return {
+    applied,
+    rejected,
+    failed: [...requiredByKey.keys()].filter((key) => !returned.has(key)),
+  };
+}
+
+/**
+ * Genera la ruta del reporte a partir del archivo de entrada
+ * @param {string} inputFile - Archivo de entrada
+ * @returns {string} - Ruta del reporte
+ */
+function generateReportFileName(inputFile) {
+  const ext = path.extname(inputFile);
+  return path.join(
+    path.dirname(inputFile),
+    `${path.basename(inputFile, ext)}.consistency.json`
+  );
+}
+
+/**
+ * Muestra los términos inconsistentes más frecuentes
+ * @param {any[]} terms - Términos inconsistentes
+ * @param {number} limit - Máximo de términos a mostrar
+ */
+function displayTerms(terms, limit = 15) {
+  terms.slice(0, limit).forEach((term) => {
+    console.log(
+      `   "${term.source}" (${term.aligned} entradas): ${term.renderings
+        .map((/**@type {any} */ r) => `"${r.text}" ×${r.count}`)
+        .join(", ")}`
+    );
+  });
+  if (terms.length > limit) {
+    console.log(`   ... y ${terms.length - limit} más (ver el reporte)`);
+  }
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("🔎 === ANALIZADOR DE CONSISTENCIA ENTRE LOTES ===");
+    console.log(
+      "📝 Busca términos traducidos de forma distinta en distintas entradas\n"
+    );
+
+    const cmdArgs = parseCommandLineArgs();
+    /** @type {any} */
+    const config = {
+      ...DEFAULT_CONFIG,
+      ...getProviderDefaults(cmdArgs.provider),
+      ...CONSISTENCY_CONFIG,
+      ...cmdArgs,
+    };
+    Object.assign(config, getLocaleConfig(config.targetLang, config));
+    config.reportFile =
+      config.reportFile || generateReportFileName(config.inputFile);
+    config.outputFile = config.outputFile || config.inputFile;
+
+    console.log("⚙️ Configuración:");
+    console.log(`   📁 Archivo de entrada: ${config.inputFile}`);
+    console.log(`   🌍 Idioma: ${config.targetLang}`);
+    console.log(
+      `   🔢 Términos de hasta ${config.maxNgram} palabras en al menos ${config.minOccurrences} entradas (Dice ≥ ${config.minDice})`
+    );
+    console.log(`   📋 Reporte: ${config.reportFile}`);
+    console.log(`   🔧 Corregir: ${config.fix ? "Sí" : "No"}`);
+    console.log("");
+
+    if (!(await fileExists(config.inputFile))) {
+      console.error(`❌ Archivo de entrada no encontrado: ${config.inputFile}`);
+      process.exit(1);
+    }
+
+    const translations = await readJsonFile(config.inputFile);
+    const { terms, stats } = analyzeConsistency(translations, config);
+
+    console.log("\n📊 === RESULTADOS ===");
+    console.log(`📝 Entradas analizadas: ${stats.entriesAnalyzed}`);
+    console.log(`🔢 Términos recurrentes: ${stats.termsAnalyzed}`);
+    console.log(`⚠️  Términos inconsistentes: ${stats.inconsistentTerms}`);
+    console.log(`🎯 Entradas con una traducción minoritaria: ${stats.outlierEntries}`);
+    if (stats.tiedTerms > 0) {
+      console.log(`⚖️  Términos omitidos por empate: ${stats.tiedTerms}`);
+    }
+    if (terms.length > 0) {
+      console.log("\n🔎 TÉRMINOS CON TRADUCCIONES DISTINTAS:");
+      displayTerms(terms);
+    }
+
+    /** @type {any} */
+    const report = {
+      generatedAt: new Date().toISOString(),
+      inputFile: config.inputFile,
+      targetLang: config.targetLang,
+      settings: {
+        maxNgram: config.maxNgram,
+        minOccurrences: config.minOccurrences,
+        minDice: config.minDice,
+      },
+      summary: stats,
+      terms,
+    };
+
+    if (config.fix && terms.length > 0) {
+      console.log("\n🔧 === CORRIGIENDO TRADUCCIONES MINORITARIAS ===");
+
+      if (config.respectRateLimits) {
+        await initializeRateLimiter(
+          config.tier,
+          config.model,
+          config.rateLimitsFile,
+          config.usageFile
+        );
+      }
+
+      const retranslation = await retranslateOutliers(
+        translations,
+        terms,
+        config
+      );
+      // Las entradas retraducidas ya incluyen todas sus correcciones
+      const caseFixes = applyCaseFixes(
+        translations,
+        terms,
+        new Set(retranslation.applied.map((a) => a.key))
+      );
+
+      console.log(`✅ Correcciones de mayúsculas: ${caseFixes.length}`);
+      console.log(`✅ Retraducciones aceptadas: ${retranslation.applied.length}`);
+      if (retranslation.rejected.length > 0) {
+        console.log(
+          `⚠️  Retraducciones rechazadas (sin la traducción mayoritaria): ${retranslation.rejected.length}`
+        );
+      }
+      if (retranslation.failed.length > 0) {
+        console.log(
+          `❌ Entradas que no se pudieron retraducir: ${retranslation.failed.length}`
+        );
+      }
+
+      report.fixes = {
+        outputFile: config.outputFile,
+        caseFixes,
+        retranslated: retranslation.applied,
+        rejected: retranslation.rejected,
+        failed: retranslation.failed,
+      };
+
+      if (config.createBackup && config.outputFile === config.inputFile) {
+        await createBackup(config.inputFile);
+      }
+      await writeJsonFile(config.outputFile, translations);
+      console.log(`💾 Traducciones corregidas guardadas en: ${config.outputFile}`);
+
+      const remaining = analyzeConsistency(translations, config).stats;
+      report.fixes.remainingInconsistentTerms = remaining.inconsistentTerms;
+      console.log(
+        `📊 Términos inconsistentes tras la corrección: ${remaining.inconsistentTerms}`
+      );
+    }
+
+    await writeJsonFile(config.reportFile, report);
+    console.log(`\n📋 Reporte guardado en: ${config.reportFile}`);
+  } catch (/**@type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    if (error.code === "ENOENT") {
+      console.log(
+        "💡 Tip: Verifica que los archivos existan en las rutas especificadas"
+      );
+    }
+    process.exit(1);
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("💀 Error no controlado:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  analyzeConsistency,
+  extractSourceNgrams,
+  extractTargetNgrams,
+  applyCaseFixes,
+  retranslateOutliers,
+  CONSISTENCY_CONFIG,
+};
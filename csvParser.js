@@ -0,0 +1,218 @@
+// @ts-check
+
+/**
+ * Parser de CSV compatible con los archivos que genera jsonToCsv.js y con los
+ * que exportan Excel o Google Sheets: campos entre comillas con comillas
+ * duplicadas, saltos de línea dentro de un campo, fin de línea \n o \r\n y
+ * BOM UTF-8 inicial.
+ */
+
+/**
+ * Delimitadores que se prueban al detectar el formato
+ */
+const CANDIDATE_DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Codificación usada cuando el archivo no es UTF-8 válido: la de los CSV que
+ * guarda Excel en Windows
+ */
+const FALLBACK_ENCODING = "windows-1252";
+
+/**
+ * Decodifica el contenido de un archivo CSV. Sin codificación explícita se
+ * usa el BOM (UTF-8, UTF-16 LE o BE); sin BOM se intenta UTF-8 y, si no es
+ * válido, windows-1252.
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string | null} [encoding] - Codificación explícita (utf-8, latin1,
+ * windows-1252, utf-16le...)
+ * @returns {{text: string, encoding: string}} - Texto sin BOM y codificación usada
+ * @throws {Error} - Si la codificación explícita no es soportada
+ */
+function decodeCsvBuffer(buffer, encoding = null) {
+  /**
+   * @param {string} label
+   * @param {Buffer} bytes
+   * @param {boolean} fatal
+   * @returns {{text: string, encoding: string}}
+   */
+  const decode = (label, bytes, fatal = false) => {
+    const decoder = new TextDecoder(label, { fatal });
+    const text = decoder.decode(bytes);
+    return {
+      text: text.startsWith("\uFEFF") ? text.slice(1) : text,
+      encoding: decoder.encoding,
+    };
+  };
+
+  if (encoding) {
+    try {
+      return decode(encoding, buffer);
+    } catch (/** @type {any} */ error) {
+      if (error instanceof RangeError) {
+        throw new Error(`Codificación no soportada: "${encoding}"`);
+      }
+      throw error;
+    }
+  }
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return decode("utf-8", buffer);
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return decode("utf-16le", buffer);
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return decode("utf-16be", buffer);
+  }
+
+  try {
+    return decode("utf-8", buffer, true);
+  } catch {
+    return decode(FALLBACK_ENCODING, buffer);
+  }
+}
+
+/**
+ * Detecta el delimitador contando los candidatos fuera de comillas en la
+ * primera línea
+ * @param {string} text - Contenido del CSV
+ * @returns {string} - Delimitador más frecuente (por defecto ",")
+ */
+function detectDelimiter(text) {
+  /** @type {Map<string, number>} */
+  const counts = new Map(CANDIDATE_DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === "\n" || char === "\r")) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, /** @type {number} */ (counts.get(char)) + 1);
+    }
+  }
+
+  let best = ",";
+  let bestCount = 0;
+  counts.forEach((count, delimiter) => {
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Divide un texto CSV en filas y campos
+ * @param {string} text - Contenido del archivo CSV
+ * @param {object} [options] - Opciones de parseo
+ * @param {string} [options.delimiter] - Delimitador de campos (por defecto ",")
+ * @returns {string[][]} - Filas con sus campos; se omiten las filas vacías
+ * @throws {Error} - Si un campo entre comillas no se cierra
+ */
+function parseCsv(text, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const content = text.startsWith("\uFEFF") ? text.slice(1) : text;
+
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let quoteStartLine = 1;
+
+  /** Cierra el campo actual */
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  /** Cierra la fila actual, omitiendo las filas vacías */
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true;
+      quoteStartLine = line;
+    } else if (content.startsWith(delimiter, i)) {
+      endField();
+      i += delimiter.length - 1;
+    } else if (char === "\r" && content[i + 1] === "\n") {
+      // El \n se procesa en la siguiente iteración
+    } else if (char === "\n") {
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(
+      `Campo entre comillas sin cerrar (iniciado en la línea ${quoteStartLine})`
+    );
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Convierte las filas de un CSV con encabezado en objetos
+ * @param {string[][]} rows - Filas obtenidas con parseCsv
+ * @returns {{headers: string[], records: any[]}} - Encabezados (sin espacios
+ * alrededor) y un objeto por fila con los campos por encabezado; las columnas
+ * que faltan en una fila quedan como cadena vacía
+ */
+function rowsToRecords(rows) {
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].map((header) => header.trim());
+  const records = rows.slice(1).map((row) =>
+    Object.fromEntries(
+      headers.map((header, index) => [header, row[index] ?? ""])
+    )
+  );
+
+  return { headers, records };
+}
+
+module.exports = {
+  decodeCsvBuffer,
+  detectDelimiter,
+  parseCsv,
+  rowsToRecords,
+  CANDIDATE_DELIMITERS,
+};
@@ -0,0 +1,542 @@
+#!/usr/bin/env node
+
+// @ts-check
+
+const fs = require("fs").promises;
+const path = require("path");
+const {
+  readJsonFile,
+  writeJsonFile,
+  fileExists,
+  createBackup,
+} = require("./fileHandler");
+const { needsTranslation } = require("./batchProcessor");
+const { CSV_CONFIG } = require("./jsonToCsv");
+const {
+  decodeCsvBuffer,
+  detectDelimiter,
+  parseCsv,
+  rowsToRecords,
+} = require("./csvParser");
+
+/**
+ * Configuración por defecto para la conversión CSV a JSON
+ */
+const CSV_IMPORT_CONFIG = {
+  inputFile: null, // Archivo CSV o TSV de entrada (obligatorio)
+  outputFile: null, // null = <entrada>.json, o el archivo de --merge
+  mergeFile: null, // JSON de tags existente donde mezclar las traducciones
+  mergeMode: "report", // overwrite, fill-empty o report
+  delimiter: null, // null = detectar (",", ";", tabulador o "|")
+  encoding: null, // null = detectar (BOM, UTF-8 o windows-1252)
+  includeHeader: true, // Si la primera fila es el encabezado
+  keyHeader: CSV_CONFIG.keyHeader, // Columna de las claves
+  valueHeader: CSV_CONFIG.valueHeader, // Columna de las traducciones
+  skipNewKeys: false, // Al mezclar, ignorar claves que no existen en el JSON
+  reportFile: null, // null = <salida>.import-report.json
+  createBackup: true, // Crear backup antes de sobrescribir el JSON existente
+};
+
+/**
+ * Modos de mezcla con un JSON existente
+ */
+const MERGE_MODES = ["overwrite", "fill-empty", "report"];
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Argumentos parseados
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /**@type {any} */
+  const parsed = { ...CSV_IMPORT_CONFIG };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === "--help" || arg === "-h") {
+      showHelp();
+      process.exit(0);
+    } else if (arg === "--input" || arg === "-i") {
+      parsed.inputFile = args[++i];
+    } else if (arg === "--output" || arg === "-o") {
+      parsed.outputFile = args[++i];
+    } else if (arg === "--merge" || arg === "-m") {
+      parsed.mergeFile = args[++i];
+    } else if (arg === "--mode") {
+      parsed.mergeMode = args[++i];
+    } else if (arg === "--delimiter" || arg === "-d") {
+      const delimiter = args[++i];
+      parsed.delimiter =
+        delimiter === "\\t" || delimiter === "tab" ? "\t" : delimiter;
+    } else if (arg === "--encoding") {
+      parsed.encoding = args[++i];
+    } else if (arg === "--no-header") {
+      parsed.includeHeader = false;
+    } else if (arg === "--key-header") {
+      parsed.keyHeader = args[++i];
+    } else if (arg === "--value-header") {
+      parsed.valueHeader = args[++i];
+    } else if (arg === "--skip-new-keys") {
+      parsed.skipNewKeys = true;
+    } else if (arg === "--report") {
+      parsed.reportFile = args[++i];
+    } else if (arg === "--no-backup") {
+      parsed.createBackup = false;
+    } else if (!arg.startsWith("--")) {
+      // Si no es un flag, asumimos que es el archivo de entrada
+      parsed.inputFile = arg;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Muestra la ayuda del comando
+ */
+function showHelp() {
+  console.log("🔄 === CONVERTIDOR CSV A JSON ===");
+  console.log(
+    "📝 Convierte planillas CSV o TSV de tags y traducciones al formato JSON\n"
+  );
+
+  console.log("💾 USO:");
+  console.log("  node csvToJson.js <archivo.csv> [opciones]\n");
+
+  console.log("🔧 OPCIONES:");
+  console.log("  --input, -i <archivo>     Archivo CSV o TSV de entrada");
+  console.log("  --output, -o <archivo>    Archivo JSON de salida");
+  console.log("  --merge, -m <archivo>     JSON de tags existente donde mezclar");
+  console.log("  --mode <modo>             Modo de mezcla: overwrite, fill-empty o report");
+  console.log("                            (por defecto: report, no modifica archivos)");
+  console.log("  --delimiter, -d <char>    Delimitador (',', ';', tab o '|'; por defecto se detecta)");
+  console.log(
+    "  --encoding <codificación> Codificación (utf-8, windows-1252, utf-16le...; por defecto se detecta)"
+  );
+  console.log("  --no-header               El archivo no tiene encabezado (clave y valor");
+  console.log("                            son las dos primeras columnas)");
+  console.log("  --key-header <nombre>     Columna de las claves (por defecto: Key)");
+  console.log("  --value-header <nombre>   Columna de las traducciones (por defecto: Translation)");
+  console.log("  --skip-new-keys           Al mezclar, ignorar claves que no están en el JSON");
+  console.log("  --report <archivo>        Reporte de duplicados y conflictos");
+  console.log("  --no-backup               No crear backup del JSON existente");
+  console.log("  --help, -h                Mostrar esta ayuda\n");
+
+  console.log("📋 EJEMPLOS:");
+  console.log("  # Convertir una planilla a un JSON nuevo");
+  console.log("  node csvToJson.js traducciones.csv --output tags.json");
+  console.log("");
+  console.log("  # Ver qué cambiaría al mezclar con la salida actual");
+  console.log("  node csvToJson.js traducciones.csv --merge us-mx-translated.json");
+  console.log("");
+  console.log("  # Completar solo las traducciones vacías");
+  console.log(
+    "  node csvToJson.js traducciones.tsv --merge us-mx.json --mode fill-empty"
+  );
+  console.log("");
+  console.log("  # Planilla de Excel en español con otras columnas");
+  console.log(
+    "  node csvToJson.js tags.csv -d ';' --encoding windows-1252 --key-header 'Original' --value-header 'Español'"
+  );
+  console.log("");
+}
+
+/**
+ * Busca una columna por nombre sin distinguir mayúsculas ni espacios
+ * @param {string[]} headers - Encabezados del CSV
+ * @param {string} name - Nombre buscado
+ * @returns {string | undefined} - Encabezado encontrado
+ */
+function findHeader(headers, name) {
+  const normalized = name.trim().toLowerCase();
+  return headers.find((header) => header.toLowerCase() === normalized);
+}
+
+/**
+ * Extrae los pares clave/valor de las filas del CSV, detectando claves
+ * duplicadas (mismo valor) y en conflicto (valores distintos). Ante un
+ * conflicto se conserva la primera aparición.
+ * @param {string[][]} rows - Filas obtenidas con parseCsv
+ * @param {any} config - Configuración (includeHeader, keyHeader, valueHeader)
+ * @returns {{entries: any, duplicates: any[], conflicts: any[], skipped: any[], rows: number}}
+ * - Pares en el orden del archivo, duplicados, conflictos, filas omitidas y
+ * número de filas de datos
+ * @throws {Error} - Si no se encuentran las columnas de clave y valor
+ */
+function extractEntries(rows, config) {
+  /** @type {{line: number, key: string, value: string}[]} */
+  let pairs;
+  if (config.includeHeader) {
+    const { headers, records } = rowsToRecords(rows);
+    const keyHeader = findHeader(headers, config.keyHeader);
+    const valueHeader = findHeader(headers, config.valueHeader);
+    if (!keyHeader || !valueHeader) {
+      throw new Error(
+        `No se encontraron las columnas "${config.keyHeader}" y "${config.valueHeader}". Columnas disponibles: ${headers.join(", ")}`
+      );
+    }
+    // La fila 1 es el encabezado
+    pairs = records.map((record, index) => ({
+      line: index + 2,
+      key: record[keyHeader],
+      value: record[valueHeader],
+    }));
+  } else {
+    pairs = rows.map((row, index) => ({
+      line: index + 1,
+      key: row[0],
+      value: row[1] ?? "",
+    }));
+  }
+
+  /** @type {any} */
+  const entries = {};
+  /** @type {Map<string, number>} */
+  const firstLine = new Map();
+  /** @type {any[]} */
+  const duplicates = [];
+  /** @type {Map<string, any>} */
+  const conflicts = new Map();
+  /** @type {any[]} */
+  const skipped = [];
+
+  pairs.forEach(({ line, key, value }) => {
+    if (!key || key.trim() === "") {
+      skipped.push({ line, reason: "fila sin clave" });
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(entries, key)) {
+      entries[key] = value;
+      firstLine.set(key, line);
+      return;
+    }
+
+    if (entries[key] === value) {
+      duplicates.push({ key, line, firstLine: firstLine.get(key) });
+      return;
+    }
+
+    const conflict = conflicts.get(key) || {
+      key,
+      kept: { line: firstLine.get(key), value: entries[key] },
+      ignored: [],
+    };
+    conflict.ignored.push({ line, value });
+    conflicts.set(key, conflict);
+  });
+
+  return {
+    entries,
+    duplicates,
+    conflicts: [...conflicts.values()],
+    skipped,
+    rows: pairs.length,
+  };
+}
+
+/**
+ * Mezcla las traducciones importadas en un JSON existente conservando su
+ * orden; las claves nuevas se agregan al final en el orden del CSV. Un valor
+ * importado vacío nunca reemplaza a una traducción.
+ * @param {any} existing - JSON de tags existente
+ * @param {any} incoming - Pares importados del CSV
+ * @param {object} options - Opciones de mezcla
+ * @param {string} options.mode - overwrite, fill-empty o report
+ * @param {boolean} [options.skipNewKeys] - Ignorar claves que no están en el JSON
+ * @returns {{result: any, changes: any}} - JSON mezclado (en report, el que
+ * produciría fill-empty) y detalle de los cambios
+ */
+function mergeEntries(existing, incoming, options) {
+  /** @type {any} */
+  const result = { ...existing };
+  const changes = {
+    /** @type {string[]} */
+    filled: [],
+    /** @type {any[]} */
+    updated: [],
+    /** @type {string[]} */
+    added: [],
+    /** @type {string[]} */
+    ignoredNewKeys: [],
+    /** @type {any[]} */
+    conflicts: [],
+    unchanged: 0,
+    emptyIncoming: 0,
+  };
+
+  Object.entries(incoming).forEach(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(existing, key)) {
+      if (options.skipNewKeys) {
+        changes.ignoredNewKeys.push(key);
+      } else {
+        result[key] = value;
+        changes.added.push(key);
+      }
+      return;
+    }
+
+    const current = existing[key];
+    if (needsTranslation(value)) {
+      changes.emptyIncoming++;
+    } else if (needsTranslation(current)) {
+      result[key] = value;
+      changes.filled.push(key);
+    } else if (current === value) {
+      changes.unchanged++;
+    } else if (options.mode === "overwrite") {
+      result[key] = value;
+      changes.updated.push({ key, from: current, to: value });
+    } else {
+      changes.conflicts.push({ key, existing: current, incoming: value });
+    }
+  });
+
+  return { result, changes };
+}
+
+/**
+ * Genera la ruta del JSON de salida a partir del CSV
+ * @param {string} inputFile - Archivo CSV de entrada
+ * @returns {string} - Ruta del JSON
+ */
+function generateOutputFileName(inputFile) {
+  const parsed = path.parse(inputFile);
+  return path.join(parsed.dir, `${parsed.name}.json`);
+}
+
+/**
+ * Genera la ruta del reporte a partir del archivo de salida
+ * @param {string} outputFile - Archivo JSON de salida
+ * @returns {string} - Ruta del reporte
+ */
+function generateReportFileName(outputFile) {
+  const parsed = path.parse(outputFile);
+  return path.join(parsed.dir, `${parsed.name}.import-report.json`);
+}
+
+/**
+ * Muestra los primeros elementos de una lista
+ * @param {any[]} items - Elementos a mostrar
+ * @param {(item: any) => string} format - Formato de cada elemento
+ * @param {number} limit - Máximo de elementos
+ */
+function displayList(items, format, limit = 10) {
+  items.slice(0, limit).forEach((item) => console.log(`   - ${format(item)}`));
+  if (items.length > limit) {
+    console.log(`   ... y ${items.length - limit} más (ver el reporte)`);
+  }
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("🔄 === CONVERTIDOR CSV A JSON ===");
+    console.log(
+      "📝 Convierte planillas CSV o TSV de tags y traducciones al formato JSON\n"
+    );
+
+    const config = parseCommandLineArgs();
+
+    if (!config.inputFile) {
+      console.error("❌ Indica el archivo CSV de entrada");
+      console.log("💡 Usa --help para ver las opciones");
+      process.exit(1);
+    }
+    if (!MERGE_MODES.includes(config.mergeMode)) {
+      console.error(
+        `❌ Modo de mezcla no soportado: "${config.mergeMode}". Usa ${MERGE_MODES.join(", ")}`
+      );
+      process.exit(1);
+    }
+
+    config.outputFile =
+      config.outputFile ||
+      config.mergeFile ||
+      generateOutputFileName(config.inputFile);
+    config.reportFile =
+      config.reportFile || generateReportFileName(config.outputFile);
+
+    // Leer y decodificar el CSV
+    console.log("📖 === LEYENDO ARCHIVO CSV ===");
+    const buffer = await fs.readFile(config.inputFile);
+    const { text, encoding } = decodeCsvBuffer(buffer, config.encoding);
+    const delimiter = config.delimiter || detectDelimiter(text);
+    const parsedRows = parseCsv(text, { delimiter });
+
+    console.log("⚙️ Configuración:");
+    console.log(`   📁 Archivo de entrada: ${config.inputFile}`);
+    console.log(
+      `   🔤 Codificación: ${encoding}${config.encoding ? "" : " (detectada)"}`
+    );
+    console.log(
+      `   🔧 Delimitador: '${delimiter === "\t" ? "\\t" : delimiter}'${
+        config.delimiter ? "" : " (detectado)"
+      }`
+    );
+    if (config.includeHeader) {
+      console.log(
+        `   🏷️  Columnas: '${config.keyHeader}' → '${config.valueHeader}'`
+      );
+    }
+    if (config.mergeFile) {
+      console.log(`   🔀 Mezclar en: ${config.mergeFile} (modo ${config.mergeMode})`);
+    }
+    console.log(`   📁 Archivo de salida: ${config.outputFile}`);
+    console.log("");
+
+    const { entries, duplicates, conflicts, skipped, rows } = extractEntries(
+      parsedRows,
+      config
+    );
+
+    console.log(`📊 Filas de datos: ${rows}`);
+    console.log(`📝 Claves únicas: ${Object.keys(entries).length}`);
+    if (skipped.length > 0) {
+      console.log(`⚠️  Filas sin clave omitidas: ${skipped.length}`);
+    }
+    if (duplicates.length > 0) {
+      console.log(`🔁 Claves repetidas con el mismo valor: ${duplicates.length}`);
+    }
+    if (conflicts.length > 0) {
+      console.log(
+        `⚠️  Claves repetidas con valores distintos (se conserva la primera): ${conflicts.length}`
+      );
+      displayList(
+        conflicts,
+        (c) =>
+          `"${c.key}": fila ${c.kept.line} "${c.kept.value}" frente a ${c.ignored
+            .map((/**@type {any} */ i) => `fila ${i.line} "${i.value}"`)
+            .join(", ")}`
+      );
+    }
+
+    /** @type {any} */
+    const report = {
+      generatedAt: new Date().toISOString(),
+      inputFile: config.inputFile,
+      encoding,
+      delimiter,
+      mergeFile: config.mergeFile,
+      mergeMode: config.mergeFile ? config.mergeMode : null,
+      outputFile: config.outputFile,
+      summary: {
+        rows,
+        uniqueKeys: Object.keys(entries).length,
+        skippedRows: skipped.length,
+        duplicates: duplicates.length,
+        csvConflicts: conflicts.length,
+      },
+      skipped,
+      duplicates,
+      csvConflicts: conflicts,
+    };
+
+    if (!config.mergeFile) {
+      await writeJsonFile(config.outputFile, entries);
+      console.log(`💾 JSON generado: ${config.outputFile}`);
+    } else {
+      if (!(await fileExists(config.mergeFile))) {
+        console.error(`❌ Archivo a mezclar no encontrado: ${config.mergeFile}`);
+        process.exit(1);
+      }
+
+      console.log("\n🔀 === MEZCLANDO CON EL JSON EXISTENTE ===");
+      const existing = await readJsonFile(config.mergeFile);
+      const { result, changes } = mergeEntries(existing, entries, {
+        mode: config.mergeMode,
+        skipNewKeys: config.skipNewKeys,
+      });
+
+      console.log(`✏️  Traducciones vacías completadas: ${changes.filled.length}`);
+      console.log(`🔄 Traducciones reemplazadas: ${changes.updated.length}`);
+      console.log(`➕ Claves nuevas agregadas: ${changes.added.length}`);
+      if (changes.ignoredNewKeys.length > 0) {
+        console.log(`🚫 Claves nuevas ignoradas: ${changes.ignoredNewKeys.length}`);
+      }
+      console.log(`✅ Sin cambios: ${changes.unchanged}`);
+      if (changes.emptyIncoming > 0) {
+        console.log(
+          `⚪ Valores vacíos en el CSV (no reemplazan traducciones): ${changes.emptyIncoming}`
+        );
+      }
+      if (changes.conflicts.length > 0) {
+        console.log(
+          `⚠️  Conflictos con traducciones existentes: ${changes.conflicts.length}${
+            config.mergeMode === "fill-empty" ? " (se conserva la existente)" : ""
+          }`
+        );
+        displayList(
+          changes.conflicts,
+          (c) => `"${c.key}": "${c.existing}" → "${c.incoming}"`
+        );
+      }
+
+      report.summary = {
+        ...report.summary,
+        filled: changes.filled.length,
+        updated: changes.updated.length,
+        added: changes.added.length,
+        ignoredNewKeys: changes.ignoredNewKeys.length,
+        unchanged: changes.unchanged,
+        emptyIncoming: changes.emptyIncoming,
+        conflicts: changes.conflicts.length,
+      };
+      report.changes = changes;
+
+      const modified =
+        changes.filled.length + changes.updated.length + changes.added.length;
+      if (config.mergeMode === "report") {
+        console.log(
+          "\nℹ️  Modo report: no se modificó ningún archivo. Usa --mode fill-empty u overwrite para aplicar los cambios"
+        );
+      } else if (modified === 0) {
+        console.log("\nℹ️  No hay cambios para aplicar");
+      } else {
+        if (config.createBackup && config.outputFile === config.mergeFile) {
+          await createBackup(config.mergeFile);
+        }
+        await writeJsonFile(config.outputFile, result);
+        console.log(`💾 JSON mezclado guardado en: ${config.outputFile}`);
+      }
+    }
+
+    await writeJsonFile(config.reportFile, report);
+    console.log(`📋 Reporte guardado en: ${config.reportFile}`);
+
+    console.log("\n🎉 === CONVERSIÓN COMPLETADA EXITOSAMENTE ===");
+  } catch (/** @type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    if (error.code === "ENOENT") {
+      console.log(
+        "💡 Tip: Verifica que el archivo de entrada exista y sea accesible"
+      );
+    } else if (error.code === "EACCES") {
+      console.log(
+        "💡 Tip: Verifica los permisos de escritura en el directorio de destino"
+      );
+    }
+    process.exit(1);
+  }
+}
+
+// Ejecutar solo si es llamado directamente
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  extractEntries,
+  mergeEntries,
+  findHeader,
+  generateOutputFileName,
+  generateReportFileName,
+  displayList,
+  parseCommandLineArgs,
+  CSV_IMPORT_CONFIG,
+  MERGE_MODES,
+};
@@ -2,6 +2,7 @@
 
 const path = require("path");
 const { dryRunAnalysis, DEFAULT_CONFIG } = require("./batchProcessor");
+const { getLocaleConfig } = require("./locales");
 
 /**
  * Configuración para la prueba de filtrado
@@ -9,6 +10,7 @@ const { dryRunAnalysis, DEFAULT_CONFIG } = require("./batchProcessor");
 const DRY_RUN_CONFIG = {
   ...DEFAULT_CONFIG,
   inputFile: "us-mx.json", // Archivo a analizar
+  outputFile: "us-mx-translated.json", // Salida de la que se toma el estado de otros idiomas
   batchSize: 15, // Tamaño de lote a simular
   enableKeyFiltering: true, // Habilitar filtrado
   skipTranslated: true, // Omitir traducidas
@@ -47,12 +49,72 @@ function parseCommandLineArgs() {
           i++; // Skip next argument
         }
         break;
+      case '--target-lang':
+        if (nextArg && !nextArg.startsWith('--')) {
+          config.targetLang = nextArg;
+          i++; // Skip next argument
+        }
+        break;
       case '--batch-size':
         if (nextArg && !nextArg.startsWith('--')) {
           config.batchSize = parseInt(nextArg);
           i++; // Skip next argument
         }
         break;
+      case '--batching':
+        if (nextArg && !nextArg.startsWith('--')) {
+          config.batching = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case '--batch-tokens':
+        if (nextArg && !nextArg.startsWith('--')) {
+          config.batchTokens = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case '--batch-max-entries':
+        if (nextArg && !nextArg.startsWith('--')) {
+          config.batchMaxEntries = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case '--group-keys':
+        config.groupKeys = true;
+        break;
+      case '--group-similarity':
+        if (nextArg && !nextArg.startsWith('--')) {
+          config.groupSimilarity = parseFloat(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case '--no-rule-translation':
+        config.ruleTranslation = false;
+        break;
+      case '--rule-translations':
+        if (nextArg && !nextArg.startsWith('--')) {
+          config.ruleTranslationsFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case '--exclusion-rules':
+        if (nextArg && !nextArg.startsWith('--')) {
+          config.exclusionRulesFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case '--enable-rule':
+      case '--disable-rule':
+        if (nextArg && !nextArg.startsWith('--')) {
+          const field =
+            arg === '--enable-rule' ? 'enableExclusionRules' : 'disableExclusionRules';
+          config[field] = [
+            ...(config[field] || []),
+            ...nextArg.split(',').map((id) => id.trim()).filter(Boolean),
+          ];
+          i++; // Skip next argument
+        }
+        break;
       case '--help':
         showHelp();
         process.exit(0);
@@ -79,6 +141,22 @@ function showHelp() {
   console.log("  --model <modelo>       Modelo para el análisis");
   console.log("  --input <archivo>      Archivo JSON a analizar");
   console.log("  --batch-size <número>  Tamaño de lote a simular");
+  console.log("  --batching <modo>      Modo de lotes: entries (tamaño fijo) o tokens");
+  console.log("  --batch-tokens <número>");
+  console.log("                         Presupuesto de tokens por lote (modo tokens)");
+  console.log("  --batch-max-entries <número>");
+  console.log("                         Máximo de entradas por lote (modo tokens)");
+  console.log("  --group-keys           Agrupar claves relacionadas en el mismo lote");
+  console.log("  --group-similarity <0-1>");
+  console.log("                         Similitud mínima para agrupar claves (por defecto: 0.5)");
+  console.log("  --target-lang <código> Idioma destino a simular (es, pt-BR, fr-CA)");
+  console.log("  --exclusion-rules <archivo>");
+  console.log("                         Registro de reglas de exclusión (por defecto: exclusion-rules.json)");
+  console.log("  --disable-rule <id>    Desactivar una regla de exclusión (repetible o separado por comas)");
+  console.log("  --enable-rule <id>     Activar una regla desactivada en el registro");
+  console.log("  --no-rule-translation  Simular sin la traducción por reglas");
+  console.log("  --rule-translations <archivo>");
+  console.log("                         Diccionario de la traducción por reglas (por defecto: rule-translations.json)");
   console.log("  --help                 Mostrar esta ayuda");
   console.log("");
   
@@ -86,6 +164,10 @@ function showHelp() {
   console.log("  node dryRun.js");
   console.log("  node dryRun.js --tier tier_1 --batch-size 20");
   console.log("  node dryRun.js --input mi-archivo.json");
+  console.log("  node dryRun.js --target-lang pt-BR");
+  console.log("  node dryRun.js --batching tokens --batch-tokens 3000");
+  console.log("  node dryRun.js --group-keys --verbose");
+  console.log("  node dryRun.js --disable-rule countryCodes,financialCodes");
   console.log("");
 }
 
@@ -108,13 +190,24 @@ async function main() {
       ...DRY_RUN_CONFIG,
       ...cmdArgs
     };
+
+    // Cada idioma destino tiene sus propias reglas de exclusión y su salida
+    if (cmdArgs.targetLang) {
+      Object.assign(finalConfig, getLocaleConfig(cmdArgs.targetLang, finalConfig));
+    }
     
-    if (cmdArgs.tier || cmdArgs.model || cmdArgs.inputFile || cmdArgs.batchSize) {
+    if (cmdArgs.tier || cmdArgs.model || cmdArgs.inputFile || cmdArgs.batchSize || cmdArgs.targetLang || cmdArgs.batching || cmdArgs.batchTokens || cmdArgs.batchMaxEntries || cmdArgs.groupKeys || cmdArgs.groupSimilarity) {
       console.log("📝 CONFIGURACIÓN PERSONALIZADA DETECTADA:");
       if (cmdArgs.tier) console.log(`   📊 Tier: ${cmdArgs.tier}`);
       if (cmdArgs.model) console.log(`   🤖 Modelo: ${cmdArgs.model}`);
       if (cmdArgs.inputFile) console.log(`   📁 Archivo: ${cmdArgs.inputFile}`);
       if (cmdArgs.batchSize) console.log(`   📦 Tamaño lote: ${cmdArgs.batchSize}`);
+      if (cmdArgs.targetLang) console.log(`   🌍 Idioma destino: ${finalConfig.targetLang}`);
+      if (cmdArgs.batching) console.log(`   🔪 Modo de lotes: ${cmdArgs.batching}`);
+      if (cmdArgs.batchTokens) console.log(`   🔢 Tokens por lote: ${cmdArgs.batchTokens}`);
+      if (cmdArgs.batchMaxEntries) console.log(`   📦 Máx. entradas por lote: ${cmdArgs.batchMaxEntries}`);
+      if (cmdArgs.groupKeys) console.log(`   🧲 Agrupar claves relacionadas: Sí`);
+      if (cmdArgs.groupSimilarity) console.log(`   🧲 Similitud mínima: ${cmdArgs.groupSimilarity}`);
       console.log("");
     }
 
@@ -130,6 +223,7 @@ async function main() {
     console.log(`   📁 Archivo: ${finalConfig.inputFile}`);
     console.log(`   🔍 Filtrado: ${finalConfig.enableKeyFiltering ? 'Habilitado' : 'Deshabilitado'}`);
     console.log(`   📦 Tamaño de lote: ${finalConfig.batchSize}`);
+    console.log(`   🔪 Modo de lotes: ${finalConfig.batching}`);
     console.log(`   📊 Tier: ${finalConfig.tier}`);
     console.log(`   🤖 Modelo: ${finalConfig.model}`);
     console.log("");
@@ -204,7 +298,7 @@ function showVerboseAnalysis(analysis) {
     .filter(([_, data]) => data.count > 0)
     .sort((a, b) => b[1].count - a[1].count)
     .forEach(([pattern, data]) => {
-      console.log(`\n   ${pattern}:`);
+      console.log(`\n   ${data.label} (${pattern}):`);
       console.log(`     Count: ${data.count} (${data.percentage}%)`);
       console.log(`     Samples: ${data.samples.join(", ")}`);
     });
@@ -213,7 +307,10 @@ function showVerboseAnalysis(analysis) {
   if (analysis.batching.totalBatches > 0) {
     console.log("\n📦 DISTRIBUCIÓN DE LOTES:");
     analysis.batching.entriesPerBatch.forEach((count, index) => {
-      console.log(`   Lote ${index + 1}: ${count} entradas`);
+      const tokens = analysis.batching.tokensPerBatch[index];
+      console.log(
+        `   Lote ${index + 1}: ${count} entradas${tokens ? ` (~${tokens} tokens)` : ""}`
+      );
     });
   }
 
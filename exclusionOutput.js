@@ -0,0 +1,152 @@
+// @ts-check
+
+const fs = require("fs");
+const path = require("path");
+const { getRuleTranslator } = require("./ruleTranslator");
+
+/**
+ * Tabla de nombres de países por idioma destino y código ISO alfa-3
+ */
+const COUNTRY_NAMES_FILE = path.join(__dirname, "country-names.json");
+
+/**
+ * Valor que reciben las claves excluidas de cada regla en la salida
+ */
+const EXCLUSION_OUTPUTS = {
+  keep: "Conservar el valor original (normalmente vacío)",
+  copy: "Copiar la clave tal cual",
+  transform: "Aplicar una transformación a la clave",
+};
+
+/**
+ * Abreviaturas de meses por idioma destino
+ */
+const MONTH_ABBREVIATIONS = {
+  es: {
+    Jan: "Ene",
+    Feb: "Feb",
+    Mar: "Mar",
+    Apr: "Abr",
+    May: "May",
+    Jun: "Jun",
+    Jul: "Jul",
+    Aug: "Ago",
+    Sep: "Sep",
+    Oct: "Oct",
+    Nov: "Nov",
+    Dec: "Dic",
+  },
+};
+
+/**
+ * Cache de la tabla de países
+ * @type {any}
+ */
+let countryNames = null;
+
+/**
+ * Carga la tabla de nombres de países (una sola vez)
+ * @returns {any} - { [idioma]: { [código]: nombre } }
+ */
+function loadCountryNames() {
+  if (!countryNames) {
+    countryNames = JSON.parse(fs.readFileSync(COUNTRY_NAMES_FILE, "utf-8"));
+  }
+  return countryNames;
+}
+
+/**
+ * Transformaciones disponibles. Cada una recibe la clave y el idioma destino
+ * y devuelve el valor de salida, o null si no sabe transformar la clave; en
+ * ese caso se conserva el valor original.
+ */
+const EXCLUSION_TRANSFORMS = {
+  /** Mes abreviado y año: "Aug'24" → "Ago'24" */
+  monthAbbreviations: (/** @type {string} */ key, /** @type {string} */ targetLang) => {
+    const months = /** @type {any} */ (MONTH_ABBREVIATIONS)[targetLang];
+    const match = key.match(/^([A-Z][a-z]{2})('?\d{2})$/);
+    if (!months || !match || !months[match[1]]) {
+      return null;
+    }
+    return `${months[match[1]]}${match[2]}`;
+  },
+
+  /**
+   * Código ISO alfa-3 → nombre del país: "MEX" → "México". Los códigos de
+   * dos letras no se transforman porque coinciden con abreviaturas de
+   * estados ("CA", "CO", "IN")
+   */
+  countryNames: (/** @type {string} */ key, /** @type {string} */ targetLang) => {
+    const names = loadCountryNames()[targetLang];
+    return (names && names[key]) || null;
+  },
+
+  /**
+   * Gramática de la traducción por reglas (ruleTranslator.js) con el
+   * diccionario del proyecto: "Steers 600-700 lb" → "Novillos de 600-700 lb"
+   */
+  ruleTranslation: (/** @type {string} */ key, /** @type {string} */ targetLang) => {
+    const translator = getRuleTranslator(targetLang);
+    const result = translator ? translator.translate(key) : null;
+    return result ? result.value : null;
+  },
+};
+
+/**
+ * Valida la política de salida de una regla del registro
+ * @param {any} rule - Regla tal como está en el registro
+ * @param {string} where - Descripción de la regla (para los mensajes de error)
+ * @returns {{output: string, transform: string | null}} - Política normalizada
+ * @throws {Error} - Si la política o la transformación no existen
+ */
+function normalizeExclusionOutput(rule, where) {
+  const output = rule.output || "keep";
+  if (!(output in EXCLUSION_OUTPUTS)) {
+    throw new Error(
+      `${where} inválida: "output" desconocido "${output}". Disponibles: ${Object.keys(
+        EXCLUSION_OUTPUTS
+      ).join(", ")}`
+    );
+  }
+
+  if (output !== "transform") {
+    return { output, transform: null };
+  }
+  if (!(rule.transform in EXCLUSION_TRANSFORMS)) {
+    throw new Error(
+      `${where} inválida: transformación desconocida "${rule.transform}". Disponibles: ${Object.keys(
+        EXCLUSION_TRANSFORMS
+      ).join(", ")}`
+    );
+  }
+  return { output, transform: rule.transform };
+}
+
+/**
+ * Calcula el valor de salida de una clave excluida según su regla
+ * @param {string} key - Clave excluida
+ * @param {any} rule - Regla normalizada que la excluye
+ * @param {string} targetLang - Idioma destino
+ * @returns {string | null} - Valor de salida, o null para conservar el original
+ */
+function resolveExclusionOutput(key, rule, targetLang) {
+  if (rule.output === "copy") {
+    return key;
+  }
+  if (rule.output === "transform") {
+    return /** @type {any} */ (EXCLUSION_TRANSFORMS)[rule.transform](
+      key,
+      targetLang
+    );
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeExclusionOutput,
+  resolveExclusionOutput,
+  EXCLUSION_OUTPUTS,
+  EXCLUSION_TRANSFORMS,
+  MONTH_ABBREVIATIONS,
+  COUNTRY_NAMES_FILE,
+};
@@ -0,0 +1,231 @@
+// @ts-check
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeExclusionOutput } = require("./exclusionOutput");
+
+/**
+ * Registro de reglas de exclusión por defecto. Se resuelve junto al módulo
+ * porque las reglas deciden qué claves se envían a la API, sin importar
+ * desde qué directorio se ejecute la herramienta.
+ */
+const DEFAULT_EXCLUSION_RULES_FILE = path.join(__dirname, "exclusion-rules.json");
+
+/**
+ * Predicados disponibles para las reglas que no se expresan con una regex.
+ * Cada uno recibe la clave y la lista "values" de la regla.
+ */
+const EXCLUSION_PREDICATES = {
+  /** La clave contiene alguno de los valores (lugares, marcas) */
+  containsAny: (/** @type {string} */ key, /** @type {string[]} */ values) =>
+    values.some((value) => key.includes(value)),
+};
+
+/**
+ * Cache de registros normalizados por ruta
+ * @type {Map<string, any[]>}
+ */
+const rulesCache = new Map();
+
+/**
+ * Valida y normaliza el registro de reglas de exclusión
+ * @param {any} data - Contenido del archivo ({ rules: [...] })
+ * @param {string} source - Origen de los datos (para los mensajes de error)
+ * @returns {any[]} - Reglas normalizadas ({ id, label, icon, description,
+ * targetLangs, enabled, pattern, flags, predicate, values, output, transform,
+ * test })
+ * @throws {Error} - Si alguna regla no es válida
+ */
+function normalizeExclusionRules(data, source) {
+  if (!data || !Array.isArray(data.rules)) {
+    throw new Error(`El registro de reglas ${source} debe contener un array "rules"`);
+  }
+
+  const ids = new Set();
+
+  return data.rules.map((/** @type {any} */ rule, /** @type {number} */ index) => {
+    const where = `Regla ${index + 1} de ${source}`;
+
+    if (!rule || typeof rule.id !== "string" || rule.id.trim() === "") {
+      throw new Error(`${where} inválida: requiere "id"`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${where} inválida: el id "${rule.id}" está repetido`);
+    }
+    ids.add(rule.id);
+
+    if (Boolean(rule.pattern) === Boolean(rule.predicate)) {
+      throw new Error(
+        `${where} ("${rule.id}") inválida: requiere "pattern" o "predicate", pero no ambos`
+      );
+    }
+
+    /** @type {(key: string) => boolean} */
+    let test;
+    if (rule.pattern) {
+      let regex;
+      try {
+        regex = new RegExp(rule.pattern, rule.flags || "");
+      } catch (/** @type {any} */ error) {
+        throw new Error(`${where} ("${rule.id}") inválida: ${error.message}`);
+      }
+      test = (key) => regex.test(key);
+    } else {
+      const predicate = /** @type {any} */ (EXCLUSION_PREDICATES)[rule.predicate];
+      if (!predicate) {
+        throw new Error(
+          `${where} ("${rule.id}") inválida: predicado desconocido "${rule.predicate}". Disponibles: ${Object.keys(
+            EXCLUSION_PREDICATES
+          ).join(", ")}`
+        );
+      }
+      if (!Array.isArray(rule.values)) {
+        throw new Error(
+          `${where} ("${rule.id}") inválida: el predicado requiere un array "values"`
+        );
+      }
+      test = (key) => predicate(key, rule.values);
+    }
+
+    const { output, transform } = normalizeExclusionOutput(
+      rule,
+      `${where} ("${rule.id}")`
+    );
+
+    return {
+      id: rule.id,
+      label: rule.label || rule.id,
+      icon: rule.icon || "🚫",
+      description: rule.description || "",
+      targetLangs: rule.targetLangs || null,
+      enabled: rule.enabled !== false,
+      pattern: rule.pattern || null,
+      flags: rule.flags || "",
+      predicate: rule.predicate || null,
+      values: rule.values || null,
+      output,
+      transform,
+      test,
+    };
+  });
+}
+
+/**
+ * Activa o desactiva reglas para una ejecución sin modificar el registro
+ * @param {any[]} rules - Reglas normalizadas
+ * @param {{enable?: string[], disable?: string[]}} toggles - Ids a activar
+ * (reglas con "enabled": false en el archivo) y a desactivar
+ * @returns {any[]} - Copia de las reglas con los cambios aplicados
+ * @throws {Error} - Si algún id no existe en el registro
+ */
+function applyRuleToggles(rules, toggles) {
+  const enable = toggles.enable || [];
+  const disable = toggles.disable || [];
+
+  const unknown = [...enable, ...disable].filter(
+    (id) => !rules.some((rule) => rule.id === id)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Reglas de exclusión desconocidas: ${unknown.join(", ")}. Disponibles: ${rules
+        .map((rule) => rule.id)
+        .join(", ")}`
+    );
+  }
+
+  if (enable.length === 0 && disable.length === 0) {
+    return rules;
+  }
+
+  return rules.map((rule) => ({
+    ...rule,
+    enabled: disable.includes(rule.id)
+      ? false
+      : enable.includes(rule.id) || rule.enabled,
+  }));
+}
+
+/**
+ * Carga el registro de reglas de exclusión. La lectura es síncrona porque
+ * shouldExcludeKey y los filtros que la usan son síncronos; el archivo se
+ * lee una sola vez por ruta.
+ * @param {string} [rulesFile] - Ruta del registro
+ * @param {{enable?: string[], disable?: string[]}} [toggles] - Reglas a
+ * activar o desactivar en esta ejecución
+ * @returns {any[]} - Reglas normalizadas
+ * @throws {Error} - Si el archivo no existe o no es válido
+ */
+function loadExclusionRules(rulesFile = DEFAULT_EXCLUSION_RULES_FILE, toggles = {}) {
+  const filePath = path.resolve(rulesFile);
+
+  let rules = rulesCache.get(filePath);
+  if (!rules) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf-8");
+    } catch (/** @type {any} */ error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Registro de reglas de exclusión no encontrado: ${filePath}`);
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (/** @type {any} */ error) {
+      throw new Error(
+        `JSON inválido en el registro de reglas ${filePath}: ${error.message}`
+      );
+    }
+
+    rules = normalizeExclusionRules(data, filePath);
+    rulesCache.set(filePath, rules);
+  }
+
+  return applyRuleToggles(rules, toggles);
+}
+
+/**
+ * Carga las reglas según la configuración de una ejecución
+ * @param {any} config - Configuración (exclusionRulesFile,
+ * enableExclusionRules, disableExclusionRules)
+ * @returns {any[]} - Reglas normalizadas
+ */
+function loadExclusionRulesForConfig(config) {
+  return loadExclusionRules(
+    config.exclusionRulesFile || DEFAULT_EXCLUSION_RULES_FILE,
+    {
+      enable: config.enableExclusionRules || [],
+      disable: config.disableExclusionRules || [],
+    }
+  );
+}
+
+/**
+ * Busca la primera regla activa que excluye una clave
+ * @param {string} key - Clave a evaluar
+ * @param {string} targetLang - Idioma destino (algunas reglas solo aplican a ciertos idiomas)
+ * @param {any[]} rules - Reglas normalizadas
+ * @returns {any | null} - Regla que excluye la clave o null
+ */
+function findExclusionRule(key, targetLang, rules) {
+  return (
+    rules.find(
+      (rule) =>
+        rule.enabled &&
+        (!rule.targetLangs || rule.targetLangs.includes(targetLang)) &&
+        rule.test(key)
+    ) || null
+  );
+}
+
+module.exports = {
+  normalizeExclusionRules,
+  applyRuleToggles,
+  loadExclusionRules,
+  loadExclusionRulesForConfig,
+  findExclusionRule,
+  DEFAULT_EXCLUSION_RULES_FILE,
+  EXCLUSION_PREDICATES,
+};
@@ -0,0 +1,680 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Explica por qué una clave se excluye o se envía a traducción: qué regla
+ * de exclusión coincide (y con qué texto), qué reglas casi coinciden y cuál
+ * es la decisión final. También verifica un archivo de decisiones esperadas
+ * (golden file) para que un cambio en las regex no modifique en silencio qué
+ * se traduce.
+ */
+
+const {
+  readJsonFile,
+  writeJsonFile,
+  fileExists,
+} = require("./fileHandler");
+const { shouldExcludeKey, needsTranslation } = require("./batchProcessor");
+const {
+  loadExclusionRulesForConfig,
+  findExclusionRule,
+  EXCLUSION_PREDICATES,
+} = require("./exclusionRules");
+const { resolveExclusionOutput } = require("./exclusionOutput");
+const { DEFAULT_TARGET_LANG } = require("./locales");
+
+/**
+ * Configuración por defecto
+ */
+const EXPLAIN_CONFIG = {
+  keys: [], // Claves a explicar
+  inputFile: null, // JSON de tags cuyas claves se explican
+  checkFile: null, // Archivo de decisiones esperadas (golden file)
+  update: false, // Reescribir el golden file con las decisiones actuales
+  targetLang: DEFAULT_TARGET_LANG, // Idioma destino (algunas reglas solo aplican a ciertos idiomas)
+  only: null, // Mostrar solo: exclude, translate, skip o near-miss
+  limit: null, // Máximo de claves a mostrar de un archivo (null = todas)
+  outputFile: null, // Guardar las explicaciones en JSON
+};
+
+/**
+ * Decisiones posibles para una clave
+ */
+const DECISIONS = {
+  exclude: "🚫 Excluida",
+  translate: "🔄 Se envía a traducción",
+  skip: "✅ Ya traducida, no se envía",
+};
+
+/**
+ * Proporción mínima de la clave que debe cubrir una coincidencia parcial de
+ * una regla anclada (^...$) para contar como casi coincidencia; con menos,
+ * "^\d+$" casi coincidiría con cualquier clave que tenga un número
+ */
+const PARTIAL_MATCH_MIN_COVERAGE = 0.5;
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Configuración parseada desde argumentos
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /** @type {any} */
+  const config = { keys: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const nextArg = args[i + 1];
+
+    switch (arg) {
+      case "--key":
+        if (nextArg !== undefined) {
+          config.keys.push(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--input":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.inputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--check":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.checkFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--update":
+        config.update = true;
+        break;
+      case "--target-lang":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.targetLang = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--only":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.only = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--limit":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.limit = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--output":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.outputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--exclusion-rules":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.exclusionRulesFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--enable-rule":
+      case "--disable-rule":
+        if (nextArg && !nextArg.startsWith("--")) {
+          const field =
+            arg === "--enable-rule"
+              ? "enableExclusionRules"
+              : "disableExclusionRules";
+          config[field] = [
+            ...(config[field] || []),
+            ...nextArg.split(",").map((id) => id.trim()).filter(Boolean),
+          ];
+          i++; // Skip next argument
+        }
+        break;
+      case "--help":
+        showHelp();
+        process.exit(0);
+        break;
+      default:
+        // Los argumentos sueltos son claves a explicar
+        if (!arg.startsWith("--")) {
+          config.keys.push(arg);
+        }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Muestra ayuda del comando
+ */
+function showHelp() {
+  console.log("🔎 EXPLICACIÓN DE REGLAS DE EXCLUSIÓN");
+  console.log(
+    "📝 Muestra por qué una clave se excluye o se envía a traducción\n"
+  );
+
+  console.log("USO:");
+  console.log('  node explain.js "<clave>" [más claves] [opciones]');
+  console.log("  node explain.js --input <archivo.json> [opciones]");
+  console.log("  node explain.js --check <golden.json> [--update]\n");
+
+  console.log("OPCIONES:");
+  console.log("  --key <clave>          Clave a explicar (repetible; también sin --key)");
+  console.log("");
+  console.log("  --input <archivo>      Explicar todas las claves de un JSON de tags");
+  console.log("                         (las que ya tienen traducción no se envían)");
+  console.log("");
+  console.log("  --only <tipo>          Con --input, mostrar solo: exclude, translate,");
+  console.log("                         skip o near-miss");
+  console.log("");
+  console.log("  --limit <número>       Con --input, máximo de claves a mostrar");
+  console.log("");
+  console.log("  --output <archivo>     Guardar las explicaciones en JSON");
+  console.log("");
+  console.log("  --check <archivo>      Comparar con las decisiones esperadas de un golden file");
+  console.log("                         Sale con código 1 si alguna decisión cambió");
+  console.log("");
+  console.log("  --update               Con --check, reescribir el golden file con las");
+  console.log("                         decisiones actuales");
+  console.log("");
+  console.log("  --target-lang <código> Idioma destino (por defecto: es)");
+  console.log("  --exclusion-rules <archivo>");
+  console.log("                         Registro de reglas (por defecto: exclusion-rules.json)");
+  console.log("  --disable-rule <id>    Desactivar una regla (repetible o separado por comas)");
+  console.log("  --enable-rule <id>     Activar una regla desactivada en el registro");
+  console.log("");
+  console.log("  --help                 Mostrar esta ayuda");
+  console.log("");
+
+  console.log("EJEMPLOS:");
+  console.log('  node explain.js "Kansas, Oklahoma and Texas"');
+  console.log('  node explain.js "Año" --target-lang pt-BR');
+  console.log("  node explain.js --input us-mx.json --only near-miss --limit 20");
+  console.log("  node explain.js --check exclusion-rules.golden.json");
+  console.log(
+    "  node explain.js --check exclusion-rules.golden.json --disable-rule countryCodes"
+  );
+}
+
+/**
+ * Quita los acentos de un texto
+ * @param {string} text - Texto
+ * @returns {string} - Texto sin diacríticos
+ */
+function stripAccents(text) {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Busca el texto de la clave con el que coincide una regla
+ * @param {any} rule - Regla normalizada
+ * @param {string} key - Clave
+ * @param {{ignoreCase?: boolean, ignoreAccents?: boolean, unanchored?: boolean}} [relax]
+ * - Variantes relajadas de la regla
+ * @returns {string | null} - Texto coincidente o null
+ */
+function findRuleMatch(rule, key, relax = {}) {
+  const text = relax.ignoreAccents ? stripAccents(key) : key;
+
+  if (rule.pattern) {
+    let pattern = rule.pattern;
+    if (relax.unanchored) {
+      pattern = pattern.replace(/^\^/, "").replace(/(?<!\\)\$$/, "");
+    }
+    const flags =
+      relax.ignoreCase && !rule.flags.includes("i") ? rule.flags + "i" : rule.flags;
+    const match = new RegExp(pattern, flags).exec(text);
+    return match ? match[0] : null;
+  }
+
+  /** @param {string} value */
+  const normalize = (value) => {
+    const withoutAccents = relax.ignoreAccents ? stripAccents(value) : value;
+    return relax.ignoreCase ? withoutAccents.toLowerCase() : withoutAccents;
+  };
+  const predicate = /** @type {any} */ (EXCLUSION_PREDICATES)[rule.predicate];
+  const found = rule.values.find((/** @type {string} */ value) =>
+    predicate(normalize(key), [normalize(value)])
+  );
+  return found === undefined ? null : found;
+}
+
+/**
+ * Busca por qué una regla que no excluye la clave casi coincide con ella
+ * @param {any} rule - Regla normalizada que no coincide
+ * @param {string} key - Clave
+ * @returns {{reason: string, match: string} | null} - Casi coincidencia o null
+ */
+function findNearMiss(rule, key) {
+  const ignoreCase = rule.pattern ? !rule.flags.includes("i") : true;
+  if (ignoreCase) {
+    const match = findRuleMatch(rule, key, { ignoreCase: true });
+    if (match !== null) {
+      return { reason: "ignorando mayúsculas", match };
+    }
+  }
+
+  // En las regex solo se quitan los acentos de la clave: quitarlos del patrón
+  // convertiría "[áéíóú]" en cualquier vocal
+  const hasAccents = rule.pattern
+    ? stripAccents(key) !== key
+    : stripAccents(key) !== key ||
+      rule.values.some((/** @type {string} */ v) => stripAccents(v) !== v);
+  if (hasAccents) {
+    const match = findRuleMatch(rule, key, {
+      ignoreCase: !rule.pattern,
+      ignoreAccents: true,
+    });
+    if (match !== null) {
+      return { reason: "ignorando acentos", match };
+    }
+  }
+
+  if (rule.pattern && /^\^|(?<!\\)\$$/.test(rule.pattern)) {
+    const match = findRuleMatch(rule, key, { unanchored: true });
+    if (
+      match !== null &&
+      match.length >= key.length * PARTIAL_MATCH_MIN_COVERAGE
+    ) {
+      return { reason: "parcial, la regla exige la clave completa", match };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Explica la decisión sobre una clave con la misma lógica de exclusión que
+ * filterEntriesForTranslation
+ * @param {string} key - Clave
+ * @param {object} options - Opciones
+ * @param {string} options.targetLang - Idioma destino
+ * @param {any[]} options.rules - Reglas normalizadas
+ * @param {any} [options.value] - Valor actual (en un archivo de tags)
+ * @returns {any} - { key, targetLang, decision, rule, output, matches, nearMisses }
+ */
+function explainKey(key, { targetLang, rules, value }) {
+  const excluded = shouldExcludeKey(key, targetLang, rules);
+  const decisiveRule = findExclusionRule(key, targetLang, rules);
+
+  /** @type {any[]} */
+  const matches = [];
+  /** @type {any[]} */
+  const nearMisses = [];
+
+  rules.forEach((rule) => {
+    const applies =
+      !rule.targetLangs || rule.targetLangs.includes(targetLang);
+
+    if (rule.test(key)) {
+      const match = findRuleMatch(rule, key);
+      if (!rule.enabled) {
+        nearMisses.push({
+          id: rule.id,
+          label: rule.label,
+          reason: "la regla está desactivada",
+          match,
+        });
+      } else if (!applies) {
+        nearMisses.push({
+          id: rule.id,
+          label: rule.label,
+          reason: `solo aplica a ${rule.targetLangs.join(", ")}`,
+          match,
+        });
+      } else {
+        matches.push({ id: rule.id, label: rule.label, match });
+      }
+      return;
+    }
+
+    // Las variantes relajadas solo interesan si la clave se traduce
+    const nearMiss = excluded ? null : findNearMiss(rule, key);
+    if (nearMiss) {
+      nearMisses.push({ id: rule.id, label: rule.label, ...nearMiss });
+    }
+  });
+
+  return {
+    key,
+    targetLang,
+    decision: excluded
+      ? "exclude"
+      : value !== undefined && !needsTranslation(value)
+      ? "skip"
+      : "translate",
+    rule: decisiveRule ? decisiveRule.id : null,
+    // Valor que recibe la clave excluida en la salida (null: se conserva el original)
+    output:
+      decisiveRule && (value === undefined || needsTranslation(value))
+        ? resolveExclusionOutput(key, decisiveRule, targetLang)
+        : null,
+    matches,
+    nearMisses,
+  };
+}
+
+/**
+ * Muestra la explicación completa de una clave
+ * @param {any} explanation - Resultado de explainKey
+ */
+function displayExplanation(explanation) {
+  console.log(`\n🔎 "${explanation.key}" (${explanation.targetLang})`);
+  console.log(
+    `   ${/** @type {any} */ (DECISIONS)[explanation.decision]}${
+      explanation.rule ? ` por la regla ${explanation.rule}` : ""
+    }`
+  );
+
+  explanation.matches.forEach((/** @type {any} */ match, /** @type {number} */ index) => {
+    console.log(
+      `   ${index === 0 ? "🎯 Coincide" : "➕ También coincide"}: ${match.id} (${match.label}) con "${match.match}"`
+    );
+  });
+  if (explanation.matches.length === 0) {
+    console.log("   ⚪ Ninguna regla activa coincide");
+  }
+  if (explanation.decision === "exclude") {
+    console.log(
+      explanation.output === null
+        ? "   📝 Valor de salida: se conserva el original"
+        : `   📝 Valor de salida: "${explanation.output}"`
+    );
+  }
+
+  explanation.nearMisses.forEach((/** @type {any} */ nearMiss) => {
+    console.log(
+      `   🟡 Casi coincide: ${nearMiss.id} (${nearMiss.label}) con "${nearMiss.match}" (${nearMiss.reason})`
+    );
+  });
+}
+
+/**
+ * Muestra una línea por clave de un archivo
+ * @param {any} explanation - Resultado de explainKey
+ */
+function displayExplanationLine(explanation) {
+  const icon = /** @type {any} */ (DECISIONS)[explanation.decision].split(" ")[0];
+  console.log(
+    `${icon} "${explanation.key}"${explanation.rule ? ` → ${explanation.rule}` : ""}${
+      explanation.output !== null ? ` = "${explanation.output}"` : ""
+    }`
+  );
+  explanation.nearMisses.forEach((/** @type {any} */ nearMiss) => {
+    console.log(`     🟡 ${nearMiss.id} con "${nearMiss.match}" (${nearMiss.reason})`);
+  });
+}
+
+/**
+ * Valida el contenido de un golden file
+ * @param {any} data - Contenido ({ targetLang, cases: [{ key, decision, rule, targetLang, note }] })
+ * @param {string} source - Ruta del archivo (para los mensajes de error)
+ * @returns {any[]} - Casos
+ * @throws {Error} - Si algún caso no es válido
+ */
+function validateGoldenCases(data, source) {
+  if (!data || !Array.isArray(data.cases)) {
+    throw new Error(`El golden file ${source} debe contener un array "cases"`);
+  }
+
+  data.cases.forEach((/** @type {any} */ testCase, /** @type {number} */ index) => {
+    if (!testCase || typeof testCase.key !== "string") {
+      throw new Error(`Caso ${index + 1} de ${source} inválido: requiere "key"`);
+    }
+    if (testCase.decision !== "exclude" && testCase.decision !== "translate") {
+      throw new Error(
+        `Caso ${index + 1} de ${source} ("${testCase.key}") inválido: "decision" debe ser exclude o translate`
+      );
+    }
+  });
+
+  return data.cases;
+}
+
+/**
+ * Compara las decisiones actuales con las esperadas
+ * @param {any[]} cases - Casos del golden file
+ * @param {object} options - Opciones
+ * @param {string} options.targetLang - Idioma por defecto de los casos
+ * @param {any[]} options.rules - Reglas normalizadas
+ * @returns {{passed: number, drift: any[], explanations: any[]}} - Casos que
+ * coinciden, diferencias y explicaciones actuales
+ */
+function checkGoldenCases(cases, { targetLang, rules }) {
+  let passed = 0;
+  /** @type {any[]} */
+  const drift = [];
+
+  const explanations = cases.map((testCase) => {
+    const explanation = explainKey(testCase.key, {
+      targetLang: testCase.targetLang || targetLang,
+      rules,
+    });
+    const expectedRule =
+      testCase.decision === "exclude" ? testCase.rule ?? explanation.rule : null;
+
+    if (
+      explanation.decision === testCase.decision &&
+      explanation.rule === expectedRule
+    ) {
+      passed++;
+    } else {
+      drift.push({
+        key: testCase.key,
+        targetLang: explanation.targetLang,
+        expected: { decision: testCase.decision, rule: expectedRule },
+        actual: { decision: explanation.decision, rule: explanation.rule },
+      });
+    }
+    return explanation;
+  });
+
+  return { passed, drift, explanations };
+}
+
+/**
+ * Formatea una decisión para los mensajes de diferencias
+ * @param {{decision: string, rule: string | null}} outcome - Decisión y regla
+ * @returns {string} - Texto
+ */
+function formatOutcome(outcome) {
+  return outcome.rule ? `${outcome.decision} (${outcome.rule})` : outcome.decision;
+}
+
+/**
+ * Verifica (o actualiza) un golden file
+ * @param {any} config - Configuración
+ * @param {any[]} rules - Reglas normalizadas
+ * @returns {Promise<boolean>} - true si no hay diferencias
+ */
+async function runCheck(config, rules) {
+  if (!(await fileExists(config.checkFile))) {
+    throw new Error(`Golden file no encontrado: ${config.checkFile}`);
+  }
+
+  const data = await readJsonFile(config.checkFile);
+  const cases = validateGoldenCases(data, config.checkFile);
+  const targetLang = data.targetLang || config.targetLang;
+  const { passed, drift, explanations } = checkGoldenCases(cases, {
+    targetLang,
+    rules,
+  });
+
+  console.log(`\n🧪 === VERIFICANDO ${config.checkFile} ===`);
+  console.log(`✅ Decisiones sin cambios: ${passed}/${cases.length}`);
+
+  if (drift.length > 0) {
+    console.log(`❌ Decisiones que cambiaron: ${drift.length}`);
+    drift.forEach((item) => {
+      console.log(
+        `   - "${item.key}" (${item.targetLang}): esperado ${formatOutcome(
+          item.expected
+        )}, obtenido ${formatOutcome(item.actual)}`
+      );
+    });
+  }
+
+  if (config.update) {
+    data.cases = cases.map((testCase, index) => {
+      const explanation = explanations[index];
+      const { note, ...rest } = testCase;
+      return {
+        ...rest,
+        decision: explanation.decision,
+        rule: explanation.rule,
+        ...(note ? { note } : {}),
+      };
+    });
+    // Las decisiones de "translate" no tienen regla
+    data.cases.forEach((/** @type {any} */ testCase) => {
+      if (testCase.rule === null) delete testCase.rule;
+    });
+    await writeJsonFile(config.checkFile, data);
+    console.log(`💾 Golden file actualizado con las decisiones actuales`);
+    return true;
+  }
+
+  if (drift.length > 0) {
+    console.log(
+      "💡 Si el cambio es intencional, actualiza el golden file con --update"
+    );
+  }
+  return drift.length === 0;
+}
+
+/**
+ * Explica todas las claves de un archivo de tags
+ * @param {any} config - Configuración
+ * @param {any[]} rules - Reglas normalizadas
+ * @returns {Promise<any[]>} - Explicaciones
+ */
+async function runFile(config, rules) {
+  const data = await readJsonFile(config.inputFile);
+  const explanations = Object.entries(data).map(([key, value]) =>
+    explainKey(key, { targetLang: config.targetLang, rules, value })
+  );
+
+  /** @type {Record<string, number>} */
+  const byDecision = { exclude: 0, translate: 0, skip: 0 };
+  /** @type {Record<string, number>} */
+  const byRule = {};
+  explanations.forEach((explanation) => {
+    byDecision[explanation.decision]++;
+    if (explanation.rule) {
+      byRule[explanation.rule] = (byRule[explanation.rule] || 0) + 1;
+    }
+  });
+  const withNearMisses = explanations.filter((e) => e.nearMisses.length > 0);
+
+  console.log("\n📊 === RESUMEN ===");
+  Object.entries(DECISIONS).forEach(([decision, label]) => {
+    console.log(`${label}: ${byDecision[decision]}`);
+  });
+  Object.entries(byRule)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([id, count]) => console.log(`   ${id}: ${count}`));
+  console.log(`🟡 Claves con casi coincidencias: ${withNearMisses.length}`);
+
+  const selected = explanations.filter((explanation) =>
+    config.only === "near-miss"
+      ? explanation.nearMisses.length > 0
+      : !config.only || explanation.decision === config.only
+  );
+  const shown = config.limit ? selected.slice(0, config.limit) : selected;
+
+  console.log("\n🔎 === CLAVES ===");
+  shown.forEach(displayExplanationLine);
+  if (shown.length < selected.length) {
+    console.log(`   ... y ${selected.length - shown.length} más`);
+  }
+
+  return explanations;
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("🔎 === EXPLICACIÓN DE REGLAS DE EXCLUSIÓN ===");
+
+    const config = { ...EXPLAIN_CONFIG, ...parseCommandLineArgs() };
+
+    if (config.keys.length === 0 && !config.inputFile && !config.checkFile) {
+      console.error("❌ Indica una clave, --input <archivo> o --check <golden.json>");
+      console.log("💡 Usa --help para ver las opciones");
+      process.exit(1);
+    }
+    if (
+      config.only &&
+      !["exclude", "translate", "skip", "near-miss"].includes(config.only)
+    ) {
+      console.error(
+        `❌ Valor de --only no soportado: "${config.only}". Usa exclude, translate, skip o near-miss`
+      );
+      process.exit(1);
+    }
+
+    const rules = loadExclusionRulesForConfig(config);
+    const disabledRules = rules.filter((rule) => !rule.enabled);
+    console.log(`🌍 Idioma destino: ${config.targetLang}`);
+    console.log(`📏 Reglas activas: ${rules.length - disabledRules.length}/${rules.length}`);
+    if (disabledRules.length > 0) {
+      console.log(
+        `🚫 Reglas desactivadas: ${disabledRules.map((rule) => rule.id).join(", ")}`
+      );
+    }
+
+    /** @type {any[]} */
+    let explanations = config.keys.map((/** @type {string} */ key) =>
+      explainKey(key, { targetLang: config.targetLang, rules })
+    );
+    explanations.forEach(displayExplanation);
+
+    if (config.inputFile) {
+      explanations = explanations.concat(await runFile(config, rules));
+    }
+
+    if (config.outputFile && explanations.length > 0) {
+      await writeJsonFile(config.outputFile, {
+        generatedAt: new Date().toISOString(),
+        targetLang: config.targetLang,
+        explanations,
+      });
+      console.log(`\n📋 Explicaciones guardadas en: ${config.outputFile}`);
+    }
+
+    if (config.checkFile && !(await runCheck(config, rules))) {
+      process.exit(1);
+    }
+  } catch (/**@type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    if (error.code === "ENOENT") {
+      console.log(
+        "💡 Tip: Verifica que los archivos existan en las rutas especificadas"
+      );
+    }
+    process.exit(1);
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("💀 Error no controlado:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  explainKey,
+  findNearMiss,
+  checkGoldenCases,
+  validateGoldenCases,
+  EXPLAIN_CONFIG,
+  DECISIONS,
+};
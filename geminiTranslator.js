@@ -1,8 +1,18 @@
 // @ts-check
 
-const { GoogleGenAI } = require("@google/genai");
+const { GoogleGenAI, Type } = require("@google/genai");
 const fs = require("fs").promises;
 const path = require("path");
+const {
+  resolveGlossary,
+  findTermsInBatch,
+  formatGlossaryForPrompt,
+} = require("./glossary");
+const {
+  getLocale,
+  DEFAULT_SOURCE_LANG,
+  DEFAULT_PROMPT_FILE,
+} = require("./locales");
 
 /**
  * Configuración por defecto para la API de Gemini
@@ -29,7 +39,6 @@ const API_LIMITS = {
  */
 /** @type {GoogleGenAI | null} */
 let genAI = null;
-let chat = null;
 
 /**
  * Inicializa el cliente de Gemini con la API key
@@ -52,10 +61,6 @@ function initializeGemini(apiKey = null) {
       apiKey: key,
     });
 
-    chat = genAI.chats.create({
-      model: DEFAULT_GEMINI_CONFIG.model,
-    });
-
     console.log("✅ Cliente de Gemini inicializado correctamente");
   } catch (/** @type {any} */ error) {
     console.error("❌ Error inicializando Gemini:", error.message);
@@ -64,32 +69,61 @@ function initializeGemini(apiKey = null) {
 }
 
 /**
- * Lee el template del prompt desde el archivo prompt.md
+ * Lee el template del prompt (por defecto prompt.md). Las rutas relativas se
+ * resuelven desde el directorio del proyecto.
+ * @param {string} promptFile - Archivo del template (uno por idioma destino)
  * @returns {Promise<string>} - Contenido del prompt template
  */
-async function loadPromptTemplate() {
+async function loadPromptTemplate(promptFile = DEFAULT_PROMPT_FILE) {
   try {
-    const promptPath = path.join(__dirname, "prompt.md");
+    const promptPath = path.resolve(__dirname, promptFile);
     const promptContent = await fs.readFile(promptPath, "utf-8");
     return promptContent.trim();
   } catch (/** @type {any} */ error) {
-    console.error("❌ Error leyendo el archivo prompt.md:", error.message);
+    console.error(`❌ Error leyendo el archivo ${promptFile}:`, error.message);
     throw new Error("No se pudo cargar el template del prompt");
   }
 }
 
 /**
- * Construye el prompt completo para enviar a Gemini
+ * Construye el prompt completo para enviar a Gemini. El placeholder
+ * {{GLOSSARY}} del template se reemplaza solo con los términos del glosario
+ * presentes en el lote y {{SOURCE_LANGUAGE}} con el idioma de las claves.
+ * Una tarea distinta de la traducción (options.task) construye su propio
+ * prompt.
  * @param {Object} batchData - Datos del lote a traducir
+ * @param {object} [options] - Opciones del prompt
+ * @param {any[]} [options.glossary] - Términos ya cargados; si se indican no
+ * se lee glossaryFile
+ * @param {string | null} [options.glossaryFile] - Glosario a usar (null para omitirlo)
+ * @param {string} [options.promptFile] - Template del idioma destino
+ * @param {string} [options.sourceLang] - Idioma de las claves (por defecto en)
+ * @param {any} [options.task] - Tarea con buildPrompt, buildResponseSchema,
+ * parseResponse y mockResponse propios (por ejemplo, la revisión de review.js)
  * @returns {Promise<string>} - Prompt completo
  */
-async function buildPrompt(batchData) {
+async function buildPrompt(batchData, options = {}) {
+  if (options.task) {
+    return options.task.buildPrompt(batchData, options);
+  }
+
   try {
-    const template = await loadPromptTemplate();
+    const template = (await loadPromptTemplate(options.promptFile)).replace(
+      /\{\{SOURCE_LANGUAGE\}\}/g,
+      getLocale(options.sourceLang || DEFAULT_SOURCE_LANG).name
+    );
     const jsonString = JSON.stringify(batchData, null, 2);
 
-    // Reemplazar el placeholder en el template con los datos reales
-    const fullPrompt = template + "\n" + jsonString;
+    const glossary = await resolveGlossary(options);
+    const glossarySection = formatGlossaryForPrompt(
+      findTermsInBatch(glossary, batchData)
+    );
+    const templateWithGlossary = glossarySection
+      ? template.replace("{{GLOSSARY}}", glossarySection)
+      : template.replace(/\{\{GLOSSARY\}\}\n*/, "");
+
+    // Agregar los datos del lote al final del template
+    const fullPrompt = templateWithGlossary + "\n" + jsonString;
 
     return fullPrompt;
   } catch (/** @type {any} */ error) {
@@ -98,13 +132,35 @@ async function buildPrompt(batchData) {
 }
 
 /**
- * Valida que la respuesta de Gemini sea un JSON válido
+ * Genera el esquema de respuesta (responseSchema) de un lote: un objeto con
+ * exactamente las claves del lote, todas de tipo string y en el mismo orden
+ * @param {Object} batchData - Datos del lote a traducir
+ * @returns {any} - Esquema para la configuración de generación
+ */
+function buildResponseSchema(batchData) {
+  const keys = Object.keys(batchData);
+  return {
+    type: Type.OBJECT,
+    properties: Object.fromEntries(keys.map((key) => [key, { type: Type.STRING }])),
+    required: keys,
+    propertyOrdering: keys,
+  };
+}
+
+/**
+ * Valida que la respuesta de Gemini sea un JSON válido. Acepta JSON puro
+ * (salida estructurada) o envuelto en marcadores de código markdown.
  * @param {string} response - Respuesta cruda de Gemini
  * @param {Object} originalBatch - Lote original para validar las claves
+ * @param {object} [options] - Opciones de validación
+ * @param {boolean} [options.allowPartial] - Conservar las claves válidas aunque
+ * falten otras (o no sean string); el llamador reintenta solo las faltantes
+ * @param {(value: any) => boolean} [options.isValidValue] - Valida cada valor
+ * en lugar de exigir un string (para tareas con respuestas estructuradas)
  * @returns {Object} - JSON parseado y validado
- * @throws {Error} - Si la respuesta no es válida
+ * @throws {Error} - Si la respuesta no es válida (con isParseError = true)
  */
-function validateAndParseResponse(response, originalBatch) {
+function validateAndParseResponse(response, originalBatch, options = {}) {
   try {
     // Limpiar la respuesta de posibles caracteres extraños
     let cleanResponse = response.trim();
@@ -139,7 +195,10 @@ function validateAndParseResponse(response, originalBatch) {
     const missingKeys = originalKeys.filter(
       (key) => !responseKeys.includes(key)
     );
-    if (missingKeys.length > 0) {
+    if (
+      missingKeys.length > 0 &&
+      (!options.allowPartial || missingKeys.length === originalKeys.length)
+    ) {
       throw new Error(
         `Faltan las siguientes claves en la respuesta: ${missingKeys.join(
           ", "
@@ -157,31 +216,61 @@ function validateAndParseResponse(response, originalBatch) {
       );
     }
 
-    // Filtrar solo las claves originales
+    // Filtrar solo las claves originales presentes en la respuesta
     /** @type {any} */
     const filteredResponse = {};
-    originalKeys.forEach((key) => {
-      filteredResponse[key] = parsedResponse[key];
-    });
+    originalKeys
+      .filter((key) => responseKeys.includes(key))
+      .forEach((key) => {
+        filteredResponse[key] = parsedResponse[key];
+      });
 
-    // Validar que todos los valores sean strings no vacíos
+    // Validar que todos los valores sean strings no vacíos (o el formato de la tarea)
     for (const [key, value] of Object.entries(filteredResponse)) {
-      if (typeof value !== "string") {
-        throw new Error(`El valor para la clave "${key}" no es un string`);
+      const valid = options.isValidValue
+        ? options.isValidValue(value)
+        : typeof value === "string";
+      if (!valid) {
+        if (!options.allowPartial) {
+          throw new Error(
+            options.isValidValue
+              ? `El valor para la clave "${key}" no tiene el formato esperado`
+              : `El valor para la clave "${key}" no es un string`
+          );
+        }
+        // En modo parcial se trata como una clave faltante
+        missingKeys.push(key);
+        delete filteredResponse[key];
+        continue;
       }
-      if (value.trim().length === 0) {
+      if (typeof value === "string" && value.trim().length === 0) {
         console.warn(`⚠️  Valor vacío para la clave "${key}"`);
       }
     }
 
-    return filteredResponse;
-  } catch (error) {
-    if (error instanceof SyntaxError) {
-      throw new Error(
-        `JSON inválido en la respuesta de Gemini: ${error.message}`
+    if (missingKeys.length > 0) {
+      if (Object.keys(filteredResponse).length === 0) {
+        throw new Error(
+          `Ninguna clave válida en la respuesta; faltan: ${missingKeys.join(", ")}`
+        );
+      }
+      console.warn(
+        `⚠️  Respuesta parcial: faltan ${missingKeys.length} claves (${missingKeys.join(
+          ", "
+        )}); se conservan las ${Object.keys(filteredResponse).length} válidas`
       );
     }
-    throw error;
+
+    return filteredResponse;
+  } catch (/** @type {any} */ error) {
+    const parseError =
+      error instanceof SyntaxError
+        ? new Error(`JSON inválido en la respuesta de Gemini: ${error.message}`)
+        : error;
+    // Permite contar los fallos de parseo por modo de salida
+    // @ts-ignore
+    parseError.isParseError = true;
+    throw parseError;
   }
 }
 
@@ -230,6 +319,7 @@ function handleGeminiError(error) {
   let message = error.message;
   let isFatal = false;
   let shouldStop = false;
+  let isContentError = false;
 
   if (
     error.message.includes("RATE_LIMIT_EXCEEDED") ||
@@ -248,6 +338,7 @@ function handleGeminiError(error) {
     shouldStop = true;
   } else if (error.message.includes("CONTENT_FILTER")) {
     message = "Contenido bloqueado por los filtros de seguridad de Gemini";
+    isContentError = true;
   } else if (error.message.includes("MODEL_NOT_FOUND")) {
     message = "Modelo de Gemini no encontrado";
     isFatal = true;
@@ -261,19 +352,47 @@ function handleGeminiError(error) {
   processedError.isFatal = isFatal;
   // @ts-ignore
   processedError.shouldStop = shouldStop;
+  // @ts-ignore
+  processedError.isParseError = Boolean(error.isParseError);
+  // @ts-ignore
+  processedError.isContentError = isContentError;
   
   return processedError;
 }
 
 /**
- * Traduce un lote de datos usando la API de Gemini
+ * Combina la configuración por defecto con las opciones de modelo recibidas,
+ * ignorando las opciones no definidas
+ * @param {any} options - Opciones de modelo (model, temperature, topK, topP, maxOutputTokens)
+ * @returns {typeof DEFAULT_GEMINI_CONFIG} - Configuración efectiva del modelo
+ */
+function resolveModelConfig(options = {}) {
+  /** @type {any} */
+  const modelConfig = { ...DEFAULT_GEMINI_CONFIG };
+
+  for (const field of Object.keys(DEFAULT_GEMINI_CONFIG)) {
+    if (options[field] !== undefined && options[field] !== null) {
+      modelConfig[field] = options[field];
+    }
+  }
+
+  return modelConfig;
+}
+
+/**
+ * Traduce un lote de datos usando la API de Gemini. Con options.outputMode
+ * "json" se pide la respuesta como application/json con un responseSchema
+ * generado a partir de las claves del lote.
  * @param {Object} batchData - Objeto JSON con los datos a traducir
- * @param {Object} options - Opciones adicionales
+ * @param {any} options - Opciones del modelo (model, temperature, topK, topP, maxOutputTokens,
+ * outputMode, allowPartial, task)
  * @returns {Promise<any>} - Objeto JSON con las traducciones
  * @throws {Error} - Si hay problemas con la traducción
  */
 async function translateBatch(batchData, options = {}) {
   try {
+    const modelConfig = resolveModelConfig(options);
+
     // Inicializar Gemini si no está inicializado
     if (!genAI) {
       initializeGemini();
@@ -285,25 +404,36 @@ async function translateBatch(batchData, options = {}) {
     }
 
     // Construir el prompt
-    const prompt = await buildPrompt(batchData);
+    const prompt = await buildPrompt(batchData, options);
 
     // Validar el tamaño del lote
     validateBatchSize(batchData, prompt);
 
+    const structuredOutput = options.outputMode === "json";
     console.log(
-      `🌐 Enviando lote a Gemini (${Object.keys(batchData).length} entradas)...`
+      `🌐 Enviando lote a Gemini [${modelConfig.model}] (${
+        Object.keys(batchData).length
+      } entradas, salida ${structuredOutput ? "JSON con esquema" : "texto"})...`
     );
 
     // Realizar la llamada a la API con la nueva biblioteca
     const startTime = Date.now();
+    /** @type {any} */
+    const generationConfig = {
+      temperature: modelConfig.temperature,
+      maxOutputTokens: modelConfig.maxOutputTokens,
+      topK: modelConfig.topK,
+      topP: modelConfig.topP,
+    };
+    if (structuredOutput) {
+      generationConfig.responseMimeType = "application/json";
+      generationConfig.responseSchema = options.task
+        ? options.task.buildResponseSchema(batchData)
+        : buildResponseSchema(batchData);
+    }
     const chat = genAI.chats.create({
-      model: DEFAULT_GEMINI_CONFIG.model,
-      config: {
-        temperature: DEFAULT_GEMINI_CONFIG.temperature,
-        maxOutputTokens: DEFAULT_GEMINI_CONFIG.maxOutputTokens,
-        topK: DEFAULT_GEMINI_CONFIG.topK,
-        topP: DEFAULT_GEMINI_CONFIG.topP,
-      },
+      model: modelConfig.model,
+      config: generationConfig,
     });
     const result = await chat.sendMessage({
       message: prompt,
@@ -328,7 +458,11 @@ async function translateBatch(batchData, options = {}) {
     console.log(`⚡ Respuesta recibida en ${endTime - startTime}ms`);
 
     // Validar y parsear la respuesta
-    const translatedData = validateAndParseResponse(responseText, batchData);
+    const parseResponse =
+      options.task?.parseResponse || validateAndParseResponse;
+    const translatedData = parseResponse(responseText, batchData, {
+      allowPartial: options.allowPartial,
+    });
 
     console.log(
       `✅ Lote traducido exitosamente: ${
@@ -351,9 +485,10 @@ async function translateBatch(batchData, options = {}) {
 
 /**
  * Prueba la conexión con la API de Gemini
+ * @param {any} options - Opciones del modelo a probar (por defecto DEFAULT_GEMINI_CONFIG)
  * @returns {Promise<boolean>} - true si la conexión es exitosa
  */
-async function testGeminiConnection() {
+async function testGeminiConnection(options = {}) {
   try {
     console.log("🧪 Probando conexión con Gemini...");
 
@@ -362,7 +497,7 @@ async function testGeminiConnection() {
     }
 
     const testData = { test: "hello" };
-    const result = await translateBatch(testData);
+    const result = await translateBatch(testData, options);
 
     if (result && typeof result === "object" && result.test) {
       console.log("✅ Conexión con Gemini exitosa");
@@ -378,12 +513,14 @@ async function testGeminiConnection() {
 
 /**
  * Obtiene información sobre el modelo y los límites actuales
- * @returns {Object} - Información del modelo
+ * @param {any} options - Opciones del modelo (por defecto DEFAULT_GEMINI_CONFIG)
+ * @returns {any} - Información del modelo
  */
-function getModelInfo() {
+function getModelInfo(options = {}) {
+  const modelConfig = resolveModelConfig(options);
   return {
-    model: DEFAULT_GEMINI_CONFIG.model,
-    config: DEFAULT_GEMINI_CONFIG,
+    model: modelConfig.model,
+    config: modelConfig,
     limits: API_LIMITS,
     initialized: genAI !== null,
   };
@@ -396,8 +533,10 @@ module.exports = {
   getModelInfo,
   loadPromptTemplate,
   buildPrompt,
+  buildResponseSchema,
   validateAndParseResponse,
   estimateTokens,
+  resolveModelConfig,
   DEFAULT_GEMINI_CONFIG,
   API_LIMITS,
 };
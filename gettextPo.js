@@ -0,0 +1,231 @@
+// @ts-check
+
+/**
+ * Lectura y escritura de archivos gettext PO para el intercambio con
+ * proveedores de localización. Cada tag es una entrada con la clave como
+ * msgid y la traducción como msgstr; las notas de QA y glosario van como
+ * comentarios extraídos (#.).
+ */
+
+/**
+ * Escapa un texto para una cadena PO entre comillas
+ * @param {string} text - Texto a escapar
+ * @returns {string} - Texto escapado (sin las comillas)
+ */
+function escapePoString(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+}
+
+/**
+ * Interpreta las secuencias de escape de una cadena PO
+ * @param {string} text - Contenido entre comillas
+ * @returns {string} - Texto sin escapes
+ */
+function unescapePoString(text) {
+  return text.replace(/\\(["\\ntr])/g, (_, char) =>
+    /** @type {any} */ ({ '"': '"', "\\": "\\", n: "\n", t: "\t", r: "\r" })[
+      char
+    ]
+  );
+}
+
+/**
+ * Genera un archivo PO
+ * @param {any} entries - Tags (clave en el idioma de origen → traducción)
+ * @param {object} options - Opciones del archivo
+ * @param {string} options.sourceLang - Idioma de origen (X-Source-Language)
+ * @param {string} options.targetLang - Idioma destino (Language)
+ * @param {string} [options.encoding] - Charset declarado en Content-Type
+ * @param {Map<string, {category: string, text: string}[]>} [options.notes] -
+ * Notas por clave (QA, glosario)
+ * @returns {string} - Contenido del archivo PO
+ */
+function buildPo(entries, options) {
+  const notes = options.notes || new Map();
+  const headers = [
+    `Content-Type: text/plain; charset=${(options.encoding || "UTF-8").toUpperCase()}`,
+    "Content-Transfer-Encoding: 8bit",
+    "MIME-Version: 1.0",
+    `Language: ${options.targetLang}`,
+    `X-Source-Language: ${options.sourceLang}`,
+    `PO-Revision-Date: ${new Date().toISOString()}`,
+  ];
+
+  const blocks = [
+    [
+      'msgid ""',
+      'msgstr ""',
+      ...headers.map((header) => `"${escapePoString(header)}\\n"`),
+    ].join("\n"),
+  ];
+
+  Object.entries(entries).forEach(([key, value]) => {
+    const lines = (notes.get(key) || []).map(
+      (note) =>
+        `#. ${note.category}: ${note.text.replace(/\r?\n/g, " ")}`
+    );
+    lines.push(`msgid "${escapePoString(key)}"`);
+    lines.push(
+      `msgstr "${escapePoString(typeof value === "string" ? value : "")}"`
+    );
+    blocks.push(lines.join("\n"));
+  });
+
+  return blocks.join("\n\n") + "\n";
+}
+
+/**
+ * Lee un archivo PO. Las entradas obsoletas (#~) se ignoran y de las
+ * entradas con plural se toma msgstr[0].
+ * @param {string} text - Contenido del archivo
+ * @returns {{headers: Record<string, string>, units: any[]}} - Encabezados del
+ * archivo y unidades ({ key, context, target, fuzzy, untranslated, line })
+ * @throws {Error} - Si una línea no es válida
+ */
+function parsePo(text) {
+  /** @type {Record<string, string>} */
+  const headers = {};
+  /** @type {any[]} */
+  const units = [];
+
+  /** @type {any} */
+  let entry = null;
+  /** Campo al que se agregan las líneas de continuación */
+  /** @type {string | null} */
+  let field = null;
+
+  /** Cierra la entrada actual */
+  const flush = () => {
+    if (entry && entry.msgid !== undefined) {
+      if (entry.msgid === "" && entry.context === null) {
+        // La entrada con msgid vacío es el encabezado del archivo
+        entry.msgstr.split("\n").forEach((/** @type {string} */ line) => {
+          const separator = line.indexOf(":");
+          if (separator > 0) {
+            headers[line.slice(0, separator).trim()] = line
+              .slice(separator + 1)
+              .trim();
+          }
+        });
+      } else {
+        const untranslated = entry.msgstr.trim() === "";
+        units.push({
+          key: entry.msgid,
+          context: entry.context,
+          target: untranslated ? "" : entry.msgstr,
+          fuzzy: !untranslated && entry.flags.includes("fuzzy"),
+          untranslated,
+          line: entry.line,
+        });
+      }
+    }
+    entry = null;
+    field = null;
+  };
+
+  /**
+   * Devuelve la entrada actual, cerrando la anterior si ya tenía msgid
+   * @param {number} line - Número de línea
+   * @param {boolean} startsEntry - Si la línea abre una entrada nueva
+   * (comentario, msgctxt o msgid)
+   * @returns {any}
+   */
+  const currentEntry = (line, startsEntry) => {
+    if (entry && startsEntry && entry.msgid !== undefined) {
+      flush();
+    }
+    if (!entry) {
+      entry = { context: null, msgid: undefined, msgstr: "", flags: [], line };
+    }
+    return entry;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+
+    if (line === "") {
+      flush();
+      return;
+    }
+    if (line.startsWith("#~")) {
+      return;
+    }
+    if (line.startsWith("#")) {
+      const current = currentEntry(lineNumber, true);
+      if (line.startsWith("#,")) {
+        current.flags.push(
+          ...line
+            .slice(2)
+            .split(",")
+            .map((flag) => flag.trim())
+        );
+      }
+      field = null;
+      return;
+    }
+
+    const keyword = line.match(
+      /^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+"(.*)"$/
+    );
+    if (keyword) {
+      const [, name, pluralIndex, value] = keyword;
+      const current = currentEntry(
+        lineNumber,
+        name === "msgctxt" || name === "msgid"
+      );
+      const content = unescapePoString(value);
+
+      if (name === "msgctxt") {
+        current.context = content;
+        field = "context";
+      } else if (name === "msgid") {
+        current.msgid = content;
+        field = "msgid";
+      } else if (name === "msgstr" && (pluralIndex || "0") === "0") {
+        current.msgstr = content;
+        field = "msgstr";
+      } else {
+        // msgid_plural y las formas plurales distintas de la primera
+        field = null;
+      }
+      return;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && entry) {
+      if (field) {
+        entry[field] += unescapePoString(continuation[1]);
+      }
+      return;
+    }
+
+    throw new Error(`Línea ${lineNumber} no válida en el archivo PO: ${line}`);
+  });
+  flush();
+
+  return { headers, units };
+}
+
+/**
+ * Obtiene el charset declarado en el encabezado Content-Type de un PO
+ * @param {string} text - Contenido del archivo (decodificado como latin1 o UTF-8)
+ * @returns {string | null} - Charset declarado o null
+ */
+function getPoCharset(text) {
+  const match = text.match(/Content-Type:[^"\\]*charset=([\w-]+)/i);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  buildPo,
+  parsePo,
+  getPoCharset,
+  escapePoString,
+  unescapePoString,
+};
@@ -0,0 +1,359 @@
+// @ts-check
+
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Archivo de glosario por defecto, junto al módulo (no depende del
+ * directorio desde el que se ejecuta el comando)
+ */
+const DEFAULT_GLOSSARY_FILE = path.join(__dirname, "glossary.json");
+
+/**
+ * Glosarios ya cargados por ruta absoluta
+ * @type {Map<string, any[]>}
+ */
+const glossaryCache = new Map();
+
+/**
+ * Escapa un texto para usarlo literalmente en una expresión regular
+ * @param {string} text - Texto a escapar
+ * @returns {string} - Texto escapado
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Crea una expresión regular que encuentra un término como palabra completa,
+ * sin distinguir mayúsculas (admite acentos y letras no ASCII)
+ * @param {string} term - Término a buscar
+ * @returns {RegExp} - Expresión regular global
+ */
+function createTermPattern(term) {
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+}
+
+/**
+ * Valida y normaliza las entradas de un glosario
+ * @param {any} data - Contenido del archivo ({ terms: [...] } o un array)
+ * @param {string} source - Origen de los datos (para los mensajes de error)
+ * @returns {any[]} - Términos normalizados
+ * @throws {Error} - Si alguna entrada no es válida
+ */
+function normalizeGlossary(data, source) {
+  const terms = Array.isArray(data) ? data : data?.terms;
+
+  if (!Array.isArray(terms)) {
+    throw new Error(
+      `El glosario ${source} debe contener un array "terms" de términos`
+    );
+  }
+
+  return terms.map((/** @type {any} */ term, index) => {
+    if (
+      !term ||
+      typeof term.source !== "string" ||
+      typeof term.target !== "string" ||
+      term.source.trim() === "" ||
+      term.target.trim() === ""
+    ) {
+      throw new Error(
+        `Entrada ${index + 1} del glosario ${source} inválida: requiere "source" y "target"`
+      );
+    }
+
+    const sourceForms = [term.source, ...(term.sourceVariants || [])];
+    const acceptedTargets = [term.target, ...(term.variants || [])];
+
+    return {
+      source: term.source,
+      target: term.target,
+      sourceForms,
+      acceptedTargets,
+      avoid: term.avoid || [],
+      note: term.note || null,
+      sourcePatterns: sourceForms.map(createTermPattern),
+      targetPatterns: acceptedTargets.map(createTermPattern),
+    };
+  });
+}
+
+/**
+ * Carga un glosario estructurado desde un archivo JSON. Si el archivo no
+ * existe se continúa sin glosario.
+ * @param {string} glossaryFile - Ruta del glosario
+ * @returns {Promise<any[]>} - Términos normalizados
+ */
+async function loadGlossary(glossaryFile = DEFAULT_GLOSSARY_FILE) {
+  const filePath = path.resolve(glossaryFile);
+
+  const cached = glossaryCache.get(filePath);
+  if (cached) {
+    return cached;
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf-8");
+  } catch (/** @type {any} */ error) {
+    if (error.code === "ENOENT") {
+      console.warn(
+        `⚠️  Glosario no encontrado: ${filePath}. Se continúa sin glosario`
+      );
+      glossaryCache.set(filePath, []);
+      return [];
+    }
+    throw error;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (/** @type {any} */ error) {
+    throw new Error(`JSON inválido en el glosario ${filePath}: ${error.message}`);
+  }
+
+  const glossary = normalizeGlossary(data, filePath);
+  glossaryCache.set(filePath, glossary);
+  console.log(`📖 Glosario cargado: ${glossary.length} términos (${filePath})`);
+
+  return glossary;
+}
+
+/**
+ * Obtiene los términos del glosario para un lote a partir de las opciones del
+ * proveedor. El pipeline de lotes los carga una vez por ejecución y los pasa
+ * en options.glossary; solo si faltan se lee options.glossaryFile.
+ * @param {object} [options] - Opciones del proveedor
+ * @param {any[]} [options.glossary] - Términos ya cargados
+ * @param {string | null} [options.glossaryFile] - Glosario a usar (null para omitirlo)
+ * @returns {Promise<any[]>} - Términos normalizados
+ */
+async function resolveGlossary(options = {}) {
+  if (Array.isArray(options.glossary)) {
+    return options.glossary;
+  }
+  const glossaryFile =
+    options.glossaryFile === undefined
+      ? DEFAULT_GLOSSARY_FILE
+      : options.glossaryFile;
+  return glossaryFile ? loadGlossary(glossaryFile) : [];
+}
+
+/**
+ * Encuentra los términos del glosario presentes en un texto. Cuando dos
+ * coincidencias se solapan gana la más larga ("Boxed Beef" sobre "Beef").
+ * @param {any[]} glossary - Términos normalizados
+ * @param {string} text - Texto en inglés
+ * @returns {any[]} - Términos encontrados (sin repetir)
+ */
+function findTermsInText(glossary, text) {
+  /** @type {{start: number, end: number, term: any}[]} */
+  const matches = [];
+
+  glossary.forEach((term) => {
+    term.sourcePatterns.forEach((/** @type {RegExp} */ pattern) => {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index || 0;
+        matches.push({ start, end: start + match[0].length, term });
+      }
+    });
+  });
+
+  // Las coincidencias más largas reservan su espacio primero
+  matches.sort((a, b) => b.end - b.start - (a.end - a.start) || a.start - b.start);
+
+  /** @type {{start: number, end: number}[]} */
+  const taken = [];
+  const found = new Set();
+
+  matches.forEach((match) => {
+    const overlaps = taken.some(
+      (span) => match.start < span.end && span.start < match.end
+    );
+    if (!overlaps) {
+      taken.push(match);
+      found.add(match.term);
+    }
+  });
+
+  return glossary.filter((term) => found.has(term));
+}
+
+/**
+ * Encuentra los términos del glosario presentes en las claves de un lote
+ * @param {any[]} glossary - Términos normalizados
+ * @param {any} batchData - Datos del lote (las claves son el texto en inglés)
+ * @returns {any[]} - Términos relevantes para el lote, en el orden del glosario
+ */
+function findTermsInBatch(glossary, batchData) {
+  const found = new Set();
+  Object.keys(batchData).forEach((key) => {
+    findTermsInText(glossary, key).forEach((term) => found.add(term));
+  });
+  return glossary.filter((term) => found.has(term));
+}
+
+/**
+ * Da formato de lista a los términos para incluirlos en el prompt
+ * @param {any[]} terms - Términos relevantes
+ * @returns {string} - Sección de glosario del prompt ("" si no hay términos)
+ */
+function formatGlossaryForPrompt(terms) {
+  if (terms.length === 0) {
+    return "";
+  }
+
+  const lines = terms.map((term) => {
+    let line = `- "${term.sourceForms.join('" / "')}" = "${term.target}"`;
+    if (term.acceptedTargets.length > 1) {
+      line += ` (variantes: ${term.acceptedTargets.slice(1).join(", ")})`;
+    }
+    if (term.avoid.length > 0) {
+      line += ` (no "${term.avoid.join('", no "')}")`;
+    }
+    if (term.note) {
+      line += ` (${term.note})`;
+    }
+    return line;
+  });
+
+  return [
+    "GLOSARIO DE TÉRMINOS CLAVE (usar consistentemente):",
+    ...lines,
+  ].join("\n");
+}
+
+/**
+ * Verifica que las traducciones usen los términos requeridos por el glosario
+ * @param {any[]} glossary - Términos normalizados
+ * @param {any} translations - Traducciones (clave en inglés → traducción)
+ * @returns {any[]} - Violaciones: { key, source, expected, translation }
+ */
+function validateGlossaryUsage(glossary, translations) {
+  /** @type {any[]} */
+  const violations = [];
+
+  Object.entries(translations).forEach(([key, translation]) => {
+    if (typeof translation !== "string") return;
+
+    findTermsInText(glossary, key).forEach((term) => {
+      const respected = term.targetPatterns.some((/** @type {RegExp} */ pattern) => {
+        pattern.lastIndex = 0;
+        return pattern.test(translation);
+      });
+
+      if (!respected) {
+        violations.push({
+          key,
+          source: term.source,
+          expected: term.acceptedTargets,
+          translation,
+        });
+      }
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Formatea un término del glosario en una sola línea, con el mismo estilo que
+ * los archivos de glosario del proyecto
+ * @param {any} term - Término sin normalizar (source, target, variants...)
+ * @returns {string} - Término en JSON de una línea
+ */
+function formatGlossaryTerm(term) {
+  const fields = Object.entries(term).map(([name, value]) => {
+    const formatted = Array.isArray(value)
+      ? `[${value.map((item) => JSON.stringify(item)).join(", ")}]`
+      : JSON.stringify(value);
+    return `${JSON.stringify(name)}: ${formatted}`;
+  });
+  return `{ ${fields.join(", ")} }`;
+}
+
+/**
+ * Agrega términos al final de un archivo de glosario. Se omiten los términos
+ * cuyo source ya existe (sin distinguir mayúsculas); si el archivo no existe
+ * se crea.
+ * @param {string} glossaryFile - Ruta del glosario
+ * @param {any[]} terms - Términos a agregar ({ source, target, note })
+ * @returns {Promise<{added: any[], existing: any[]}>} - Términos agregados y
+ * términos omitidos junto con el target que ya tenía el glosario
+ */
+async function appendGlossaryTerms(glossaryFile, terms) {
+  const filePath = path.resolve(glossaryFile);
+
+  /** @type {any} */
+  let data = { description: "Glosario de términos clave", terms: [] };
+  try {
+    data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (/** @type {any} */ error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+  const currentTerms = Array.isArray(data) ? data : data.terms || [];
+
+  /** @type {Map<string, any>} */
+  const bySource = new Map(
+    currentTerms.map((/** @type {any} */ term) => [
+      term.source.toLowerCase(),
+      term,
+    ])
+  );
+  /** @type {any[]} */
+  const added = [];
+  /** @type {any[]} */
+  const existing = [];
+  terms.forEach((term) => {
+    const current = bySource.get(term.source.toLowerCase());
+    if (current) {
+      existing.push({ ...term, currentTarget: current.target });
+      return;
+    }
+    bySource.set(term.source.toLowerCase(), term);
+    added.push(term);
+  });
+
+  if (added.length > 0) {
+    const allTerms = [...currentTerms, ...added];
+    // Validar antes de escribir para no dejar un glosario inválido
+    normalizeGlossary(allTerms, filePath);
+
+    const header = Array.isArray(data)
+      ? ""
+      : Object.entries(data)
+          .filter(([name]) => name !== "terms")
+          .map(([name, value]) => `  ${JSON.stringify(name)}: ${JSON.stringify(value)},\n`)
+          .join("");
+    const content =
+      `{\n${header}  "terms": [\n` +
+      allTerms.map((term) => `    ${formatGlossaryTerm(term)}`).join(",\n") +
+      "\n  ]\n}\n";
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, "utf-8");
+    glossaryCache.delete(filePath);
+  }
+
+  return { added, existing };
+}
+
+module.exports = {
+  loadGlossary,
+  resolveGlossary,
+  normalizeGlossary,
+  createTermPattern,
+  findTermsInText,
+  findTermsInBatch,
+  formatGlossaryForPrompt,
+  validateGlossaryUsage,
+  appendGlossaryTerms,
+  escapeRegExp,
+  DEFAULT_GLOSSARY_FILE,
+};
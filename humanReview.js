@@ -0,0 +1,664 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Ciclo de revisión humana: exporta un archivo traducido a un CSV que se
+ * puede abrir en Excel o Google Sheets (original, traducción automática,
+ * estado, comentario y valor corregido) e importa de vuelta solo las filas
+ * aprobadas, registrando las correcciones en la memoria de traducción o en
+ * el glosario.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const {
+  readJsonFile,
+  writeJsonFile,
+  fileExists,
+  createBackup,
+} = require("./fileHandler");
+const {
+  DEFAULT_CONFIG,
+  filterEntriesForTranslation,
+} = require("./batchProcessor");
+const {
+  loadTranslationMemory,
+  recordTranslations,
+} = require("./translationMemory");
+const { appendGlossaryTerms } = require("./glossary");
+const { getLocaleConfig } = require("./locales");
+const { escapeCsvValue, CSV_CONFIG } = require("./jsonToCsv");
+const {
+  decodeCsvBuffer,
+  parseCsv,
+  rowsToRecords,
+} = require("./csvParser");
+
+/**
+ * Configuración por defecto
+ */
+const HUMAN_REVIEW_CONFIG = {
+  mode: null, // "export" o "import"
+  inputFile: "us-mx-translated.json", // Archivo traducido a exportar o corregir
+  csvFile: null, // null = <entrada>.human-review.csv
+  outputFile: null, // null = sobrescribir el archivo de entrada al importar
+  delimiter: CSV_CONFIG.delimiter, // Delimitador CSV (";" para Excel en español)
+  includeExcluded: false, // Exportar también las claves excluidas por patrón
+  record: "memory", // Dónde registrar las correcciones: memory, glossary, both o none
+  glossaryMaxWords: 3, // Palabras máximas de una clave para registrarla en el glosario
+  createBackup: true, // Crear backup antes de sobrescribir
+  targetLang: "es", // Idioma de las traducciones (define memoria y glosario)
+};
+
+/**
+ * Columnas del CSV de revisión humana
+ */
+const REVIEW_COLUMNS = {
+  key: "Key",
+  machine: "Machine Translation",
+  status: "Status",
+  comment: "Reviewer Comment",
+  corrected: "Corrected Value",
+};
+
+/**
+ * Valores aceptados en la columna Status (sin distinguir mayúsculas)
+ */
+const STATUS_VALUES = {
+  pending: ["pending", "pendiente", ""],
+  approved: ["approved", "aprobado", "aprobada", "ok", "yes", "sí", "si", "x"],
+  rejected: ["rejected", "rechazado", "rechazada", "no"],
+};
+
+/**
+ * Destinos válidos para registrar las correcciones
+ */
+const RECORD_TARGETS = ["memory", "glossary", "both", "none"];
+
+/**
+ * Separadores que indican que una clave es una frase compuesta y no un
+ * término de glosario ("Bacon, Sliced")
+ */
+const PHRASE_SEPARATORS = /[,;:()[\]\/]/;
+
+/**
+ * Proveedor con el que se registran las correcciones en la memoria
+ */
+const HUMAN_PROVIDER = "human";
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Configuración parseada desde argumentos
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /** @type {any} */
+  const config = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const nextArg = args[i + 1];
+
+    switch (arg) {
+      case "--export":
+        config.mode = "export";
+        break;
+      case "--import":
+        config.mode = "import";
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.csvFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--input":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.inputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--csv":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.csvFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--output":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.outputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--delimiter":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.delimiter = nextArg === "\\t" ? "\t" : nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--include-excluded":
+        config.includeExcluded = true;
+        break;
+      case "--record":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.record = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--glossary":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.glossaryFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--memory-file":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.memoryFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--glossary-max-words":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.glossaryMaxWords = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-backup":
+        config.createBackup = false;
+        break;
+      case "--target-lang":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.targetLang = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--help":
+        showHelp();
+        process.exit(0);
+        break;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Muestra ayuda del comando
+ */
+function showHelp() {
+  console.log("👥 REVISIÓN HUMANA DE TRADUCCIONES");
+  console.log(
+    "📝 Exporta traducciones a CSV para revisarlas e importa las correcciones aprobadas\n"
+  );
+
+  console.log("USO:");
+  console.log("  node humanReview.js --export [opciones]");
+  console.log("  node humanReview.js --import <archivo.csv> [opciones]\n");
+
+  console.log("OPCIONES:");
+  console.log("  --input <archivo>      Archivo traducido");
+  console.log("                         Por defecto: us-mx-translated.json");
+  console.log("");
+  console.log("  --csv <archivo>        CSV de revisión a exportar");
+  console.log("                         Por defecto: <entrada>.human-review.csv");
+  console.log("");
+  console.log("  --delimiter <carácter> Delimitador CSV (\",\", \";\" o \"\\t\")");
+  console.log("                         Por defecto: \",\"");
+  console.log("");
+  console.log("  --include-excluded     Exportar también las claves excluidas por patrón");
+  console.log("");
+  console.log("  --output <archivo>     Archivo corregido al importar");
+  console.log("                         Por defecto: sobrescribe el archivo de entrada");
+  console.log("");
+  console.log("  --record <destino>     Dónde registrar las correcciones importadas:");
+  console.log("                         memory, glossary, both o none");
+  console.log("                         Por defecto: memory");
+  console.log("");
+  console.log("  --glossary <archivo>   Glosario donde registrar las correcciones");
+  console.log("                         Por defecto: el del idioma destino");
+  console.log("  --memory-file <archivo>");
+  console.log("                         Memoria donde registrar las correcciones");
+  console.log("                         Por defecto: translation-memory.jsonl");
+  console.log("");
+  console.log("  --glossary-max-words <número>");
+  console.log("                         Palabras máximas de una clave para agregarla");
+  console.log("                         al glosario. Por defecto: 3");
+  console.log("");
+  console.log("  --no-backup            No crear backup del archivo original");
+  console.log("  --target-lang <código> Idioma de las traducciones (es, pt-BR, fr-CA)");
+  console.log("");
+  console.log("  --help                 Mostrar esta ayuda");
+  console.log("");
+
+  console.log("COLUMNAS DEL CSV:");
+  console.log(`  ${Object.values(REVIEW_COLUMNS).join(", ")}`);
+  console.log("  Status: pending, approved o rejected (también pendiente, aprobado,");
+  console.log("  rechazado). Solo se importan las filas approved; si tienen");
+  console.log("  Corrected Value se usa ese valor, si no se aprueba la traducción");
+  console.log("  automática.");
+  console.log("");
+
+  console.log("EJEMPLOS:");
+  console.log("  # Exportar para revisión con punto y coma (Excel en español)");
+  console.log("  node humanReview.js --export --delimiter \";\"");
+  console.log("");
+  console.log("  # Importar las filas aprobadas y registrar los términos cortos en el glosario");
+  console.log(
+    "  node humanReview.js --import us-mx-translated.human-review.csv --delimiter \";\" --record both"
+  );
+  console.log("");
+}
+
+/**
+ * Normaliza el valor de la columna Status
+ * @param {string} value - Valor de la celda
+ * @returns {string | null} - pending, approved, rejected o null si no es válido
+ */
+function normalizeStatus(value) {
+  const normalized = String(value || "").trim().toLowerCase();
+  const match = Object.entries(STATUS_VALUES).find(([, values]) =>
+    values.includes(normalized)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Genera el CSV de revisión humana. Incluye BOM UTF-8 para que Excel
+ * reconozca los acentos.
+ * @param {any} translations - Traducciones a revisar (clave → traducción)
+ * @param {string} delimiter - Delimitador CSV
+ * @returns {string} - Contenido CSV
+ */
+function buildReviewCsv(translations, delimiter = CSV_CONFIG.delimiter) {
+  /**
+   * @param {any[]} values
+   * @returns {string}
+   */
+  const toLine = (values) =>
+    values.map((value) => escapeCsvValue(value, delimiter)).join(delimiter);
+
+  const lines = [toLine(Object.values(REVIEW_COLUMNS))];
+  Object.entries(translations).forEach(([key, translation]) => {
+    lines.push(toLine([key, translation || "", "pending", "", ""]));
+  });
+
+  return "\uFEFF" + lines.join("\n") + "\n";
+}
+
+/**
+ * Lee y valida un CSV de revisión humana contra el archivo traducido
+ * @param {string} content - Contenido del CSV
+ * @param {any} translations - Traducciones actuales (clave → traducción)
+ * @param {string} delimiter - Delimitador CSV
+ * @returns {{rows: any[], issues: any[], stats: any}} - Filas aprobadas y
+ * válidas, problemas encontrados por fila y conteo por estado
+ * @throws {Error} - Si faltan columnas obligatorias
+ */
+function parseReviewCsv(content, translations, delimiter) {
+  const { headers, records } = rowsToRecords(parseCsv(content, { delimiter }));
+  const missing = Object.values(REVIEW_COLUMNS).filter(
+    (column) => !headers.includes(column)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `El CSV no tiene las columnas: ${missing.join(", ")}. ¿Usaste el delimitador correcto?`
+    );
+  }
+
+  /** @type {any} */
+  const stats = { total: records.length, pending: 0, approved: 0, rejected: 0 };
+  /** @type {any[]} */
+  const issues = [];
+  /** @type {Map<string, number>} */
+  const seen = new Map();
+  /** @type {any[]} */
+  const rows = [];
+
+  records.forEach((record, index) => {
+    // La fila 1 es el encabezado
+    const line = index + 2;
+    const key = record[REVIEW_COLUMNS.key];
+    const status = normalizeStatus(record[REVIEW_COLUMNS.status]);
+
+    if (status === null) {
+      issues.push({
+        line,
+        key,
+        reason: `estado desconocido "${record[REVIEW_COLUMNS.status]}"`,
+      });
+      return;
+    }
+    stats[status]++;
+
+    if (!Object.prototype.hasOwnProperty.call(translations, key)) {
+      issues.push({ line, key, reason: "clave no encontrada en el archivo" });
+      return;
+    }
+    if (seen.has(key)) {
+      issues.push({
+        line,
+        key,
+        reason: `clave duplicada (ya aparece en la fila ${seen.get(key)})`,
+      });
+      return;
+    }
+    seen.set(key, line);
+
+    if (status !== "approved") {
+      return;
+    }
+
+    const machine = record[REVIEW_COLUMNS.machine];
+    if (machine !== (translations[key] || "")) {
+      issues.push({
+        line,
+        key,
+        reason: "la traducción cambió desde la exportación",
+      });
+      return;
+    }
+
+    const corrected = record[REVIEW_COLUMNS.corrected].trim();
+    const value = corrected || machine;
+    if (!value.trim()) {
+      issues.push({ line, key, reason: "aprobada sin valor" });
+      return;
+    }
+
+    rows.push({
+      line,
+      key,
+      from: machine,
+      value,
+      corrected: corrected !== "" && corrected !== machine,
+      comment: record[REVIEW_COLUMNS.comment].trim(),
+    });
+  });
+
+  // Una clave duplicada invalida también su primera aparición
+  const duplicated = new Set(
+    issues
+      .filter((issue) => issue.reason.startsWith("clave duplicada"))
+      .map((issue) => issue.key)
+  );
+
+  return {
+    rows: rows.filter((row) => !duplicated.has(row.key)),
+    issues,
+    stats,
+  };
+}
+
+/**
+ * Aplica las filas aprobadas conservando el orden original de las claves
+ * @param {any} translations - Traducciones actuales
+ * @param {any[]} rows - Filas aprobadas (de parseReviewCsv)
+ * @returns {any} - Nuevo objeto de traducciones
+ */
+function applyApprovedRows(translations, rows) {
+  const values = new Map(rows.map((row) => [row.key, row.value]));
+  return Object.fromEntries(
+    Object.keys(translations).map((key) => [
+      key,
+      values.has(key) ? values.get(key) : translations[key],
+    ])
+  );
+}
+
+/**
+ * Registra las filas aprobadas en la memoria de traducción (todas) y en el
+ * glosario (solo las corregidas cuya clave es un término corto, sin comas
+ * ni paréntesis)
+ * @param {any[]} rows - Filas aprobadas
+ * @param {any} config - Configuración (record, memoryFile, glossaryFile,
+ * glossaryMaxWords, targetLang)
+ * @returns {Promise<{memory: number, glossary: any}>} - Registros agregados
+ */
+async function recordApprovedRows(rows, config) {
+  const result = { memory: 0, glossary: { added: [], existing: [] } };
+
+  if (config.record === "memory" || config.record === "both") {
+    const memory = await loadTranslationMemory(config.memoryFile);
+    result.memory = await recordTranslations(
+      config.memoryFile,
+      memory,
+      Object.fromEntries(rows.map((row) => [row.key, row.value])),
+      {
+        model: null,
+        provider: HUMAN_PROVIDER,
+        promptVersion: null,
+        targetLang: config.targetLang,
+      }
+    );
+  }
+
+  if (config.record === "glossary" || config.record === "both") {
+    const terms = rows
+      .filter(
+        (row) =>
+          row.corrected &&
+          !PHRASE_SEPARATORS.test(row.key) &&
+          row.key.trim().split(/\s+/).length <= config.glossaryMaxWords
+      )
+      .map((row) => ({
+        source: row.key,
+        target: row.value,
+        note: row.comment || "corrección de revisión humana",
+      }));
+    if (terms.length > 0) {
+      result.glossary = await appendGlossaryTerms(config.glossaryFile, terms);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Genera la ruta del CSV de revisión a partir del archivo de entrada
+ * @param {string} inputFile - Archivo de entrada
+ * @returns {string} - Ruta del CSV
+ */
+function generateCsvFileName(inputFile) {
+  const ext = path.extname(inputFile);
+  return path.join(
+    path.dirname(inputFile),
+    `${path.basename(inputFile, ext)}.human-review.csv`
+  );
+}
+
+/**
+ * Exporta el archivo traducido al CSV de revisión
+ * @param {any} config - Configuración
+ */
+async function runExport(config) {
+  console.log("📤 === EXPORTANDO PARA REVISIÓN ===");
+
+  const inputData = await readJsonFile(config.inputFile);
+  /** @type {any} */
+  let entries = inputData;
+  if (!config.includeExcluded) {
+    const { excludedByKey } = filterEntriesForTranslation(
+      inputData,
+      false,
+      true,
+      config.targetLang
+    );
+    entries = Object.fromEntries(
+      Object.entries(inputData).filter(
+        ([key]) => !Object.prototype.hasOwnProperty.call(excludedByKey, key)
+      )
+    );
+  }
+
+  await fs.writeFile(
+    config.csvFile,
+    buildReviewCsv(entries, config.delimiter),
+    "utf-8"
+  );
+
+  console.log(`✅ ${Object.keys(entries).length} entradas exportadas`);
+  console.log(`📋 CSV de revisión: ${config.csvFile}`);
+  console.log(
+    `💡 Completa Status (approved/rejected) y Corrected Value, y ejecuta: node humanReview.js --input ${config.inputFile} --import ${config.csvFile}`
+  );
+}
+
+/**
+ * Importa las filas aprobadas del CSV de revisión
+ * @param {any} config - Configuración
+ */
+async function runImport(config) {
+  console.log("📥 === IMPORTANDO CORRECCIONES APROBADAS ===");
+
+  if (!(await fileExists(config.csvFile))) {
+    console.error(`❌ CSV de revisión no encontrado: ${config.csvFile}`);
+    process.exit(1);
+  }
+
+  const translations = await readJsonFile(config.inputFile);
+  const { text: content } = decodeCsvBuffer(await fs.readFile(config.csvFile));
+  const { rows, issues, stats } = parseReviewCsv(
+    content,
+    translations,
+    config.delimiter
+  );
+
+  console.log(
+    `📋 Filas leídas: ${stats.total} (aprobadas: ${stats.approved}, rechazadas: ${stats.rejected}, pendientes: ${stats.pending})`
+  );
+  if (issues.length > 0) {
+    console.log(`⚠️  Filas con problemas (no se importan): ${issues.length}`);
+    issues.slice(0, 10).forEach((issue) => {
+      console.log(`   - Fila ${issue.line} "${issue.key}": ${issue.reason}`);
+    });
+    if (issues.length > 10) {
+      console.log(`   ... y ${issues.length - 10} más`);
+    }
+  }
+
+  if (rows.length === 0) {
+    console.log("ℹ️  No hay filas aprobadas para importar; no se modificó ningún archivo");
+    return;
+  }
+
+  const corrected = rows.filter((row) => row.corrected);
+  console.log(
+    `✅ Filas aprobadas a importar: ${rows.length} (${corrected.length} con corrección)`
+  );
+
+  if (corrected.length > 0) {
+    const outputFile = config.outputFile || config.inputFile;
+    if (config.createBackup && outputFile === config.inputFile) {
+      await createBackup(config.inputFile);
+    }
+    await writeJsonFile(outputFile, applyApprovedRows(translations, rows));
+    console.log(`💾 Traducciones corregidas guardadas en: ${outputFile}`);
+  }
+
+  const recorded = await recordApprovedRows(rows, config);
+  if (config.record === "memory" || config.record === "both") {
+    console.log(`🧠 Registros agregados a la memoria: ${recorded.memory}`);
+  }
+  if (config.record === "glossary" || config.record === "both") {
+    console.log(
+      `📖 Términos agregados al glosario: ${recorded.glossary.added.length} (${config.glossaryFile})`
+    );
+    recorded.glossary.existing.forEach((/**@type {any} */ term) => {
+      console.log(
+        `   ⚠️  "${term.source}" ya está en el glosario como "${term.currentTarget}"; no se cambió`
+      );
+    });
+  }
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("👥 === REVISIÓN HUMANA DE TRADUCCIONES ===");
+    console.log(
+      "📝 Exporta traducciones a CSV e importa las correcciones aprobadas\n"
+    );
+
+    const cmdArgs = parseCommandLineArgs();
+    /** @type {any} */
+    const config = {
+      ...DEFAULT_CONFIG,
+      ...HUMAN_REVIEW_CONFIG,
+      ...cmdArgs,
+    };
+
+    if (config.mode !== "export" && config.mode !== "import") {
+      console.error("❌ Indica --export o --import <archivo.csv>");
+      console.log("💡 Usa --help para ver las opciones");
+      process.exit(1);
+    }
+    if (!RECORD_TARGETS.includes(config.record)) {
+      console.error(
+        `❌ Destino de --record no soportado: "${config.record}". Usa ${RECORD_TARGETS.join(", ")}`
+      );
+      process.exit(1);
+    }
+
+    const { targetLang, glossaryFile } = getLocaleConfig(
+      config.targetLang,
+      config
+    );
+    Object.assign(config, {
+      targetLang,
+      glossaryFile: cmdArgs.glossaryFile || glossaryFile,
+    });
+    config.csvFile = config.csvFile || generateCsvFileName(config.inputFile);
+
+    console.log("⚙️ Configuración:");
+    console.log(`   📁 Archivo de entrada: ${config.inputFile}`);
+    console.log(`   📋 CSV: ${config.csvFile}`);
+    console.log(`   🔧 Delimitador: '${config.delimiter}'`);
+    console.log(`   🌍 Idioma: ${config.targetLang}`);
+    if (config.mode === "import") {
+      console.log(`   📝 Registrar correcciones en: ${config.record}`);
+      if (config.record !== "none") {
+        console.log(`   🧠 Memoria: ${config.memoryFile}`);
+        console.log(`   📖 Glosario: ${config.glossaryFile}`);
+      }
+    }
+    console.log("");
+
+    if (!(await fileExists(config.inputFile))) {
+      console.error(`❌ Archivo de entrada no encontrado: ${config.inputFile}`);
+      process.exit(1);
+    }
+
+    if (config.mode === "export") {
+      await runExport(config);
+    } else {
+      await runImport(config);
+    }
+  } catch (/**@type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    if (error.code === "ENOENT") {
+      console.log(
+        "💡 Tip: Verifica que los archivos existan en las rutas especificadas"
+      );
+    }
+    process.exit(1);
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("💀 Error no controlado:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildReviewCsv,
+  parseReviewCsv,
+  applyApprovedRows,
+  recordApprovedRows,
+  normalizeStatus,
+  REVIEW_COLUMNS,
+  HUMAN_REVIEW_CONFIG,
+};
@@ -3,9 +3,19 @@
 const path = require("path");
 const {
   processTranslation,
+  getModelOptions,
   DEFAULT_CONFIG,
 } = require("./batchProcessor");
-const { testGeminiConnection, getModelInfo } = require("./geminiTranslator");
+const {
+  getProvider,
+  getProviderDefaults,
+  listProviders,
+} = require("./translationProvider");
+const {
+  getLocaleConfig,
+  listTargetLocales,
+  DEFAULT_TARGET_LANG,
+} = require("./locales");
 const { getFileInfo, fileExists } = require("./fileHandler");
 
 /**
@@ -21,6 +31,106 @@ function parseCommandLineArgs() {
     const nextArg = args[i + 1];
 
     switch (arg) {
+      case "--provider":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.provider = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--base-url":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.baseUrl = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-latency":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, latencyMs: parseInt(nextArg) };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-seed":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, seed: parseInt(nextArg) };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-429-rate":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, rateLimitRate: parseFloat(nextArg) };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-500-rate":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, serverErrorRate: parseFloat(nextArg) };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-fatal-after":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, fatalAfterCalls: parseInt(nextArg) };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-malformed-rate":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, malformedRate: parseFloat(nextArg) };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-missing-key-rate":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, missingKeyRate: parseFloat(nextArg) };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-glossary-violation-rate":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = {
+            ...config.mock,
+            glossaryViolationRate: parseFloat(nextArg),
+          };
+          i++; // Skip next argument
+        }
+        break;
+      case "--mock-poison-pattern":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.mock = { ...config.mock, poisonPattern: nextArg };
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-glossary":
+        config.glossary = false;
+        break;
+      case "--glossary":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.glossaryFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--glossary-retries":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.glossaryRetries = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--source-lang":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.sourceLang = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--target-lang":
+        // Repetible: --target-lang es --target-lang pt-BR (o es,pt-BR)
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.targetLangs = [
+            ...(config.targetLangs || []),
+            ...nextArg.split(",").map((lang) => lang.trim()).filter(Boolean),
+          ];
+          i++; // Skip next argument
+        }
+        break;
       case "--tier":
         if (nextArg && !nextArg.startsWith("--")) {
           config.tier = nextArg;
@@ -51,9 +161,155 @@ function parseCommandLineArgs() {
           i++; // Skip next argument
         }
         break;
+      case "--batching":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.batching = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--batch-tokens":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.batchTokens = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--batch-max-entries":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.batchMaxEntries = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--group-keys":
+        config.groupKeys = true;
+        break;
+      case "--group-similarity":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.groupSimilarity = parseFloat(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--temperature":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.temperature = parseFloat(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--top-k":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.topK = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--top-p":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.topP = parseFloat(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--max-output-tokens":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.maxOutputTokens = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-partial-salvage":
+        config.partialSalvage = false;
+        break;
+      case "--no-split":
+        config.splitOnFailure = false;
+        break;
+      case "--split-after":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.splitAfterFailures = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-structured-output":
+        config.structuredOutput = false;
+        break;
       case "--no-rate-limits":
         config.respectRateLimits = false;
         break;
+      case "--resume":
+        config.resume = true;
+        break;
+      case "--no-checkpoint":
+        config.checkpoint = false;
+        break;
+      case "--no-memory":
+        config.memory = false;
+        break;
+      case "--memory-file":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.memoryFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-rule-translation":
+        config.ruleTranslation = false;
+        break;
+      case "--rule-translations":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.ruleTranslationsFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-placeholders":
+        config.placeholders = false;
+        break;
+      case "--placeholder-terms":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.placeholderTermsFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-qa":
+        config.qualityCheck = false;
+        break;
+      case "--qa-requeue":
+        config.qaRequeue = true;
+        break;
+      case "--qa-report":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.qaReportFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--qa-allowlist":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.qaAllowlistFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--qa-length-ratio":
+        if (nextArg && !nextArg.startsWith("--")) {
+          const [min, max] = nextArg.split(",").map(parseFloat);
+          config.qaMinLengthRatio = min;
+          config.qaMaxLengthRatio = max;
+          i++; // Skip next argument
+        }
+        break;
+      case "--exclusion-rules":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.exclusionRulesFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--enable-rule":
+      case "--disable-rule":
+        // Repetible: --disable-rule countryCodes --disable-rule tifCodes (o separado por comas)
+        if (nextArg && !nextArg.startsWith("--")) {
+          const field =
+            arg === "--enable-rule"
+              ? "enableExclusionRules"
+              : "disableExclusionRules";
+          config[field] = [
+            ...(config[field] || []),
+            ...nextArg.split(",").map((id) => id.trim()).filter(Boolean),
+          ];
+          i++; // Skip next argument
+        }
+        break;
       case "--help":
         showHelp();
         process.exit(0);
@@ -77,10 +333,32 @@ function showHelp() {
   console.log("  node index.js [opciones]\n");
 
   console.log("OPCIONES:");
+  console.log("  --provider <nombre>    Proveedor de traducción");
+  console.log(`                         Valores: ${listProviders().join(", ")}`);
+  console.log("                         Por defecto: gemini");
+  console.log("");
+  console.log("  --source-lang <código> Idioma de las claves del archivo de entrada");
+  console.log("                         Por defecto: en");
+  console.log("");
+  console.log("  --target-lang <código> Idioma destino (repetible o separado por comas)");
+  console.log(`                         Valores: ${listTargetLocales().join(", ")}`);
+  console.log(
+    "                         Cada idioma distinto de es se guarda en <salida>.<código>.json"
+  );
+  console.log("                         Por defecto: es");
+  console.log("");
+  console.log("  --base-url <url>       URL base del servidor (proveedor openai)");
+  console.log(
+    "                         Por defecto: OPENAI_BASE_URL o http://localhost:8080/v1"
+  );
+  console.log("");
   console.log("  --tier <tier>          Tier de la API de Gemini");
   console.log(
     "                         Valores: free_tier, tier_1, tier_2, tier_3"
   );
+  console.log(
+    "                         Otros proveedores usan su propio tier (mock, openai_compatible)"
+  );
   console.log("                         Por defecto: free_tier");
   console.log("");
   console.log("  --model <modelo>       Modelo de Gemini a usar");
@@ -98,14 +376,159 @@ function showHelp() {
   console.log("  --batch-size <número>  Número de entradas por lote");
   console.log("                         Por defecto: 15");
   console.log("");
+  console.log("  --batching <modo>      Modo de creación de lotes: entries o tokens");
+  console.log(
+    "                         tokens: llena cada lote hasta --batch-tokens, sin superar"
+  );
+  console.log(
+    "                         --batch-max-entries ni la parte del TPM de cada lote"
+  );
+  console.log("                         Por defecto: entries (--batch-size fijo)");
+  console.log("");
+  console.log("  --batch-tokens <número>");
+  console.log("                         Presupuesto de tokens por lote (modo tokens)");
+  console.log("                         Por defecto: 2000");
+  console.log("");
+  console.log("  --batch-max-entries <número>");
+  console.log("                         Máximo de entradas por lote (modo tokens)");
+  console.log("                         Por defecto: 40");
+  console.log("");
+  console.log("  --group-keys           Agrupar claves relacionadas en el mismo lote");
+  console.log(
+    "                         (mismo prefijo antes de la coma o tokens en común)"
+  );
+  console.log("");
+  console.log("  --group-similarity <0-1>");
+  console.log("                         Similitud mínima para agrupar claves");
+  console.log("                         Por defecto: 0.5");
+  console.log("");
+  console.log("  --temperature <valor>  Temperatura del modelo");
+  console.log("                         Por defecto: 0.1");
+  console.log("");
+  console.log("  --top-k <número>       Muestreo top-K del modelo");
+  console.log("                         Por defecto: 1");
+  console.log("");
+  console.log("  --top-p <valor>        Muestreo top-P del modelo");
+  console.log("                         Por defecto: 0.1");
+  console.log("");
+  console.log("  --max-output-tokens <número>");
+  console.log("                         Máximo de tokens de salida por lote");
+  console.log("                         Por defecto: 8192");
+  console.log("");
+  console.log("  --no-partial-salvage   Reintentar el lote completo si la respuesta omite claves");
+  console.log(
+    "                         Por defecto: se conservan las claves válidas y solo las"
+  );
+  console.log("                         faltantes se reenvían en un mini-lote");
+  console.log("");
+  console.log("  --no-split             No dividir los lotes que fallan");
+  console.log(
+    "                         Por defecto: el lote se divide por la mitad hasta aislar"
+  );
+  console.log("                         las claves que fallan solas (poison keys)");
+  console.log("");
+  console.log("  --split-after <número> Fallos de contenido o de parseo antes de dividir un lote");
+  console.log("                         Por defecto: 1");
+  console.log("");
+  console.log("  --no-structured-output");
+  console.log(
+    "                         No pedir salida JSON con esquema (responseSchema);"
+  );
+  console.log(
+    "                         el JSON se extrae del texto de la respuesta"
+  );
+  console.log("                         Por defecto: habilitada si el proveedor la soporta");
+  console.log("");
   console.log(
     "  --no-rate-limits       Deshabilitar control de límites de velocidad"
   );
   console.log("                         Por defecto: habilitado");
   console.log("");
+  console.log(
+    "  --resume               Reanudar desde el checkpoint de una ejecución anterior"
+  );
+  console.log(
+    "                         Omite los lotes ya completados (<salida>.checkpoint.jsonl)"
+  );
+  console.log("");
+  console.log("  --no-checkpoint        No registrar los lotes completados en disco");
+  console.log("                         Por defecto: habilitado");
+  console.log("");
+  console.log("  --glossary <archivo>   Glosario JSON de términos (source, target, variantes)");
+  console.log("                         Por defecto: glossary.json");
+  console.log("");
+  console.log("  --glossary-retries <número>");
+  console.log("                         Reintentos dirigidos para entradas que no respetan el glosario");
+  console.log("                         Por defecto: 1");
+  console.log("");
+  console.log("  --no-glossary          No inyectar ni validar el glosario");
+  console.log("");
+  console.log("  --no-memory            No usar la memoria de traducción");
+  console.log("                         Por defecto: habilitada");
+  console.log("");
+  console.log("  --memory-file <archivo>");
+  console.log("                         Archivo JSONL de la memoria de traducción");
+  console.log("                         Por defecto: translation-memory.jsonl");
+  console.log("");
+  console.log("  --no-rule-translation  No traducir localmente las claves con formato fijo");
+  console.log("                         (meses, periodicidad, clases de peso)");
+  console.log("                         Por defecto: habilitada");
+  console.log("");
+  console.log("  --rule-translations <archivo>");
+  console.log("                         Diccionario de la traducción por reglas");
+  console.log("                         Por defecto: rule-translations.json");
+  console.log("");
+  console.log("  --no-placeholders      Enviar las claves sin proteger códigos, cantidades,");
+  console.log("                         grados USDA y nombres propios con marcadores");
+  console.log("                         Por defecto: habilitado");
+  console.log("");
+  console.log("  --placeholder-terms <archivo>");
+  console.log("                         Grados USDA y nombres propios que se protegen");
+  console.log("                         Por defecto: placeholder-terms.json");
+  console.log("");
+  console.log("  --no-qa                No revisar la calidad de las traducciones nuevas");
+  console.log("                         Por defecto: habilitado (reporte en <salida>.qa.json)");
+  console.log("");
+  console.log("  --qa-requeue           Reenviar a la API las entradas con errores de calidad");
+  console.log("");
+  console.log("  --qa-report <archivo>  Archivo del reporte de calidad");
+  console.log("");
+  console.log("  --qa-allowlist <archivo>");
+  console.log("                         Términos que pueden quedar igual que en inglés");
+  console.log("                         Por defecto: qa-allowlist.json");
+  console.log("");
+  console.log("  --qa-length-ratio <mín,máx>");
+  console.log("                         Proporción de longitud aceptada (traducción / clave)");
+  console.log("                         Por defecto: 0.35,3");
+  console.log("");
+  console.log("  --exclusion-rules <archivo>");
+  console.log("                         Registro de reglas de exclusión de claves");
+  console.log("                         Por defecto: exclusion-rules.json");
+  console.log("");
+  console.log("  --disable-rule <id>    Desactivar una regla de exclusión en esta ejecución");
+  console.log("                         (repetible o separado por comas)");
+  console.log("");
+  console.log("  --enable-rule <id>     Activar una regla desactivada en el registro");
+  console.log("                         (repetible o separado por comas)");
+  console.log("");
   console.log("  --help                 Mostrar esta ayuda");
   console.log("");
 
+  console.log("OPCIONES DEL PROVEEDOR SIMULADO (--provider mock):");
+  console.log("  --mock-latency <ms>          Latencia simulada por llamada (por defecto: 50)");
+  console.log("  --mock-seed <número>         Semilla para resultados reproducibles (por defecto: 42)");
+  console.log("  --mock-429-rate <0-1>        Probabilidad de responder 429 (error fatal)");
+  console.log("  --mock-500-rate <0-1>        Probabilidad de responder 500 (error transitorio)");
+  console.log("  --mock-fatal-after <n>       Responder 429 a partir de la llamada n+1 (cuota agotada)");
+  console.log("  --mock-malformed-rate <0-1>  Probabilidad de devolver JSON mal formado");
+  console.log("  --mock-missing-key-rate <0-1>");
+  console.log("                               Probabilidad de omitir una clave en la respuesta");
+  console.log("  --mock-glossary-violation-rate <0-1>");
+  console.log("                               Probabilidad de ignorar el glosario en una entrada");
+  console.log("  --mock-poison-pattern <regex>");
+  console.log("                               Hace fallar siempre los lotes con una clave que coincida");
+  console.log("");
+
   console.log("TIERS DISPONIBLES:");
   console.log("  free_tier   - Hasta 10 RPM, 250k TPM, 250 RPD (gratis)");
   console.log("  tier_1      - Hasta 1000 RPM, 1M TPM, 10k RPD");
@@ -120,6 +543,29 @@ function showHelp() {
   console.log("  # Usar tier 1 con modelo específico");
   console.log("  node index.js --tier tier_1 --model gemini-2.0-flash-lite");
   console.log("");
+  console.log("  # Modelo y parámetros de muestreo personalizados");
+  console.log(
+    "  node index.js --model gemini-2.5-flash --temperature 0 --max-output-tokens 4096"
+  );
+  console.log("");
+  console.log("  # Probar el pipeline sin red ni API key, con fallos inyectados");
+  console.log(
+    "  node index.js --provider mock --input test-input.json --mock-malformed-rate 0.2"
+  );
+  console.log("");
+  console.log("  # Servidor local compatible con OpenAI (llama.cpp, vLLM, Ollama)");
+  console.log(
+    "  node index.js --provider openai --base-url http://localhost:11434/v1 --model llama3.1"
+  );
+  console.log("");
+  console.log("  # Traducir el mismo archivo a español, portugués y francés de Canadá");
+  console.log(
+    "  node index.js --target-lang es --target-lang pt-BR --target-lang fr-CA"
+  );
+  console.log("");
+  console.log("  # Reanudar una ejecución interrumpida (error fatal o Ctrl+C)");
+  console.log("  node index.js --resume");
+  console.log("");
   console.log("  # Archivo personalizado sin límites de velocidad");
   console.log(
     "  node index.js --input mi-archivo.json --output resultado.json --no-rate-limits"
@@ -182,14 +628,18 @@ function showProjectInfo() {
 
 /**
  * Valida que se cumplan los prerrequisitos del sistema
+ * @param {Object} config - Configuración a validar (por defecto PROJECT_CONFIG)
  * @returns {Promise<boolean>} - true si todo está listo
  */
-async function validatePrerequisites() {
+async function validatePrerequisites(config = PROJECT_CONFIG) {
   console.log("🔍 === VALIDANDO PRERREQUISITOS ===");
 
   try {
+    const modelOptions = getModelOptions(config);
+    const provider = getProvider(config.provider);
+
     // 1. Verificar que existe el archivo de entrada
-    const inputPath = path.resolve(PROJECT_CONFIG.inputFile);
+    const inputPath = path.resolve(config.inputFile);
     const inputExists = await fileExists(inputPath);
 
     if (!inputExists) {
@@ -208,28 +658,35 @@ async function validatePrerequisites() {
       `   📅 Última modificación: ${fileInfo.lastModified.toLocaleString()}`
     );
 
-    // 3. Verificar la API key de Gemini
-    if (!process.env.GEMINI_API_KEY) {
-      console.error("❌ Variable de entorno GEMINI_API_KEY no definida");
-      console.log(
-        "💡 Tip: Crea un archivo .env con: GEMINI_API_KEY=tu_api_key"
-      );
-      return false;
-    }
+    // 3. Verificar la API key del proveedor (si la necesita)
+    if (provider.requiresApiKey) {
+      if (!process.env[provider.apiKeyEnv]) {
+        console.error(
+          `❌ Variable de entorno ${provider.apiKeyEnv} no definida`
+        );
+        console.log(
+          `💡 Tip: Crea un archivo .env con: ${provider.apiKeyEnv}=tu_api_key`
+        );
+        return false;
+      }
 
-    console.log("✅ API key de Gemini configurada");
+      console.log(`✅ API key de ${provider.name} configurada`);
+    } else {
+      console.log(`✅ El proveedor ${provider.name} no requiere API key`);
+    }
 
-    // 4. Probar conexión con Gemini
-    console.log("🧪 Probando conexión con Gemini...");
-    const connectionOk = await testGeminiConnection();
+    // 4. Probar conexión con el proveedor
+    console.log(`🧪 Probando conexión con ${provider.name}...`);
+    const connectionOk = await provider.testConnection(modelOptions);
 
     if (!connectionOk) {
-      console.error("❌ No se pudo conectar con la API de Gemini");
+      console.error(`❌ No se pudo conectar con el proveedor ${provider.name}`);
       return false;
     }
 
     // 5. Mostrar información del modelo
-    const modelInfo = getModelInfo();
+    const modelInfo = provider.getModelInfo(modelOptions);
+    console.log(`🔌 Proveedor: ${provider.name} - ${provider.description}`);
     console.log(`🤖 Modelo: ${modelInfo.model}`);
     console.log(
       `🔧 Configuración: Temp=${modelInfo.config.temperature}, MaxTokens=${modelInfo.config.maxOutputTokens}`
@@ -264,12 +721,35 @@ function showFinalStats(report) {
       summary.totalEntries || 0
     }`
   );
+  console.log(
+    `📐 Con reglas: ${summary.entriesFromRules || 0} | 🧠 Desde memoria de traducción: ${
+      summary.entriesFromMemory || 0
+    } | 🌐 Desde la API: ${summary.entriesFromApi || 0}`
+  );
   console.log(
     `📦 Lotes procesados: ${summary.successfulBatches || 0}/${
       summary.totalBatches || 0
     }`
   );
   console.log(`⏱️  Tiempo total: ${summary.durationFormatted || "N/A"}`);
+  if (report.model) {
+    console.log(
+      `🤖 Modelo utilizado: ${report.model.model} (${report.provider})`
+    );
+  }
+  if (report.locale) {
+    console.log(
+      `🌍 Idiomas: ${report.locale.sourceLang} → ${report.locale.targetLang}`
+    );
+  }
+
+  if (summary.dailyLimitReached) {
+    console.log(
+      `\n📅 Límite diario de peticiones alcanzado. La cuota se restablece: ${new Date(
+        summary.dailyLimitResetAt
+      ).toLocaleString()}`
+    );
+  }
 
   if ((summary.failedBatches || 0) > 0) {
     console.log(`\n⚠️  RESUMEN DE FALLOS:`);
@@ -304,12 +784,12 @@ function showFinalStats(report) {
     }
   }
 
-  const outputPath = path.resolve(PROJECT_CONFIG.outputFile);
+  const outputFile =
+    (report.locale && report.locale.outputFile) || PROJECT_CONFIG.outputFile;
+  const outputPath = path.resolve(outputFile);
   if ((summary.successfulEntries || 0) > 0) {
     console.log(`\n✅ Archivo de salida generado: ${outputPath}`);
-    console.log(
-      `📁 Puedes revisar las traducciones en: ${PROJECT_CONFIG.outputFile}`
-    );
+    console.log(`📁 Puedes revisar las traducciones en: ${outputFile}`);
   }
 }
 
@@ -337,9 +817,18 @@ function handleExit(exitCode, reason) {
  */
 async function main() {
   try {
+    // Si la ejecución registra los lotes completados en el checkpoint; se
+    // actualiza al combinar la configuración con los argumentos
+    let checkpointEnabled = PROJECT_CONFIG.checkpoint !== false;
+
     // Configurar el manejo de señales
     process.on("SIGINT", () => {
       console.log("\n⚠️  Interrupción del usuario detectada...");
+      console.log(
+        checkpointEnabled
+          ? "📒 Los lotes completados quedaron en el checkpoint. Reanuda con: node index.js --resume"
+          : "📒 Checkpoint deshabilitado (--no-checkpoint): los lotes completados no se guardaron"
+      );
       handleExit(130, "Interrupción manual (Ctrl+C)");
     });
 
@@ -351,26 +840,169 @@ async function main() {
     // Parsear argumentos de línea de comandos
     const cmdArgs = parseCommandLineArgs();
 
-    // Combinar configuración por defecto con argumentos
+    // Combinar configuración por defecto con argumentos. Al cambiar de
+    // proveedor, su tier y modelo por defecto reemplazan a los de Gemini.
     const finalConfig = {
       ...PROJECT_CONFIG,
+      ...(cmdArgs.provider ? getProviderDefaults(cmdArgs.provider) : {}),
       ...cmdArgs,
     };
+    checkpointEnabled = finalConfig.checkpoint !== false;
 
     // Mostrar información del proyecto con configuración final
     showProjectInfo();
 
-    if (cmdArgs.tier || cmdArgs.model || cmdArgs.respectRateLimits === false) {
+    if (
+      cmdArgs.provider ||
+      cmdArgs.sourceLang ||
+      cmdArgs.targetLangs ||
+      cmdArgs.baseUrl ||
+      cmdArgs.mock ||
+      cmdArgs.tier ||
+      cmdArgs.model ||
+      cmdArgs.respectRateLimits === false ||
+      cmdArgs.temperature !== undefined ||
+      cmdArgs.topK !== undefined ||
+      cmdArgs.topP !== undefined ||
+      cmdArgs.maxOutputTokens !== undefined ||
+      cmdArgs.batching ||
+      cmdArgs.batchTokens !== undefined ||
+      cmdArgs.batchMaxEntries !== undefined ||
+      cmdArgs.groupKeys ||
+      cmdArgs.groupSimilarity !== undefined ||
+      cmdArgs.structuredOutput === false ||
+      cmdArgs.partialSalvage === false ||
+      cmdArgs.splitOnFailure === false ||
+      cmdArgs.splitAfterFailures !== undefined ||
+      cmdArgs.resume ||
+      cmdArgs.checkpoint === false ||
+      cmdArgs.memory === false ||
+      cmdArgs.memoryFile ||
+      cmdArgs.ruleTranslation === false ||
+      cmdArgs.ruleTranslationsFile ||
+      cmdArgs.placeholders === false ||
+      cmdArgs.placeholderTermsFile ||
+      cmdArgs.glossary === false ||
+      cmdArgs.glossaryFile ||
+      cmdArgs.glossaryRetries !== undefined ||
+      cmdArgs.qualityCheck === false ||
+      cmdArgs.qaRequeue ||
+      cmdArgs.qaReportFile ||
+      cmdArgs.qaAllowlistFile ||
+      cmdArgs.qaMinLengthRatio !== undefined
+    ) {
       console.log("📝 CONFIGURACIÓN PERSONALIZADA DETECTADA:");
+      if (cmdArgs.provider) console.log(`   🔌 Proveedor: ${cmdArgs.provider}`);
+      if (cmdArgs.sourceLang)
+        console.log(`   🌍 Idioma de origen: ${cmdArgs.sourceLang}`);
+      if (cmdArgs.targetLangs)
+        console.log(`   🌍 Idiomas destino: ${cmdArgs.targetLangs.join(", ")}`);
+      if (cmdArgs.baseUrl) console.log(`   🌐 URL base: ${cmdArgs.baseUrl}`);
+      if (cmdArgs.mock)
+        console.log(`   🧪 Fallos simulados: ${JSON.stringify(cmdArgs.mock)}`);
       if (cmdArgs.tier) console.log(`   📊 Tier: ${cmdArgs.tier}`);
       if (cmdArgs.model) console.log(`   🤖 Modelo: ${cmdArgs.model}`);
+      if (cmdArgs.temperature !== undefined)
+        console.log(`   🌡️  Temperatura: ${cmdArgs.temperature}`);
+      if (cmdArgs.topK !== undefined) console.log(`   🎲 Top-K: ${cmdArgs.topK}`);
+      if (cmdArgs.topP !== undefined) console.log(`   🎲 Top-P: ${cmdArgs.topP}`);
+      if (cmdArgs.maxOutputTokens !== undefined)
+        console.log(`   📏 Máx. tokens de salida: ${cmdArgs.maxOutputTokens}`);
+      if (cmdArgs.batching)
+        console.log(`   🔪 Modo de lotes: ${cmdArgs.batching}`);
+      if (cmdArgs.batchTokens !== undefined)
+        console.log(`   🔢 Tokens por lote: ${cmdArgs.batchTokens}`);
+      if (cmdArgs.batchMaxEntries !== undefined)
+        console.log(`   📦 Máx. entradas por lote: ${cmdArgs.batchMaxEntries}`);
+      if (cmdArgs.groupKeys)
+        console.log(`   🧲 Agrupar claves relacionadas: Sí`);
+      if (cmdArgs.groupSimilarity !== undefined)
+        console.log(`   🧲 Similitud mínima: ${cmdArgs.groupSimilarity}`);
+      if (cmdArgs.structuredOutput === false)
+        console.log(`   🧾 Salida estructurada (JSON con esquema): Deshabilitada`);
+      if (cmdArgs.partialSalvage === false)
+        console.log(`   🧩 Rescate de respuestas parciales: Deshabilitado`);
+      if (cmdArgs.splitOnFailure === false)
+        console.log(`   ✂️  División de lotes fallidos: Deshabilitada`);
+      if (cmdArgs.splitAfterFailures !== undefined)
+        console.log(
+          `   ✂️  Fallos de contenido o de parseo antes de dividir un lote: ${cmdArgs.splitAfterFailures}`
+        );
       if (cmdArgs.respectRateLimits === false)
         console.log(`   🚦 Rate limiting: Deshabilitado`);
+      if (cmdArgs.resume) console.log(`   ♻️  Reanudar desde checkpoint: Sí`);
+      if (cmdArgs.checkpoint === false)
+        console.log(`   📒 Checkpoint: Deshabilitado`);
+      if (cmdArgs.memory === false)
+        console.log(`   🧠 Memoria de traducción: Deshabilitada`);
+      if (cmdArgs.memoryFile)
+        console.log(`   🧠 Memoria de traducción: ${cmdArgs.memoryFile}`);
+      if (cmdArgs.ruleTranslation === false)
+        console.log(`   📐 Traducción por reglas: Deshabilitada`);
+      if (cmdArgs.ruleTranslationsFile)
+        console.log(`   📐 Traducción por reglas: ${cmdArgs.ruleTranslationsFile}`);
+      if (cmdArgs.placeholders === false)
+        console.log(`   🔒 Marcadores de posición: Deshabilitados`);
+      if (cmdArgs.placeholderTermsFile)
+        console.log(`   🔒 Marcadores de posición: ${cmdArgs.placeholderTermsFile}`);
+      if (cmdArgs.glossary === false)
+        console.log(`   📖 Glosario: Deshabilitado`);
+      if (cmdArgs.glossaryFile)
+        console.log(`   📖 Glosario: ${cmdArgs.glossaryFile}`);
+      if (cmdArgs.glossaryRetries !== undefined)
+        console.log(`   📖 Reintentos del glosario: ${cmdArgs.glossaryRetries}`);
+      if (cmdArgs.qualityCheck === false)
+        console.log(`   🔍 Control de calidad: Deshabilitado`);
+      if (cmdArgs.qaRequeue)
+        console.log(`   🔁 Reenviar entradas con errores de calidad: Sí`);
+      if (cmdArgs.qaReportFile)
+        console.log(`   🔍 Reporte de calidad: ${cmdArgs.qaReportFile}`);
+      if (cmdArgs.qaAllowlistFile)
+        console.log(`   🔍 Términos permitidos: ${cmdArgs.qaAllowlistFile}`);
+      if (cmdArgs.qaMinLengthRatio !== undefined)
+        console.log(
+          `   📏 Proporción de longitud: ${cmdArgs.qaMinLengthRatio}-${cmdArgs.qaMaxLengthRatio}`
+        );
       console.log("");
     }
 
+    // Resolver la configuración de cada idioma destino (prompt, glosario y
+    // archivo de salida propios)
+    let localeConfigs;
+    try {
+      localeConfigs = (cmdArgs.targetLangs || [DEFAULT_TARGET_LANG])
+        .map((lang) => getLocaleConfig(lang, finalConfig))
+        .filter(
+          (localeConfig, index, all) =>
+            all.findIndex((c) => c.targetLang === localeConfig.targetLang) ===
+            index
+        );
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      handleExit(1, "Idioma no soportado");
+    }
+
+    // Un glosario indicado con --glossary solo tiene sentido para un idioma
+    if (cmdArgs.glossaryFile) {
+      if (localeConfigs.length === 1) {
+        localeConfigs[0].glossaryFile = cmdArgs.glossaryFile;
+      } else {
+        console.warn(
+          "⚠️  --glossary se ignora con varios idiomas destino; se usa el glosario de cada idioma"
+        );
+      }
+    }
+
+    // Igual con --qa-report: cada idioma escribe su propio reporte
+    if (cmdArgs.qaReportFile && localeConfigs.length > 1) {
+      console.warn(
+        "⚠️  --qa-report se ignora con varios idiomas destino; se usa <salida del idioma>.qa.json"
+      );
+      finalConfig.qaReportFile = null;
+    }
+
     // Validar prerrequisitos
-    const prerequisitesOk = await validatePrerequisites();
+    const prerequisitesOk = await validatePrerequisites(finalConfig);
     if (!prerequisitesOk) {
       handleExit(1, "Prerrequisitos no cumplidos");
     }
@@ -383,22 +1015,50 @@ async function main() {
     // Dar tiempo para cancelar
     await new Promise((resolve) => setTimeout(resolve, 3000));
 
-    // Ejecutar el procesamiento principal
+    // Ejecutar el procesamiento principal, un idioma destino a la vez
     const inputPath = path.resolve(finalConfig.inputFile);
-    const outputPath = path.resolve(finalConfig.outputFile);
+    const reports = [];
 
-    const config = {
-      ...finalConfig,
-      outputFile: outputPath,
-    };
+    for (const localeConfig of localeConfigs) {
+      const config = {
+        ...finalConfig,
+        ...localeConfig,
+        outputFile: path.resolve(localeConfig.outputFile),
+      };
+
+      if (localeConfigs.length > 1) {
+        console.log(
+          `\n🌍 === IDIOMA DESTINO: ${config.targetLang} (${
+            reports.length + 1
+          }/${localeConfigs.length}) ===`
+        );
+      }
 
-    const report = await processTranslation(inputPath, config);
+      const report = await processTranslation(inputPath, config);
 
-    // Mostrar estadísticas finales
-    showFinalStats(report);
+      // Mostrar estadísticas finales
+      showFinalStats(report);
+      reports.push(report);
+
+      // Un error fatal (cuota agotada, API key inválida) afectaría también
+      // a los idiomas restantes
+      if (report.summary.stoppedEarly) {
+        const pending = localeConfigs
+          .slice(reports.length)
+          .map((c) => c.targetLang);
+        if (pending.length > 0) {
+          console.log(
+            `🛑 Idiomas no procesados por el error fatal: ${pending.join(", ")}`
+          );
+        }
+        break;
+      }
+    }
 
-    // Determinar el código de salida
-    const successRate = parseFloat(report.summary.entriesSuccessRate);
+    // Determinar el código de salida según el idioma con peor resultado
+    const successRate = Math.min(
+      ...reports.map((report) => parseFloat(report.summary.entriesSuccessRate))
+    );
 
     if (successRate >= 90) {
       handleExit(0, "Traducción completada con éxito");
@@ -416,39 +1076,6 @@ async function main() {
   }
 }
 
-/**
- * Muestra ayuda del programa
- */
-function showHelp() {
-  console.log("🎯 SISTEMA DE TRADUCCIÓN MASIVA");
-  console.log(
-    "📝 Traduce archivos JSON grandes del inglés al español usando Gemini AI\n"
-  );
-
-  console.log("📋 USO:");
-  console.log(
-    "   node index.js                 # Ejecuta con configuración por defecto"
-  );
-  console.log("   node index.js --help          # Muestra esta ayuda\n");
-
-  console.log("⚙️  CONFIGURACIÓN:");
-  console.log("   Archivo de entrada: test-input.json (debe existir)");
-  console.log("   Archivo de salida: output.json (se creará/sobrescribirá)");
-  console.log("   Variable de entorno: GEMINI_API_KEY (requerida)\n");
-
-  console.log("💡 EJEMPLO DE USO:");
-  console.log("   1. Crea un archivo .env con: GEMINI_API_KEY=tu_api_key");
-  console.log("   2. Asegúrate de que test-input.json existe");
-  console.log("   3. Ejecuta: node index.js");
-  console.log("   4. Revisa los resultados en output.json\n");
-
-  console.log("🔗 MÁS INFORMACIÓN:");
-  console.log("   - El sistema procesa archivos JSON por lotes");
-  console.log("   - Mantiene las claves originales, traduce solo los valores");
-  console.log("   - Maneja reintentos automáticos para lotes fallidos");
-  console.log("   - Genera reportes detallados del procesamiento");
-}
-
 // Verificar argumentos de línea de comandos
 const args = process.argv.slice(2);
 
@@ -5,7 +5,12 @@
 const fs = require("fs").promises;
 const path = require("path");
 const { readJsonFile, getFileInfo } = require("./fileHandler");
-const { shouldExcludeKey } = require("./batchProcessor");
+const {
+  loadExclusionRulesForConfig,
+  findExclusionRule,
+  DEFAULT_EXCLUSION_RULES_FILE,
+} = require("./exclusionRules");
+const { DEFAULT_TARGET_LANG } = require("./locales");
 const { type } = require("os");
 
 /**
@@ -22,6 +27,9 @@ const CSV_CONFIG = {
   escapeQuotes: true, // Si escapar comillas en los valores
   multipleFiles: false, // Si generar múltiples archivos por categoría
   outputDir: null, // Directorio para múltiples archivos (se genera automáticamente)
+  exclusionRulesFile: DEFAULT_EXCLUSION_RULES_FILE, // Reglas con las que se categorizan las entradas
+  enableExclusionRules: [], // Reglas desactivadas en el registro que se activan
+  disableExclusionRules: [], // Reglas que no se usan para categorizar
 };
 
 /**
@@ -59,6 +67,18 @@ function parseCommandLineArgs() {
       parsed.multipleFiles = true;
     } else if (arg === "--output-dir") {
       parsed.outputDir = args[++i];
+    } else if (arg === "--exclusion-rules") {
+      parsed.exclusionRulesFile = args[++i];
+    } else if (arg === "--enable-rule") {
+      parsed.enableExclusionRules = [
+        ...parsed.enableExclusionRules,
+        ...args[++i].split(","),
+      ];
+    } else if (arg === "--disable-rule") {
+      parsed.disableExclusionRules = [
+        ...parsed.disableExclusionRules,
+        ...args[++i].split(","),
+      ];
     } else if (!arg.startsWith("--")) {
       // Si no es un flag, asumimos que es el archivo de entrada
       parsed.inputFile = arg;
@@ -93,6 +113,10 @@ function showHelp() {
     "  --multiple-files, --split Generar múltiples archivos por categoría"
   );
   console.log("  --output-dir <directorio> Directorio para múltiples archivos");
+  console.log("  --exclusion-rules <archivo>");
+  console.log("                            Reglas para categorizar (por defecto: exclusion-rules.json)");
+  console.log("  --disable-rule <id>       No usar una regla al categorizar (repetible)");
+  console.log("  --enable-rule <id>        Usar una regla desactivada en el registro (repetible)");
   console.log("  --help, -h                Mostrar esta ayuda\n");
 
   console.log("📋 EJEMPLOS:");
@@ -154,27 +178,20 @@ function escapeCsvValue(value, delimiter, escapeQuotes = true) {
 }
 
 /**
- * Categoriza las entradas del JSON según el tipo de exclusión
+ * Categoriza las entradas del JSON según la regla de exclusión que las excluye
  * @param {Object} jsonData - Datos JSON
+ * @param {any[]} exclusionRules - Reglas de exclusión normalizadas
  * @returns {any} - Objeto con entradas categorizadas
  */
-function categorizeEntries(jsonData) {
+function categorizeEntries(jsonData, exclusionRules) {
   console.log("🔍 Categorizando entradas por tipo...");
 
   /**@type {any} */
   const categories = {
     translated: {},
-    pureNumbers: {},
-    numbersWithUnits: {},
-    seasonYears: {},
-    spanishText: {},
-    prefixPatterns: {},
-    dateAbbreviations: {},
-    countryCodes: {},
-    mexicanCompanies: {},
-    tifCodes: {},
-    financialCodes: {},
-    futuresCodes: {},
+    ...Object.fromEntries(
+      exclusionRules.filter((rule) => rule.enabled).map((rule) => [rule.id, {}])
+    ),
     other: {},
   };
 
@@ -185,41 +202,9 @@ function categorizeEntries(jsonData) {
       return;
     }
 
-    // Categorizar según los patrones de exclusión
-    if (/^\d+$/.test(key)) {
-      categories.pureNumbers[key] = value;
-    } else if (/\d+.*[-\/><].*\d*|\d+.*\s*(kg|lb|PCT|%|\+)\s*$/i.test(key)) {
-      categories.numbersWithUnits[key] = value;
-    } else if (/^\d{4}\/\d{2}$/.test(key)) {
-      categories.seasonYears[key] = value;
-    } else if (/[áéíóúÁÉÍÓÚñÑ]/.test(key)) {
-      categories.spanishText[key] = value;
-    } else if (/^(_Daily - |YTD_|DC_.*_YTD|.*_YTD_)/i.test(key)) {
-      categories.prefixPatterns[key] = value;
-    } else if (
-      /^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)['']?\d{2}$/.test(key)
-    ) {
-      categories.dateAbbreviations[key] = value;
-    } else if (/^[A-Z]{2,3}$/.test(key)) {
-      categories.countryCodes[key] = value;
-    } else if (
-      /(S\.?\s*A\.?|de\s+C\.?\s*V\.?|A\.?\s*R\.?\s*I\.?\s*C)/i.test(key)
-    ) {
-      categories.mexicanCompanies[key] = value;
-    } else if (/TIF\s*\d+/i.test(key)) {
-      categories.tifCodes[key] = value;
-    } else if (/^(FRED|FHFA|CPI|PPI|GDP|USD|CAD|EUR|GBP|JPY)$/i.test(key)) {
-      categories.financialCodes[key] = value;
-    } else if (
-      /(Futures?|Daily|Weekly|Monthly|Quarterly).*-\s*(Nearby|H)$/i.test(key)
-    ) {
-      categories.futuresCodes[key] = value;
-    } else if (shouldExcludeKey(key)) {
-      categories.other[key] = value;
-    } else {
-      // Entradas que requieren traducción
-      categories.other[key] = value;
-    }
+    // Categorizar según la regla de exclusión; sin regla, requiere traducción
+    const rule = findExclusionRule(key, DEFAULT_TARGET_LANG, exclusionRules);
+    categories[rule ? rule.id : "other"][key] = value;
   });
 
   // Estadísticas
@@ -237,7 +222,9 @@ function categorizeEntries(jsonData) {
   console.log("📊 Categorización completada:");
   Object.entries(stats).forEach(([category, count]) => {
     if (count > 0) {
-      console.log(`   ${getCategoryDisplayName(category)}: ${count}`);
+      console.log(
+        `   ${getCategoryDisplayName(category, exclusionRules)}: ${count}`
+      );
     }
   });
 
@@ -246,27 +233,19 @@ function categorizeEntries(jsonData) {
 
 /**
  * Obtiene el nombre de display para una categoría
- * @param {string} category - Nombre de la categoría
+ * @param {string} category - Nombre de la categoría (id de regla, translated u other)
+ * @param {any[]} exclusionRules - Reglas de exclusión normalizadas
  * @returns {string} - Nombre para mostrar
  */
-function getCategoryDisplayName(category) {
-  /** @type {{[key: string]: string}} */
-  const displayNames = {
-    translated: "✅ Ya traducidas",
-    pureNumbers: "🔢 Números puros",
-    numbersWithUnits: "📏 Números con unidades",
-    seasonYears: "📅 Años de temporada",
-    spanishText: "🇪🇸 Texto en español",
-    prefixPatterns: "🏷️  Prefijos específicos",
-    dateAbbreviations: "📆 Fechas abreviadas",
-    countryCodes: "🌍 Códigos de país",
-    mexicanCompanies: "🏢 Empresas mexicanas",
-    tifCodes: "🏭 Códigos TIF",
-    financialCodes: "💰 Códigos financieros",
-    futuresCodes: "📈 Códigos de futuros",
-    other: "❓ Otras/Requieren traducción",
-  };
-  return displayNames[category] || category;
+function getCategoryDisplayName(category, exclusionRules) {
+  if (category === "translated") {
+    return "✅ Ya traducidas";
+  }
+  if (category === "other") {
+    return "❓ Otras/Requieren traducción";
+  }
+  const rule = exclusionRules.find((rule) => rule.id === category);
+  return rule ? `${rule.icon} ${rule.label}` : category;
 }
 
 /**
@@ -335,7 +314,7 @@ async function convertToMultipleCsvFiles(categorizedData, config) {
     generatedFiles.push(fileName);
 
     console.log(
-      `✅ ${getCategoryDisplayName(category)}: ${fileName} (${
+      `✅ ${getCategoryDisplayName(category, config.exclusionRules)}: ${fileName} (${
         Object.keys(entries).length
       } entradas)`
     );
@@ -375,7 +354,8 @@ function generateSummaryReport(stats, config) {
     if (count > 0) {
       const percentage = ((count / total) * 100).toFixed(1);
       content += `${getCategoryDisplayName(
-        category
+        category,
+        config.exclusionRules
       )}: ${count} (${percentage}%)\n`;
     }
   });
@@ -560,7 +540,11 @@ async function main() {
     if (config.multipleFiles) {
       // Categorizar entradas y generar múltiples archivos
       console.log("\n🔍 === CATEGORIZANDO ENTRADAS ===");
-      const categorizedData = categorizeEntries(jsonData);
+      config.exclusionRules = loadExclusionRulesForConfig(config);
+      const categorizedData = categorizeEntries(
+        jsonData,
+        config.exclusionRules
+      );
 
       console.log("\n📂 === GENERANDO MÚLTIPLES ARCHIVOS CSV ===");
       const generatedFiles = await convertToMultipleCsvFiles(
@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+
+// @ts-check
+
+const fs = require("fs").promises;
+const path = require("path");
+const { readJsonFile, fileExists, formatBytes } = require("./fileHandler");
+const {
+  shouldExcludeKey,
+  needsTranslation,
+  DEFAULT_CONFIG,
+} = require("./batchProcessor");
+const { loadGlossary, findTermsInText } = require("./glossary");
+const { loadAllowlist, checkTranslations } = require("./qualityCheck");
+const { getLocaleConfig } = require("./locales");
+const { buildXliff } = require("./xliff");
+const { buildPo } = require("./gettextPo");
+
+/**
+ * Configuración por defecto para la exportación a XLIFF y PO
+ */
+const VENDOR_EXPORT_CONFIG = {
+  inputFile: "output.json", // Archivo JSON de entrada por defecto
+  outputFile: null, // Se genera automáticamente si no se especifica
+  format: null, // xliff o po (null = según la extensión de salida, o xliff)
+  encoding: "utf-8", // Codificación del archivo (utf-8, latin1 o utf16le)
+  sourceLang: "en", // Idioma de las claves
+  targetLang: "es", // Idioma de las traducciones
+  qaNotes: true, // Agregar los hallazgos del control de calidad como notas
+  glossaryNotes: true, // Agregar los términos del glosario presentes en cada clave
+  glossaryFile: null, // null = glosario del idioma destino
+  includeExcluded: false, // Exportar también las claves excluidas por patrón
+};
+
+/**
+ * Formatos soportados y su extensión por defecto
+ */
+const VENDOR_FORMATS = { xliff: ".xlf", po: ".po" };
+
+/**
+ * Charset declarado en el archivo para cada codificación de escritura
+ */
+const DECLARED_CHARSETS = {
+  "utf-8": "UTF-8",
+  utf8: "UTF-8",
+  latin1: "ISO-8859-1",
+  utf16le: "UTF-16",
+};
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Argumentos parseados
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /**@type {any} */
+  const parsed = { ...VENDOR_EXPORT_CONFIG };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === "--help" || arg === "-h") {
+      showHelp();
+      process.exit(0);
+    } else if (arg === "--input" || arg === "-i") {
+      parsed.inputFile = args[++i];
+    } else if (arg === "--output" || arg === "-o") {
+      parsed.outputFile = args[++i];
+    } else if (arg === "--format" || arg === "-f") {
+      parsed.format = args[++i];
+    } else if (arg === "--encoding") {
+      parsed.encoding = args[++i];
+    } else if (arg === "--source-lang") {
+      parsed.sourceLang = args[++i];
+    } else if (arg === "--target-lang") {
+      parsed.targetLang = args[++i];
+    } else if (arg === "--glossary") {
+      parsed.glossaryFile = args[++i];
+    } else if (arg === "--no-qa-notes") {
+      parsed.qaNotes = false;
+    } else if (arg === "--no-glossary-notes") {
+      parsed.glossaryNotes = false;
+    } else if (arg === "--include-excluded") {
+      parsed.includeExcluded = true;
+    } else if (!arg.startsWith("--")) {
+      // Si no es un flag, asumimos que es el archivo de entrada
+      parsed.inputFile = arg;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Muestra la ayuda del comando
+ */
+function showHelp() {
+  console.log("📤 === EXPORTADOR JSON A XLIFF / PO ===");
+  console.log(
+    "📝 Convierte un JSON de tags en XLIFF 2.0 o gettext PO para el proveedor de localización\n"
+  );
+
+  console.log("💾 USO:");
+  console.log("  node jsonToVendor.js [archivo.json] [opciones]\n");
+
+  console.log("🔧 OPCIONES:");
+  console.log("  --input, -i <archivo>     Archivo JSON de entrada");
+  console.log("  --output, -o <archivo>    Archivo de salida (.xlf, .xliff o .po)");
+  console.log("  --format, -f <formato>    xliff o po (por defecto: según la extensión, o xliff)");
+  console.log(
+    "  --encoding <codificación> utf-8, latin1 o utf16le (por defecto: utf-8)"
+  );
+  console.log("  --source-lang <código>    Idioma de las claves (por defecto: en)");
+  console.log("  --target-lang <código>    Idioma de las traducciones (por defecto: es)");
+  console.log("  --glossary <archivo>      Glosario (por defecto: el del idioma destino)");
+  console.log("  --no-qa-notes             No agregar los hallazgos de calidad como notas");
+  console.log("  --no-glossary-notes       No agregar los términos del glosario como notas");
+  console.log("  --include-excluded        Exportar también las claves excluidas por patrón");
+  console.log("  --help, -h                Mostrar esta ayuda\n");
+
+  console.log("📋 EJEMPLOS:");
+  console.log("  # Exportar a XLIFF 2.0");
+  console.log("  node jsonToVendor.js us-mx-translated.json");
+  console.log("");
+  console.log("  # Exportar a PO");
+  console.log("  node jsonToVendor.js us-mx-translated.json --output tags.po");
+  console.log("");
+  console.log("  # Solo las claves, sin notas, para otro idioma");
+  console.log(
+    "  node jsonToVendor.js output.json --format po --target-lang pt-BR --no-qa-notes"
+  );
+  console.log("");
+}
+
+/**
+ * Determina el formato de exportación
+ * @param {string | null} format - Formato indicado con --format
+ * @param {string | null} outputFile - Archivo de salida indicado
+ * @returns {string} - xliff o po
+ * @throws {Error} - Si el formato no es soportado
+ */
+function resolveFormat(format, outputFile) {
+  if (format) {
+    const normalized = format.toLowerCase() === "xlf" ? "xliff" : format.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(VENDOR_FORMATS, normalized)) {
+      throw new Error(
+        `Formato no soportado: "${format}". Usa ${Object.keys(VENDOR_FORMATS).join(" o ")}`
+      );
+    }
+    return normalized;
+  }
+  return outputFile && path.extname(outputFile).toLowerCase() === ".po"
+    ? "po"
+    : "xliff";
+}
+
+/**
+ * Genera la ruta del archivo de salida a partir del JSON de entrada
+ * @param {string} inputFile - Archivo JSON de entrada
+ * @param {string} format - xliff o po
+ * @returns {string} - Ruta del archivo de salida
+ */
+function generateOutputFileName(inputFile, format) {
+  const parsed = path.parse(inputFile);
+  return path.join(
+    parsed.dir,
+    `${parsed.name}${/** @type {any} */ (VENDOR_FORMATS)[format]}`
+  );
+}
+
+/**
+ * Reúne las notas de cada clave: hallazgos del control de calidad y términos
+ * del glosario presentes en la clave
+ * @param {any} entries - Tags a exportar
+ * @param {object} options - Opciones
+ * @param {any[]} [options.glossary] - Términos normalizados del glosario
+ * @param {any} [options.qaOptions] - Opciones de checkTranslations (null = sin QA)
+ * @returns {{notes: Map<string, {category: string, text: string}[]>, qaNotes: number, glossaryNotes: number}}
+ * - Notas por clave y cantidad de cada tipo
+ */
+function collectNotes(entries, options) {
+  /** @type {Map<string, {category: string, text: string}[]>} */
+  const notes = new Map();
+  let qaNotes = 0;
+  let glossaryNotes = 0;
+
+  /**
+   * @param {string} key
+   * @param {string} category
+   * @param {string} text
+   */
+  const addNote = (key, category, text) => {
+    const list = notes.get(key) || [];
+    list.push({ category, text });
+    notes.set(key, list);
+  };
+
+  if (options.qaOptions) {
+    // Las claves sin traducir no son hallazgos: es lo que se pide al proveedor
+    const translated = Object.fromEntries(
+      Object.entries(entries).filter(([, value]) => !needsTranslation(value))
+    );
+    checkTranslations(translated, options.qaOptions).findings.forEach(
+      (finding) => {
+        addNote(finding.key, "qa", `[${finding.type}] ${finding.message}`);
+        qaNotes++;
+      }
+    );
+  }
+
+  if (options.glossary && options.glossary.length > 0) {
+    Object.keys(entries).forEach((key) => {
+      findTermsInText(/** @type {any[]} */ (options.glossary), key).forEach(
+        (term) => {
+          addNote(
+            key,
+            "glossary",
+            `${term.source} → ${term.target}${term.note ? ` (${term.note})` : ""}`
+          );
+          glossaryNotes++;
+        }
+      );
+    });
+  }
+
+  return { notes, qaNotes, glossaryNotes };
+}
+
+/**
+ * Convierte un JSON de tags a XLIFF 2.0 o PO
+ * @param {any} data - JSON de tags (los valores pueden estar vacíos)
+ * @param {any} config - Configuración de la exportación
+ * @returns {Promise<{content: string, exported: number, excluded: number, untranslated: number, qaNotes: number, glossaryNotes: number}>}
+ * - Contenido del archivo y estadísticas
+ */
+async function exportToVendorFormat(data, config) {
+  /** @type {any} */
+  const entries = {};
+  let excluded = 0;
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (!config.includeExcluded && shouldExcludeKey(key, config.targetLang)) {
+      excluded++;
+      return;
+    }
+    entries[key] = typeof value === "string" ? value : "";
+  });
+
+  const { notes, qaNotes, glossaryNotes } = collectNotes(entries, {
+    glossary:
+      config.glossaryNotes && config.glossaryFile
+        ? await loadGlossary(config.glossaryFile)
+        : [],
+    qaOptions: config.qaNotes
+      ? {
+          allowlist: await loadAllowlist(DEFAULT_CONFIG.qaAllowlistFile),
+          minLengthRatio: DEFAULT_CONFIG.qaMinLengthRatio,
+          maxLengthRatio: DEFAULT_CONFIG.qaMaxLengthRatio,
+        }
+      : null,
+  });
+
+  const fileOptions = {
+    sourceLang: config.sourceLang,
+    targetLang: config.targetLang,
+    encoding: /** @type {any} */ (DECLARED_CHARSETS)[config.encoding],
+    notes,
+  };
+  const content =
+    config.format === "po"
+      ? buildPo(entries, fileOptions)
+      : buildXliff(entries, {
+          ...fileOptions,
+          fileId: path.parse(config.inputFile).name,
+        });
+
+  return {
+    content,
+    exported: Object.keys(entries).length,
+    excluded,
+    untranslated: Object.values(entries).filter((value) =>
+      needsTranslation(value)
+    ).length,
+    qaNotes,
+    glossaryNotes,
+  };
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("📤 === EXPORTADOR JSON A XLIFF / PO ===");
+    console.log(
+      "📝 Convierte un JSON de tags en XLIFF 2.0 o gettext PO para el proveedor de localización\n"
+    );
+
+    const config = parseCommandLineArgs();
+    config.format = resolveFormat(config.format, config.outputFile);
+    config.encoding = config.encoding.toLowerCase();
+
+    if (!Object.prototype.hasOwnProperty.call(DECLARED_CHARSETS, config.encoding)) {
+      console.error(
+        `❌ Codificación no soportada: "${config.encoding}". Usa ${Object.keys(
+          DECLARED_CHARSETS
+        ).join(", ")}`
+      );
+      process.exit(1);
+    }
+
+    const { sourceLang, targetLang, glossaryFile } = getLocaleConfig(
+      config.targetLang,
+      config
+    );
+    Object.assign(config, {
+      sourceLang,
+      targetLang,
+      glossaryFile: config.glossaryFile || glossaryFile,
+    });
+    config.outputFile =
+      config.outputFile || generateOutputFileName(config.inputFile, config.format);
+
+    console.log("⚙️ Configuración:");
+    console.log(`   📁 Archivo de entrada: ${config.inputFile}`);
+    console.log(`   📁 Archivo de salida: ${config.outputFile}`);
+    console.log(
+      `   📄 Formato: ${config.format === "po" ? "gettext PO" : "XLIFF 2.0"}`
+    );
+    console.log(`   🔤 Codificación: ${config.encoding}`);
+    console.log(`   🌐 Idiomas: ${config.sourceLang} → ${config.targetLang}`);
+    console.log(
+      `   📝 Notas: ${
+        [config.qaNotes && "QA", config.glossaryNotes && "glosario"]
+          .filter(Boolean)
+          .join(", ") || "ninguna"
+      }`
+    );
+    console.log("");
+
+    if (!(await fileExists(config.inputFile))) {
+      console.error(`❌ Archivo de entrada no encontrado: ${config.inputFile}`);
+      process.exit(1);
+    }
+
+    console.log("📖 === LEYENDO ARCHIVO JSON ===");
+    const data = await readJsonFile(config.inputFile);
+    console.log(`📊 Entradas encontradas: ${Object.keys(data).length}`);
+
+    const result = await exportToVendorFormat(data, config);
+
+    console.log(`📤 Unidades exportadas: ${result.exported}`);
+    if (result.excluded > 0) {
+      console.log(`🚫 Claves excluidas por patrón: ${result.excluded}`);
+    }
+    console.log(`⚪ Sin traducción: ${result.untranslated}`);
+    if (config.qaNotes) {
+      console.log(`🔍 Notas de QA: ${result.qaNotes}`);
+    }
+    if (config.glossaryNotes) {
+      console.log(`📖 Notas de glosario: ${result.glossaryNotes}`);
+    }
+
+    // UTF-16 necesita BOM para que las herramientas detecten el orden de bytes
+    const content =
+      config.encoding === "utf16le" ? "\uFEFF" + result.content : result.content;
+    await fs.writeFile(
+      config.outputFile,
+      content,
+      /** @type {BufferEncoding} */ (config.encoding)
+    );
+
+    const { size } = await fs.stat(config.outputFile);
+    console.log(`💾 Archivo generado: ${config.outputFile} (${formatBytes(size)})`);
+
+    console.log("\n🎉 === EXPORTACIÓN COMPLETADA EXITOSAMENTE ===");
+  } catch (/** @type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    if (error.code === "ENOENT") {
+      console.log(
+        "💡 Tip: Verifica que el archivo de entrada exista y sea accesible"
+      );
+    } else if (error.code === "EACCES") {
+      console.log(
+        "💡 Tip: Verifica los permisos de escritura en el directorio de destino"
+      );
+    }
+    process.exit(1);
+  }
+}
+
+// Ejecutar solo si es llamado directamente
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  exportToVendorFormat,
+  collectNotes,
+  resolveFormat,
+  generateOutputFileName,
+  parseCommandLineArgs,
+  VENDOR_EXPORT_CONFIG,
+  VENDOR_FORMATS,
+};
@@ -0,0 +1,254 @@
+// @ts-check
+
+/**
+ * Similitud de Jaccard mínima entre los tokens de dos claves para agruparlas
+ */
+const DEFAULT_GROUP_SIMILARITY = 0.5;
+
+/**
+ * Máximo de grupos que puede tener un token para usarse como candidato en el
+ * índice invertido; los tokens más frecuentes ("beef", "cattle") generarían
+ * demasiadas comparaciones sin aportar agrupaciones útiles
+ */
+const MAX_TOKEN_FREQUENCY = 500;
+
+/**
+ * Palabras que no aportan a la similitud entre claves
+ */
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "of",
+  "on",
+  "or",
+  "per",
+  "the",
+  "to",
+  "with",
+]);
+
+/**
+ * Normaliza una palabra a su forma singular aproximada ("steers" → "steer",
+ * "heifers" → "heifer", "varieties" → "variety")
+ * @param {string} word - Palabra en minúsculas
+ * @returns {string} - Palabra normalizada
+ */
+function singularize(word) {
+  if (word.length > 4 && word.endsWith("ies")) {
+    return word.slice(0, -3) + "y";
+  }
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Divide una clave en tokens normalizados, sin palabras vacías
+ * @param {string} key - Clave a dividir
+ * @returns {string[]} - Tokens únicos de la clave
+ */
+function tokenizeKey(key) {
+  const tokens = key
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token))
+    .map(singularize);
+
+  return [...new Set(tokens)];
+}
+
+/**
+ * Obtiene el prefijo de una clave con formato "Producto, detalle" (el texto
+ * antes de la primera coma), normalizado
+ * @param {string} key - Clave a analizar
+ * @returns {string | null} - Prefijo o null si la clave no tiene coma
+ */
+function getKeyPrefix(key) {
+  const commaIndex = key.indexOf(",");
+  if (commaIndex <= 0) {
+    return null;
+  }
+
+  const prefix = tokenizeKey(key.slice(0, commaIndex)).join(" ");
+  return prefix || null;
+}
+
+/**
+ * Calcula la similitud de Jaccard entre dos conjuntos de tokens
+ * @param {string[]} a - Tokens de la primera clave
+ * @param {string[]} b - Tokens de la segunda clave
+ * @returns {number} - Similitud entre 0 y 1
+ */
+function jaccardSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+
+  const setB = new Set(b);
+  const shared = a.filter((token) => setB.has(token)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Agrupa claves relacionadas: las que comparten el prefijo antes de la coma
+ * ("Cheddar Cheese, *") y las que comparten suficientes tokens con la primera
+ * clave de un grupo ("All Cattle on Feed *"). Comparar contra la primera
+ * clave (y no contra cualquier miembro) evita que los grupos crezcan por
+ * encadenamiento. Los grupos candidatos se obtienen de un índice invertido de
+ * tokens, sin comparar todas las claves entre sí.
+ * @param {string[]} keys - Claves en su orden original
+ * @param {object} [options] - Opciones de agrupación
+ * @param {number} [options.similarity] - Similitud de Jaccard mínima
+ * @returns {string[][]} - Grupos en el orden de su primera clave; dentro de
+ * cada grupo las claves se ordenan alfabéticamente para que las más parecidas
+ * queden juntas si el grupo se reparte en varios lotes
+ */
+function clusterKeys(keys, options = {}) {
+  const similarity = options.similarity ?? DEFAULT_GROUP_SIMILARITY;
+
+  /** @type {{tokens: string[], keys: string[]}[]} */
+  const groups = [];
+  /** @type {Map<string, number>} */
+  const groupByPrefix = new Map();
+  /** Índice invertido: token → grupos cuya primera clave lo contiene */
+  /** @type {Map<string, number[]>} */
+  const index = new Map();
+
+  keys.forEach((key) => {
+    const prefix = getKeyPrefix(key);
+    const tokens = tokenizeKey(key);
+
+    // 1. Mismo prefijo que un grupo existente
+    let groupIndex = prefix ? groupByPrefix.get(prefix) : undefined;
+
+    // 2. Grupo cuya primera clave es la más parecida
+    if (groupIndex === undefined) {
+      /** @type {Set<number>} */
+      const candidates = new Set();
+      tokens.forEach((token) => {
+        const postings = index.get(token) || [];
+        if (postings.length <= MAX_TOKEN_FREQUENCY) {
+          postings.forEach((candidate) => candidates.add(candidate));
+        }
+      });
+
+      let bestScore = similarity;
+      candidates.forEach((candidate) => {
+        const score = jaccardSimilarity(tokens, groups[candidate].tokens);
+        if (score >= bestScore) {
+          // Ante un empate gana el grupo más antiguo
+          if (
+            groupIndex === undefined ||
+            score > bestScore ||
+            candidate < groupIndex
+          ) {
+            groupIndex = candidate;
+            bestScore = score;
+          }
+        }
+      });
+    }
+
+    // 3. Nuevo grupo encabezado por esta clave
+    if (groupIndex === undefined) {
+      groupIndex = groups.length;
+      groups.push({ tokens, keys: [] });
+      tokens.forEach((token) => {
+        const postings = index.get(token) || [];
+        postings.push(/** @type {number} */ (groupIndex));
+        index.set(token, postings);
+      });
+    }
+
+    groups[groupIndex].keys.push(key);
+    if (prefix && !groupByPrefix.has(prefix)) {
+      groupByPrefix.set(prefix, groupIndex);
+    }
+  });
+
+  return groups.map((group) =>
+    group.keys.length > 1
+      ? [...group.keys].sort((a, b) =>
+          a.localeCompare(b, "en", { sensitivity: "base" })
+        )
+      : group.keys
+  );
+}
+
+/**
+ * Reparte grupos de claves en lotes sin separar un grupo salvo que no quepa
+ * en un lote vacío. Cada grupo (o fragmento) se coloca en el primer lote
+ * donde cabe, por lo que las claves sueltas rellenan los huecos.
+ * @param {string[][]} groups - Grupos de claves (de clusterKeys)
+ * @param {object} limits - Capacidad de cada lote
+ * @param {number} limits.maxEntries - Entradas máximas por lote
+ * @param {number} [limits.maxWeight] - Peso máximo por lote (por ejemplo, tokens)
+ * @param {(key: string) => number} [limits.weightOf] - Peso de cada clave
+ * @returns {string[][]} - Claves de cada lote
+ */
+function packGroups(groups, limits) {
+  const maxEntries = Math.max(1, limits.maxEntries);
+  const maxWeight = limits.maxWeight ?? Infinity;
+  const weightOf = limits.weightOf || (() => 0);
+
+  /** @type {{keys: string[], weight: number}[]} */
+  const batches = [];
+
+  /**
+   * @param {{keys: string[], weight: number}} batch
+   * @param {number} count
+   * @param {number} weight
+   * @returns {boolean}
+   */
+  const fits = (batch, count, weight) =>
+    batch.keys.length + count <= maxEntries &&
+    batch.weight + weight <= maxWeight;
+
+  groups.forEach((group) => {
+    // Fragmentar el grupo si no cabe en un lote vacío
+    /** @type {{keys: string[], weight: number}[]} */
+    const chunks = [];
+    /** @type {{keys: string[], weight: number}} */
+    let chunk = { keys: [], weight: 0 };
+    group.forEach((key) => {
+      const weight = weightOf(key);
+      if (chunk.keys.length > 0 && !fits(chunk, 1, weight)) {
+        chunks.push(chunk);
+        chunk = { keys: [], weight: 0 };
+      }
+      chunk.keys.push(key);
+      chunk.weight += weight;
+    });
+    chunks.push(chunk);
+
+    chunks.forEach((piece) => {
+      const target = batches.find((batch) =>
+        fits(batch, piece.keys.length, piece.weight)
+      );
+      if (target) {
+        target.keys.push(...piece.keys);
+        target.weight += piece.weight;
+      } else {
+        batches.push({ keys: [...piece.keys], weight: piece.weight });
+      }
+    });
+  });
+
+  return batches.map((batch) => batch.keys);
+}
+
+module.exports = {
+  tokenizeKey,
+  getKeyPrefix,
+  jaccardSimilarity,
+  clusterKeys,
+  packGroups,
+  DEFAULT_GROUP_SIMILARITY,
+};
@@ -0,0 +1,156 @@
+// @ts-check
+
+const path = require("path");
+
+/**
+ * Idioma de las claves del archivo de entrada por defecto
+ */
+const DEFAULT_SOURCE_LANG = "en";
+
+/**
+ * Idioma destino por defecto (el del archivo us-mx.json original)
+ */
+const DEFAULT_TARGET_LANG = "es";
+
+/**
+ * Template del prompt por defecto (español de Latinoamérica)
+ */
+const DEFAULT_PROMPT_FILE = "prompt.md";
+
+/**
+ * Idiomas soportados. Los que tienen promptFile pueden usarse como destino;
+ * el nombre se inserta en el placeholder {{SOURCE_LANGUAGE}} del prompt
+ * cuando el idioma es el de origen. Los glosarios se buscan junto al módulo,
+ * como los prompts.
+ */
+const LOCALES = {
+  en: {
+    name: "inglés",
+  },
+  es: {
+    name: "español de Latinoamérica",
+    promptFile: DEFAULT_PROMPT_FILE,
+    glossaryFile: path.join(__dirname, "glossary.json"),
+  },
+  "pt-BR": {
+    name: "portugués de Brasil",
+    promptFile: "locales/pt-BR/prompt.md",
+    glossaryFile: path.join(__dirname, "locales/pt-BR/glossary.json"),
+  },
+  "fr-CA": {
+    name: "francés de Canadá",
+    promptFile: "locales/fr-CA/prompt.md",
+    glossaryFile: path.join(__dirname, "locales/fr-CA/glossary.json"),
+  },
+};
+
+/**
+ * Normaliza un código de idioma a la forma registrada ("pt-br" → "pt-BR")
+ * @param {string} code - Código de idioma
+ * @returns {string} - Código registrado
+ * @throws {Error} - Si el idioma no está registrado
+ */
+function normalizeLocale(code) {
+  const match = Object.keys(LOCALES).find(
+    (locale) => locale.toLowerCase() === String(code).trim().toLowerCase()
+  );
+
+  if (!match) {
+    throw new Error(
+      `Idioma "${code}" no soportado. Disponibles: ${Object.keys(LOCALES).join(
+        ", "
+      )}`
+    );
+  }
+
+  return match;
+}
+
+/**
+ * Obtiene la definición de un idioma
+ * @param {string} code - Código de idioma
+ * @returns {any} - Definición del idioma con su código normalizado
+ * @throws {Error} - Si el idioma no está registrado
+ */
+function getLocale(code) {
+  const normalized = normalizeLocale(code);
+  return { code: normalized, .../** @type {any} */ (LOCALES)[normalized] };
+}
+
+/**
+ * Lista los idiomas que pueden usarse como destino
+ * @returns {string[]} - Códigos de idioma
+ */
+function listTargetLocales() {
+  return Object.keys(LOCALES).filter(
+    (code) => /** @type {any} */ (LOCALES)[code].promptFile
+  );
+}
+
+/**
+ * Calcula el archivo de salida de un idioma. El idioma por defecto conserva
+ * el nombre configurado; los demás agregan su código antes de la extensión
+ * (us-mx-translated.json → us-mx-translated.pt-BR.json).
+ * @param {string} outputFile - Archivo de salida configurado
+ * @param {string} targetLang - Idioma destino
+ * @returns {string} - Archivo de salida del idioma
+ */
+function getLocaleOutputFile(outputFile, targetLang) {
+  const code = normalizeLocale(targetLang);
+  if (code === DEFAULT_TARGET_LANG) {
+    return outputFile;
+  }
+
+  const extension = path.extname(outputFile) || ".json";
+  const base = path.extname(outputFile)
+    ? outputFile.slice(0, -extension.length)
+    : outputFile;
+  return `${base}.${code}${extension}`;
+}
+
+/**
+ * Resuelve la configuración propia de un idioma destino (prompt, glosario y
+ * archivo de salida)
+ * @param {string} targetLang - Idioma destino
+ * @param {any} config - Configuración base (outputFile, sourceLang)
+ * @returns {any} - Opciones que se combinan con la configuración base
+ * @throws {Error} - Si el idioma no está registrado o no puede ser destino
+ */
+function getLocaleConfig(targetLang, config) {
+  const locale = getLocale(targetLang);
+
+  if (!locale.promptFile) {
+    throw new Error(
+      `El idioma "${locale.code}" no tiene prompt de traducción. Destinos disponibles: ${listTargetLocales().join(
+        ", "
+      )}`
+    );
+  }
+
+  const sourceLang = normalizeLocale(config.sourceLang || DEFAULT_SOURCE_LANG);
+  if (sourceLang === locale.code) {
+    throw new Error(
+      `El idioma destino "${locale.code}" es igual al idioma de origen`
+    );
+  }
+
+  return {
+    sourceLang,
+    targetLang: locale.code,
+    promptFile: locale.promptFile,
+    glossaryFile: locale.glossaryFile,
+    outputFile: getLocaleOutputFile(config.outputFile, locale.code),
+  };
+}
+
+module.exports = {
+  getLocale,
+  getLocaleConfig,
+  getLocaleOutputFile,
+  listTargetLocales,
+  normalizeLocale,
+  LOCALES,
+  DEFAULT_SOURCE_LANG,
+  DEFAULT_TARGET_LANG,
+  DEFAULT_PROMPT_FILE,
+};
@@ -0,0 +1,306 @@
+// @ts-check
+
+const {
+  validateAndParseResponse,
+  resolveModelConfig,
+} = require("./geminiTranslator");
+const { resolveGlossary, findTermsInText } = require("./glossary");
+
+/**
+ * Modelo reportado por el proveedor simulado
+ */
+const MOCK_DEFAULT_MODEL = "mock-translator";
+
+/**
+ * Configuración por defecto del proveedor simulado. Las tasas son
+ * probabilidades (0-1) evaluadas en cada llamada.
+ */
+const DEFAULT_MOCK_CONFIG = {
+  seed: 42, // Semilla del generador pseudoaleatorio
+  latencyMs: 50, // Latencia base simulada por llamada
+  latencyJitterMs: 0, // Variación aleatoria añadida a la latencia
+  rateLimitRate: 0, // Probabilidad de responder con un 429 (error fatal)
+  serverErrorRate: 0, // Probabilidad de responder con un 500 (error transitorio, no fatal)
+  malformedRate: 0, // Probabilidad de devolver JSON mal formado
+  missingKeyRate: 0, // Probabilidad de omitir una clave de la respuesta
+  glossaryViolationRate: 0, // Probabilidad de ignorar el glosario en una entrada
+  poisonPattern: null, // Regex: los lotes con una clave que coincida fallan siempre (filtro de contenido)
+  fatalAfterCalls: null, // Las llamadas posteriores a la N-ésima responden 429 (cuota agotada a mitad de la ejecución)
+  prefix: null, // Prefijo de las traducciones simuladas (por defecto "[<idioma destino>] ")
+};
+
+/**
+ * Número de llamadas recibidas por cada lote (para que los reintentos
+ * obtengan un resultado distinto pero reproducible)
+ * @type {Map<string, number>}
+ */
+const callsPerBatch = new Map();
+
+/**
+ * Número total de llamadas recibidas (para fatalAfterCalls)
+ */
+let totalCalls = 0;
+
+/**
+ * Calcula un hash numérico de 32 bits de un texto (FNV-1a)
+ * @param {string} text - Texto a resumir
+ * @returns {number} - Hash sin signo
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Crea un generador pseudoaleatorio determinista (mulberry32)
+ * @param {number} seed - Semilla
+ * @returns {() => number} - Función que devuelve números en [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Combina la configuración simulada por defecto con las opciones recibidas
+ * @param {any} options - Opciones de traducción (options.mock)
+ * @returns {typeof DEFAULT_MOCK_CONFIG} - Configuración efectiva
+ */
+function resolveMockConfig(options = {}) {
+  /** @type {any} */
+  const mockConfig = { ...DEFAULT_MOCK_CONFIG };
+  const overrides = options.mock || {};
+
+  for (const field of Object.keys(DEFAULT_MOCK_CONFIG)) {
+    if (overrides[field] !== undefined && overrides[field] !== null) {
+      mockConfig[field] = overrides[field];
+    }
+  }
+
+  return mockConfig;
+}
+
+/**
+ * Crea un error con la misma clasificación que usa handleGeminiError
+ * @param {string} message - Mensaje del error
+ * @param {boolean} isFatal - Si el error debe detener el procesamiento
+ * @returns {Error} - Error clasificado
+ */
+function createMockError(message, isFatal) {
+  const error = new Error(message);
+  // @ts-ignore
+  error.isFatal = isFatal;
+  // @ts-ignore
+  error.shouldStop = isFatal;
+  return error;
+}
+
+/**
+ * Genera la traducción simulada de una clave, sustituyendo los términos del
+ * glosario por su traducción requerida
+ * @param {string} key - Texto en inglés
+ * @param {any[]} glossary - Términos del glosario
+ * @param {boolean} applyGlossary - Si debe respetar el glosario
+ * @returns {string} - Traducción simulada (sin prefijo)
+ */
+function mockTranslate(key, glossary, applyGlossary) {
+  if (!applyGlossary) {
+    return key;
+  }
+
+  // Los términos más largos primero, igual que al detectarlos
+  return findTermsInText(glossary, key)
+    .sort((a, b) => b.source.length - a.source.length)
+    .reduce(
+      (text, term) =>
+        term.sourcePatterns.reduce(
+          (/** @type {string} */ result, /** @type {RegExp} */ pattern) =>
+            result.replace(pattern, term.target),
+          text
+        ),
+      key
+    );
+}
+
+/**
+ * Traduce un lote de forma simulada, sin red ni API key. El resultado depende
+ * solo de la semilla, las claves del lote y el número de intento, por lo que
+ * es reproducible aunque los lotes se procesen concurrentemente.
+ * @param {Object} batchData - Objeto JSON con los datos a traducir
+ * @param {any} options - Opciones del modelo y options.mock
+ * @returns {Promise<any>} - Objeto JSON con las traducciones simuladas
+ * @throws {Error} - Si se inyecta un fallo
+ */
+async function translateBatch(batchData, options = {}) {
+  const mockConfig = resolveMockConfig(options);
+  const model = options.model || MOCK_DEFAULT_MODEL;
+  const keys = Object.keys(batchData);
+
+  const prefix = mockConfig.prefix ?? `[${options.targetLang || "es"}] `;
+
+  const batchSignature = keys.join("\n");
+  const attempt = (callsPerBatch.get(batchSignature) || 0) + 1;
+  callsPerBatch.set(batchSignature, attempt);
+  // El número se toma antes de la latencia: con concurrencia, el contador ya
+  // habrá avanzado cuando esta llamada lo compare
+  const callNumber = ++totalCalls;
+
+  const random = createRandom(
+    hashString(`${mockConfig.seed}:${attempt}:${batchSignature}`)
+  );
+
+  console.log(
+    `🧪 Enviando lote al proveedor simulado [${model}] (${keys.length} entradas, intento ${attempt})...`
+  );
+
+  const latency =
+    mockConfig.latencyMs + Math.floor(random() * mockConfig.latencyJitterMs);
+  await new Promise((resolve) => setTimeout(resolve, latency));
+
+  if (
+    random() < mockConfig.rateLimitRate ||
+    (mockConfig.fatalAfterCalls !== null &&
+      callNumber > mockConfig.fatalAfterCalls)
+  ) {
+    const error = createMockError(
+      "Límite de tasa excedido en el proveedor simulado (429)",
+      true
+    );
+    console.error(`❌ Error en traducción de lote:`, error.message);
+    console.error(`🛑 Error fatal detectado, se debe detener el procesamiento`);
+    throw error;
+  }
+
+  if (random() < mockConfig.serverErrorRate) {
+    const error = createMockError(
+      "Error interno del proveedor simulado (500)",
+      false
+    );
+    console.error(`❌ Error en traducción de lote:`, error.message);
+    throw error;
+  }
+
+  if (mockConfig.poisonPattern) {
+    const poisonRegex = new RegExp(mockConfig.poisonPattern, "i");
+    const poisonKey = keys.find((key) => poisonRegex.test(key));
+    if (poisonKey) {
+      const error = createMockError(
+        `Respuesta bloqueada por el filtro de contenido simulado ("${poisonKey}")`,
+        false
+      );
+      // @ts-ignore
+      error.isContentError = true;
+      console.error(`❌ Error en traducción de lote:`, error.message);
+      throw error;
+    }
+  }
+
+  /** @type {any} */
+  const response = {};
+  if (options.task) {
+    // Otra tarea (revisión) genera su propia respuesta simulada
+    Object.assign(response, options.task.mockResponse(batchData, random));
+  } else {
+    const glossary = await resolveGlossary(options);
+    keys.forEach((key) => {
+      const applyGlossary = random() >= mockConfig.glossaryViolationRate;
+      response[key] = `${prefix}${mockTranslate(
+        key,
+        glossary,
+        applyGlossary
+      )}`;
+    });
+  }
+
+  if (keys.length > 0 && random() < mockConfig.missingKeyRate) {
+    const droppedKey = keys[Math.floor(random() * keys.length)];
+    delete response[droppedKey];
+  }
+
+  // Con salida estructurada la respuesta es JSON puro; en modo texto llega
+  // envuelta en marcadores de código, como suelen responder los modelos
+  let responseText =
+    options.outputMode === "json"
+      ? JSON.stringify(response, null, 2)
+      : "```json\n" + JSON.stringify(response, null, 2) + "\n```";
+  if (random() < mockConfig.malformedRate) {
+    // Respuesta truncada, como cuando el modelo corta la salida
+    responseText = responseText.slice(0, Math.floor(responseText.length / 2));
+  }
+
+  try {
+    // Se valida igual que una respuesta real para ejercitar el mismo camino
+    const parseResponse =
+      options.task?.parseResponse || validateAndParseResponse;
+    const translatedData = parseResponse(responseText, batchData, {
+      allowPartial: options.allowPartial,
+    });
+    console.log(
+      `✅ Lote traducido exitosamente: ${
+        Object.keys(translatedData).length
+      } entradas`
+    );
+    return translatedData;
+  } catch (/** @type {any} */ error) {
+    console.error(`❌ Error en traducción de lote:`, error.message);
+    const parseError = createMockError(error.message, false);
+    // @ts-ignore
+    parseError.isParseError = true;
+    throw parseError;
+  }
+}
+
+/**
+ * Prueba la conexión con el proveedor simulado (siempre disponible)
+ * @param {any} options - Opciones del modelo
+ * @returns {Promise<boolean>} - true
+ */
+async function testConnection(options = {}) {
+  console.log("🧪 Proveedor simulado activo: no requiere red ni API key");
+  return true;
+}
+
+/**
+ * Obtiene información sobre el modelo simulado
+ * @param {any} options - Opciones del modelo y options.mock
+ * @returns {any} - Información del modelo
+ */
+function getModelInfo(options = {}) {
+  const model = options.model || MOCK_DEFAULT_MODEL;
+  return {
+    model,
+    config: { ...resolveModelConfig(options), model },
+    mock: resolveMockConfig(options),
+    limits: null,
+    initialized: true,
+  };
+}
+
+/**
+ * Reinicia los contadores de intentos por lote
+ * @returns {void}
+ */
+function resetMockState() {
+  callsPerBatch.clear();
+  totalCalls = 0;
+}
+
+module.exports = {
+  translateBatch,
+  testConnection,
+  getModelInfo,
+  resolveMockConfig,
+  resetMockState,
+  MOCK_DEFAULT_MODEL,
+  DEFAULT_MOCK_CONFIG,
+};
@@ -0,0 +1,247 @@
+// @ts-check
+
+const {
+  buildPrompt,
+  validateAndParseResponse,
+  resolveModelConfig,
+} = require("./geminiTranslator");
+
+/**
+ * Configuración por defecto para servidores compatibles con la API de OpenAI
+ * (llama.cpp server, vLLM, Ollama, etc.)
+ */
+const DEFAULT_OPENAI_CONFIG = {
+  baseUrl: "http://localhost:8080/v1", // URL base del servidor (sin /chat/completions)
+  model: "default", // Nombre del modelo publicado por el servidor
+  timeoutMs: 120000, // Tiempo máximo de espera por petición
+};
+
+/**
+ * Combina la configuración por defecto, las variables de entorno y las
+ * opciones recibidas
+ * @param {any} options - Opciones del modelo (model, temperature, topK, topP,
+ * maxOutputTokens, baseUrl, apiKey, timeoutMs)
+ * @returns {any} - Configuración efectiva
+ */
+function resolveOpenAIConfig(options = {}) {
+  return {
+    ...resolveModelConfig(options),
+    model: options.model || DEFAULT_OPENAI_CONFIG.model,
+    baseUrl: (
+      options.baseUrl ||
+      process.env.OPENAI_BASE_URL ||
+      DEFAULT_OPENAI_CONFIG.baseUrl
+    ).replace(/\/+$/, ""),
+    apiKey: options.apiKey || process.env.OPENAI_API_KEY || null,
+    timeoutMs: options.timeoutMs || DEFAULT_OPENAI_CONFIG.timeoutMs,
+  };
+}
+
+/**
+ * Clasifica un error del servidor con la misma convención que handleGeminiError
+ * @param {string} message - Mensaje del error
+ * @param {boolean} isFatal - Si el error debe detener el procesamiento
+ * @returns {Error} - Error clasificado
+ */
+function createProviderError(message, isFatal) {
+  const error = new Error(message);
+  // @ts-ignore
+  error.isFatal = isFatal;
+  // @ts-ignore
+  error.shouldStop = isFatal;
+  return error;
+}
+
+/**
+ * Convierte una respuesta HTTP fallida en un error clasificado
+ * @param {number} status - Código de estado HTTP
+ * @param {string} body - Cuerpo de la respuesta
+ * @returns {Error} - Error clasificado
+ */
+function handleHttpError(status, body) {
+  const detail = body ? `: ${body.slice(0, 200)}` : "";
+
+  if (status === 401 || status === 403) {
+    return createProviderError(
+      `API key inválida o sin permisos (HTTP ${status})${detail}`,
+      true
+    );
+  }
+  if (status === 404) {
+    return createProviderError(
+      `Modelo o endpoint no encontrado (HTTP 404)${detail}`,
+      true
+    );
+  }
+  if (status === 429) {
+    return createProviderError(
+      `Límite de tasa excedido en el servidor (HTTP 429)${detail}`,
+      true
+    );
+  }
+
+  return createProviderError(`Error del servidor (HTTP ${status})${detail}`, false);
+}
+
+/**
+ * Convierte un error de red en un error clasificado
+ * @param {any} error - Error lanzado por fetch
+ * @param {any} modelConfig - Configuración efectiva
+ * @returns {Error} - Error clasificado
+ */
+function handleNetworkError(error, modelConfig) {
+  if (error.name === "TimeoutError" || error.name === "AbortError") {
+    return createProviderError(
+      `Tiempo de espera agotado (${modelConfig.timeoutMs}ms) en ${modelConfig.baseUrl}`,
+      false
+    );
+  }
+
+  const code = error.cause?.code || error.code;
+  if (code === "ECONNREFUSED" || code === "ENOTFOUND") {
+    // Si el servidor no está disponible, reintentar cada lote no tiene sentido
+    return createProviderError(
+      `No se pudo conectar con ${modelConfig.baseUrl} (${code})`,
+      true
+    );
+  }
+
+  return createProviderError(`Error de red: ${error.message}`, false);
+}
+
+/**
+ * Traduce un lote usando un servidor compatible con /v1/chat/completions
+ * @param {Object} batchData - Objeto JSON con los datos a traducir
+ * @param {any} options - Opciones del modelo y de conexión
+ * @returns {Promise<any>} - Objeto JSON con las traducciones
+ * @throws {Error} - Si hay problemas con la traducción
+ */
+async function translateBatch(batchData, options = {}) {
+  const modelConfig = resolveOpenAIConfig(options);
+  const url = `${modelConfig.baseUrl}/chat/completions`;
+
+  try {
+    const prompt = await buildPrompt(batchData, options);
+
+    console.log(
+      `🌐 Enviando lote a ${modelConfig.baseUrl} [${modelConfig.model}] (${
+        Object.keys(batchData).length
+      } entradas)...`
+    );
+
+    /** @type {Record<string, string>} */
+    const headers = { "Content-Type": "application/json" };
+    if (modelConfig.apiKey) {
+      headers.Authorization = `Bearer ${modelConfig.apiKey}`;
+    }
+
+    const startTime = Date.now();
+    /** @type {Response} */
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model: modelConfig.model,
+          messages: [{ role: "user", content: prompt }],
+          temperature: modelConfig.temperature,
+          top_p: modelConfig.topP,
+          // topK no existe en Chat Completions y los servidores estrictos
+          // rechazan los campos desconocidos
+          max_tokens: modelConfig.maxOutputTokens,
+        }),
+        signal: AbortSignal.timeout(modelConfig.timeoutMs),
+      });
+    } catch (/** @type {any} */ error) {
+      throw handleNetworkError(error, modelConfig);
+    }
+
+    if (!response.ok) {
+      throw handleHttpError(response.status, await response.text());
+    }
+
+    /** @type {any} */
+    const result = await response.json();
+    const endTime = Date.now();
+
+    const responseText = result.choices?.[0]?.message?.content || "";
+    console.log(`⚡ Respuesta recibida en ${endTime - startTime}ms`);
+
+    let translatedData;
+    try {
+      const parseResponse =
+        options.task?.parseResponse || validateAndParseResponse;
+      translatedData = parseResponse(responseText, batchData, {
+        allowPartial: options.allowPartial,
+      });
+    } catch (/** @type {any} */ error) {
+      const parseError = createProviderError(error.message, false);
+      // @ts-ignore
+      parseError.isParseError = true;
+      throw parseError;
+    }
+
+    console.log(
+      `✅ Lote traducido exitosamente: ${
+        Object.keys(translatedData).length
+      } entradas`
+    );
+
+    return translatedData;
+  } catch (/** @type {any} */ error) {
+    console.error(`❌ Error en traducción de lote:`, error.message);
+    if (error.shouldStop) {
+      console.error(`🛑 Error fatal detectado, se debe detener el procesamiento`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Prueba la conexión con el servidor compatible con OpenAI
+ * @param {any} options - Opciones del modelo y de conexión
+ * @returns {Promise<boolean>} - true si la conexión es exitosa
+ */
+async function testConnection(options = {}) {
+  try {
+    const modelConfig = resolveOpenAIConfig(options);
+    console.log(`🧪 Probando conexión con ${modelConfig.baseUrl}...`);
+
+    const testData = { test: "hello" };
+    const result = await translateBatch(testData, options);
+
+    if (result && typeof result === "object" && result.test) {
+      console.log("✅ Conexión con el servidor exitosa");
+      return true;
+    } else {
+      throw new Error("Respuesta inesperada en la prueba");
+    }
+  } catch (/** @type {any} */ error) {
+    console.error("❌ Error en la prueba de conexión:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Obtiene información sobre el modelo y el servidor configurados
+ * @param {any} options - Opciones del modelo y de conexión
+ * @returns {any} - Información del modelo
+ */
+function getModelInfo(options = {}) {
+  const { apiKey, ...config } = resolveOpenAIConfig(options);
+  return {
+    model: config.model,
+    config: { ...config, apiKeyConfigured: Boolean(apiKey) },
+    limits: null,
+    initialized: true,
+  };
+}
+
+module.exports = {
+  translateBatch,
+  testConnection,
+  getModelInfo,
+  resolveOpenAIConfig,
+  DEFAULT_OPENAI_CONFIG,
+};
@@ -0,0 +1,327 @@
+// @ts-check
+
+const fs = require("fs");
+const path = require("path");
+const { escapeRegExp } = require("./glossary");
+
+/**
+ * Términos protegidos por defecto (siglas, grados USDA y nombres propios),
+ * junto al módulo
+ */
+const DEFAULT_PLACEHOLDER_TERMS_FILE = path.join(
+  __dirname,
+  "placeholder-terms.json"
+);
+
+/**
+ * Segmentos que se protegen con marcadores, en orden de prioridad cuando dos
+ * coinciden en la misma posición
+ */
+const PLACEHOLDER_KINDS = {
+  unit: "Números con unidades (500 lb, 2.50 LB, 90%)",
+  code: "Códigos (TIF 123, 6A, CT151, el H de Nearby-H) y siglas de la lista (USDA, S&P)",
+  grade: "Grados USDA (Choice, Prime, Select)",
+  properNoun: "Nombres propios (estados, ciudades)",
+};
+
+/**
+ * Formato de los marcadores en el texto que recibe el modelo: {{P1}}, {{P2}}...
+ */
+const PLACEHOLDER_REGEX = /\{\{P\d+\}\}/g;
+
+/**
+ * Cache de listas de términos por ruta
+ * @type {Map<string, any>}
+ */
+const termsCache = new Map();
+
+/**
+ * Cache de detectores por lista de términos
+ * @type {WeakMap<any, Array<{kind: string, regex: RegExp}>>}
+ */
+const detectorsCache = new WeakMap();
+
+/**
+ * Carga la lista de términos protegidos. La lectura es síncrona y se hace
+ * una sola vez por ruta, como la del diccionario de la traducción por reglas.
+ * @param {string} [file] - Ruta de la lista
+ * @returns {any} - { codes: string[], grades: string[], properNouns: string[] }
+ * @throws {Error} - Si el archivo no existe o no es JSON válido
+ */
+function loadPlaceholderTerms(file = DEFAULT_PLACEHOLDER_TERMS_FILE) {
+  const filePath = path.resolve(file);
+
+  let terms = termsCache.get(filePath);
+  if (!terms) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf-8");
+    } catch (/** @type {any} */ error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Lista de términos protegidos no encontrada: ${filePath}`);
+      }
+      throw error;
+    }
+
+    try {
+      terms = JSON.parse(content);
+    } catch (/** @type {any} */ error) {
+      throw new Error(
+        `JSON inválido en la lista de términos protegidos ${filePath}: ${error.message}`
+      );
+    }
+    termsCache.set(filePath, terms);
+  }
+
+  return terms;
+}
+
+/**
+ * Crea el patrón de una lista de palabras completas, de la más larga a la
+ * más corta ("Baja California Sur" antes que "Baja California")
+ * @param {string[]} words - Palabras
+ * @returns {RegExp} - Patrón global
+ */
+function wordListRegex(words) {
+  const sorted = [...words].sort((a, b) => b.length - a.length);
+  return sorted.length > 0
+    ? new RegExp(
+        `(?<![A-Za-z])(?:${sorted.map(escapeRegExp).join("|")})(?![A-Za-z])`,
+        "g"
+      )
+    : /(?!)/g;
+}
+
+/**
+ * Obtiene los detectores de segmentos protegidos de una lista de términos
+ * @param {any} terms - Lista de términos (loadPlaceholderTerms)
+ * @returns {Array<{kind: string, regex: RegExp}>} - Detectores por tipo
+ */
+function getDetectors(terms) {
+  let detectors = detectorsCache.get(terms);
+  if (!detectors) {
+    detectors = [
+      {
+        kind: "unit",
+        regex:
+          /(?<![\w.])\d+(?:[.,]\d+)*(?:\s*-\s*\d+(?:[.,]\d+)*)?\s*(?:lbs?|kg|cwt|%|PCT)(?![A-Za-z])/gi,
+      },
+      {
+        kind: "code",
+        // "TIF 123"; códigos de contrato que mezclan mayúsculas y dígitos
+        // ("6A", "CT151"); la letra de mes de "Nearby-H", solo al final de la
+        // clave. Las siglas que se traducen ("US" → "EE.UU.", "YTD" →
+        // "Acumulado del Año") y los trimestres ("Q1" → "T1") no se
+        // enmascaran
+        regex:
+          /TIF\s*\d+|(?<![A-Za-z0-9])(?!Q[1-4](?![A-Za-z0-9]))(?=[A-Z0-9]*[A-Z])(?=[A-Z0-9]*\d)[A-Z0-9]{2,}(?![A-Za-z0-9])|(?<=[A-Za-z0-9]-)[A-Z]$/g,
+      },
+      // Siglas que se mantienen igual en la traducción
+      { kind: "code", regex: wordListRegex(terms.codes || []) },
+      { kind: "grade", regex: wordListRegex(terms.grades || []) },
+      { kind: "properNoun", regex: wordListRegex(terms.properNouns || []) },
+    ];
+    detectorsCache.set(terms, detectors);
+  }
+  return detectors;
+}
+
+/**
+ * Busca los segmentos de una clave que deben llegar intactos a la
+ * traducción. Si dos segmentos se solapan gana el que empieza antes, luego
+ * el más largo y luego el de mayor prioridad (PLACEHOLDER_KINDS).
+ * @param {string} key - Clave
+ * @param {any} terms - Lista de términos (loadPlaceholderTerms)
+ * @returns {Array<{start: number, end: number, text: string, kind: string}>}
+ * - Segmentos sin solapamientos, en orden
+ */
+function findProtectedSegments(key, terms) {
+  /** @type {Array<{start: number, end: number, text: string, kind: string, priority: number}>} */
+  const candidates = [];
+  getDetectors(terms).forEach(({ kind, regex }, priority) => {
+    for (const match of key.matchAll(regex)) {
+      const start = /** @type {number} */ (match.index);
+      candidates.push({
+        start,
+        end: start + match[0].length,
+        text: match[0],
+        kind,
+        priority,
+      });
+    }
+  });
+
+  candidates.sort(
+    (a, b) =>
+      a.start - b.start ||
+      b.end - b.start - (a.end - a.start) ||
+      a.priority - b.priority
+  );
+
+  const segments = [];
+  let lastEnd = 0;
+  for (const { start, end, text, kind } of candidates) {
+    if (start >= lastEnd) {
+      segments.push({ start, end, text, kind });
+      lastEnd = end;
+    }
+  }
+  return segments;
+}
+
+/**
+ * Reemplaza los segmentos protegidos de las claves de un lote por
+ * marcadores {{P1}}, {{P2}}... numerados en todo el lote, para que dos claves
+ * nunca queden iguales. Una clave se envía tal cual si no tiene segmentos,
+ * si no le queda texto que traducir ("MEX-H") o si ya contiene un marcador.
+ * @param {any} batchData - Lote a traducir (clave → valor)
+ * @param {any} [terms] - Lista de términos (por defecto, la del proyecto)
+ * @returns {{data: any, masks: Record<string, {key: string, placeholders: Record<string, string>}>,
+ * placeholders: Set<string>, byKind: Record<string, number>}} - Lote con los marcadores,
+ * marcadores de cada clave enviada y conteo por tipo
+ */
+function maskBatch(batchData, terms = loadPlaceholderTerms()) {
+  /** @type {any} */
+  const data = {};
+  /** @type {Record<string, {key: string, placeholders: Record<string, string>}>} */
+  const masks = {};
+  /** @type {Set<string>} */
+  const placeholders = new Set();
+  /** @type {Record<string, number>} */
+  const byKind = {};
+  let counter = 0;
+
+  Object.entries(batchData).forEach(([key, value]) => {
+    const segments =
+      key.search(PLACEHOLDER_REGEX) === -1 ? findProtectedSegments(key, terms) : [];
+
+    /** @type {Record<string, string>} */
+    const keyPlaceholders = {};
+    let masked = "";
+    let position = 0;
+    segments.forEach(({ start, end, text }, index) => {
+      const placeholder = `{{P${counter + index + 1}}}`;
+      keyPlaceholders[placeholder] = text;
+      masked += key.slice(position, start) + placeholder;
+      position = end;
+    });
+    masked += key.slice(position);
+
+    const translatable = /[A-Za-z]/.test(masked.replace(PLACEHOLDER_REGEX, ""));
+    if (segments.length === 0 || !translatable || masked in data) {
+      data[key] = value;
+      return;
+    }
+
+    counter += segments.length;
+    segments.forEach(({ kind }) => {
+      byKind[kind] = (byKind[kind] || 0) + 1;
+    });
+    Object.keys(keyPlaceholders).forEach((placeholder) =>
+      placeholders.add(placeholder)
+    );
+    data[masked] = value;
+    masks[masked] = { key, placeholders: keyPlaceholders };
+  });
+
+  return { data, masks, placeholders, byKind };
+}
+
+/**
+ * Describe el problema de los marcadores de una traducción, si lo hay: un
+ * marcador de la clave que falta o se repite, o uno de otra clave del lote
+ * @param {string} value - Traducción con marcadores
+ * @param {Record<string, string>} keyPlaceholders - Marcadores de la clave
+ * @param {Set<string>} batchPlaceholders - Marcadores de todo el lote
+ * @returns {string | null} - Descripción del problema, o null si no hay
+ */
+function findPlaceholderProblem(value, keyPlaceholders, batchPlaceholders) {
+  /** @type {Record<string, number>} */
+  const counts = {};
+  (value.match(PLACEHOLDER_REGEX) || []).forEach((placeholder) => {
+    counts[placeholder] = (counts[placeholder] || 0) + 1;
+  });
+
+  for (const [placeholder, text] of Object.entries(keyPlaceholders)) {
+    if (!counts[placeholder]) {
+      return `falta el marcador ${placeholder} ("${text}")`;
+    }
+    if (counts[placeholder] > 1) {
+      return `el marcador ${placeholder} ("${text}") aparece ${counts[placeholder]} veces`;
+    }
+  }
+
+  const foreign = Object.keys(counts).find(
+    (placeholder) =>
+      !(placeholder in keyPlaceholders) && batchPlaceholders.has(placeholder)
+  );
+  return foreign ? `el marcador ${foreign} es de otra clave del lote` : null;
+}
+
+/**
+ * Restaura los segmentos protegidos en las traducciones y devuelve las
+ * claves originales. Una traducción con marcadores faltantes, repetidos o de
+ * otra clave no es válida: en modo parcial se descarta (y el llamador
+ * reenvía la clave como faltante); si no, falla toda la respuesta.
+ * @param {any} response - Traducciones validadas con claves enmascaradas
+ * @param {ReturnType<typeof maskBatch>} masking - Resultado de maskBatch
+ * @param {object} [options] - Opciones de validación
+ * @param {boolean} [options.allowPartial] - Descartar solo las claves inválidas
+ * @returns {any} - Traducciones con las claves y los segmentos originales
+ * @throws {Error} - Si hay marcadores inválidos (con isParseError = true)
+ */
+function restorePlaceholders(response, masking, options = {}) {
+  /** @type {any} */
+  const restored = {};
+  /** @type {string[]} */
+  const problems = [];
+
+  Object.entries(response).forEach(([maskedKey, value]) => {
+    const mask = masking.masks[maskedKey] || { key: maskedKey, placeholders: {} };
+    if (typeof value !== "string") {
+      restored[mask.key] = value;
+      return;
+    }
+
+    const problem = findPlaceholderProblem(
+      value,
+      mask.placeholders,
+      masking.placeholders
+    );
+    if (problem) {
+      problems.push(`"${mask.key}": ${problem}`);
+      return;
+    }
+
+    restored[mask.key] = value.replace(
+      PLACEHOLDER_REGEX,
+      (placeholder) => mask.placeholders[placeholder] ?? placeholder
+    );
+  });
+
+  if (problems.length > 0) {
+    if (!options.allowPartial || Object.keys(restored).length === 0) {
+      const error = new Error(
+        `Marcadores de posición inválidos en la respuesta: ${problems.join("; ")}`
+      );
+      // Cuenta como un fallo de validación de la respuesta
+      // @ts-ignore
+      error.isParseError = true;
+      throw error;
+    }
+    console.warn(
+      `⚠️  Marcadores de posición inválidos en ${problems.length} claves (se reenviarán): ${problems.join("; ")}`
+    );
+  }
+
+  return restored;
+}
+
+module.exports = {
+  loadPlaceholderTerms,
+  findProtectedSegments,
+  maskBatch,
+  restorePlaceholders,
+  DEFAULT_PLACEHOLDER_TERMS_FILE,
+  PLACEHOLDER_KINDS,
+};
@@ -0,0 +1,472 @@
+// @ts-check
+
+const fs = require("fs").promises;
+const path = require("path");
+const { createTermPattern } = require("./glossary");
+const { findProtectedSegments, loadPlaceholderTerms } = require("./placeholders");
+
+/**
+ * Lista de términos permitidos por defecto, junto al módulo
+ */
+const DEFAULT_QA_ALLOWLIST_FILE = path.join(__dirname, "qa-allowlist.json");
+
+/**
+ * Longitud mínima de la clave para evaluar la proporción de longitudes; en
+ * claves cortas ("Beef" → "Carne de Res") la proporción no es significativa
+ */
+const MIN_LENGTH_FOR_RATIO = 10;
+
+/**
+ * Gravedad de cada tipo de hallazgo: los errores se pueden reenviar a la API,
+ * las advertencias solo se reportan
+ */
+const QA_SEVERITY = {
+  empty: "error",
+  identical: "error",
+  english: "error",
+  numbers: "error",
+  artifacts: "error",
+  length: "warning",
+};
+
+/**
+ * Artefactos de formato que no deberían quedar en una traducción
+ */
+const ARTIFACT_PATTERNS = [
+  { name: "bloque de código", pattern: /```/ },
+  { name: "JSON", pattern: /^\s*\{|^\s*\[\s*["{]|"\s*:\s*"|\\[n"]/ },
+  { name: "negrita markdown", pattern: /\*\*|__/ },
+  { name: "encabezado markdown", pattern: /^\s*#{1,6}\s/ },
+  { name: "lista markdown", pattern: /^\s*[-*]\s/ },
+  { name: "enlace markdown", pattern: /\[[^\]]*\]\([^)]*\)/ },
+  { name: "etiqueta HTML", pattern: /<\/?[a-z][^>]*>/i },
+  { name: "salto de línea", pattern: /[\r\n]/ },
+];
+
+/**
+ * Unidades y sus formas escritas en los idiomas destino, normalizadas a
+ * la abreviatura en inglés
+ */
+const UNIT_ALIASES = {
+  lb: ["lb", "lbs", "pound", "pounds", "libra", "libras", "livre", "livres"],
+  kg: [
+    "kg",
+    "kgs",
+    "kilogram",
+    "kilograms",
+    "kilogramo",
+    "kilogramos",
+    "quilograma",
+    "quilogramas",
+    "kilogramme",
+    "kilogrammes",
+  ],
+  oz: ["oz", "ounce", "ounces", "onza", "onzas", "onça", "onças", "once", "onces"],
+  cwt: ["cwt"],
+  ton: ["ton", "tons", "mt", "tonelada", "toneladas", "tonne", "tonnes"],
+  gal: ["gal", "gallon", "gallons", "galón", "galones", "galão", "galões"],
+  bu: ["bu", "bushel", "bushels"],
+  "%": [
+    "%",
+    "percent",
+    "percentage",
+    "porcentaje",
+    "porcentual",
+    "porcentagem",
+    "percentual",
+    "pourcentage",
+  ],
+};
+
+/**
+ * Forma escrita de una unidad → unidad normalizada
+ * @type {Map<string, string>}
+ */
+const UNIT_BY_ALIAS = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) =>
+    aliases.map((alias) => [alias, unit])
+  )
+);
+
+/**
+ * Listas de términos permitidos ya cargadas por ruta absoluta
+ * @type {Map<string, any>}
+ */
+const allowlistCache = new Map();
+
+/**
+ * Valida y normaliza una lista de términos permitidos
+ * @param {any} data - Contenido del archivo ({ terms: [...], patterns: [...] })
+ * @param {string} source - Origen de los datos (para los mensajes de error)
+ * @returns {{terms: string[], termPatterns: RegExp[], patterns: RegExp[]}}
+ * @throws {Error} - Si algún término o patrón no es válido
+ */
+function normalizeAllowlist(data, source) {
+  const terms = data?.terms || [];
+  const patterns = data?.patterns || [];
+
+  if (!Array.isArray(terms) || !Array.isArray(patterns)) {
+    throw new Error(
+      `La lista de términos permitidos ${source} debe contener arrays "terms" y "patterns"`
+    );
+  }
+
+  return {
+    terms,
+    termPatterns: terms.map((/** @type {string} */ term) =>
+      createTermPattern(term)
+    ),
+    patterns: patterns.map((/** @type {string} */ pattern, index) => {
+      try {
+        return new RegExp(pattern, "u");
+      } catch (/** @type {any} */ error) {
+        throw new Error(
+          `Patrón ${index + 1} de ${source} inválido: ${error.message}`
+        );
+      }
+    }),
+  };
+}
+
+/**
+ * Carga la lista de términos permitidos (grados USDA, lugares, marcas). Si
+ * el archivo no existe se continúa sin lista.
+ * @param {string} allowlistFile - Ruta del archivo
+ * @returns {Promise<{terms: string[], termPatterns: RegExp[], patterns: RegExp[]}>}
+ */
+async function loadAllowlist(allowlistFile = DEFAULT_QA_ALLOWLIST_FILE) {
+  const filePath = path.resolve(allowlistFile);
+
+  const cached = allowlistCache.get(filePath);
+  if (cached) {
+    return cached;
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf-8");
+  } catch (/** @type {any} */ error) {
+    if (error.code === "ENOENT") {
+      console.warn(
+        `⚠️  Lista de términos permitidos no encontrada: ${filePath}. Se continúa sin ella`
+      );
+      const empty = normalizeAllowlist({}, filePath);
+      allowlistCache.set(filePath, empty);
+      return empty;
+    }
+    throw error;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (/** @type {any} */ error) {
+    throw new Error(
+      `JSON inválido en la lista de términos permitidos ${filePath}: ${error.message}`
+    );
+  }
+
+  const allowlist = normalizeAllowlist(data, filePath);
+  allowlistCache.set(filePath, allowlist);
+
+  return allowlist;
+}
+
+/**
+ * Quita de un texto los términos permitidos. Cada término se reemplaza por
+ * una coma para que las palabras de sus lados no formen un mismo tramo
+ * @param {string} text - Texto a limpiar
+ * @param {{termPatterns: RegExp[]}} allowlist - Lista normalizada
+ * @returns {string} - Texto sin los términos permitidos
+ */
+function removeAllowedTerms(text, allowlist) {
+  return allowlist.termPatterns.reduce(
+    (result, pattern) => result.replace(pattern, " , "),
+    text
+  );
+}
+
+/**
+ * Quita de un texto los segmentos que no cambian al traducir: códigos,
+ * unidades, grados y nombres propios (los segmentos que protegen los
+ * marcadores de posición) y los marcadores {{P1}} que hayan quedado
+ * @param {string} text - Texto a limpiar
+ * @param {any} placeholderTerms - Lista de términos (loadPlaceholderTerms)
+ * @returns {string} - Texto sin los segmentos invariables
+ */
+function removeInvariantSegments(text, placeholderTerms) {
+  const withoutSegments = findProtectedSegments(text, placeholderTerms)
+    .reverse()
+    .reduce(
+      (result, { start, end }) =>
+        `${result.slice(0, start)} , ${result.slice(end)}`,
+      text
+    );
+  return withoutSegments.replace(/\{\{P\d+\}\}/g, " , ");
+}
+
+/**
+ * Obtiene las palabras de una clave que deberían traducirse: las que quedan
+ * fuera de los términos permitidos y de los segmentos invariables, agrupadas
+ * por tramos de palabras consecutivas
+ * @param {string} key - Texto en inglés (la clave)
+ * @param {{termPatterns: RegExp[]}} allowlist - Lista normalizada
+ * @param {any} placeholderTerms - Lista de términos (loadPlaceholderTerms)
+ * @returns {string[][]} - Tramos de palabras, en minúsculas
+ */
+function findTranslatableRuns(key, allowlist, placeholderTerms) {
+  return removeAllowedTerms(
+    removeInvariantSegments(key, placeholderTerms),
+    allowlist
+  )
+    .toLowerCase()
+    .split(/[^\p{L}\s'’]+/u)
+    .map((run) => run.match(/\p{L}+(?:['’]\p{L}+)*/gu) || [])
+    .filter((run) => run.length > 0);
+}
+
+/**
+ * Busca los tramos de dos o más palabras de la clave que siguen igual en la
+ * traducción. Una palabra suelta no basta: muchas se escriben igual en los
+ * idiomas destino ("Total", "Animal", "Regional")
+ * @param {string[][]} runs - Tramos de findTranslatableRuns
+ * @param {string} translation - Traducción
+ * @returns {string[]} - Frases sin traducir, sin repetir
+ */
+function findUntranslatedPhrases(runs, translation) {
+  const target = ` ${(
+    translation.toLowerCase().match(/\p{L}+(?:['’]\p{L}+)*/gu) || []
+  ).join(" ")} `;
+  /** @type {Set<string>} */
+  const phrases = new Set();
+
+  runs.forEach((run) => {
+    let i = 0;
+    while (i < run.length - 1) {
+      // El tramo más largo que empieza en i y sigue en la traducción
+      let end = i + 1;
+      while (
+        end < run.length &&
+        target.includes(` ${run.slice(i, end + 1).join(" ")} `)
+      ) {
+        end++;
+      }
+      if (end - i >= 2) {
+        phrases.add(run.slice(i, end).join(" "));
+        i = end;
+      } else {
+        i++;
+      }
+    }
+  });
+
+  return [...phrases];
+}
+
+/**
+ * Obtiene los números de un texto sin separadores ("1,000" y "1.000" →
+ * "1000"), ordenados
+ * @param {string} text - Texto a analizar
+ * @returns {string[]} - Números normalizados
+ */
+function extractNumbers(text) {
+  return (text.match(/\d+(?:[.,]\d+)*/g) || [])
+    .map((number) => number.replace(/[.,]/g, ""))
+    .sort();
+}
+
+/**
+ * Obtiene las unidades de un texto, normalizadas ("libras" → "lb")
+ * @param {string} text - Texto a analizar
+ * @returns {string[]} - Unidades sin repetir, ordenadas
+ */
+function extractUnits(text) {
+  const tokens = text.toLowerCase().match(/%|\p{L}+/gu) || [];
+  const units = tokens
+    .map((token) => UNIT_BY_ALIAS.get(token))
+    .filter((unit) => unit !== undefined);
+  return [...new Set(/** @type {string[]} */ (units))].sort();
+}
+
+/**
+ * Revisa una traducción
+ * @param {string} key - Texto en inglés (la clave)
+ * @param {any} translation - Traducción obtenida
+ * @param {object} options - Opciones de la revisión
+ * @param {{terms: string[], termPatterns: RegExp[], patterns: RegExp[]}} options.allowlist - Términos permitidos
+ * @param {number} options.minLengthRatio - Proporción mínima de longitudes (traducción / clave)
+ * @param {number} options.maxLengthRatio - Proporción máxima de longitudes
+ * @param {any} [options.placeholderTerms] - Términos invariables de los
+ * marcadores de posición (por defecto, los del proyecto)
+ * @returns {any[]} - Hallazgos: { key, translation, type, severity, message, details }
+ */
+function checkTranslation(key, translation, options) {
+  const {
+    allowlist,
+    minLengthRatio,
+    maxLengthRatio,
+    placeholderTerms = loadPlaceholderTerms(),
+  } = options;
+  /** @type {any[]} */
+  const findings = [];
+  /**
+   * @param {keyof typeof QA_SEVERITY} type
+   * @param {string} message
+   * @param {any} [details]
+   */
+  const addFinding = (type, message, details = null) =>
+    findings.push({
+      key,
+      translation,
+      type,
+      severity: QA_SEVERITY[type],
+      message,
+      details,
+    });
+
+  if (typeof translation !== "string" || translation.trim() === "") {
+    addFinding("empty", "Traducción vacía");
+    return findings;
+  }
+
+  const allowedKey = allowlist.patterns.some((pattern) => pattern.test(key));
+  const runs = allowedKey
+    ? []
+    : findTranslatableRuns(key, allowlist, placeholderTerms);
+
+  // 1. Idéntica al inglés: se marca salvo que los términos permitidos y los
+  // segmentos invariables (códigos, unidades, marcadores) cubran la clave
+  if (translation.trim().toLowerCase() === key.trim().toLowerCase()) {
+    if (runs.length > 0) {
+      addFinding("identical", "Traducción idéntica al texto en inglés", {
+        untranslatedWords: [...new Set(runs.flat())],
+      });
+    }
+  } else {
+    // 2. Frases de la clave que siguen igual en la traducción
+    const untranslated = findUntranslatedPhrases(
+      runs,
+      removeAllowedTerms(translation, allowlist)
+    );
+    if (untranslated.length > 0) {
+      addFinding(
+        "english",
+        `Frases en inglés sin traducir: ${untranslated.join(", ")}`,
+        { untranslatedPhrases: untranslated }
+      );
+    }
+  }
+
+  // 3. Números y unidades que cambiaron ("40 lb" → "18 kg")
+  const sourceNumbers = extractNumbers(key);
+  const targetNumbers = extractNumbers(translation);
+  const sourceUnits = extractUnits(key);
+  const targetUnits = extractUnits(translation);
+  if (
+    sourceNumbers.join(" ") !== targetNumbers.join(" ") ||
+    sourceUnits.join(" ") !== targetUnits.join(" ")
+  ) {
+    addFinding(
+      "numbers",
+      `Números o unidades distintos: [${[...sourceNumbers, ...sourceUnits].join(
+        " "
+      )}] → [${[...targetNumbers, ...targetUnits].join(" ")}]`,
+      {
+        source: { numbers: sourceNumbers, units: sourceUnits },
+        translation: { numbers: targetNumbers, units: targetUnits },
+      }
+    );
+  }
+
+  // 4. Proporción de longitudes fuera del rango
+  if (key.trim().length >= MIN_LENGTH_FOR_RATIO) {
+    const ratio = translation.trim().length / key.trim().length;
+    if (ratio < minLengthRatio || ratio > maxLengthRatio) {
+      addFinding(
+        "length",
+        `Proporción de longitud ${ratio.toFixed(
+          2
+        )} fuera del rango ${minLengthRatio}-${maxLengthRatio}`,
+        { ratio: Number(ratio.toFixed(2)) }
+      );
+    }
+  }
+
+  // 5. Restos de JSON o markdown que no estaban en la clave
+  const artifacts = ARTIFACT_PATTERNS.filter(
+    ({ pattern }) => pattern.test(translation) && !pattern.test(key)
+  ).map(({ name }) => name);
+  if (artifacts.length > 0) {
+    addFinding("artifacts", `Restos de formato: ${artifacts.join(", ")}`, {
+      artifacts,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Revisa un conjunto de traducciones
+ * @param {any} translations - Traducciones (clave en inglés → traducción)
+ * @param {any} options - Opciones de checkTranslation
+ * @returns {{findings: any[], stats: any}} - Hallazgos y estadísticas por tipo
+ */
+function checkTranslations(translations, options) {
+  const findings = Object.entries(translations).flatMap(([key, translation]) =>
+    checkTranslation(key, translation, options)
+  );
+
+  /** @type {Record<string, number>} */
+  const byType = Object.fromEntries(
+    Object.keys(QA_SEVERITY).map((type) => [type, 0])
+  );
+  findings.forEach((finding) => byType[finding.type]++);
+
+  return {
+    findings,
+    stats: {
+      checked: Object.keys(translations).length,
+      flaggedEntries: new Set(findings.map((finding) => finding.key)).size,
+      errorEntries: getErrorKeys(findings).length,
+      byType,
+    },
+  };
+}
+
+/**
+ * Obtiene las claves con al menos un hallazgo de gravedad "error"
+ * @param {any[]} findings - Hallazgos de checkTranslations
+ * @returns {string[]} - Claves sin repetir
+ */
+function getErrorKeys(findings) {
+  return [
+    ...new Set(
+      findings
+        .filter((finding) => finding.severity === "error")
+        .map((finding) => finding.key)
+    ),
+  ];
+}
+
+/**
+ * Genera la ruta del reporte de calidad a partir del archivo de salida
+ * @param {string} outputFile - Archivo de salida de la traducción
+ * @returns {string} - Ruta del reporte (<salida>.qa.json)
+ */
+function getQaReportPath(outputFile) {
+  const parsed = path.parse(outputFile);
+  return path.join(parsed.dir, `${parsed.name}.qa.json`);
+}
+
+module.exports = {
+  loadAllowlist,
+  normalizeAllowlist,
+  checkTranslation,
+  checkTranslations,
+  getErrorKeys,
+  getQaReportPath,
+  extractNumbers,
+  extractUnits,
+  QA_SEVERITY,
+  DEFAULT_QA_ALLOWLIST_FILE,
+};
@@ -0,0 +1,851 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Revisión de traducciones existentes con un LLM como evaluador: envía los
+ * pares original/traducción en lotes, con el mismo pipeline de límites de
+ * velocidad y reintentos que la traducción, y obtiene por clave un puntaje,
+ * una categoría de problema y una corrección sugerida. El resultado se guarda
+ * en JSON y CSV para revisarlo y aplicar solo las correcciones elegidas.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { Type } = require("@google/genai");
+const {
+  readJsonFile,
+  writeJsonFile,
+  fileExists,
+  createBackup,
+} = require("./fileHandler");
+const {
+  DEFAULT_CONFIG,
+  initializeRateLimiter,
+  processBatchesConcurrently,
+  createBatchesForConfig,
+  filterEntriesForTranslation,
+} = require("./batchProcessor");
+const {
+  loadPromptTemplate,
+  validateAndParseResponse,
+} = require("./geminiTranslator");
+const {
+  loadGlossary,
+  findTermsInBatch,
+  formatGlossaryForPrompt,
+} = require("./glossary");
+const { getProviderDefaults } = require("./translationProvider");
+const { getLocale, getLocaleConfig } = require("./locales");
+const { escapeCsvValue } = require("./jsonToCsv");
+const {
+  decodeCsvBuffer,
+  detectDelimiter,
+  parseCsv,
+  rowsToRecords,
+} = require("./csvParser");
+
+/**
+ * Configuración por defecto
+ */
+const REVIEW_CONFIG = {
+  inputFile: "us-mx-translated.json", // Archivo traducido a revisar
+  outputFile: null, // null = <entrada>.review.json
+  csvFile: null, // null = <entrada>.review.csv
+  reviewPromptFile: "review-prompt.md", // Template del prompt del revisor
+  limit: null, // Máximo de entradas a revisar (null = todas)
+  targetLang: "es", // Idioma de las traducciones (define glosario y nombre del idioma)
+  applyFile: null, // Revisión (JSON o CSV) cuyas correcciones se aplican
+  applyBelow: null, // Aplicar todas las sugerencias con puntaje menor a este valor
+  applyOutputFile: null, // null = sobrescribir el archivo de entrada al aplicar
+  createBackup: true, // Crear backup antes de sobrescribir
+};
+
+/**
+ * Categorías de problema que puede devolver el revisor
+ */
+const REVIEW_CATEGORIES = [
+  "ok",
+  "mistranslation",
+  "untranslated",
+  "terminology",
+  "grammar",
+  "style",
+  "formatting",
+];
+
+/**
+ * Valores de la columna Apply del CSV que marcan una corrección para aplicar
+ */
+const APPLY_VALUES = new Set(["true", "yes", "y", "sí", "si", "s", "x", "1"]);
+
+/**
+ * Encabezados del CSV de revisión
+ */
+const CSV_HEADERS = [
+  "Key",
+  "Translation",
+  "Score",
+  "Category",
+  "Suggestion",
+  "Apply",
+];
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Configuración parseada desde argumentos
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /** @type {any} */
+  const config = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const nextArg = args[i + 1];
+
+    switch (arg) {
+      case "--input":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.inputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--output":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.outputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--csv":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.csvFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--prompt":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.reviewPromptFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--limit":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.limit = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--target-lang":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.targetLang = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--apply":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.applyFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--apply-below":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.applyBelow = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--apply-output":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.applyOutputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--no-backup":
+        config.createBackup = false;
+        break;
+      case "--batch-size":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.batchSize = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--provider":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.provider = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--model":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.model = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--tier":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.tier = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--help":
+        showHelp();
+        process.exit(0);
+        break;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Muestra ayuda del comando
+ */
+function showHelp() {
+  console.log("🧑‍⚖️ REVISIÓN DE TRADUCCIONES CON LLM");
+  console.log(
+    "📝 Evalúa traducciones existentes y sugiere correcciones aplicables\n"
+  );
+
+  console.log("USO:");
+  console.log("  node review.js [opciones]");
+  console.log("  node review.js --apply <revisión.json|csv> [opciones]\n");
+
+  console.log("OPCIONES DE REVISIÓN:");
+  console.log("  --input <archivo>      Archivo traducido a revisar");
+  console.log("                         Por defecto: us-mx-translated.json");
+  console.log("");
+  console.log("  --output <archivo>     Archivo JSON con la revisión");
+  console.log("                         Por defecto: <entrada>.review.json");
+  console.log("");
+  console.log("  --csv <archivo>        Archivo CSV con la revisión");
+  console.log("                         Por defecto: <entrada>.review.csv");
+  console.log("");
+  console.log("  --prompt <archivo>     Template del prompt del revisor");
+  console.log("                         Por defecto: review-prompt.md");
+  console.log("");
+  console.log("  --limit <número>       Revisar solo las primeras N entradas");
+  console.log("  --batch-size <número>  Entradas por lote");
+  console.log("  --target-lang <código> Idioma de las traducciones (es, pt-BR, fr-CA)");
+  console.log("  --provider <nombre>    Proveedor del revisor (gemini, openai, mock)");
+  console.log("  --model <modelo>       Modelo del revisor");
+  console.log("  --tier <tier>          Tier de la API");
+  console.log("");
+
+  console.log("OPCIONES DE APLICACIÓN:");
+  console.log("  --apply <archivo>      Aplicar las sugerencias marcadas en una revisión");
+  console.log("                         (\"apply\": true en JSON; x, sí o true en la");
+  console.log("                         columna Apply del CSV)");
+  console.log("");
+  console.log("  --apply-below <1-5>    Aplicar además todas las sugerencias con");
+  console.log("                         puntaje menor a este valor");
+  console.log("");
+  console.log("  --apply-output <archivo>");
+  console.log("                         Archivo donde guardar las traducciones corregidas");
+  console.log("                         Por defecto: sobrescribe el archivo de entrada");
+  console.log("");
+  console.log("  --no-backup            No crear backup del archivo original");
+  console.log("");
+  console.log("  --help                 Mostrar esta ayuda");
+  console.log("");
+
+  console.log("EJEMPLOS:");
+  console.log("  # Revisar la salida en español");
+  console.log("  node review.js");
+  console.log("");
+  console.log("  # Aplicar las filas marcadas en el CSV editado");
+  console.log("  node review.js --apply us-mx-translated.review.csv");
+  console.log("");
+  console.log("  # Aplicar todas las sugerencias con puntaje 1 o 2");
+  console.log("  node review.js --apply us-mx-translated.review.json --apply-below 3");
+  console.log("");
+}
+
+/**
+ * Valida el objeto de revisión de una clave
+ * @param {any} value - Valor devuelto por el revisor
+ * @returns {boolean} - true si tiene score (1-5), category y suggestion válidos
+ */
+function isValidReview(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Number.isInteger(value.score) &&
+    value.score >= 1 &&
+    value.score <= 5 &&
+    typeof value.category === "string" &&
+    REVIEW_CATEGORIES.includes(value.category.toLowerCase()) &&
+    typeof value.suggestion === "string"
+  );
+}
+
+/**
+ * Crea la tarea de revisión para el pipeline de lotes (config.task). Los
+ * proveedores usan su prompt, esquema de salida y parser en lugar de los de
+ * la traducción.
+ * @param {object} options - Opciones de la tarea
+ * @param {string} options.promptFile - Template del prompt del revisor
+ * @param {any[]} options.glossary - Términos del glosario del idioma destino,
+ * cargados una vez por ejecución
+ * @param {string} options.sourceLang - Idioma de las claves
+ * @param {string} options.targetLang - Idioma de las traducciones
+ * @returns {any} - Tarea con buildPrompt, buildResponseSchema, parseResponse y
+ * mockResponse
+ */
+function createReviewTask(options) {
+  return {
+    name: "review",
+
+    /**
+     * @param {any} batchData - Pares original → traducción del lote
+     * @returns {Promise<string>} - Prompt del revisor
+     */
+    async buildPrompt(batchData) {
+      try {
+        const template = (await loadPromptTemplate(options.promptFile))
+          .replace(/\{\{SOURCE_LANGUAGE\}\}/g, getLocale(options.sourceLang).name)
+          .replace(/\{\{TARGET_LANGUAGE\}\}/g, getLocale(options.targetLang).name)
+          .replace(
+            /\{\{CATEGORIES\}\}/g,
+            REVIEW_CATEGORIES.map((category) => `"${category}"`).join(", ")
+          );
+
+        const glossarySection = formatGlossaryForPrompt(
+          findTermsInBatch(options.glossary, batchData)
+        );
+        const templateWithGlossary = glossarySection
+          ? template.replace("{{GLOSSARY}}", glossarySection)
+          : template.replace(/\{\{GLOSSARY\}\}\n*/, "");
+
+        return templateWithGlossary + "\n" + JSON.stringify(batchData, null, 2);
+      } catch (/** @type {any} */ error) {
+        throw new Error(
+          `Error construyendo el prompt de revisión: ${error.message}`
+        );
+      }
+    },
+
+    /**
+     * @param {any} batchData - Pares original → traducción del lote
+     * @returns {any} - Esquema de salida estructurada
+     */
+    buildResponseSchema(batchData) {
+      const keys = Object.keys(batchData);
+      const reviewSchema = {
+        type: Type.OBJECT,
+        properties: {
+          score: { type: Type.INTEGER },
+          category: { type: Type.STRING, enum: REVIEW_CATEGORIES },
+          suggestion: { type: Type.STRING },
+        },
+        required: ["score", "category", "suggestion"],
+        propertyOrdering: ["score", "category", "suggestion"],
+      };
+      return {
+        type: Type.OBJECT,
+        properties: Object.fromEntries(keys.map((key) => [key, reviewSchema])),
+        required: keys,
+        propertyOrdering: keys,
+      };
+    },
+
+    /**
+     * @param {string} response - Respuesta cruda del proveedor
+     * @param {any} batchData - Lote original
+     * @param {any} parseOptions - Opciones de validación (allowPartial)
+     * @returns {any} - Revisiones normalizadas por clave
+     */
+    parseResponse(response, batchData, parseOptions = {}) {
+      const parsed = /** @type {any} */ (
+        validateAndParseResponse(response, batchData, {
+          ...parseOptions,
+          isValidValue: isValidReview,
+        })
+      );
+      return Object.fromEntries(
+        Object.entries(parsed).map(([key, review]) => [
+          key,
+          {
+            score: review.score,
+            category: review.category.toLowerCase(),
+            suggestion:
+              review.category.toLowerCase() === "ok"
+                ? ""
+                : review.suggestion.trim(),
+          },
+        ])
+      );
+    },
+
+    /**
+     * Revisión simulada para el proveedor mock: las traducciones idénticas a
+     * la clave se marcan como sin traducir y algunas otras reciben una
+     * corrección de estilo
+     * @param {any} batchData - Pares original → traducción del lote
+     * @param {() => number} random - Generador determinista del mock
+     * @returns {any} - Revisiones por clave
+     */
+    mockResponse(batchData, random) {
+      return Object.fromEntries(
+        Object.entries(batchData).map(([key, translation]) => {
+          if (translation === key) {
+            return [
+              key,
+              { score: 1, category: "untranslated", suggestion: `[mock] ${key}` },
+            ];
+          }
+          if (random() < 0.2) {
+            return [
+              key,
+              {
+                score: 3,
+                category: "style",
+                suggestion: `${translation} (revisado)`,
+              },
+            ];
+          }
+          return [key, { score: 5, category: "ok", suggestion: "" }];
+        })
+      );
+    },
+  };
+}
+
+/**
+ * Revisa las traducciones con el pipeline de lotes
+ * @param {any} translations - Pares original → traducción a revisar
+ * @param {any} config - Configuración (proveedor, lotes, límites y prompt)
+ * @returns {Promise<{reviews: any[], failed: string[], results: any}>} -
+ * Revisiones en el orden original, claves sin revisión y resultado del pipeline
+ */
+async function reviewTranslations(translations, config) {
+  const task = createReviewTask({
+    promptFile: config.reviewPromptFile,
+    glossary: config.glossaryFile ? await loadGlossary(config.glossaryFile) : [],
+    sourceLang: config.sourceLang,
+    targetLang: config.targetLang,
+  });
+  // El glosario va en el prompt del revisor; la validación de glosario del
+  // pipeline espera traducciones, no revisiones
+  const pipelineConfig = { ...config, glossary: false, task };
+
+  const batches = await createBatchesForConfig(translations, pipelineConfig);
+  const results = await processBatchesConcurrently(batches, pipelineConfig);
+
+  /** @type {any} */
+  const reviewed = {};
+  results.successful.forEach((/**@type {any} */ result) => {
+    Object.assign(reviewed, result.data);
+  });
+
+  /** @type {any[]} */
+  const reviews = [];
+  /** @type {string[]} */
+  const failed = [];
+  Object.entries(translations).forEach(([key, translation]) => {
+    const review = reviewed[key];
+    if (!review) {
+      failed.push(key);
+      return;
+    }
+    reviews.push({
+      key,
+      translation,
+      score: review.score,
+      category: review.category,
+      suggestion: review.suggestion,
+      apply: false,
+    });
+  });
+
+  return { reviews, failed, results };
+}
+
+/**
+ * Resume las revisiones por categoría y puntaje
+ * @param {any[]} reviews - Revisiones obtenidas
+ * @param {string[]} failed - Claves sin revisión
+ * @returns {any} - Resumen de la revisión
+ */
+function summarizeReviews(reviews, failed) {
+  /** @type {any} */
+  const byCategory = Object.fromEntries(
+    REVIEW_CATEGORIES.map((category) => [category, 0])
+  );
+  /** @type {any} */
+  const byScore = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let totalScore = 0;
+
+  reviews.forEach((review) => {
+    byCategory[review.category]++;
+    byScore[review.score]++;
+    totalScore += review.score;
+  });
+
+  return {
+    reviewed: reviews.length,
+    failed: failed.length,
+    withSuggestions: reviews.filter((review) => review.suggestion).length,
+    averageScore:
+      reviews.length > 0
+        ? Math.round((totalScore / reviews.length) * 100) / 100
+        : null,
+    byCategory,
+    byScore,
+  };
+}
+
+/**
+ * Convierte las revisiones a CSV (la columna Apply queda vacía para que el
+ * revisor marque las filas a aplicar)
+ * @param {any[]} reviews - Revisiones
+ * @param {string} delimiter - Delimitador CSV
+ * @returns {string} - Contenido CSV
+ */
+function reviewsToCsv(reviews, delimiter = ",") {
+  const lines = [
+    CSV_HEADERS.map((header) => escapeCsvValue(header, delimiter)).join(
+      delimiter
+    ),
+  ];
+  reviews.forEach((review) => {
+    lines.push(
+      [
+        review.key,
+        review.translation,
+        review.score,
+        review.category,
+        review.suggestion,
+        review.apply ? "x" : "",
+      ]
+        .map((value) => escapeCsvValue(value, delimiter))
+        .join(delimiter)
+    );
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Lee una revisión guardada en JSON (review.js) o CSV (editado por una persona)
+ * @param {string} filePath - Archivo de revisión
+ * @returns {Promise<any[]>} - Revisiones con key, translation, score,
+ * category, suggestion y apply
+ */
+async function loadReviewFile(filePath) {
+  if (path.extname(filePath).toLowerCase() !== ".csv") {
+    const data = await readJsonFile(filePath);
+    return Array.isArray(data.reviews) ? data.reviews : [];
+  }
+
+  // Una planilla guardada desde Excel puede cambiar delimitador y codificación
+  const { text } = decodeCsvBuffer(await fs.readFile(filePath));
+  const { headers, records } = rowsToRecords(
+    parseCsv(text, { delimiter: detectDelimiter(text) })
+  );
+  const missing = CSV_HEADERS.filter((header) => !headers.includes(header));
+  if (missing.length > 0) {
+    throw new Error(
+      `El CSV de revisión no tiene las columnas: ${missing.join(", ")}`
+    );
+  }
+
+  return records.map((record) => ({
+    key: record.Key,
+    translation: record.Translation,
+    score: parseInt(record.Score),
+    category: record.Category.trim().toLowerCase(),
+    suggestion: record.Suggestion,
+    apply: APPLY_VALUES.has(record.Apply.trim().toLowerCase()),
+  }));
+}
+
+/**
+ * Aplica las sugerencias seleccionadas: las marcadas con apply y, si se indica
+ * minScore, todas las de puntaje menor. Se omiten las claves que ya no están
+ * en el archivo y las que cambiaron desde la revisión.
+ * @param {any} translations - Traducciones a corregir (se modifica)
+ * @param {any[]} reviews - Revisiones cargadas
+ * @param {object} [options] - Criterios de selección
+ * @param {number | null} [options.applyBelow] - Puntaje bajo el cual se
+ * aplican todas las sugerencias
+ * @returns {{applied: any[], skipped: any[]}} - Cambios aplicados y omitidos
+ */
+function applyReviews(translations, reviews, options = {}) {
+  /** @type {any[]} */
+  const applied = [];
+  /** @type {any[]} */
+  const skipped = [];
+
+  reviews.forEach((review) => {
+    const selected =
+      review.apply === true ||
+      (options.applyBelow != null && review.score < options.applyBelow);
+    if (!selected) {
+      return;
+    }
+
+    const suggestion = String(review.suggestion || "").trim();
+    if (!suggestion) {
+      skipped.push({ key: review.key, reason: "sin sugerencia" });
+    } else if (!Object.prototype.hasOwnProperty.call(translations, review.key)) {
+      skipped.push({ key: review.key, reason: "clave no encontrada" });
+    } else if (translations[review.key] !== review.translation) {
+      skipped.push({
+        key: review.key,
+        reason: "la traducción cambió desde la revisión",
+      });
+    } else {
+      applied.push({ key: review.key, from: review.translation, to: suggestion });
+      translations[review.key] = suggestion;
+    }
+  });
+
+  return { applied, skipped };
+}
+
+/**
+ * Genera la ruta de un archivo de revisión a partir del archivo de entrada
+ * @param {string} inputFile - Archivo de entrada
+ * @param {string} extension - Extensión del archivo (.json o .csv)
+ * @returns {string} - Ruta del archivo de revisión
+ */
+function generateReviewFileName(inputFile, extension) {
+  const ext = path.extname(inputFile);
+  return path.join(
+    path.dirname(inputFile),
+    `${path.basename(inputFile, ext)}.review${extension}`
+  );
+}
+
+/**
+ * Muestra las revisiones con menor puntaje
+ * @param {any[]} reviews - Revisiones
+ * @param {number} limit - Máximo de revisiones a mostrar
+ */
+function displayLowestScores(reviews, limit = 10) {
+  const flagged = reviews
+    .filter((review) => review.category !== "ok")
+    .sort((a, b) => a.score - b.score);
+  flagged.slice(0, limit).forEach((review) => {
+    console.log(
+      `   [${review.score}, ${review.category}] "${review.key}": "${review.translation}" → "${review.suggestion}"`
+    );
+  });
+  if (flagged.length > limit) {
+    console.log(`   ... y ${flagged.length - limit} más (ver la revisión)`);
+  }
+}
+
+/**
+ * Aplica una revisión guardada al archivo de entrada
+ * @param {any} config - Configuración
+ */
+async function runApply(config) {
+  console.log("🔧 === APLICANDO CORRECCIONES ===");
+
+  if (!(await fileExists(config.applyFile))) {
+    console.error(`❌ Archivo de revisión no encontrado: ${config.applyFile}`);
+    process.exit(1);
+  }
+
+  const translations = await readJsonFile(config.inputFile);
+  const reviews = await loadReviewFile(config.applyFile);
+  const { applied, skipped } = applyReviews(translations, reviews, config);
+
+  console.log(`📋 Revisiones leídas: ${reviews.length}`);
+  console.log(`✅ Correcciones aplicadas: ${applied.length}`);
+  if (skipped.length > 0) {
+    console.log(`⚠️  Correcciones omitidas: ${skipped.length}`);
+    skipped.slice(0, 10).forEach((item) => {
+      console.log(`   - "${item.key}": ${item.reason}`);
+    });
+    if (skipped.length > 10) {
+      console.log(`   ... y ${skipped.length - 10} más`);
+    }
+  }
+
+  if (applied.length === 0) {
+    console.log("ℹ️  No hay correcciones para aplicar; no se modificó ningún archivo");
+    return;
+  }
+
+  const outputFile = config.applyOutputFile || config.inputFile;
+  if (config.createBackup && outputFile === config.inputFile) {
+    await createBackup(config.inputFile);
+  }
+  await writeJsonFile(outputFile, translations);
+  console.log(`💾 Traducciones corregidas guardadas en: ${outputFile}`);
+}
+
+/**
+ * Revisa el archivo de entrada y guarda la revisión en JSON y CSV
+ * @param {any} config - Configuración
+ */
+async function runReview(config) {
+  const inputData = await readJsonFile(config.inputFile);
+  // Solo se revisan las entradas traducidas que no están excluidas por patrón
+  const { alreadyTranslated } = filterEntriesForTranslation(
+    inputData,
+    true,
+    true,
+    config.targetLang
+  );
+  const entries = config.limit
+    ? Object.fromEntries(
+        Object.entries(alreadyTranslated).slice(0, config.limit)
+      )
+    : alreadyTranslated;
+
+  if (Object.keys(entries).length === 0) {
+    console.log("ℹ️  No hay traducciones para revisar");
+    return;
+  }
+
+  console.log(
+    `\n🧑‍⚖️ Revisando ${Object.keys(entries).length} traducciones...`
+  );
+
+  if (config.respectRateLimits) {
+    await initializeRateLimiter(
+      config.tier,
+      config.model,
+      config.rateLimitsFile,
+      config.usageFile
+    );
+  }
+
+  const { reviews, failed, results } = await reviewTranslations(
+    entries,
+    config
+  );
+  const summary = summarizeReviews(reviews, failed);
+
+  console.log("\n📊 === RESULTADOS ===");
+  console.log(`📝 Entradas revisadas: ${summary.reviewed}`);
+  if (summary.failed > 0) {
+    console.log(`❌ Entradas sin revisión: ${summary.failed}`);
+  }
+  console.log(`⭐ Puntaje promedio: ${summary.averageScore ?? "-"}`);
+  console.log(
+    `🏷️  Por categoría: ${Object.entries(summary.byCategory)
+      .filter(([, count]) => count > 0)
+      .map(([category, count]) => `${category}: ${count}`)
+      .join(", ")}`
+  );
+  if (results.stoppedEarly) {
+    console.log(
+      `⏹️  Revisión detenida antes de terminar: ${
+        results.dailyLimitReached
+          ? "límite diario alcanzado"
+          : results.fatalError
+      }`
+    );
+  }
+  if (summary.withSuggestions > 0) {
+    console.log("\n🔎 TRADUCCIONES CON MENOR PUNTAJE:");
+    displayLowestScores(reviews);
+  }
+
+  await writeJsonFile(config.outputFile, {
+    generatedAt: new Date().toISOString(),
+    inputFile: config.inputFile,
+    targetLang: config.targetLang,
+    provider: config.provider,
+    model: config.model,
+    summary,
+    reviews,
+    failed,
+  });
+  await fs.writeFile(config.csvFile, reviewsToCsv(reviews), "utf-8");
+
+  console.log(`\n📋 Revisión guardada en: ${config.outputFile}`);
+  console.log(`📋 CSV para revisar: ${config.csvFile}`);
+  console.log(
+    `💡 Marca las filas a aplicar y ejecuta: node review.js --input ${config.inputFile} --apply ${config.csvFile}`
+  );
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("🧑‍⚖️ === REVISIÓN DE TRADUCCIONES CON LLM ===");
+    console.log(
+      "📝 Evalúa traducciones existentes y sugiere correcciones aplicables\n"
+    );
+
+    const cmdArgs = parseCommandLineArgs();
+    /** @type {any} */
+    const config = {
+      ...DEFAULT_CONFIG,
+      ...getProviderDefaults(cmdArgs.provider),
+      ...REVIEW_CONFIG,
+      ...cmdArgs,
+    };
+    const { sourceLang, targetLang, glossaryFile } = getLocaleConfig(
+      config.targetLang,
+      config
+    );
+    Object.assign(config, { sourceLang, targetLang, glossaryFile });
+    config.outputFile =
+      config.outputFile || generateReviewFileName(config.inputFile, ".json");
+    config.csvFile =
+      config.csvFile || generateReviewFileName(config.inputFile, ".csv");
+
+    console.log("⚙️ Configuración:");
+    console.log(`   📁 Archivo de entrada: ${config.inputFile}`);
+    console.log(`   🌍 Idioma: ${config.targetLang}`);
+    if (config.applyFile) {
+      console.log(`   🔧 Revisión a aplicar: ${config.applyFile}`);
+      if (config.applyBelow != null) {
+        console.log(`   ⭐ Aplicar sugerencias con puntaje < ${config.applyBelow}`);
+      }
+    } else {
+      console.log(`   🤖 Proveedor: ${config.provider} (${config.model})`);
+      console.log(`   📝 Prompt del revisor: ${config.reviewPromptFile}`);
+      console.log(`   📋 Revisión: ${config.outputFile}`);
+      console.log(`   📋 CSV: ${config.csvFile}`);
+      if (config.limit) {
+        console.log(`   🔢 Límite: ${config.limit} entradas`);
+      }
+    }
+    console.log("");
+
+    if (!(await fileExists(config.inputFile))) {
+      console.error(`❌ Archivo de entrada no encontrado: ${config.inputFile}`);
+      process.exit(1);
+    }
+
+    if (config.applyFile) {
+      await runApply(config);
+    } else {
+      await runReview(config);
+    }
+  } catch (/**@type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    if (error.code === "ENOENT") {
+      console.log(
+        "💡 Tip: Verifica que los archivos existan en las rutas especificadas"
+      );
+    }
+    process.exit(1);
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("💀 Error no controlado:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createReviewTask,
+  reviewTranslations,
+  summarizeReviews,
+  reviewsToCsv,
+  loadReviewFile,
+  applyReviews,
+  REVIEW_CATEGORIES,
+  REVIEW_CONFIG,
+};
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// @ts-check
+
+/**
+ * Verifica la traducción por reglas contra un archivo de traducciones ya
+ * revisadas: cada clave con valor que reconoce la gramática debe recibir ese
+ * mismo valor. Sale con código 1 si alguna regla produce otro texto, para que
+ * un cambio en la gramática o en el diccionario no contradiga en silencio las
+ * traducciones existentes. Con --strict también falla si la gramática no
+ * reconoce alguna clave con valor, para verificar un archivo de casos
+ * esperados (rule-translations.golden.json).
+ */
+
+const { readJsonFile, fileExists } = require("./fileHandler");
+const {
+  loadRuleTranslations,
+  checkRuleTranslations,
+  DEFAULT_RULE_TRANSLATIONS_FILE,
+} = require("./ruleTranslator");
+const { DEFAULT_TARGET_LANG } = require("./locales");
+
+/**
+ * Configuración por defecto
+ */
+const RULE_CHECK_CONFIG = {
+  inputFile: "us-mx.json", // Traducciones existentes contra las que se compara
+  targetLang: DEFAULT_TARGET_LANG, // Sección del diccionario a verificar
+  ruleTranslationsFile: DEFAULT_RULE_TRANSLATIONS_FILE, // Diccionario de la traducción por reglas
+  limit: null, // Máximo de diferencias a mostrar (null = todas)
+  strict: false, // Fallar también si la gramática no reconoce una clave con valor
+};
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Configuración parseada desde argumentos
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /** @type {any} */
+  const config = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const nextArg = args[i + 1];
+
+    switch (arg) {
+      case "--input":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.inputFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--target-lang":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.targetLang = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--rule-translations":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.ruleTranslationsFile = nextArg;
+          i++; // Skip next argument
+        }
+        break;
+      case "--limit":
+        if (nextArg && !nextArg.startsWith("--")) {
+          config.limit = parseInt(nextArg);
+          i++; // Skip next argument
+        }
+        break;
+      case "--strict":
+        config.strict = true;
+        break;
+      case "--help":
+        showHelp();
+        process.exit(0);
+        break;
+      default:
+        // Un argumento suelto es el archivo a verificar
+        if (!arg.startsWith("--")) {
+          config.inputFile = arg;
+        }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Muestra ayuda del comando
+ */
+function showHelp() {
+  console.log("📐 VERIFICACIÓN DE LA TRADUCCIÓN POR REGLAS");
+  console.log(
+    "📝 Compara la gramática con las traducciones existentes de un JSON de tags\n"
+  );
+
+  console.log("USO:");
+  console.log("  node ruleCheck.js [archivo.json] [opciones]\n");
+
+  console.log("OPCIONES:");
+  console.log("  --input <archivo>      JSON de tags con las traducciones existentes");
+  console.log("                         (por defecto: us-mx.json)");
+  console.log("  --target-lang <código> Sección del diccionario (por defecto: es)");
+  console.log("  --rule-translations <archivo>");
+  console.log("                         Diccionario (por defecto: rule-translations.json)");
+  console.log("  --limit <número>       Máximo de diferencias a mostrar");
+  console.log("  --strict               Fallar también si la gramática no reconoce una");
+  console.log("                         clave con valor (archivos de casos esperados)");
+  console.log("");
+  console.log("  --help                 Mostrar esta ayuda");
+  console.log("");
+  console.log("Sale con código 1 si alguna regla produce un valor distinto al existente.");
+  console.log("");
+
+  console.log("EJEMPLOS:");
+  console.log("  node ruleCheck.js");
+  console.log("  node ruleCheck.js us-mx.json --limit 20");
+  console.log("  node ruleCheck.js rule-translations.golden.json --strict");
+  console.log("  node ruleCheck.js --rule-translations ../shared/rule-translations.json");
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("📐 === VERIFICACIÓN DE LA TRADUCCIÓN POR REGLAS ===");
+
+    const config = { ...RULE_CHECK_CONFIG, ...parseCommandLineArgs() };
+
+    if (!(await fileExists(config.inputFile))) {
+      throw new Error(`Archivo no encontrado: ${config.inputFile}`);
+    }
+
+    const data = loadRuleTranslations(config.ruleTranslationsFile);
+    if (!data[config.targetLang]) {
+      throw new Error(
+        `El diccionario ${config.ruleTranslationsFile} no tiene la sección "${config.targetLang}"`
+      );
+    }
+
+    const entries = await readJsonFile(config.inputFile);
+    const { matched, checked, passed, overridden, drift, unmatched } =
+      checkRuleTranslations(entries, config.targetLang, data);
+
+    console.log(`🌍 Idioma destino: ${config.targetLang}`);
+    console.log(`📁 Archivo: ${config.inputFile}`);
+    console.log(`📐 Claves que reconoce la gramática: ${matched}`);
+    console.log(`✅ Coinciden con la traducción existente: ${passed}/${checked}`);
+    if (overridden > 0) {
+      console.log(
+        `📌 De ellas, con la redacción aprobada de overrides en lugar de la gramática: ${overridden}`
+      );
+    }
+
+    let failed = false;
+    if (drift.length > 0) {
+      failed = true;
+      /** @type {Record<string, number>} */
+      const byRule = {};
+      drift.forEach((item) => {
+        byRule[item.rule] = (byRule[item.rule] || 0) + 1;
+      });
+      console.log(
+        `❌ Diferencias: ${drift.length} (${Object.entries(byRule)
+          .sort((a, b) => b[1] - a[1])
+          .map(([rule, count]) => `${rule}: ${count}`)
+          .join(", ")})`
+      );
+
+      const shown = config.limit ? drift.slice(0, config.limit) : drift;
+      shown.forEach((item) => {
+        console.log(
+          `   - "${item.key}" (${item.rule}): existente "${item.expected}", reglas "${item.actual}"`
+        );
+      });
+      if (shown.length < drift.length) {
+        console.log(`   ... y ${drift.length - shown.length} más`);
+      }
+      console.log(
+        "💡 Corrige la gramática o rule-translations.json; si la redacción aprobada no sigue la gramática, agrégala a overrides"
+      );
+    }
+
+    if (config.strict && unmatched.length > 0) {
+      failed = true;
+      console.log(`❌ Claves que la gramática no reconoce: ${unmatched.length}`);
+      const shown = config.limit ? unmatched.slice(0, config.limit) : unmatched;
+      shown.forEach((key) => console.log(`   - "${key}"`));
+      if (shown.length < unmatched.length) {
+        console.log(`   ... y ${unmatched.length - shown.length} más`);
+      }
+    }
+
+    if (failed) {
+      process.exit(1);
+    }
+  } catch (/**@type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("💀 Error no controlado:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  RULE_CHECK_CONFIG,
+};
@@ -0,0 +1,403 @@
+// @ts-check
+
+const fs = require("fs");
+const path = require("path");
+const { escapeRegExp } = require("./glossary");
+
+/**
+ * Diccionario por defecto de la traducción por reglas, junto al módulo
+ */
+const DEFAULT_RULE_TRANSLATIONS_FILE = path.join(
+  __dirname,
+  "rule-translations.json"
+);
+
+/**
+ * Reglas de la gramática, en el orden en que se prueban
+ */
+const RULE_TRANSLATION_RULES = {
+  calendar: "Meses, rangos de meses y fechas (Jan-Mar, Apr, 2021, January 1)",
+  quarter: "Trimestres (Q1 2024)",
+  periodicity: "Periodicidad con o sin medida y código (Weekly, 6A Daily Price, Volume YTD)",
+  livestock: "Clases de ganado con o sin peso (Steers 600-700 lb, Steers & Heifers)",
+  range: "Rangos y valores con unidades (< 600, 180 lb and Over)",
+};
+
+/**
+ * Cache de diccionarios por ruta
+ * @type {Map<string, any>}
+ */
+const dictionaryCache = new Map();
+
+/**
+ * Cache de traductores por diccionario e idioma destino
+ * @type {WeakMap<any, Map<string, any>>}
+ */
+const translatorCache = new WeakMap();
+
+/**
+ * Carga el diccionario de la traducción por reglas. La lectura es síncrona,
+ * como la del registro de reglas de exclusión, porque también se usa desde
+ * transformaciones síncronas; el archivo se lee una sola vez por ruta.
+ * @param {string} [file] - Ruta del diccionario
+ * @returns {any} - Diccionario ({ [idioma]: { months, periodicity, ... } })
+ * @throws {Error} - Si el archivo no existe o no es JSON válido
+ */
+function loadRuleTranslations(file = DEFAULT_RULE_TRANSLATIONS_FILE) {
+  const filePath = path.resolve(file);
+
+  let data = dictionaryCache.get(filePath);
+  if (!data) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf-8");
+    } catch (/** @type {any} */ error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Diccionario de traducción por reglas no encontrado: ${filePath}`);
+      }
+      throw error;
+    }
+
+    try {
+      data = JSON.parse(content);
+    } catch (/** @type {any} */ error) {
+      throw new Error(
+        `JSON inválido en el diccionario de traducción por reglas ${filePath}: ${error.message}`
+      );
+    }
+    dictionaryCache.set(filePath, data);
+  }
+
+  return data;
+}
+
+/**
+ * Crea el patrón de una palabra del diccionario. Solo la primera letra admite
+ * mayúscula o minúscula ("late-Mar"); el resto debe coincidir exactamente
+ * para no confundir códigos como "CME" con palabras
+ * @param {string} word - Palabra
+ * @returns {string} - Patrón
+ */
+function wordPattern(word) {
+  const first = word[0];
+  return first.toUpperCase() === first.toLowerCase()
+    ? escapeRegExp(word)
+    : `[${first.toUpperCase()}${first.toLowerCase()}]${escapeRegExp(word.slice(1))}`;
+}
+
+/**
+ * Crea una alternativa con las palabras de una sección del diccionario, de
+ * la más larga a la más corta ("March" antes que "Mar")
+ * @param {any} table - Sección del diccionario
+ * @returns {string} - Patrón
+ */
+function alternation(table) {
+  const words = Object.keys(table).sort((a, b) => b.length - a.length);
+  return words.length > 0 ? `(?:${words.map(wordPattern).join("|")})` : "(?!)";
+}
+
+/**
+ * Busca una palabra en una sección del diccionario sin distinguir la
+ * mayúscula inicial
+ * @param {any} table - Sección del diccionario
+ * @param {string} word - Palabra de la clave
+ * @returns {any} - Entrada del diccionario
+ */
+function lookup(table, word) {
+  return table[word] ?? table[word[0].toUpperCase() + word.slice(1)];
+}
+
+/**
+ * Crea el traductor por reglas de un idioma destino. La gramática solo
+ * traduce claves completas: si una parte de la clave no está en la gramática,
+ * la clave queda para el LLM. Una clave reconocida que está en overrides
+ * recibe la redacción aprobada en lugar de la de la gramática.
+ * @param {any} dictionary - Sección del diccionario del idioma destino
+ * @returns {{translate: (key: string) => {value: string, rule: string,
+ * override: boolean} | null}} - Traductor
+ */
+function createRuleTranslator(dictionary) {
+  const months = dictionary.months || {};
+  const monthNames = dictionary.monthNames || {};
+  const monthPrefixes = dictionary.monthPrefixes || {};
+  const periodicity = dictionary.periodicity || {};
+  const measures = dictionary.measures || {};
+  const livestock = dictionary.livestock || {};
+  const codeNames = dictionary.codeNames || {};
+  const overrides = dictionary.overrides || {};
+  const and = dictionary.and || "and";
+  const weightOf = dictionary.weightOf || "";
+  const andOver = dictionary.andOver || "and over";
+  const dayOfMonth = dictionary.dayOfMonth || "{month} {day}";
+  const quarterTemplate = dictionary.quarter || "Q{quarter}";
+
+  const MONTH = alternation(months);
+  const PERIODICITY = alternation(periodicity);
+  const MEASURE = alternation(measures);
+  const CLASS = alternation(livestock);
+  // Código de contrato o par de monedas que se conserva: "6A", "MXN-USD"
+  const CODE = "(?=\\S*[A-Z])(?:[A-Z0-9]{1,4}|[A-Z]{3}-[A-Z]{3})";
+  const WEIGHT =
+    "(?:[<>]\\s*)?\\d+(?:\\.\\d+)?(?:\\s*-\\s*\\d+(?:\\.\\d+)?)?(?:\\s*(?:lbs?|kg|cwt))?(?:\\s+and\\s+(?:[Oo]ver|[Uu]p))?";
+
+  const monthRegex = new RegExp(MONTH, "g");
+  const andOverRegex = /\s+and\s+([Oo]ver|[Uu]p)$/;
+
+  // Abreviaturas que también son el nombre completo en inglés ("May"): no hay
+  // en months una palabra más larga que empiece con ellas
+  const fullNameAbbreviations = new Set(
+    Object.keys(monthNames).filter(
+      (abbreviation) =>
+        !Object.keys(months).some(
+          (word) => word.length > abbreviation.length && word.startsWith(abbreviation)
+        )
+    )
+  );
+  /** @param {string} month */
+  const isAbbreviation = (month) => lookup(monthNames, month) !== undefined;
+  /** @param {string} month */
+  const fullMonth = (month) => lookup(monthNames, month) ?? lookup(months, month);
+
+  /**
+   * Traduce una lista de meses. Las abreviaturas se traducen a su abreviatura
+   * ("Jan-Mar" → "Ene-Mar"); con un prefijo, con un nombre completo en la
+   * lista ("Jul-August") o con un mes solo que es un nombre completo ("May",
+   * "June") se escriben los nombres completos
+   * @param {string} text - Lista de meses de la clave
+   * @param {boolean} full - Si se piden los nombres completos
+   * @returns {string} - Lista traducida
+   */
+  const translateMonths = (text, full) => {
+    const list = text.match(monthRegex) || [];
+    const useFullNames =
+      full ||
+      list.some((month) => !isAbbreviation(month)) ||
+      (list.length === 1 &&
+        fullNameAbbreviations.has(list[0][0].toUpperCase() + list[0].slice(1)));
+    return text.replace(monthRegex, (month) =>
+      useFullNames ? fullMonth(month) : lookup(months, month)
+    );
+  };
+  // "and Over" → "y Más": la última palabra sigue la mayúscula de la clave
+  const andOverTitle = andOver.replace(
+    /(\S+)$/,
+    (word) => word[0].toUpperCase() + word.slice(1)
+  );
+  /** @param {string} text */
+  const translateWeight = (text) =>
+    text.replace(andOverRegex, (_, word) =>
+      ` ${/^[A-Z]/.test(word) ? andOverTitle : andOver}`
+    );
+
+  /** @type {Array<{rule: string, regex: RegExp, build: (m: RegExpMatchArray) => string}>} */
+  const grammar = [
+    {
+      rule: "calendar",
+      regex: new RegExp(
+        `^(?:(${alternation(monthPrefixes)})[- ])?(${MONTH}(?:\\s*[-,]\\s*${MONTH})*)(,?\\s+\\d{4})?$`
+      ),
+      build: ([, prefix, list, year]) =>
+        `${prefix ? `${lookup(monthPrefixes, prefix)} ` : ""}${translateMonths(
+          list,
+          Boolean(prefix)
+        )}${year || ""}`,
+    },
+    {
+      rule: "calendar",
+      regex: new RegExp(`^(${MONTH})\\s+(\\d{1,2})$`),
+      build: ([, month, day]) =>
+        dayOfMonth
+          .replace("{day}", day)
+          .replace("{month}", fullMonth(month)),
+    },
+    {
+      rule: "quarter",
+      regex: /^Q([1-4])(?:\s+(\d{4}))?$/,
+      build: ([, quarter, year]) =>
+        `${quarterTemplate.replace("{quarter}", quarter)}${year ? ` ${year}` : ""}`,
+    },
+    {
+      rule: "quarter",
+      regex: /^(\d{4})\s+Q([1-4])$/,
+      build: ([, year, quarter]) =>
+        `${quarterTemplate.replace("{quarter}", quarter)} ${year}`,
+    },
+    {
+      rule: "periodicity",
+      regex: new RegExp(
+        `^(?:(${CODE})\\s+)?(?:(${PERIODICITY})(?:\\s+(${MEASURE}))?|(${MEASURE})\\s+(${PERIODICITY}))$`
+      ),
+      build: ([, code, period, measure, measureFirst, periodLast]) => {
+        const forms = lookup(periodicity, period || periodLast);
+        const measureWord = measure || measureFirst;
+        const entry = measureWord ? lookup(measures, measureWord) : null;
+        if (!entry) {
+          // Sin medida el código queda delante: "USD-MXN Diario"
+          return code ? `${code} ${forms.m}` : forms.m;
+        }
+        const text = `${entry.text} ${forms[entry.form]}`;
+        if (!code) {
+          return text;
+        }
+        // Con medida el código pasa al final: "Precio Diario 6A". Los códigos
+        // con nombre en el idioma destino se escriben con "de": "Precio
+        // Diario de Gas Natural"
+        const name = codeNames[code];
+        return name
+          ? `${text} ${weightOf ? `${weightOf} ` : ""}${name}`
+          : `${text} ${code}`;
+      },
+    },
+    {
+      rule: "livestock",
+      regex: new RegExp(
+        `^(${CLASS}(?:(?:\\s*[&+/]\\s*|\\s+and\\s+)${CLASS})*)(?:\\s*(${WEIGHT}))?$`
+      ),
+      build: ([, classes, weight]) => {
+        // "&", "+" y "/" se conservan; solo se traduce "and"
+        const translated = classes
+          .replace(new RegExp(CLASS, "g"), (word) => lookup(livestock, word))
+          .replace(/\s+and\s+/g, ` ${and} `);
+        return weight
+          ? `${translated} ${weightOf ? `${weightOf} ` : ""}${translateWeight(weight)}`
+          : translated;
+      },
+    },
+    {
+      rule: "range",
+      regex: new RegExp(`^${WEIGHT}$`),
+      build: ([weight]) => translateWeight(weight),
+    },
+  ];
+
+  return {
+    translate(key) {
+      for (const { rule, regex, build } of grammar) {
+        const match = key.match(regex);
+        if (match) {
+          return Object.prototype.hasOwnProperty.call(overrides, key)
+            ? { value: overrides[key], rule, override: true }
+            : { value: build(match), rule, override: false };
+        }
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Obtiene el traductor por reglas de un idioma destino
+ * @param {string} targetLang - Idioma destino
+ * @param {any} [data] - Diccionario completo (por defecto, el del proyecto)
+ * @returns {any | null} - Traductor, o null si el diccionario no tiene el idioma
+ */
+function getRuleTranslator(targetLang, data = loadRuleTranslations()) {
+  let translators = translatorCache.get(data);
+  if (!translators) {
+    translators = new Map();
+    translatorCache.set(data, translators);
+  }
+
+  if (!translators.has(targetLang)) {
+    translators.set(
+      targetLang,
+      data[targetLang] ? createRuleTranslator(data[targetLang]) : null
+    );
+  }
+  return translators.get(targetLang);
+}
+
+/**
+ * Traduce con reglas las entradas cuya clave completa reconoce la gramática
+ * @param {any} entries - Entradas a traducir (clave → valor)
+ * @param {string} targetLang - Idioma destino
+ * @param {any} [data] - Diccionario completo (por defecto, el del proyecto)
+ * @returns {{found: any, byRule: Record<string, number>}} - Traducciones
+ * obtenidas y conteo por regla
+ */
+function applyRuleTranslations(entries, targetLang, data = loadRuleTranslations()) {
+  /** @type {any} */
+  const found = {};
+  /** @type {Record<string, number>} */
+  const byRule = {};
+
+  const translator = getRuleTranslator(targetLang, data);
+  if (!translator) {
+    return { found, byRule };
+  }
+
+  Object.keys(entries).forEach((key) => {
+    const result = translator.translate(key);
+    if (result) {
+      found[key] = result.value;
+      byRule[result.rule] = (byRule[result.rule] || 0) + 1;
+    }
+  });
+
+  return { found, byRule };
+}
+
+/**
+ * Compara la traducción por reglas con las traducciones existentes: cada
+ * clave con valor que reconoce la gramática debe recibir ese mismo valor
+ * @param {any} entries - Traducciones existentes (clave → valor)
+ * @param {string} targetLang - Idioma destino
+ * @param {any} [data] - Diccionario completo (por defecto, el del proyecto)
+ * @returns {{matched: number, checked: number, passed: number, overridden: number,
+ * drift: Array<{key: string, rule: string, expected: string, actual: string}>,
+ * unmatched: string[]}} - Claves reconocidas, claves con valor comparadas,
+ * coincidencias (de ellas, las que vienen de overrides), diferencias y claves
+ * con valor que la gramática no reconoce
+ */
+function checkRuleTranslations(entries, targetLang, data = loadRuleTranslations()) {
+  let matched = 0;
+  let checked = 0;
+  let passed = 0;
+  let overridden = 0;
+  /** @type {Array<{key: string, rule: string, expected: string, actual: string}>} */
+  const drift = [];
+  /** @type {string[]} */
+  const unmatched = [];
+
+  const translator = getRuleTranslator(targetLang, data);
+  if (!translator) {
+    return { matched, checked, passed, overridden, drift, unmatched };
+  }
+
+  Object.entries(entries).forEach(([key, value]) => {
+    const hasValue = typeof value === "string" && value.trim() !== "";
+    const result = translator.translate(key);
+    if (!result) {
+      if (hasValue) {
+        unmatched.push(key);
+      }
+      return;
+    }
+    matched++;
+    if (!hasValue) {
+      return;
+    }
+
+    checked++;
+    if (result.value === value) {
+      passed++;
+      if (result.override) {
+        overridden++;
+      }
+    } else {
+      drift.push({ key, rule: result.rule, expected: value, actual: result.value });
+    }
+  });
+
+  return { matched, checked, passed, overridden, drift, unmatched };
+}
+
+module.exports = {
+  loadRuleTranslations,
+  createRuleTranslator,
+  getRuleTranslator,
+  applyRuleTranslations,
+  checkRuleTranslations,
+  DEFAULT_RULE_TRANSLATIONS_FILE,
+  RULE_TRANSLATION_RULES,
+};
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba del proveedor simulado: traducciones reproducibles,
+ * fallos inyectados y procesamiento de lotes completo sin red ni API key.
+ * También verifica que las claves ya obtenidas (respuestas parciales, mitades
+ * de un lote dividido) se conservan cuando un error fatal detiene el
+ * procesamiento
+ */
+
+const {
+  createBatches,
+  processBatchesConcurrently,
+  buildKeyOutcomes,
+} = require('./batchProcessor');
+const { translateBatch, resetMockState } = require('./mockTranslator');
+
+/**
+ * Procesa las entradas en lotes con el proveedor simulado
+ */
+async function runMock(keys, mock, overrides = {}) {
+  resetMockState();
+  const entries = {};
+  keys.forEach(key => (entries[key] = ''));
+  return processBatchesConcurrently(createBatches(entries, overrides.batchSize || keys.length), {
+    provider: 'mock',
+    mock: { latencyMs: 0, ...mock },
+    glossary: false,
+    concurrencyLimit: 1,
+    maxRetries: 3,
+    retryDelay: 1,
+    ...overrides,
+  });
+}
+
+/**
+ * Ejecuta una llamada simulada y devuelve el error lanzado (o null)
+ */
+async function captureError(batchData, mock) {
+  resetMockState();
+  try {
+    await translateBatch(batchData, { mock: { latencyMs: 0, ...mock } });
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Función principal de test
+ */
+async function main() {
+  const results = [];
+  const check = (name, ok) => {
+    results.push({ name, ok });
+    console.log(`${ok ? '✅' : '❌'} ${name}`);
+  };
+
+  console.log("🧪 === TEST DEL PROVEEDOR SIMULADO ===\n");
+
+  const batchData = { 'Beef Prices': '', 'Weekly Auction': '' };
+
+  // 1. Traducciones reproducibles con el prefijo del idioma
+  resetMockState();
+  const first = await translateBatch(batchData, { mock: { latencyMs: 0 } });
+  resetMockState();
+  const second = await translateBatch(batchData, { mock: { latencyMs: 0 } });
+  check('Traduce todas las claves con el prefijo', Object.keys(batchData).every(key => String(first[key]).startsWith('[es] ')));
+  check('Misma semilla, mismo resultado', JSON.stringify(first) === JSON.stringify(second));
+
+  // 2. Fallos inyectados
+  const rateLimitError = await captureError(batchData, { rateLimitRate: 1 });
+  check('429 simulado: error fatal', rateLimitError !== null && rateLimitError.isFatal && rateLimitError.shouldStop);
+  const malformedError = await captureError(batchData, { malformedRate: 1 });
+  check('JSON mal formado: error reintentable', malformedError !== null && !malformedError.isFatal);
+
+  // 3. Procesamiento de lotes completo
+  const keys = ['Key A', 'Key B', 'Key C', 'Key D'];
+  const complete = await runMock(keys, {}, { batchSize: 2 });
+  check('Lotes completos: todos los lotes terminan', complete.successful.length === 2 && complete.failed.length === 0 && !complete.stoppedEarly);
+  const stopped = await runMock(keys, { rateLimitRate: 1 }, { batchSize: 2 });
+  check('429 en todos los lotes: el procesamiento se detiene', stopped.stoppedEarly && stopped.fatalError !== null && stopped.successful.length === 0);
+
+  // 4. Respuesta parcial y luego error fatal en el mini-lote
+  const partial = await runMock(['Key A', 'Key B', 'Key C'], {
+    missingKeyRate: 1,
+    fatalAfterCalls: 1,
+  });
+  const partialResult = partial.successful[0];
+  check('Respuesta parcial + error fatal: el procesamiento se detiene', partial.stoppedEarly && partial.fatalError !== null);
+  check('Respuesta parcial + error fatal: se conservan las 2 claves obtenidas', partialResult && partialResult.partial && Object.keys(partialResult.data).length === 2);
+  check('Respuesta parcial + error fatal: la clave pendiente queda como faltante', partialResult && partialResult.missingKeys.length === 1 && !(partialResult.missingKeys[0] in partialResult.data));
+  const partialOutcomes = buildKeyOutcomes({ ...partial, resumed: {}, fromRules: {}, fromMemory: {} }).outcomes;
+  check('Respuesta parcial + error fatal: el reporte por clave no las marca como fallidas', partialOutcomes.translated === 2 && partialOutcomes.missing === 1 && partialOutcomes.failed === 0);
+
+  // 5. Lote dividido: una mitad terminada y una poison key antes del error fatal
+  const split = await runMock(['Poison Key', 'Key A', 'Key B', 'Key C'], {
+    poisonPattern: 'poison',
+    fatalAfterCalls: 4,
+  }, { maxRetries: 1, splitAfterFailures: 1 });
+  const splitResult = split.successful[0];
+  check('Lote dividido + error fatal: se conserva la mitad terminada', splitResult && Object.keys(splitResult.data).join() === 'Key A');
+  check('Lote dividido + error fatal: se conserva la poison key', splitResult && splitResult.poisonKeys.map(poison => poison.key).join() === 'Poison Key');
+  check('Lote dividido + error fatal: los sub-lotes en cola quedan como faltantes', splitResult && splitResult.missingKeys.join() === 'Key B,Key C');
+
+  // 6. Error fatal antes de obtener ninguna clave: el lote falla
+  const fatal = await runMock(['Key A', 'Key B'], { fatalAfterCalls: 0 });
+  check('Error fatal sin claves obtenidas: el lote falla', fatal.successful.length === 0 && fatal.failed.length === 1 && fatal.failed[0].shouldStopProcessing);
+
+  // 6b. Errores transitorios: el lote se reintenta entero antes de dividirse
+  const transient = await runMock(['Key A', 'Key B'], { serverErrorRate: 1 }, { maxRetries: 2 });
+  const transientResult = transient.failed[0];
+  check('Errores 500: el lote agota maxRetries antes de dividirse', transientResult && transientResult.splits === 1 && transientResult.attempts === 6);
+  const content = await runMock(['Poison Key', 'Key A'], { poisonPattern: 'poison' }, { maxRetries: 2 });
+  const contentResult = content.successful[0];
+  check('Filtro de contenido: el lote se divide tras el primer fallo', contentResult && contentResult.splits === 1 && contentResult.attempts === 4);
+
+  // 7. Llamadas concurrentes: solo fallan las posteriores a la N-ésima
+  resetMockState();
+  const concurrent = await Promise.allSettled(
+    [0, 1, 2, 3].map(i =>
+      translateBatch({ [`Key ${i}`]: '' }, { mock: { latencyMs: 5, fatalAfterCalls: 2 } })
+    )
+  );
+  check('Llamadas concurrentes: fallan solo las posteriores a fatalAfterCalls', concurrent.map(result => result.status).join() === 'fulfilled,fulfilled,rejected,rejected');
+
+  const failed = results.filter(result => !result.ok);
+  console.log(`\n📊 Resultado: ${results.length - failed.length}/${results.length} verificaciones correctas`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('💀 Error en el test:', error);
+  process.exit(1);
+});
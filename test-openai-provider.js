@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba del proveedor compatible con OpenAI contra un servidor
+ * local que imita /v1/chat/completions (no requiere red ni API key)
+ */
+
+const http = require('http');
+const { translateBatch } = require('./openaiTranslator');
+const { createBatches, processBatchesConcurrently } = require('./batchProcessor');
+
+const API_KEY = 'test-key';
+
+/**
+ * Extrae del prompt el JSON del lote (se agrega al final del template)
+ */
+function extractBatchFromPrompt(prompt) {
+  return JSON.parse(prompt.slice(prompt.lastIndexOf('\n{\n') + 1));
+}
+
+/**
+ * Crea el servidor simulado. El nombre del modelo decide la respuesta:
+ * fail-500, fail-429, fail-401, malformed o cualquier otro para éxito.
+ */
+function createStandInServer(requests) {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, payload });
+
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.url !== '/v1/chat/completions') {
+        return reply(404, { error: { message: 'not found' } });
+      }
+      if (req.headers.authorization !== `Bearer ${API_KEY}` || payload.model === 'fail-401') {
+        return reply(401, { error: { message: 'invalid api key' } });
+      }
+      if (payload.model === 'fail-500') {
+        return reply(500, { error: { message: 'internal error' } });
+      }
+      if (payload.model === 'fail-429') {
+        return reply(429, { error: { message: 'rate limited' } });
+      }
+
+      const batch = extractBatchFromPrompt(payload.messages[0].content);
+      const translated = {};
+      Object.keys(batch).forEach(key => (translated[key] = `ES ${key}`));
+
+      let content = '```json\n' + JSON.stringify(translated, null, 2) + '\n```';
+      if (payload.model === 'malformed') {
+        content = content.slice(0, content.length / 2);
+      }
+
+      reply(200, {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      });
+    });
+  });
+}
+
+/**
+ * Obtiene un puerto local libre en el que no escucha nadie
+ */
+async function getClosedPort() {
+  const probe = http.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+/**
+ * Ejecuta translateBatch esperando un error y devuelve el error capturado
+ */
+async function expectError(batch, options) {
+  try {
+    await translateBatch(batch, options);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+/**
+ * Función principal de test
+ */
+async function main() {
+  const results = [];
+  const check = (name, ok) => {
+    results.push({ name, ok });
+    console.log(`${ok ? '✅' : '❌'} ${name}`);
+  };
+
+  const requests = [];
+  const server = createStandInServer(requests);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  try {
+    console.log("🧪 === TEST DEL PROVEEDOR COMPATIBLE CON OPENAI ===\n");
+    console.log(`🌐 Servidor simulado en: ${baseUrl}\n`);
+
+    const batch = { 'Beef for Stew, Boneless': '', 'Cheddar Cheese, 40 lb Blocks': '' };
+    const options = { baseUrl, apiKey: API_KEY, model: 'local-model', temperature: 0 };
+
+    // 1. Traducción exitosa
+    const translated = await translateBatch(batch, options);
+    check('Traduce el lote y conserva las claves', translated['Beef for Stew, Boneless'] === 'ES Beef for Stew, Boneless' && Object.keys(translated).length === 2);
+
+    const last = requests[requests.length - 1];
+    check('Envía el modelo y los parámetros de muestreo', last.payload.model === 'local-model' && last.payload.temperature === 0 && last.payload.max_tokens === 8192 && !('top_k' in last.payload));
+    check('Envía la API key como Bearer token', last.headers.authorization === `Bearer ${API_KEY}`);
+
+    // 2. Clasificación de errores
+    const error500 = await expectError(batch, { ...options, model: 'fail-500' });
+    check('HTTP 500 es un error reintentable', error500 && !error500.shouldStop);
+
+    const error429 = await expectError(batch, { ...options, model: 'fail-429' });
+    check('HTTP 429 detiene el procesamiento', error429 && error429.shouldStop === true);
+
+    const error401 = await expectError(batch, { ...options, apiKey: 'wrong-key' });
+    check('HTTP 401 detiene el procesamiento', error401 && error401.shouldStop === true);
+
+    const malformed = await expectError(batch, { ...options, model: 'malformed' });
+    check('JSON mal formado es un error reintentable', malformed && !malformed.shouldStop);
+
+    const closedPort = await getClosedPort();
+    const refused = await expectError(batch, { ...options, baseUrl: `http://127.0.0.1:${closedPort}/v1` });
+    check('Servidor no disponible detiene el procesamiento', refused && refused.shouldStop === true);
+
+    // 3. Pipeline completo a través del registro de proveedores (API key desde el entorno)
+    process.env.OPENAI_API_KEY = API_KEY;
+    const entries = {};
+    for (let i = 1; i <= 9; i++) entries[`Test Key ${i}`] = '';
+    const processing = await processBatchesConcurrently(createBatches(entries, 3), {
+      provider: 'openai',
+      model: 'local-model',
+      baseUrl,
+      concurrencyLimit: 2,
+      maxRetries: 1,
+      retryDelay: 10,
+    });
+    check('processBatchesConcurrently usa el proveedor openai', processing.successful.length === 3 && processing.failed.length === 0);
+  } finally {
+    server.close();
+  }
+
+  const failed = results.filter(result => !result.ok);
+  console.log(`\n📊 Resultado: ${results.length - failed.length}/${results.length} verificaciones correctas`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+// Sin API key real en el entorno
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_BASE_URL;
+
+main().catch(error => {
+  console.error('💀 Error en el test:', error);
+  process.exit(1);
+});
@@ -51,7 +51,8 @@ async function main() {
     
     // Inicializar rate limiter
     console.log("🚦 Inicializando rate limiter...");
-    await initializeRateLimiter(tier, model, 'rate-limits.json');
+    // Sin archivo de uso: las peticiones simuladas no cuentan en el RPD real
+    await initializeRateLimiter(tier, model, 'rate-limits.json', null);
     console.log("");
     
     // Mostrar estado inicial
@@ -0,0 +1,198 @@
+// @ts-check
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { fileExists } = require("./fileHandler");
+const { loadPromptTemplate } = require("./geminiTranslator");
+const { DEFAULT_TARGET_LANG } = require("./locales");
+
+/**
+ * Proveedores cuyas traducciones no son reales: se guardan aparte y solo se
+ * reutilizan en ejecuciones con el mismo proveedor para no contaminar la
+ * memoria
+ */
+const SIMULATED_PROVIDERS = ["mock"];
+
+/**
+ * Calcula la versión del prompt actual (hash corto del template), para saber
+ * con qué instrucciones se obtuvo cada traducción guardada
+ * @param {string} [promptFile] - Template del idioma destino
+ * @returns {Promise<string>} - Hash de 12 caracteres
+ */
+async function getPromptVersion(promptFile) {
+  const template = await loadPromptTemplate(promptFile);
+  return crypto
+    .createHash("sha256")
+    .update(template)
+    .digest("hex")
+    .slice(0, 12);
+}
+
+/**
+ * Calcula la clave de un registro en la memoria: la misma frase tiene una
+ * traducción por idioma destino. Las de un proveedor simulado van en su
+ * propia clave, así que nunca reemplazan a una traducción real.
+ * @param {string} source - Frase original
+ * @param {string} targetLang - Idioma destino
+ * @param {string} [provider] - Proveedor que generó la traducción
+ * @returns {string} - Clave del registro
+ */
+function getMemoryKey(source, targetLang, provider) {
+  return provider && SIMULATED_PROVIDERS.includes(provider)
+    ? `${provider}\n${targetLang}\n${source}`
+    : `${targetLang}\n${source}`;
+}
+
+/**
+ * Carga la memoria de traducción desde un archivo JSONL. Si una frase aparece
+ * varias veces para el mismo idioma, gana el registro más reciente, salvo que
+ * sea de un proveedor simulado: esos se guardan aparte. Los
+ * registros sin targetLang (anteriores a la salida multi-idioma) son de
+ * español. Las líneas corruptas se ignoran.
+ * @param {string} memoryFile - Ruta del archivo de memoria
+ * @returns {Promise<Map<string, any>>} - Registros por idioma y frase original
+ */
+async function loadTranslationMemory(memoryFile) {
+  /** @type {Map<string, any>} */
+  const memory = new Map();
+
+  if (!(await fileExists(memoryFile))) {
+    console.log(`🧠 Memoria de traducción nueva: ${memoryFile}`);
+    return memory;
+  }
+
+  const content = await fs.readFile(memoryFile, "utf-8");
+  let corruptLines = 0;
+
+  content.split("\n").forEach((line) => {
+    if (line.trim() === "") return;
+    try {
+      const entry = JSON.parse(line);
+      if (typeof entry.source === "string" && typeof entry.target === "string") {
+        memory.set(
+          getMemoryKey(
+            entry.source,
+            entry.targetLang || DEFAULT_TARGET_LANG,
+            entry.provider
+          ),
+          entry
+        );
+      }
+    } catch {
+      corruptLines++;
+    }
+  });
+
+  if (corruptLines > 0) {
+    console.warn(
+      `⚠️  Se ignoraron ${corruptLines} líneas corruptas de la memoria de traducción`
+    );
+  }
+  console.log(
+    `🧠 Memoria de traducción cargada: ${memory.size} frases (${memoryFile})`
+  );
+
+  return memory;
+}
+
+/**
+ * Busca coincidencias exactas en la memoria para las entradas pendientes
+ * @param {Map<string, any>} memory - Memoria cargada
+ * @param {any} entries - Entradas pendientes de traducción
+ * @param {string} provider - Proveedor de la ejecución actual
+ * @param {string} targetLang - Idioma destino de la ejecución actual
+ * @returns {{found: any, remaining: any}} - Traducciones encontradas y entradas restantes
+ */
+function lookupTranslations(
+  memory,
+  entries,
+  provider,
+  targetLang = DEFAULT_TARGET_LANG
+) {
+  /** @type {any} */
+  const found = {};
+  /** @type {any} */
+  const remaining = {};
+
+  Object.keys(entries).forEach((key) => {
+    // Una traducción real antes que una del mismo proveedor simulado
+    const entry = [
+      memory.get(getMemoryKey(key, targetLang)),
+      memory.get(getMemoryKey(key, targetLang, provider)),
+    ].find(
+      (candidate) =>
+        candidate &&
+        candidate.target.trim() !== "" &&
+        (!SIMULATED_PROVIDERS.includes(candidate.provider) ||
+          candidate.provider === provider)
+    );
+
+    if (entry) {
+      found[key] = entry.target;
+    } else {
+      remaining[key] = entries[key];
+    }
+  });
+
+  return { found, remaining };
+}
+
+/**
+ * Agrega a la memoria las traducciones nuevas. Las que ya están guardadas
+ * con el mismo texto no se duplican.
+ * @param {string} memoryFile - Ruta del archivo de memoria
+ * @param {Map<string, any>} memory - Memoria cargada (se actualiza)
+ * @param {any} translations - Traducciones a registrar (frase → traducción)
+ * @param {any} meta - Metadatos comunes (model, provider, promptVersion, targetLang)
+ * @returns {Promise<number>} - Número de registros agregados
+ */
+async function recordTranslations(memoryFile, memory, translations, meta) {
+  const date = new Date().toISOString();
+  const targetLang = meta.targetLang || DEFAULT_TARGET_LANG;
+  const lines = [];
+
+  for (const [source, target] of Object.entries(translations)) {
+    if (typeof target !== "string" || target.trim() === "") continue;
+
+    const memoryKey = getMemoryKey(source, targetLang, meta.provider);
+    const existing = memory.get(memoryKey);
+    if (
+      existing &&
+      existing.target === target &&
+      existing.provider === meta.provider
+    ) {
+      continue;
+    }
+
+    const entry = {
+      source,
+      target,
+      targetLang,
+      model: meta.model,
+      provider: meta.provider,
+      promptVersion: meta.promptVersion,
+      date,
+    };
+    memory.set(memoryKey, entry);
+    lines.push(JSON.stringify(entry));
+  }
+
+  if (lines.length > 0) {
+    await fs.mkdir(path.dirname(path.resolve(memoryFile)), { recursive: true });
+    await fs.appendFile(memoryFile, lines.join("\n") + "\n", "utf-8");
+    console.log(
+      `🧠 ${lines.length} traducciones nuevas guardadas en la memoria (${memoryFile})`
+    );
+  }
+
+  return lines.length;
+}
+
+module.exports = {
+  getPromptVersion,
+  loadTranslationMemory,
+  lookupTranslations,
+  recordTranslations,
+  SIMULATED_PROVIDERS,
+};
@@ -0,0 +1,124 @@
+// @ts-check
+
+/**
+ * Proveedor de traducción usado cuando no se indica otro
+ */
+const DEFAULT_PROVIDER = "gemini";
+
+/**
+ * Registro de proveedores de traducción. Cada entrada describe sus valores
+ * por defecto y carga su módulo de forma diferida, de modo que un proveedor
+ * no necesita las dependencias de los demás.
+ *
+ * Todo módulo de proveedor expone:
+ *   - translateBatch(batchData, options): Promise<Object> (con
+ *     options.outputMode "json" si supportsStructuredOutput, o "text"; si
+ *     recibe options.task usa su prompt, esquema y parser en lugar de los
+ *     de la traducción)
+ *   - testConnection(options): Promise<boolean>
+ *   - getModelInfo(options): Object
+ */
+const PROVIDERS = {
+  gemini: {
+    description: "Google Gemini (@google/genai)",
+    requiresApiKey: true,
+    apiKeyEnv: "GEMINI_API_KEY",
+    rateLimitTier: "free_tier",
+    defaultModel: "gemini-2.0-flash-lite",
+    supportsStructuredOutput: true, // responseMimeType + responseSchema
+    load: () => {
+      const gemini = require("./geminiTranslator");
+      return {
+        translateBatch: gemini.translateBatch,
+        testConnection: gemini.testGeminiConnection,
+        getModelInfo: gemini.getModelInfo,
+      };
+    },
+  },
+  openai: {
+    description:
+      "Servidor compatible con OpenAI /v1/chat/completions (llama.cpp, vLLM, Ollama)",
+    requiresApiKey: false, // OPENAI_API_KEY es opcional en servidores locales
+    apiKeyEnv: "OPENAI_API_KEY",
+    rateLimitTier: "openai_compatible",
+    defaultModel: "default",
+    supportsStructuredOutput: false, // No todos los servidores soportan esquemas
+    load: () => require("./openaiTranslator"),
+  },
+  mock: {
+    description: "Proveedor simulado y determinista para pruebas sin red",
+    requiresApiKey: false,
+    apiKeyEnv: null,
+    rateLimitTier: "mock",
+    defaultModel: "mock-translator",
+    supportsStructuredOutput: true,
+    load: () => require("./mockTranslator"),
+  },
+};
+
+/**
+ * Lista los nombres de los proveedores registrados
+ * @returns {string[]} - Nombres de proveedores
+ */
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Obtiene un proveedor de traducción por nombre
+ * @param {string} [name] - Nombre del proveedor (por defecto DEFAULT_PROVIDER)
+ * @returns {any} - Proveedor con sus metadatos y funciones
+ * @throws {Error} - Si el proveedor no está registrado
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  /** @type {any} */
+  const entry = /** @type {any} */ (PROVIDERS)[name];
+
+  if (!entry) {
+    throw new Error(
+      `Proveedor de traducción desconocido: ${name}. Disponibles: ${listProviders().join(
+        ", "
+      )}`
+    );
+  }
+
+  // Las funciones se resuelven en cada llamada para respetar reemplazos
+  // posteriores en el módulo del proveedor
+  return {
+    name,
+    description: entry.description,
+    requiresApiKey: entry.requiresApiKey,
+    apiKeyEnv: entry.apiKeyEnv,
+    rateLimitTier: entry.rateLimitTier,
+    defaultModel: entry.defaultModel,
+    supportsStructuredOutput: entry.supportsStructuredOutput,
+    translateBatch: (/** @type {any} */ batchData, /** @type {any} */ options) =>
+      entry.load().translateBatch(batchData, options),
+    testConnection: (/** @type {any} */ options) =>
+      entry.load().testConnection(options),
+    getModelInfo: (/** @type {any} */ options) =>
+      entry.load().getModelInfo(options),
+  };
+}
+
+/**
+ * Obtiene la configuración por defecto asociada a un proveedor
+ * (tier de límites de velocidad y modelo)
+ * @param {string} [name] - Nombre del proveedor
+ * @returns {{provider: string, tier: string, model: string}} - Valores por defecto
+ */
+function getProviderDefaults(name = DEFAULT_PROVIDER) {
+  const provider = getProvider(name);
+  return {
+    provider: provider.name,
+    tier: provider.rateLimitTier,
+    model: provider.defaultModel,
+  };
+}
+
+module.exports = {
+  getProvider,
+  getProviderDefaults,
+  listProviders,
+  DEFAULT_PROVIDER,
+};
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+
+// @ts-check
+
+const fs = require("fs").promises;
+const path = require("path");
+const {
+  readJsonFile,
+  writeJsonFile,
+  fileExists,
+  createBackup,
+} = require("./fileHandler");
+const { decodeCsvBuffer } = require("./csvParser");
+const { parseXliff, getXmlEncoding } = require("./xliff");
+const { parsePo, getPoCharset } = require("./gettextPo");
+const {
+  mergeEntries,
+  generateReportFileName,
+  displayList,
+  MERGE_MODES,
+} = require("./csvToJson");
+
+/**
+ * Configuración por defecto para la importación de XLIFF y PO
+ */
+const VENDOR_IMPORT_CONFIG = {
+  inputFile: null, // Archivo XLIFF o PO devuelto por el proveedor (obligatorio)
+  outputFile: null, // null = <entrada>.json, o el archivo de --merge
+  format: null, // xliff o po (null = según la extensión de entrada)
+  encoding: null, // null = la declarada en el archivo, o detectada
+  mergeFile: null, // JSON de tags existente donde mezclar las traducciones
+  mergeMode: "report", // overwrite, fill-empty o report
+  includeFuzzy: false, // Importar también las unidades fuzzy (sin confirmar)
+  skipNewKeys: false, // Al mezclar, ignorar claves que no existen en el JSON
+  reportFile: null, // null = <salida>.import-report.json
+  createBackup: true, // Crear backup antes de sobrescribir el JSON existente
+};
+
+/**
+ * Parsea argumentos de línea de comandos
+ * @returns {any} - Argumentos parseados
+ */
+function parseCommandLineArgs() {
+  const args = process.argv.slice(2);
+  /**@type {any} */
+  const parsed = { ...VENDOR_IMPORT_CONFIG };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === "--help" || arg === "-h") {
+      showHelp();
+      process.exit(0);
+    } else if (arg === "--input" || arg === "-i") {
+      parsed.inputFile = args[++i];
+    } else if (arg === "--output" || arg === "-o") {
+      parsed.outputFile = args[++i];
+    } else if (arg === "--format" || arg === "-f") {
+      parsed.format = args[++i];
+    } else if (arg === "--encoding") {
+      parsed.encoding = args[++i];
+    } else if (arg === "--merge" || arg === "-m") {
+      parsed.mergeFile = args[++i];
+    } else if (arg === "--mode") {
+      parsed.mergeMode = args[++i];
+    } else if (arg === "--include-fuzzy") {
+      parsed.includeFuzzy = true;
+    } else if (arg === "--skip-new-keys") {
+      parsed.skipNewKeys = true;
+    } else if (arg === "--report") {
+      parsed.reportFile = args[++i];
+    } else if (arg === "--no-backup") {
+      parsed.createBackup = false;
+    } else if (!arg.startsWith("--")) {
+      // Si no es un flag, asumimos que es el archivo de entrada
+      parsed.inputFile = arg;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Muestra la ayuda del comando
+ */
+function showHelp() {
+  console.log("📥 === IMPORTADOR XLIFF / PO A JSON ===");
+  console.log(
+    "📝 Lee los archivos XLIFF 2.0 o gettext PO devueltos por el proveedor y los convierte al formato JSON\n"
+  );
+
+  console.log("💾 USO:");
+  console.log("  node vendorToJson.js <archivo.xlf|archivo.po> [opciones]\n");
+
+  console.log("🔧 OPCIONES:");
+  console.log("  --input, -i <archivo>     Archivo XLIFF o PO de entrada");
+  console.log("  --output, -o <archivo>    Archivo JSON de salida");
+  console.log("  --format, -f <formato>    xliff o po (por defecto: según la extensión)");
+  console.log(
+    "  --encoding <codificación> Codificación (por defecto: la declarada en el archivo)"
+  );
+  console.log("  --merge, -m <archivo>     JSON de tags existente donde mezclar");
+  console.log("  --mode <modo>             Modo de mezcla: overwrite, fill-empty o report");
+  console.log("                            (por defecto: report, no modifica archivos)");
+  console.log("  --include-fuzzy           Importar también las unidades fuzzy");
+  console.log("  --skip-new-keys           Al mezclar, ignorar claves que no están en el JSON");
+  console.log("  --report <archivo>        Reporte de unidades sin traducir, fuzzy y cambios");
+  console.log("  --no-backup               No crear backup del JSON existente");
+  console.log("  --help, -h                Mostrar esta ayuda\n");
+
+  console.log("📋 EJEMPLOS:");
+  console.log("  # Convertir un XLIFF devuelto a un JSON nuevo");
+  console.log("  node vendorToJson.js entrega.xlf --output tags.json");
+  console.log("");
+  console.log("  # Ver qué cambiaría al mezclar con la salida actual");
+  console.log("  node vendorToJson.js entrega.po --merge us-mx-translated.json");
+  console.log("");
+  console.log("  # Completar las traducciones vacías, aceptando las fuzzy");
+  console.log(
+    "  node vendorToJson.js entrega.xlf --merge us-mx.json --mode fill-empty --include-fuzzy"
+  );
+  console.log("");
+}
+
+/**
+ * Determina el formato del archivo de entrada
+ * @param {string | null} format - Formato indicado con --format
+ * @param {string} inputFile - Archivo de entrada
+ * @returns {string} - xliff o po
+ * @throws {Error} - Si no se puede determinar el formato
+ */
+function resolveFormat(format, inputFile) {
+  const value = (format || path.extname(inputFile).slice(1)).toLowerCase();
+  if (value === "xliff" || value === "xlf") {
+    return "xliff";
+  }
+  if (value === "po") {
+    return "po";
+  }
+  throw new Error(
+    `Formato no soportado: "${format || path.extname(inputFile)}". Usa --format xliff o po`
+  );
+}
+
+/**
+ * Decodifica el archivo del proveedor. Sin codificación explícita se usa la
+ * declarada en el archivo (declaración XML o charset del PO); si no declara
+ * ninguna o tiene BOM, se detecta como en los CSV.
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} format - xliff o po
+ * @param {string | null} encoding - Codificación indicada con --encoding
+ * @returns {{text: string, encoding: string}} - Texto y codificación usada
+ */
+function decodeVendorFile(buffer, format, encoding) {
+  if (encoding) {
+    return decodeCsvBuffer(buffer, encoding);
+  }
+
+  const hasBom =
+    (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) ||
+    (buffer[0] === 0xff && buffer[1] === 0xfe) ||
+    (buffer[0] === 0xfe && buffer[1] === 0xff);
+  // La declaración es ASCII, así que se puede leer antes de decodificar
+  const preview = buffer.toString("latin1");
+  const declared =
+    format === "po" ? getPoCharset(preview) : getXmlEncoding(preview);
+
+  if (!hasBom && declared && !/^utf-?8$/i.test(declared)) {
+    return decodeCsvBuffer(buffer, declared);
+  }
+  return decodeCsvBuffer(buffer);
+}
+
+/**
+ * Extrae las traducciones de las unidades del archivo. Las unidades sin
+ * traducir y las fuzzy (salvo con includeFuzzy) quedan con valor vacío; ante
+ * una clave repetida se conserva la primera aparición.
+ * @param {any[]} units - Unidades de parseXliff o parsePo
+ * @param {object} options - Opciones
+ * @param {boolean} [options.includeFuzzy] - Importar las unidades fuzzy
+ * @returns {{entries: any, untranslated: any[], fuzzy: any[], duplicates: any[]}}
+ * - Pares en el orden del archivo y unidades sin traducir, fuzzy y repetidas
+ */
+function extractUnits(units, options) {
+  /** @type {any} */
+  const entries = {};
+  /** @type {any[]} */
+  const untranslated = [];
+  /** @type {any[]} */
+  const fuzzy = [];
+  /** @type {any[]} */
+  const duplicates = [];
+
+  units.forEach((unit) => {
+    // En XLIFF se identifica la unidad por su id; en PO, por su línea
+    const location = unit.id ? { id: unit.id } : { line: unit.line };
+
+    if (Object.prototype.hasOwnProperty.call(entries, unit.key)) {
+      duplicates.push({ key: unit.key, ...location, target: unit.target });
+      return;
+    }
+
+    if (unit.untranslated) {
+      untranslated.push({ key: unit.key, ...location });
+      entries[unit.key] = "";
+    } else if (unit.fuzzy) {
+      fuzzy.push({
+        key: unit.key,
+        ...location,
+        target: unit.target,
+        imported: Boolean(options.includeFuzzy),
+      });
+      entries[unit.key] = options.includeFuzzy ? unit.target : "";
+    } else {
+      entries[unit.key] = unit.target;
+    }
+  });
+
+  return { entries, untranslated, fuzzy, duplicates };
+}
+
+/**
+ * Genera la ruta del JSON de salida a partir del archivo del proveedor
+ * @param {string} inputFile - Archivo XLIFF o PO de entrada
+ * @returns {string} - Ruta del JSON
+ */
+function generateOutputFileName(inputFile) {
+  const parsed = path.parse(inputFile);
+  return path.join(parsed.dir, `${parsed.name}.json`);
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  try {
+    console.log("📥 === IMPORTADOR XLIFF / PO A JSON ===");
+    console.log(
+      "📝 Lee los archivos XLIFF 2.0 o gettext PO devueltos por el proveedor y los convierte al formato JSON\n"
+    );
+
+    const config = parseCommandLineArgs();
+
+    if (!config.inputFile) {
+      console.error("❌ Indica el archivo XLIFF o PO de entrada");
+      console.log("💡 Usa --help para ver las opciones");
+      process.exit(1);
+    }
+    if (!MERGE_MODES.includes(config.mergeMode)) {
+      console.error(
+        `❌ Modo de mezcla no soportado: "${config.mergeMode}". Usa ${MERGE_MODES.join(", ")}`
+      );
+      process.exit(1);
+    }
+
+    config.format = resolveFormat(config.format, config.inputFile);
+    config.outputFile =
+      config.outputFile ||
+      config.mergeFile ||
+      generateOutputFileName(config.inputFile);
+    config.reportFile =
+      config.reportFile || generateReportFileName(config.outputFile);
+
+    console.log(`📖 === LEYENDO ARCHIVO ${config.format === "po" ? "PO" : "XLIFF"} ===`);
+    const buffer = await fs.readFile(config.inputFile);
+    const { text, encoding } = decodeVendorFile(
+      buffer,
+      config.format,
+      config.encoding
+    );
+    // PO declara los idiomas en sus encabezados; XLIFF, en srcLang/trgLang
+    /** @type {{sourceLang: string | null, targetLang: string | null, units: any[]}} */
+    let parsed;
+    if (config.format === "po") {
+      const po = parsePo(text);
+      parsed = {
+        sourceLang: po.headers["X-Source-Language"] || null,
+        targetLang: po.headers.Language || null,
+        units: po.units,
+      };
+    } else {
+      parsed = parseXliff(text);
+    }
+    const { sourceLang, targetLang } = parsed;
+
+    console.log("⚙️ Configuración:");
+    console.log(`   📁 Archivo de entrada: ${config.inputFile}`);
+    console.log(
+      `   📄 Formato: ${config.format === "po" ? "gettext PO" : "XLIFF 2.0"}`
+    );
+    console.log(
+      `   🔤 Codificación: ${encoding}${config.encoding ? "" : " (detectada)"}`
+    );
+    console.log(
+      `   🌐 Idiomas: ${sourceLang || "?"} → ${targetLang || "?"}`
+    );
+    console.log(`   🟡 Unidades fuzzy: ${config.includeFuzzy ? "se importan" : "no se importan"}`);
+    if (config.mergeFile) {
+      console.log(`   🔀 Mezclar en: ${config.mergeFile} (modo ${config.mergeMode})`);
+    }
+    console.log(`   📁 Archivo de salida: ${config.outputFile}`);
+    console.log("");
+
+    const { entries, untranslated, fuzzy, duplicates } = extractUnits(
+      parsed.units,
+      { includeFuzzy: config.includeFuzzy }
+    );
+    const translated =
+      Object.keys(entries).length - untranslated.length - fuzzy.length;
+
+    console.log(`📊 Unidades leídas: ${parsed.units.length}`);
+    console.log(`✅ Traducidas: ${translated}`);
+    if (untranslated.length > 0) {
+      console.log(`⚪ Sin traducir: ${untranslated.length}`);
+      displayList(untranslated, (u) => `"${u.key}"`);
+    }
+    if (fuzzy.length > 0) {
+      console.log(
+        `🟡 Fuzzy${config.includeFuzzy ? " (importadas)" : " (no se importan, usa --include-fuzzy)"}: ${fuzzy.length}`
+      );
+      displayList(fuzzy, (f) => `"${f.key}": "${f.target}"`);
+    }
+    if (duplicates.length > 0) {
+      console.log(
+        `⚠️  Claves repetidas (se conserva la primera): ${duplicates.length}`
+      );
+      displayList(duplicates, (d) => `"${d.key}"`);
+    }
+
+    /** @type {any} */
+    const report = {
+      generatedAt: new Date().toISOString(),
+      inputFile: config.inputFile,
+      format: config.format,
+      encoding,
+      sourceLang,
+      targetLang,
+      includeFuzzy: config.includeFuzzy,
+      mergeFile: config.mergeFile,
+      mergeMode: config.mergeFile ? config.mergeMode : null,
+      outputFile: config.outputFile,
+      summary: {
+        units: parsed.units.length,
+        translated,
+        untranslated: untranslated.length,
+        fuzzy: fuzzy.length,
+        duplicates: duplicates.length,
+      },
+      untranslated,
+      fuzzy,
+      duplicates,
+    };
+
+    if (!config.mergeFile) {
+      await writeJsonFile(config.outputFile, entries);
+      console.log(`💾 JSON generado: ${config.outputFile}`);
+    } else {
+      if (!(await fileExists(config.mergeFile))) {
+        console.error(`❌ Archivo a mezclar no encontrado: ${config.mergeFile}`);
+        process.exit(1);
+      }
+
+      console.log("\n🔀 === MEZCLANDO CON EL JSON EXISTENTE ===");
+      const existing = await readJsonFile(config.mergeFile);
+      const { result, changes } = mergeEntries(existing, entries, {
+        mode: config.mergeMode,
+        skipNewKeys: config.skipNewKeys,
+      });
+
+      console.log(`✏️  Traducciones vacías completadas: ${changes.filled.length}`);
+      console.log(`🔄 Traducciones reemplazadas: ${changes.updated.length}`);
+      console.log(`➕ Claves nuevas agregadas: ${changes.added.length}`);
+      if (changes.ignoredNewKeys.length > 0) {
+        console.log(`🚫 Claves nuevas ignoradas: ${changes.ignoredNewKeys.length}`);
+      }
+      console.log(`✅ Sin cambios: ${changes.unchanged}`);
+      if (changes.conflicts.length > 0) {
+        console.log(
+          `⚠️  Conflictos con traducciones existentes: ${changes.conflicts.length}${
+            config.mergeMode === "fill-empty" ? " (se conserva la existente)" : ""
+          }`
+        );
+        displayList(
+          changes.conflicts,
+          (c) => `"${c.key}": "${c.existing}" → "${c.incoming}"`
+        );
+      }
+
+      report.summary = {
+        ...report.summary,
+        filled: changes.filled.length,
+        updated: changes.updated.length,
+        added: changes.added.length,
+        ignoredNewKeys: changes.ignoredNewKeys.length,
+        unchanged: changes.unchanged,
+        conflicts: changes.conflicts.length,
+      };
+      report.changes = changes;
+
+      const modified =
+        changes.filled.length + changes.updated.length + changes.added.length;
+      if (config.mergeMode === "report") {
+        console.log(
+          "\nℹ️  Modo report: no se modificó ningún archivo. Usa --mode fill-empty u overwrite para aplicar los cambios"
+        );
+      } else if (modified === 0) {
+        console.log("\nℹ️  No hay cambios para aplicar");
+      } else {
+        if (config.createBackup && config.outputFile === config.mergeFile) {
+          await createBackup(config.mergeFile);
+        }
+        await writeJsonFile(config.outputFile, result);
+        console.log(`💾 JSON mezclado guardado en: ${config.outputFile}`);
+      }
+    }
+
+    await writeJsonFile(config.reportFile, report);
+    console.log(`📋 Reporte guardado en: ${config.reportFile}`);
+
+    console.log("\n🎉 === IMPORTACIÓN COMPLETADA EXITOSAMENTE ===");
+  } catch (/** @type {any} */ error) {
+    console.error("\n💀 ERROR CRÍTICO:");
+    console.error(`   Mensaje: ${error.message}`);
+    if (error.code === "ENOENT") {
+      console.log(
+        "💡 Tip: Verifica que el archivo de entrada exista y sea accesible"
+      );
+    } else if (error.code === "EACCES") {
+      console.log(
+        "💡 Tip: Verifica los permisos de escritura en el directorio de destino"
+      );
+    }
+    process.exit(1);
+  }
+}
+
+// Ejecutar solo si es llamado directamente
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  extractUnits,
+  decodeVendorFile,
+  resolveFormat,
+  generateOutputFileName,
+  parseCommandLineArgs,
+  VENDOR_IMPORT_CONFIG,
+};
@@ -0,0 +1,265 @@
+// @ts-check
+
+/**
+ * Lectura y escritura de XLIFF 2.0 para el intercambio con proveedores de
+ * localización. Cada tag es una <unit> con un <segment>: la clave va en
+ * <source> y en el atributo name (los id de XLIFF no admiten espacios), la
+ * traducción en <target>.
+ */
+
+/**
+ * Namespace de XLIFF 2.0
+ */
+const XLIFF_NAMESPACE = "urn:oasis:names:tc:xliff:document:2.0";
+
+/**
+ * Estados de un segmento que cuentan como traducción terminada; "initial"
+ * con un target se considera fuzzy (borrador sin confirmar)
+ */
+const FINAL_STATES = ["translated", "reviewed", "final"];
+
+/**
+ * Escapa un texto para usarlo como contenido XML
+ * @param {string} text - Texto a escapar
+ * @returns {string} - Texto escapado
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Escapa un texto para usarlo como valor de atributo XML. Los saltos de línea
+ * y tabuladores se escriben como referencias de carácter: la normalización de
+ * atributos de XML los convertiría en espacios y la clave no volvería igual
+ * @param {string} text - Texto a escapar
+ * @returns {string} - Texto escapado
+ */
+function escapeXmlAttribute(text) {
+  return escapeXml(text)
+    .replace(/\n/g, "&#10;")
+    .replace(/\r/g, "&#13;")
+    .replace(/\t/g, "&#9;");
+}
+
+/**
+ * Reemplaza las entidades XML y las secciones CDATA por su texto
+ * @param {string} text - Contenido XML
+ * @returns {string} - Texto plano
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) =>
+      data.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+    )
+    .replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, entity) => {
+      const lower = entity.toLowerCase();
+      if (lower.startsWith("#x")) {
+        return String.fromCodePoint(parseInt(lower.slice(2), 16));
+      }
+      if (lower.startsWith("#")) {
+        return String.fromCodePoint(parseInt(lower.slice(1), 10));
+      }
+      return /** @type {any} */ ({
+        lt: "<",
+        gt: ">",
+        amp: "&",
+        quot: '"',
+        apos: "'",
+      })[lower];
+    });
+}
+
+/**
+ * Obtiene el texto de un elemento con contenido inline: las etiquetas
+ * inline (<ph>, <pc>, <mrk>...) se descartan y se conserva su texto
+ * @param {string} content - Contenido interno del elemento
+ * @returns {string} - Texto plano
+ */
+function getElementText(content) {
+  // Los CDATA se resuelven antes de quitar etiquetas para no perder su contenido
+  const withoutCdata = content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) =>
+    escapeXml(data)
+  );
+  return unescapeXml(withoutCdata.replace(/<[^>]+>/g, ""));
+}
+
+/**
+ * Lee los atributos de una etiqueta de apertura
+ * @param {string} tag - Etiqueta completa ("<unit id=\"u1\" name=\"...\">")
+ * @returns {Record<string, string>} - Atributos sin prefijo de namespace
+ */
+function parseAttributes(tag) {
+  /** @type {Record<string, string>} */
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    const name = match[1].includes(":") ? match[1].split(":").pop() : match[1];
+    attributes[/** @type {string} */ (name)] = unescapeXml(
+      match[3] ?? match[4]
+    );
+  }
+  return attributes;
+}
+
+/**
+ * Genera un documento XLIFF 2.0
+ * @param {any} entries - Tags (clave en el idioma de origen → traducción)
+ * @param {object} options - Opciones del documento
+ * @param {string} options.sourceLang - Idioma de origen (srcLang)
+ * @param {string} options.targetLang - Idioma destino (trgLang)
+ * @param {string} [options.fileId] - Id del elemento <file>
+ * @param {string} [options.encoding] - Codificación declarada en el XML
+ * @param {Map<string, {category: string, text: string}[]>} [options.notes] -
+ * Notas por clave (QA, glosario)
+ * @returns {string} - Documento XLIFF
+ */
+function buildXliff(entries, options) {
+  const notes = options.notes || new Map();
+  const lines = [
+    `<?xml version="1.0" encoding="${(options.encoding || "UTF-8").toUpperCase()}"?>`,
+    `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${escapeXmlAttribute(
+      options.sourceLang
+    )}" trgLang="${escapeXmlAttribute(options.targetLang)}">`,
+    `  <file id="${escapeXmlAttribute(options.fileId || "f1")}">`,
+  ];
+
+  Object.entries(entries).forEach(([key, value], index) => {
+    const target = typeof value === "string" ? value : "";
+    const unitNotes = notes.get(key) || [];
+
+    lines.push(`    <unit id="u${index + 1}" name="${escapeXmlAttribute(key)}">`);
+    if (unitNotes.length > 0) {
+      lines.push("      <notes>");
+      unitNotes.forEach((note) => {
+        lines.push(
+          `        <note category="${escapeXmlAttribute(note.category)}">${escapeXml(
+            note.text
+          )}</note>`
+        );
+      });
+      lines.push("      </notes>");
+    }
+    lines.push(
+      `      <segment state="${target.trim() ? "translated" : "initial"}">`
+    );
+    lines.push(`        <source>${escapeXml(key)}</source>`);
+    if (target.trim()) {
+      lines.push(`        <target>${escapeXml(target)}</target>`);
+    }
+    lines.push("      </segment>");
+    lines.push("    </unit>");
+  });
+
+  lines.push("  </file>", "</xliff>", "");
+  return lines.join("\n");
+}
+
+/**
+ * Lee un documento XLIFF 2.0. Los segmentos de una unidad se concatenan; la
+ * clave es el atributo name de la unidad o, si no tiene, su texto de origen.
+ * @param {string} text - Documento XLIFF
+ * @returns {{sourceLang: string | null, targetLang: string | null, units: any[]}}
+ * - Idiomas y unidades ({ key, id, target, state, fuzzy, untranslated })
+ * @throws {Error} - Si el documento no es XLIFF 2.x
+ */
+function parseXliff(text) {
+  const root = text.match(/<(?:\w+:)?xliff\b[^>]*>/);
+  if (!root) {
+    throw new Error("El archivo no contiene un elemento <xliff>");
+  }
+  const rootAttributes = parseAttributes(root[0]);
+  if (!String(rootAttributes.version || "").startsWith("2.")) {
+    throw new Error(
+      `Versión de XLIFF no soportada: "${rootAttributes.version}". Se espera XLIFF 2.0`
+    );
+  }
+
+  // Los comentarios XML pueden contener etiquetas que no son del documento
+  const body = text.replace(/<!--[\s\S]*?-->/g, "");
+  /** @type {any[]} */
+  const units = [];
+
+  for (const unitMatch of body.matchAll(
+    /<(?:\w+:)?unit\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?unit>/g
+  )) {
+    const attributes = parseAttributes(unitMatch[1]);
+    const content = unitMatch[2];
+
+    let source = "";
+    let target = "";
+    let hasTarget = false;
+    /** @type {string[]} */
+    const states = [];
+
+    for (const partMatch of content.matchAll(
+      /<(?:\w+:)?(segment|ignorable)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?\1>)/g
+    )) {
+      const partContent = partMatch[3] || "";
+      if (partMatch[1] === "segment") {
+        const partAttributes = parseAttributes(partMatch[2]);
+        states.push(partAttributes.state || "initial");
+        if (/fuzzy/i.test(partAttributes.subState || "")) {
+          states.push("fuzzy");
+        }
+      }
+      const sourceMatch = partContent.match(
+        /<(?:\w+:)?source\b[^>]*>([\s\S]*?)<\/(?:\w+:)?source>/
+      );
+      const targetMatch = partContent.match(
+        /<(?:\w+:)?target\b[^>]*>([\s\S]*?)<\/(?:\w+:)?target>/
+      );
+      source += sourceMatch ? getElementText(sourceMatch[1]) : "";
+      if (targetMatch) {
+        hasTarget = true;
+        target += getElementText(targetMatch[1]);
+      }
+    }
+
+    const untranslated = !hasTarget || target.trim() === "";
+    units.push({
+      key: attributes.name ?? source,
+      id: attributes.id || null,
+      target: untranslated ? "" : target,
+      state: states.includes("fuzzy")
+        ? "fuzzy"
+        : states.find((state) => !FINAL_STATES.includes(state)) ||
+          states[0] ||
+          "initial",
+      fuzzy:
+        !untranslated &&
+        (states.includes("fuzzy") ||
+          states.some((state) => !FINAL_STATES.includes(state))),
+      untranslated,
+    });
+  }
+
+  return {
+    sourceLang: rootAttributes.srcLang || null,
+    targetLang: rootAttributes.trgLang || null,
+    units,
+  };
+}
+
+/**
+ * Obtiene la codificación declarada en la declaración XML
+ * @param {string} text - Contenido del archivo (decodificado como latin1 o UTF-8)
+ * @returns {string | null} - Codificación declarada o null
+ */
+function getXmlEncoding(text) {
+  const match = text.match(/^\s*<\?xml[^>]*\bencoding\s*=\s*["']([\w.:-]+)["']/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  buildXliff,
+  parseXliff,
+  getXmlEncoding,
+  escapeXml,
+  escapeXmlAttribute,
+  unescapeXml,
+  XLIFF_NAMESPACE,
+};